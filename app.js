@@ -6,6 +6,17 @@ const garageRoutes = require('./routes/garage.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const reviewRoutes = require('./routes/review.routes');
 const paymentRoutes = require('./routes/payment.routes'); 
+const planRoutes = require('./routes/plan.routes');
+const permissionRoutes = require('./routes/permission.routes');
+const staffRoutes = require('./routes/staff.routes');
+const vehicleRoutes = require('./routes/vehicle.routes');
+const serviceRecordRoutes = require('./routes/serviceRecord.routes');
+const reminderRuleRoutes = require('./routes/reminderRule.routes');
+const workOrderRoutes = require('./routes/workOrder.routes');
+const quoteRoutes = require('./routes/quote.routes');
+const invoiceRoutes = require('./routes/invoice.routes');
+const payoutRoutes = require('./routes/payout.routes');
+const businessHoursRoutes = require('./routes/businessHours.routes');
 
 const app = express();
 
@@ -32,6 +43,17 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/garages', garageRoutes);    
 app.use('/api/v1/bookings', bookingRoutes);  
 app.use('/api/v1/reviews', reviewRoutes);    
+app.use('/api/v1/plans', planRoutes);
+app.use('/api/v1/permissions', permissionRoutes);
+app.use('/api/v1/staff', staffRoutes);
+app.use('/api/v1/vehicles', vehicleRoutes);
+app.use('/api/v1/service-records', serviceRecordRoutes);
+app.use('/api/v1/reminder-rules', reminderRuleRoutes);
+app.use('/api/v1/work-orders', workOrderRoutes);
+app.use('/api/v1/quotes', quoteRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/payouts', payoutRoutes);
+app.use('/api/v1/business-hours', businessHoursRoutes);
 
 // =====================================
 // PAYMENT ROUTES - Special handling for webhooks
@@ -1,4 +1,36 @@
 const User = require('../models/User');
+const { listPlans } = require('../services/plan.service');
+const { sendMail, clientUrl } = require('../services/mail');
+const {
+  getRevocationReason,
+  revokeAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/token.service');
+const {
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  buildContactUpdate,
+  getVerificationStatus
+} = require('../services/verification.service');
+const {
+  isTwoFactorRequired,
+  loadWithSecrets,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge,
+  getTwoFactorStatus
+} = require('../services/twoFactor.service');
+const { buildBusinessHours } = require('../services/businessHours.service');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const dotenv = require('dotenv');
@@ -24,23 +56,8 @@ console.log('✅ Cloudinary configured with cloud:', process.env.CLOUDINARY_CLOU
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Generate JWT Token
- */
-const generateToken = (user) => {
-  console.log('🔐 Generating JWT token for user:', user.email);
-  const token = jwt.sign(
-    {
-      id: user._id,
-      role: user.role,
-      email: user.email
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-  console.log('✅ Token generated successfully');
-  return token;
-};
+// Keys of preferences.notifications a user may switch on and off
+const NOTIFICATION_PREFERENCES = ['email', 'sms', 'push', 'maintenanceReminders'];
 
 /**
  * Validate email format
@@ -242,6 +259,12 @@ const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Login challenge tokens only unlock the second login step
+      if (decoded.purpose) {
+        console.log('❌ Login challenge used as access token');
+        return sendErrorResponse(res, 401, 'Invalid token');
+      }
       console.log('✅ Token verified for user:', decoded.email);
 
       const user = await User.findById(decoded.id).select('-password');
@@ -256,8 +279,15 @@ const protect = async (req, res, next) => {
         return sendErrorResponse(res, 401, 'User account is deactivated');
       }
 
+      const revokedReason = await getRevocationReason(decoded, user);
+      if (revokedReason) {
+        console.log('❌ Revoked token used for:', user.email);
+        return sendErrorResponse(res, 401, revokedReason);
+      }
+
       console.log('✅ User authenticated:', { id: user._id, email: user.email, role: user.role });
       req.user = user;
+      req.auth = decoded;
       next();
     } catch (error) {
       if (error.name === 'JsonWebTokenError') {
@@ -294,6 +324,15 @@ const authorize = (...roles) => {
       return sendErrorResponse(res, 403, `User role ${req.user.role} is not authorized to access this route`);
     }
 
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      console.log('❌ Two-factor authentication not set up for:', req.user.email);
+      return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication to use this route',
+        twoFactorSetupRequired: true
+      });
+    }
+
     console.log('✅ Authorization successful');
     next();
   };
@@ -395,8 +434,12 @@ const register = async (req, res) => {
     const savedUser = await user.save();
     console.log('✅ User saved with ID:', savedUser._id);
 
-    // Generate token
-    const token = generateToken(savedUser);
+    // Start a session
+    const { token, refreshToken, refreshTokenExpires } = await issueSession(savedUser, req);
+
+    // Sign-up must not fail because the verification email could not go out
+    await requestEmailVerification(savedUser)
+      .catch(error => console.error('❌ Could not send verification email:', error.message));
 
     // Send response
     console.log('📤 Registration successful for:', email);
@@ -410,7 +453,9 @@ const register = async (req, res) => {
         phone: savedUser.phone,
         role: savedUser.role,
         profileImage: savedUser.profileImage,
-        token
+        token,
+        refreshToken,
+        refreshTokenExpires
       }
     });
   } catch (error) {
@@ -485,6 +530,22 @@ const registerGarageOwner = async (req, res) => {
     }
     console.log('✅ All required fields present');
 
+    // The form sends hours as text ("9:00 AM - 6:00 PM", "Closed")
+    let businessHours;
+    try {
+      businessHours = buildBusinessHours({
+        monday: mondayHours,
+        tuesday: tuesdayHours,
+        wednesday: wednesdayHours,
+        thursday: thursdayHours,
+        friday: fridayHours,
+        saturday: saturdayHours,
+        sunday: sundayHours
+      });
+    } catch (error) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+
     // Validate email format
     if (!isValidEmail(email) || !isValidEmail(businessEmail)) {
       return sendErrorResponse(res, 400, 'Please provide valid email addresses');
@@ -799,15 +860,7 @@ const registerGarageOwner = async (req, res) => {
       specializedBrands: specializedBrands ? specializedBrands.split(',').map(s => s.trim()) : [],
       numberOfBays: numberOfBays ? parseInt(numberOfBays) : undefined,
       staffCount: staffCount ? parseInt(staffCount) : undefined,
-      businessHours: {
-        monday: mondayHours || '9:00 AM - 6:00 PM',
-        tuesday: tuesdayHours || '9:00 AM - 6:00 PM',
-        wednesday: wednesdayHours || '9:00 AM - 6:00 PM',
-        thursday: thursdayHours || '9:00 AM - 6:00 PM',
-        friday: fridayHours || '9:00 AM - 6:00 PM',
-        saturday: saturdayHours || '10:00 AM - 4:00 PM',
-        sunday: sundayHours || 'Closed'
-      },
+      businessHours,
       emergencyServices: emergencyServices === 'true',
       licenseNumber,
       insuranceProvider,
@@ -869,8 +922,13 @@ const registerGarageOwner = async (req, res) => {
     const savedUser = await user.save();
     console.log('✅ User saved with ID:', savedUser._id);
 
-    // Generate token
-    const token = generateToken(savedUser);
+    // Start a session
+    const { token, refreshToken, refreshTokenExpires } = await issueSession(savedUser, req);
+
+    // Sign-up must not fail because the verification email could not go out
+    await requestEmailVerification(savedUser)
+      .catch(error => console.error('❌ Could not send verification email:', error.message));
+    const plans = await listPlans();
 
     // Send complete user data in response
     console.log('📤 [8/8] Registration successful for:', email);
@@ -958,17 +1016,15 @@ const registerGarageOwner = async (req, res) => {
         },
         
         token,
+        refreshToken,
+        refreshTokenExpires,
         
         nextStep: 'payment',
         paymentInfo: {
           required: true,
-          amount: parseInt(process.env.BASIC_PLAN_AMOUNT) || 500,
+          amount: plans.find(plan => plan.code === 'basic')?.amount ?? plans[0]?.amount,
           currency: 'ETB',
-          plans: [
-            { id: 'basic', name: 'Basic Listing', amount: parseInt(process.env.BASIC_PLAN_AMOUNT) || 500 },
-            { id: 'premium', name: 'Premium Listing', amount: parseInt(process.env.PREMIUM_PLAN_AMOUNT) || 1000 },
-            { id: 'yearly', name: 'Yearly Listing', amount: parseInt(process.env.YEARLY_PLAN_AMOUNT) || 5000 }
-          ]
+          plans: plans.map(plan => ({ id: plan.code, name: plan.name, amount: plan.amount }))
         }
       }
     });
@@ -1161,6 +1217,83 @@ const getRegistrationStatus = async (req, res) => {
 // Login User
 // ----------------------------------------------------------------------------
 
+/**
+ * Start a session and send the login response. Used once every login
+ * step has passed.
+ */
+const sendLoginSuccess = async (user, req, res) => {
+  console.log('🔐 Starting session for:', user.email);
+  const { token, refreshToken, refreshTokenExpires } = await issueSession(user, req);
+
+  // Prepare response data
+  const responseData = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    profileImage: user.profileImage,
+    token,
+    refreshToken,
+    refreshTokenExpires
+  };
+
+  if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+    responseData.twoFactorSetupRequired = true;
+  }
+
+  // Add garage info with payment status for garage owners
+  if (user.role === 'garage_owner' && user.garageInfo) {
+    console.log('🏢 Garage owner login, adding garage info');
+    
+    let loginMessage = 'Login successful';
+    let redirectTo = '/dashboard';
+
+    if (user.garageInfo.verificationStatus === 'pending_payment' || 
+        user.garageInfo.paymentStatus === 'pending' ||
+        user.garageInfo.paymentStatus === 'failed') {
+      loginMessage = 'Please complete payment to continue';
+      redirectTo = '/payment';
+    } else if (user.garageInfo.verificationStatus === 'payment_completed' ||
+              user.garageInfo.verificationStatus === 'under_review') {
+      loginMessage = 'Your application is under review';
+      redirectTo = '/dashboard';
+    } else if (user.garageInfo.verificationStatus === 'approved') {
+      loginMessage = 'Welcome back! Your garage is active';
+      redirectTo = '/dashboard';
+    } else if (user.garageInfo.verificationStatus === 'rejected') {
+      loginMessage = 'Your application was rejected. Please contact support';
+      redirectTo = '/contact-support';
+    }
+
+    responseData.garageInfo = {
+      businessName: user.garageInfo.businessName,
+      verificationStatus: user.garageInfo.verificationStatus,
+      paymentStatus: user.garageInfo.paymentStatus,
+      isVerified: user.garageInfo.verificationStatus === 'approved',
+      profileCompletion: calculateProgress(user.garageInfo),
+      documentsCount: user.garageInfo.documents?.length || 0,
+      agreementsCount: user.garageInfo.agreements?.length || 0,
+      nextStep: redirectTo,
+      message: loginMessage
+    };
+    
+    console.log('📊 Garage status:', {
+      businessName: user.garageInfo.businessName,
+      verificationStatus: user.garageInfo.verificationStatus,
+      paymentStatus: user.garageInfo.paymentStatus,
+      nextStep: redirectTo
+    });
+  }
+
+  console.log('✅ Login successful for:', user.email);
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: responseData
+  });
+};
+
 /**
  * @desc    Login user
  * @route   POST /api/v1/auth/login
@@ -1221,72 +1354,69 @@ const login = async (req, res) => {
       return sendErrorResponse(res, 401, 'Your account has been deactivated. Please contact support.');
     }
 
+    if (user.twoFactor?.enabled) {
+      console.log('🔐 Password correct, waiting for second factor');
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        data: { challengeToken: createLoginChallenge(user) }
+      });
+    }
 
-    const token = generateToken(user);
+    await sendLoginSuccess(user, req, res);
+  } catch (error) {
+    console.error('❌=== LOGIN ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error during login', error);
+  }
+};
 
-    // Prepare response data
-    const responseData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      profileImage: user.profileImage,
-      token
-    };
+/**
+ * @desc    Finish logging in with an authenticator or recovery code
+ * @route   POST /api/v1/auth/login/2fa
+ * @access  Public (login challenge token required)
+ */
+const verifyLoginTwoFactor = async (req, res) => {
+  console.log('\n🔐 [LOGIN 2FA] Second step');
 
-    // Add garage info with payment status for garage owners
-    if (user.role === 'garage_owner' && user.garageInfo) {
-      console.log('🏢 Garage owner login, adding garage info');
-      
-      let loginMessage = 'Login successful';
-      let redirectTo = '/dashboard';
-
-      if (user.garageInfo.verificationStatus === 'pending_payment' || 
-          user.garageInfo.paymentStatus === 'pending' ||
-          user.garageInfo.paymentStatus === 'failed') {
-        loginMessage = 'Please complete payment to continue';
-        redirectTo = '/payment';
-      } else if (user.garageInfo.verificationStatus === 'payment_completed' ||
-                user.garageInfo.verificationStatus === 'under_review') {
-        loginMessage = 'Your application is under review';
-        redirectTo = '/dashboard';
-      } else if (user.garageInfo.verificationStatus === 'approved') {
-        loginMessage = 'Welcome back! Your garage is active';
-        redirectTo = '/dashboard';
-      } else if (user.garageInfo.verificationStatus === 'rejected') {
-        loginMessage = 'Your application was rejected. Please contact support';
-        redirectTo = '/contact-support';
-      }
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const challenge = readLoginChallenge(challengeToken);
 
-      responseData.garageInfo = {
-        businessName: user.garageInfo.businessName,
-        verificationStatus: user.garageInfo.verificationStatus,
-        paymentStatus: user.garageInfo.paymentStatus,
-        isVerified: user.garageInfo.verificationStatus === 'approved',
-        profileCompletion: calculateProgress(user.garageInfo),
-        documentsCount: user.garageInfo.documents?.length || 0,
-        agreementsCount: user.garageInfo.agreements?.length || 0,
-        nextStep: redirectTo,
-        message: loginMessage
-      };
-      
-      console.log('📊 Garage status:', {
-        businessName: user.garageInfo.businessName,
-        verificationStatus: user.garageInfo.verificationStatus,
-        paymentStatus: user.garageInfo.paymentStatus,
-        nextStep: redirectTo
-      });
+    const user = await loadWithSecrets(challenge.id);
+    if (!user || user.isActive === false) {
+      return sendErrorResponse(res, 401, 'Invalid credentials');
     }
 
-    console.log('✅ Login successful for:', email);
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: responseData
-    });
+    if (user.isLocked()) {
+      const lockTime = new Date(user.lockUntil);
+      console.log('🔒 Account is locked until:', lockTime);
+      return sendErrorResponse(res, 401, `Account is locked until ${lockTime.toLocaleString()}`);
+    }
+
+    let result;
+    try {
+      result = await verifySecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (error.status === 401) await user.incrementLoginAttempts();
+      throw error;
+    }
+
+    if (user.loginAttempts > 0) {
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+    }
+
+    console.log('✅ Second factor accepted via', result.method);
+    if (result.method === 'recovery_code') {
+      res.set('X-Recovery-Codes-Left', String(result.recoveryCodesLeft));
+    }
+
+    await sendLoginSuccess(user, req, res);
   } catch (error) {
-    console.error('❌=== LOGIN ERROR ===', error);
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== LOGIN 2FA ERROR ===', error);
     sendErrorResponse(res, 500, 'Server error during login', error);
   }
 };
@@ -1328,15 +1458,26 @@ const forgotPassword = async (req, res) => {
     await user.save();
 
     console.log('✅ Reset token generated for:', email);
-    console.log('🔑 Reset token (plain):', resetToken);
-    console.log('🔐 Reset token (hashed):', resetTokenHashed);
+
+    try {
+      await sendMail('passwordReset', user.email, {
+        name: user.name,
+        resetUrl: clientUrl('/reset-password', { token: resetToken }),
+        expiresInMinutes: 10
+      });
+    } catch (mailError) {
+      // Without the email the token is useless, so do not leave it active
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+      return sendErrorResponse(res, 500, 'Password reset email could not be sent', mailError);
+    }
+
+    console.log('📧 Reset email sent to:', email);
 
     res.status(200).json({
       success: true,
-      message: 'Password reset email sent',
-      data: {
-        resetToken
-      }
+      message: 'Password reset email sent'
     });
   } catch (error) {
     console.error('❌=== FORGOT PASSWORD ERROR ===', error);
@@ -1394,13 +1535,14 @@ const resetPassword = async (req, res) => {
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
 
-    await user.save();
+    // Saves the new password and signs the user out everywhere
+    await revokeAllSessions(user);
 
     console.log('✅ Password reset successful for:', user.email);
 
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Password reset successfully. Please log in again.'
     });
   } catch (error) {
     console.error('❌=== RESET PASSWORD ERROR ===', error);
@@ -1499,7 +1641,18 @@ const updateDetails = async (req, res) => {
 
     console.log('Fields to update:', fieldsToUpdate);
 
-    const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
+    // A new email or phone number has to be verified again
+    const update = buildContactUpdate(req.user, fieldsToUpdate);
+
+    // Notification channels and topics can be switched individually
+    const notificationPrefs = req.body.preferences?.notifications || {};
+    NOTIFICATION_PREFERENCES.forEach(key => {
+      if (typeof notificationPrefs[key] === 'boolean') {
+        update.$set[`preferences.notifications.${key}`] = notificationPrefs[key];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, {
       new: true,
       runValidators: true
     }).select('-password');
@@ -1558,12 +1711,17 @@ const updatePassword = async (req, res) => {
 
     console.log('✅ Current password verified, updating to new password');
     user.password = newPassword;
-    await user.save();
+
+    // Saves the new password and signs out every other session; this
+    // device gets a fresh one
+    await revokeAllSessions(user);
+    const session = await issueSession(user, req);
 
     console.log('✅ Password updated successfully');
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully. Other sessions have been signed out.',
+      data: session
     });
   } catch (error) {
     console.error('❌=== UPDATE PASSWORD ERROR ===', error);
@@ -1584,6 +1742,12 @@ const logout = async (req, res) => {
   console.log('\n🚪 [LOGOUT] User:', req.user.id);
   
   try {
+    await revokeAccessToken(req.auth, 'logout');
+
+    if (req.auth?.sid && req.user.devices.some(d => d.deviceId === req.auth.sid)) {
+      await revokeSession(req.user, req.auth.sid);
+    }
+
     console.log('✅ Logout successful');
     res.status(200).json({
       success: true,
@@ -1595,6 +1759,332 @@ const logout = async (req, res) => {
   }
 };
 
+// ----------------------------------------------------------------------------
+// Logout Everywhere
+// ----------------------------------------------------------------------------
+
+/**
+ * @desc    Sign out every session of the current user
+ * @route   POST /api/v1/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+  console.log('\n🚪 [LOGOUT ALL] User:', req.user.id);
+
+  try {
+    await revokeAllSessions(req.user);
+
+    console.log('✅ All sessions revoked');
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('❌=== LOGOUT ALL ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error during logout', error);
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Refresh Access Token
+// ----------------------------------------------------------------------------
+
+/**
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public (refresh token required)
+ */
+const refreshToken = async (req, res) => {
+  console.log('\n🔄 [REFRESH TOKEN] Request');
+
+  try {
+    if (!req.body?.refreshToken) {
+      return sendErrorResponse(res, 400, 'Refresh token is required');
+    }
+
+    const session = await rotateRefreshToken(req.body.refreshToken);
+
+    console.log('✅ Tokens rotated for device:', session.deviceId);
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== REFRESH TOKEN ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error while refreshing token', error);
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Sessions
+// ----------------------------------------------------------------------------
+
+/**
+ * @desc    List devices signed in to the current account
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listSessions(req.user, req.auth?.sid)
+  });
+};
+
+/**
+ * @desc    Sign out one device
+ * @route   DELETE /api/v1/auth/sessions/:deviceId
+ * @access  Private
+ */
+const deleteSession = async (req, res) => {
+  console.log('\n🚪 [REVOKE SESSION] User:', req.user.id, 'device:', req.params.deviceId);
+
+  try {
+    await revokeSession(req.user, req.params.deviceId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== REVOKE SESSION ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error while revoking session', error);
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Contact Verification
+// ----------------------------------------------------------------------------
+
+/**
+ * Send a service error, telling rate-limited clients when to retry
+ */
+const sendVerificationError = (res, error, label) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  if (error.status) return sendErrorResponse(res, error.status, error.message);
+  console.error(`❌=== ${label} ERROR ===`, error);
+  sendErrorResponse(res, 500, 'Server error during verification', error);
+};
+
+/**
+ * @desc    Email and phone verification status
+ * @route   GET /api/v1/auth/verification
+ * @access  Private
+ */
+const getVerification = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getVerificationStatus(req.user)
+  });
+};
+
+/**
+ * @desc    Email a verification link
+ * @route   POST /api/v1/auth/verify-email/request
+ * @access  Private
+ */
+const sendEmailVerification = async (req, res) => {
+  console.log('\n📧 [VERIFY EMAIL] Link requested by:', req.user.email);
+
+  try {
+    const { expiresAt } = await requestEmailVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification link sent to ${req.user.email}`,
+      data: { expiresAt }
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'SEND EMAIL VERIFICATION');
+  }
+};
+
+/**
+ * @desc    Verify an email address from the emailed link
+ * @route   POST /api/v1/auth/verify-email/confirm
+ * @access  Public (verification token required)
+ */
+const verifyEmail = async (req, res) => {
+  console.log('\n📧 [VERIFY EMAIL] Confirming link');
+
+  try {
+    const user = await confirmEmailVerification(req.body?.token);
+
+    console.log('✅ Email verified for:', user.email);
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: getVerificationStatus(user)
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'VERIFY EMAIL');
+  }
+};
+
+/**
+ * @desc    Text a one-time code to the account phone number
+ * @route   POST /api/v1/auth/verify-phone/request
+ * @access  Private
+ */
+const sendPhoneVerification = async (req, res) => {
+  console.log('\n📱 [VERIFY PHONE] Code requested by:', req.user.id);
+
+  try {
+    const { expiresAt } = await requestPhoneVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresAt }
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'SEND PHONE VERIFICATION');
+  }
+};
+
+/**
+ * @desc    Verify the phone number with the texted code
+ * @route   POST /api/v1/auth/verify-phone/confirm
+ * @access  Private
+ */
+const verifyPhone = async (req, res) => {
+  console.log('\n📱 [VERIFY PHONE] Checking code for:', req.user.id);
+
+  try {
+    const user = await confirmPhoneVerification(req.user, req.body?.code);
+
+    console.log('✅ Phone verified for:', user.id);
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: getVerificationStatus(user)
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'VERIFY PHONE');
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Two-Factor Authentication
+// ----------------------------------------------------------------------------
+
+/**
+ * @desc    Two-factor authentication status
+ * @route   GET /api/v1/auth/2fa
+ * @access  Private
+ */
+const getTwoFactor = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getTwoFactorStatus(req.user)
+  });
+};
+
+/**
+ * @desc    Create a secret for the authenticator app
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  console.log('\n🔐 [2FA SETUP] For user:', req.user.id);
+
+  try {
+    const user = await loadWithSecrets(req.user.id);
+    const setup = await beginTwoFactorSetup(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== 2FA SETUP ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error during two-factor setup', error);
+  }
+};
+
+/**
+ * @desc    Turn on two-factor authentication with a code from the app
+ * @route   POST /api/v1/auth/2fa/enable
+ * @access  Private
+ */
+const confirmTwoFactorSetup = async (req, res) => {
+  console.log('\n🔐 [2FA ENABLE] For user:', req.user.id);
+
+  try {
+    const user = await loadWithSecrets(req.user.id);
+    const recoveryCodes = await enableTwoFactor(user, req.body?.code);
+
+    // Sessions started without a second factor are signed out; this
+    // device gets a fresh one
+    await revokeAllSessions(user);
+    const session = await issueSession(user, req);
+
+    console.log('✅ Two-factor authentication enabled for:', user.email);
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes, ...session }
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== 2FA ENABLE ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error while enabling two-factor authentication', error);
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+const removeTwoFactor = async (req, res) => {
+  console.log('\n🔐 [2FA DISABLE] For user:', req.user.id);
+
+  try {
+    const { code, recoveryCode } = req.body || {};
+    const user = await loadWithSecrets(req.user.id);
+    await disableTwoFactor(user, { code, recoveryCode });
+
+    console.log('✅ Two-factor authentication disabled for:', user.email);
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== 2FA DISABLE ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error while disabling two-factor authentication', error);
+  }
+};
+
+/**
+ * @desc    Replace all recovery codes
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const createRecoveryCodes = async (req, res) => {
+  console.log('\n🔐 [2FA RECOVERY CODES] For user:', req.user.id);
+
+  try {
+    const user = await loadWithSecrets(req.user.id);
+    const recoveryCodes = await regenerateRecoveryCodes(user, req.body?.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error.status) return sendErrorResponse(res, error.status, error.message);
+    console.error('❌=== 2FA RECOVERY CODES ERROR ===', error);
+    sendErrorResponse(res, 500, 'Server error while generating recovery codes', error);
+  }
+};
+
 // ============================================================================
 // DOCUMENT CONTROLLERS
 // ============================================================================
@@ -1904,12 +2394,27 @@ module.exports = {
   register,
   registerGarageOwner,
   login,
+  verifyLoginTwoFactor,
   forgotPassword,
   resetPassword,
   getMe,
   updateDetails,
   updatePassword,
   logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
+  deleteSession,
+  getVerification,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneVerification,
+  verifyPhone,
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  removeTwoFactor,
+  createRecoveryCodes,
   uploadProfileImage: uploadProfileImageController,
 
   // Status Controller
@@ -1,4 +1,92 @@
 const Booking = require('../models/booking');
+const User = require('../models/User');
+const {
+  getBookableGarage,
+  reserveSlot
+} = require('../services/availability.service');
+const { extractServiceIds, priceBooking } = require('../services/pricing.service');
+const { quoteBookingRefund, refundBooking } = require('../services/refund.service');
+const { notify } = require('../services/mail');
+const { can, hasPermission } = require('../services/permission.service');
+const { canStaffAct } = require('../services/staff.service');
+const { getOwnedVehicle, getBrandWarning, snapshotVehicle } = require('../services/vehicle.service');
+const { recordCompletedBooking } = require('../services/serviceHistory.service');
+const { issueBookingInvoice } = require('../services/invoice.service');
+const {
+  assertCompletable,
+  completeWorkOrder,
+  getOpenWorkOrder,
+  cancelBookingWorkOrder,
+  describeWork
+} = require('../services/workOrder.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+// Fields a customer may change directly; status and payment have their own flows
+const UPDATABLE_FIELDS = ['notes'];
+
+/**
+ * Work out how the user relates to a booking for an action
+ * @param {Object} booking - Booking with garage populated
+ * @param {Object} user - Authenticated user
+ * @param {String} action - Transition being attempted
+ * @returns {Array} Actor names (customer, garage_owner, staff, admin)
+ */
+const getBookingActors = async (booking, user, action) => {
+  const actors = [];
+  const userId = user._id.toString();
+
+  if (booking.user.toString() === userId) actors.push('customer');
+  if (booking.garage?.owner?.toString() === userId) actors.push('garage_owner');
+  if (await canStaffAct(user, booking.garage, action)) actors.push('staff');
+  if (await hasPermission(user, 'booking:manage:any')) actors.push('admin');
+
+  return actors;
+};
+
+/**
+ * Whether the user may see a booking: the customer, the garage owner,
+ * staff at the garage, or anyone with booking:read:any
+ */
+const canViewBooking = async (user, booking) =>
+  (await can(user, 'booking:read', booking)) || canStaffAct(user, booking.garage, 'view_bookings');
+
+/**
+ * Email the customer when the garage confirms or a booking is cancelled
+ * @param {Object} booking - Booking with garage populated
+ * @param {String} action - Transition that just happened
+ * @param {Object} options - { reason, refund outcome if any }
+ */
+const notifyCustomer = async (booking, action, { reason, refund } = {}) => {
+  if (!['confirm', 'cancel'].includes(action)) return;
+
+  const customer = await User.findById(booking.user).select('name email');
+  if (!customer) return;
+
+  const details = {
+    name: customer.name,
+    garageName: booking.garage?.name || 'The garage',
+    appointmentDate: booking.appointmentDate
+  };
+
+  if (action === 'confirm') {
+    await notify('bookingConfirmed', customer.email, {
+      ...details,
+      services: booking.services,
+      totalPrice: booking.totalPrice
+    });
+  } else {
+    await notify('bookingCancelled', customer.email, {
+      ...details,
+      reason,
+      refundAmount: refund?.status === 'refunded' ? refund.amount : null
+    });
+  }
+};
 
 /*
 =====================================
@@ -7,14 +95,50 @@ CREATE BOOKING
 */
 exports.createBooking = async (req, res) => {
   try {
-    const booking = await Booking.create({
-      ...req.body,
-      user: req.user._id
-    });
+    const { garage: garageId, appointmentDate } = req.body;
+
+    const start = new Date(appointmentDate);
+    if (!appointmentDate || isNaN(start.getTime())) {
+      return res.status(400).json({ message: 'Please provide a valid appointment date' });
+    }
+    if (start <= new Date()) {
+      return res.status(400).json({ message: 'Appointment date must be in the future' });
+    }
+
+    const garage = await getBookableGarage(garageId);
+
+    // The vehicle is optional; when given it must be one of the customer's
+    const vehicle = req.body.vehicle ? await getOwnedVehicle(req.body.vehicle, req.user) : null;
+    const warnings = [];
+    const brandWarning = vehicle && getBrandWarning(garage, vehicle);
+    if (brandWarning) warnings.push(brandWarning);
 
-    res.status(201).json({ success: true, booking });
+    // Prices and durations come from the garage catalogue, never the client
+    const { services, totalPrice, totalDuration } = priceBooking(
+      garage,
+      extractServiceIds(req.body)
+    );
+
+    // Capacity check and insert happen under the garage's booking lock
+    const booking = await reserveSlot(garage, start, totalDuration, ({ endTime }) =>
+      Booking.create({
+        garage: garage._id,
+        vehicle: vehicle?._id,
+        vehicleSnapshot: vehicle ? snapshotVehicle(vehicle) : undefined,
+        services,
+        totalPrice,
+        totalDuration,
+        notes: req.body.notes,
+        payment: { method: req.body.payment?.method },
+        appointmentDate: start,
+        endTime,
+        user: req.user._id
+      })
+    );
+
+    res.status(201).json({ success: true, booking, warnings });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
 
@@ -75,6 +199,10 @@ exports.getBooking = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({ message: 'Not authorized to view this booking' });
+    }
+
     res.status(200).json({ success: true, booking });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -94,7 +222,13 @@ exports.updateBooking = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    Object.assign(booking, req.body);
+    if (!(await can(req.user, 'booking:update', booking))) {
+      return res.status(403).json({ message: 'Not authorized to update this booking' });
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) booking[field] = req.body[field];
+    });
     await booking.save();
 
     res.status(200).json({ success: true, booking });
@@ -103,6 +237,154 @@ exports.updateBooking = async (req, res) => {
   }
 };
 
+/*
+=====================================
+CHANGE BOOKING STATUS
+(confirm, start, complete, cancel, reject)
+=====================================
+*/
+const transitionBooking = (action) => async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    }).populate('garage', 'owner name');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const rule = Booking.getTransition(action);
+    const actors = await getBookingActors(booking, req.user, action);
+    const actor = rule.actors.find(a => actors.includes(a));
+
+    if (!actor) {
+      return res.status(403).json({ message: `Not authorized to ${action} this booking` });
+    }
+
+    // Completing the booking completes its work order, which fails while
+    // extra work awaits approval, and charges the work order's total. The
+    // work order is checked first but only completed once the booking is.
+    let workOrder;
+    if (action === 'complete' && rule.from.includes(booking.status)) {
+      workOrder = await getOpenWorkOrder(booking._id);
+      if (workOrder) assertCompletable(workOrder);
+    }
+
+    await booking.transition(action, {
+      userId: req.user._id,
+      actor,
+      reason: req.body?.reason
+    });
+
+    if (workOrder) {
+      await completeWorkOrder(workOrder, req.user, booking);
+    }
+
+    if (action === 'cancel') {
+      await cancelBookingWorkOrder(booking._id, req.user, req.body?.reason);
+    }
+
+    // Cancelling a paid booking refunds it under the cancellation policy.
+    // The cancellation stands even if the refund fails; an admin can retry it.
+    let refund;
+    if (action === 'cancel' && booking.payment.status === 'paid' && booking.payment.tx_ref) {
+      const quote = quoteBookingRefund(booking, { actor });
+      refund = { ...quote, status: 'not_applicable' };
+
+      if (quote.amount > 0) {
+        try {
+          await refundBooking(booking, {
+            amount: quote.amount,
+            reason: req.body?.reason || 'Booking cancelled',
+            performedBy: req.user._id
+          });
+          refund.status = 'refunded';
+        } catch (error) {
+          refund.status = 'failed';
+          refund.error = error.message;
+        }
+      }
+    }
+
+    // Completed work goes into the vehicle's service history. The garage can
+    // add details later, so a failure here does not undo the completion.
+    let serviceRecord;
+    if (action === 'complete') {
+      try {
+        serviceRecord = await recordCompletedBooking(booking, {
+          user: req.user,
+          details: { ...(workOrder && describeWork(workOrder)), ...req.body?.serviceRecord }
+        });
+      } catch (error) {
+        console.error(`❌ Failed to write service record for booking ${booking._id}:`, error.message);
+      }
+    }
+
+    // Paid bookings are invoiced on completion; unpaid ones once payment arrives
+    let invoice;
+    if (action === 'complete') {
+      try {
+        invoice = await issueBookingInvoice(booking);
+      } catch (error) {
+        console.error(`❌ Failed to issue invoice for booking ${booking._id}:`, error.message);
+      }
+    }
+
+    await notifyCustomer(booking, action, { reason: req.body?.reason, refund });
+
+    res.status(200).json({
+      success: true,
+      message: `Booking ${booking.status.replace('_', ' ')}`,
+      booking,
+      ...(refund && { refund }),
+      ...(serviceRecord && { serviceRecord }),
+      ...(invoice && { invoice })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+exports.confirmBooking = transitionBooking('confirm');
+exports.startBooking = transitionBooking('start');
+exports.completeBooking = transitionBooking('complete');
+exports.cancelBooking = transitionBooking('cancel');
+exports.rejectBooking = transitionBooking('reject');
+
+/*
+=====================================
+GET BOOKING STATUS HISTORY
+=====================================
+*/
+exports.getBookingHistory = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    })
+      .select('user garage status statusHistory')
+      .populate('garage', 'owner')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({ message: 'Not authorized to view this booking' });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: booking.status,
+      history: booking.statusHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /*
 =====================================
 SOFT DELETE BOOKING
@@ -116,6 +398,10 @@ exports.softDeleteBooking = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
+    if (!(await can(req.user, 'booking:delete', booking))) {
+      return res.status(403).json({ message: 'Not authorized to delete this booking' });
+    }
+
     booking.isDeleted = true;
     booking.deletedAt = new Date();
 
@@ -0,0 +1,103 @@
+const {
+  getBusinessHours,
+  updateBusinessHours,
+  getLocalTime,
+  getTimezone,
+  listHolidays,
+  addHoliday,
+  updateHoliday,
+  removeHoliday
+} = require('../services/businessHours.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendBusinessHoursError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/*
+=====================================
+WEEKLY HOURS
+=====================================
+*/
+exports.getBusinessHours = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, businessHours: getBusinessHours(req.user) });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
+
+exports.updateBusinessHours = async (req, res) => {
+  try {
+    const owner = await updateBusinessHours(req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Business hours updated',
+      businessHours: getBusinessHours(owner)
+    });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
+
+/*
+=====================================
+HOLIDAYS AND CLOSURES
+=====================================
+*/
+exports.getHolidays = async (req, res) => {
+  try {
+    // Past closures only on request
+    const from = req.query.past === 'true'
+      ? undefined
+      : getLocalTime(new Date(), getTimezone(req.user)).date;
+
+    const holidays = listHolidays(req.user, { from });
+
+    res.status(200).json({ success: true, count: holidays.length, holidays });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
+
+exports.addHoliday = async (req, res) => {
+  try {
+    const holiday = await addHoliday(req.user, req.body);
+
+    res.status(201).json({ success: true, message: 'Holiday added', holiday });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
+
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holiday = await updateHoliday(req.user, req.params.holidayId, req.body);
+
+    res.status(200).json({ success: true, message: 'Holiday updated', holiday });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
+
+exports.removeHoliday = async (req, res) => {
+  try {
+    await removeHoliday(req.user, req.params.holidayId);
+
+    res.status(200).json({ success: true, message: 'Holiday removed' });
+  } catch (error) {
+    sendBusinessHoursError(res, error);
+  }
+};
@@ -1,5 +1,10 @@
 const Garage = require('../models/garage');
 const Booking = require('../models/booking');
+const { getAvailability } = require('../services/availability.service');
+const { getEntitlements, isSubscriptionActive } = require('../services/subscription.service');
+const { can } = require('../services/permission.service');
+const { canStaffAct } = require('../services/staff.service');
+const { isOpenAt, getBusinessHours } = require('../services/businessHours.service');
 
 /*
 =====================================
@@ -14,7 +19,7 @@ HELPER FUNCTIONS
  */
 const populateGarageData = (query) => {
   return query
-    .populate('owner', 'name email phone')
+    .populate('owner', 'name email phone preferences.timezone garageInfo.businessHours')
     .populate({
       path: 'bookings',
       match: { isDeleted: false },
@@ -34,6 +39,35 @@ const populateGarageData = (query) => {
     });
 };
 
+// Not editable through PUT /:id: the service catalogue has its own routes,
+// where the plan's service limit is enforced, and invoice numbering and the
+// booking lock are kept by the server
+const PROTECTED_FIELDS = ['services', 'invoiceCounters', 'bookingLockedUntil'];
+
+/**
+ * Garage update without protected fields, including dotted paths
+ * ("invoiceCounters.invoice") and update operators
+ */
+const pickEditableFields = (body = {}) => Object.fromEntries(
+  Object.entries(body).filter(([key]) =>
+    !key.startsWith('$') && !PROTECTED_FIELDS.includes(key.split('.')[0]))
+);
+
+/**
+ * Flag whether the garage is open right now. The owner's hours are
+ * populated for this only and are not returned with the owner.
+ * @param {Object} garageObj - Plain garage being returned
+ * @param {Object} garage - Populated garage document
+ */
+const setOpenNow = (garageObj, garage) => {
+  garageObj.openNow = isOpenAt(garage.owner);
+  if (garageObj.owner) {
+    delete garageObj.owner.garageInfo;
+    delete garageObj.owner.preferences;
+  }
+  return garageObj;
+};
+
 /*
 =====================================
 CREATE GARAGE
@@ -41,8 +75,13 @@ CREATE GARAGE
 */
 exports.createGarage = async (req, res) => {
   try {
+    const { featuredPlacement } = await getEntitlements(req.user);
+
+    // Listed only while the owner's subscription is active, like their other garages
     const garage = await Garage.create({
       ...req.body,
+      isListed: req.body.isListed ?? isSubscriptionActive(req.user.garageInfo),
+      isFeatured: req.body.isFeatured ?? featuredPlacement,
       owner: req.user._id
     });
 
@@ -71,7 +110,9 @@ GET ALL GARAGES (NOT DELETED)
 */
 exports.getGarages = async (req, res) => {
   try {
-    let query = Garage.find({ isDeleted: false });
+    // Garages whose subscription has lapsed are hidden from search
+    const filter = { isDeleted: false, isListed: { $ne: false } };
+    let query = Garage.find(filter);
 
     // Add filters from query params
     if (req.query.city) {
@@ -89,16 +130,16 @@ exports.getGarages = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const total = await Garage.countDocuments({ isDeleted: false });
+    const total = await Garage.countDocuments(filter);
     const garages = await populateGarageData(
-      query.sort('-createdAt').skip(skip).limit(limit)
+      query.sort('-isFeatured -createdAt').skip(skip).limit(limit)
     );
 
     // Filter active services for each garage
     const garagesWithActiveServices = garages.map(garage => {
       const garageObj = garage.toObject();
       garageObj.services = garage.services.filter(s => s.isActive !== false);
-      return garageObj;
+      return setOpenNow(garageObj, garage);
     });
 
     res.status(200).json({ 
@@ -132,7 +173,7 @@ exports.getAllGaragesWithDeleted = async (req, res) => {
     const garagesWithActiveServices = garages.map(garage => {
       const garageObj = garage.toObject();
       garageObj.services = garage.services.filter(s => s.isActive !== false);
-      return garageObj;
+      return setOpenNow(garageObj, garage);
     });
 
     res.status(200).json({
@@ -182,7 +223,8 @@ exports.getGarage = async (req, res) => {
 
     // Add stats to response with filtered services
     const garageWithStats = {
-      ...garage.toObject(),
+      ...setOpenNow(garage.toObject(), garage),
+      businessHours: getBusinessHours(garage.owner),
       services: activeServices,
       stats: {
         upcomingBookings,
@@ -220,15 +262,14 @@ exports.updateGarage = async (req, res) => {
       });
     }
 
-    // Check ownership (admin can update any garage)
-    if (garage.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'garage:update', garage))) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to update this garage' 
       });
     }
 
-    garage = await Garage.findByIdAndUpdate(req.params.id, req.body, {
+    garage = await Garage.findByIdAndUpdate(req.params.id, pickEditableFields(req.body), {
       new: true,
       runValidators: true
     });
@@ -266,6 +307,13 @@ exports.addService = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'garage:update', garage))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage services for this garage'
+      });
+    }
+
     garage.services.push(req.body);
     await garage.save();
 
@@ -297,6 +345,13 @@ exports.updateService = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'garage:update', garage))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage services for this garage'
+      });
+    }
+
     const service = garage.services.id(serviceId);
 
     if (!service) {
@@ -337,6 +392,13 @@ exports.deleteService = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'garage:update', garage))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage services for this garage'
+      });
+    }
+
     const service = garage.services.id(serviceId);
 
     if (!service) {
@@ -374,6 +436,13 @@ exports.softDeleteGarage = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'garage:delete', garage))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this garage'
+      });
+    }
+
     // Check if garage has active bookings
     const activeBookings = await Booking.findOne({
       garage: req.params.id,
@@ -398,8 +467,7 @@ exports.softDeleteGarage = async (req, res) => {
       { garage: req.params.id },
       { 
         isDeleted: true, 
-        deletedAt: new Date(),
-        status: 'cancelled'
+        deletedAt: new Date()
       }
     );
 
@@ -445,8 +513,7 @@ exports.restoreGarage = async (req, res) => {
       },
       { 
         isDeleted: false, 
-        deletedAt: null,
-        status: 'pending' // Reset to pending
+        deletedAt: null
       }
     );
 
@@ -521,8 +588,10 @@ exports.getGarageBookings = async (req, res) => {
       });
     }
 
-    // Check access (owner or admin)
-    if (garage.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const allowed = await can(req.user, 'garage:reports', garage) ||
+      await canStaffAct(req.user, garage, 'view_bookings');
+
+    if (!allowed) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to view these bookings' 
@@ -563,8 +632,8 @@ exports.getGarageBookings = async (req, res) => {
       completed: bookings.filter(b => b.status === 'completed').length,
       cancelled: bookings.filter(b => b.status === 'cancelled').length,
       totalRevenue: bookings
-        .filter(b => b.status === 'completed' && b.payment?.status === 'paid')
-        .reduce((sum, b) => sum + (b.totalPrice || 0), 0)
+        .filter(b => ['paid', 'partially_refunded', 'refunded'].includes(b.payment?.status))
+        .reduce((sum, b) => sum + (b.payment.amountPaid ?? b.totalPrice ?? 0) - (b.payment.amountRefunded || 0), 0)
     };
 
     res.status(200).json({
@@ -581,6 +650,135 @@ exports.getGarageBookings = async (req, res) => {
   }
 };
 
+/*
+=====================================
+GET GARAGE ANALYTICS
+=====================================
+*/
+// Runs before the analytics entitlement check, so people outside the
+// garage are refused without learning anything about its plan
+exports.authorizeGarageReports = async (req, res, next) => {
+  try {
+    const garage = await Garage.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    });
+
+    if (!garage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Garage not found'
+      });
+    }
+
+    const allowed = await can(req.user, 'garage:reports', garage) ||
+      await canStaffAct(req.user, garage, 'view_reports');
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this garage'
+      });
+    }
+
+    req.garage = garage;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Gated by authorizeGarageReports and the analytics entitlement in the route
+exports.getGarageAnalytics = async (req, res) => {
+  try {
+    const garage = req.garage;
+
+    const months = Math.min(parseInt(req.query.months) || 6, 24);
+    const since = new Date();
+    since.setMonth(since.getMonth() - months + 1, 1);
+    since.setHours(0, 0, 0, 0);
+
+    const match = { garage: garage._id, isDeleted: false, appointmentDate: { $gte: since } };
+    const netPaid = {
+      $cond: [
+        { $in: ['$payment.status', ['paid', 'partially_refunded', 'refunded']] },
+        { $subtract: [{ $ifNull: ['$payment.amountPaid', '$totalPrice'] }, { $ifNull: ['$payment.amountRefunded', 0] }] },
+        0
+      ]
+    };
+
+    const [byStatus, byMonth, topServices] = await Promise.all([
+      Booking.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Booking.aggregate([
+        { $match: match },
+        { $group: {
+          _id: { year: { $year: '$appointmentDate' }, month: { $month: '$appointmentDate' } },
+          bookings: { $sum: 1 },
+          revenue: { $sum: netPaid }
+        }},
+        { $sort: { '_id.year': 1, '_id.month': 1 } }
+      ]),
+      Booking.aggregate([
+        { $match: { ...match, status: 'completed' } },
+        { $unwind: '$services' },
+        { $group: { _id: '$services.name', count: { $sum: 1 }, revenue: { $sum: '$services.price' } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      analytics: {
+        since,
+        bookingsByStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+        monthly: byMonth.map(m => ({ year: m._id.year, month: m._id.month, bookings: m.bookings, revenue: m.revenue })),
+        topServices: topServices.map(s => ({ name: s._id, count: s.count, revenue: s.revenue })),
+        averageRating: garage.averageRating,
+        totalReviews: garage.totalReviews
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/*
+=====================================
+GET GARAGE AVAILABILITY
+=====================================
+*/
+exports.getGarageAvailability = async (req, res) => {
+  try {
+    const { date, serviceIds } = req.query;
+
+    const availability = await getAvailability(req.params.id, {
+      date,
+      serviceIds: serviceIds ? serviceIds.split(',').map(id => id.trim()).filter(Boolean) : []
+    });
+
+    res.status(200).json({
+      success: true,
+      count: availability.slots.length,
+      availability
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      success: false,
+      message: error.message 
+    });
+  }
+};
+
 /*
 =====================================
 UPDATE GARAGE VERIFICATION STATUS
@@ -634,6 +832,7 @@ exports.searchGaragesByLocation = async (req, res) => {
     const garages = await populateGarageData(
       Garage.find({
         isDeleted: false,
+        isListed: { $ne: false },
         location: {
           $near: {
             $geometry: {
@@ -650,7 +849,7 @@ exports.searchGaragesByLocation = async (req, res) => {
     const garagesWithActiveServices = garages.map(garage => {
       const garageObj = garage.toObject();
       garageObj.services = garage.services.filter(s => s.isActive !== false);
-      return garageObj;
+      return setOpenNow(garageObj, garage);
     });
 
     res.status(200).json({
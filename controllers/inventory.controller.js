@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const { can } = require('../services/permission.service');
+const { canStaffAct } = require('../services/staff.service');
+const {
+  getPart,
+  createPart,
+  updatePart,
+  listParts,
+  recordMovement,
+  listMovements,
+  getStockValuation
+} = require('../services/inventory.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendInventoryError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A part with this SKU already exists in this garage' });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+// Staff action needed for each kind of access; the garage owner and admins have both
+const INVENTORY_ACTIONS = {
+  view: 'view_inventory',
+  manage: 'manage_inventory'
+};
+
+/**
+ * Load the garage in req.params.id if the user may view or manage its parts
+ * @param {String} need - view or manage
+ * @returns {Object|null} Garage, or null once a response has been sent
+ */
+const loadInventoryGarage = async (req, res, need) => {
+  const garage = mongoose.isValidObjectId(req.params.id) &&
+    await Garage.findOne({ _id: req.params.id, isDeleted: false });
+
+  if (!garage) {
+    res.status(404).json({ success: false, message: 'Garage not found' });
+    return null;
+  }
+
+  const allowed = await can(req.user, 'garage:update', garage) ||
+    await canStaffAct(req.user, garage, INVENTORY_ACTIONS[need]);
+
+  if (!allowed) {
+    res.status(403).json({ success: false, message: `Not authorized to ${need} inventory for this garage` });
+    return null;
+  }
+
+  return garage;
+};
+
+/*
+=====================================
+LIST PARTS
+(?search=, ?make=, ?lowStock=true, ?includeInactive=true)
+=====================================
+*/
+exports.getParts = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'view');
+    if (!garage) return;
+
+    const parts = await listParts(garage._id, {
+      search: req.query.search,
+      make: req.query.make,
+      lowStock: req.query.lowStock === 'true',
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.status(200).json({ success: true, count: parts.length, parts });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+exports.getLowStockParts = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'view');
+    if (!garage) return;
+
+    const parts = await listParts(garage._id, { lowStock: true });
+
+    res.status(200).json({ success: true, count: parts.length, parts });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+/*
+=====================================
+ADD PART
+(quantityOnHand is booked in as opening stock)
+=====================================
+*/
+exports.createPart = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'manage');
+    if (!garage) return;
+
+    const part = await createPart(garage._id, req.body, req.user);
+
+    res.status(201).json({ success: true, part: await getPart(garage._id, part._id) });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+/*
+=====================================
+GET / UPDATE / DEACTIVATE PART
+=====================================
+*/
+exports.getPart = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'view');
+    if (!garage) return;
+
+    const part = await getPart(garage._id, req.params.partId);
+
+    res.status(200).json({ success: true, part });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+exports.updatePart = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'manage');
+    if (!garage) return;
+
+    const part = await updatePart(await getPart(garage._id, req.params.partId), req.body);
+
+    res.status(200).json({ success: true, part });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+// Parts stay on record for their movements, so they are only deactivated
+exports.deletePart = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'manage');
+    if (!garage) return;
+
+    await updatePart(await getPart(garage._id, req.params.partId), { isActive: false });
+
+    res.status(200).json({ success: true, message: 'Part removed from the inventory' });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+/*
+=====================================
+STOCK MOVEMENTS
+(receipts, adjustments, parts used on a booking)
+=====================================
+*/
+exports.getMovements = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'view');
+    if (!garage) return;
+
+    const filters = { type: req.query.type, from: req.query.from, to: req.query.to };
+    if (req.params.partId) filters.part = (await getPart(garage._id, req.params.partId))._id;
+
+    const movements = await listMovements(garage._id, filters);
+
+    res.status(200).json({ success: true, count: movements.length, movements });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+exports.recordMovement = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'manage');
+    if (!garage) return;
+
+    const bookingFound = !req.body.booking || (mongoose.isValidObjectId(req.body.booking) &&
+      await Booking.exists({ _id: req.body.booking, garage: garage._id }));
+
+    if (!bookingFound) {
+      return res.status(404).json({ success: false, message: 'Booking not found at this garage' });
+    }
+
+    const part = await getPart(garage._id, req.params.partId);
+    const { movement, part: updated } = await recordMovement(part, {
+      type: req.body.type,
+      quantity: req.body.quantity,
+      unitCost: req.body.unitCost,
+      booking: req.body.booking,
+      reason: req.body.reason
+    }, req.user);
+
+    res.status(201).json({ success: true, movement, part: updated });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
+
+/*
+=====================================
+STOCK VALUATION REPORT
+(shows cost prices, so managers only)
+=====================================
+*/
+exports.getStockValuation = async (req, res) => {
+  try {
+    const garage = await loadInventoryGarage(req, res, 'manage');
+    if (!garage) return;
+
+    const valuation = await getStockValuation(garage._id);
+
+    res.status(200).json({ success: true, currency: 'ETB', ...valuation });
+  } catch (error) {
+    sendInventoryError(res, error);
+  }
+};
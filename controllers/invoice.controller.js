@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const Invoice = require('../models/Invoice');
+const { can } = require('../services/permission.service');
+const {
+  issueBookingInvoice,
+  getInvoice,
+  canViewGarageInvoices,
+  canViewInvoice,
+  renderInvoicePdf
+} = require('../services/invoice.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendInvoiceError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * Load the invoice in req.params.id if the user may see it
+ * @returns {Object|null} Invoice, or null once a response has been sent
+ */
+const loadInvoice = async (req, res) => {
+  const invoice = await getInvoice(req.params.id);
+
+  if (!(await canViewInvoice(req.user, invoice))) {
+    res.status(403).json({ success: false, message: 'Not authorized to view this invoice' });
+    return null;
+  }
+
+  return invoice;
+};
+
+/**
+ * Load the booking in req.params.bookingId if the user may see it
+ * @returns {Object|null} Booking, or null once a response has been sent
+ */
+const loadBooking = async (req, res) => {
+  const booking = mongoose.isValidObjectId(req.params.bookingId) &&
+    await Booking.findOne({ _id: req.params.bookingId, isDeleted: false });
+
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  const garage = await Garage.findById(booking.garage).select('owner');
+  const allowed = booking.user.toString() === req.user._id.toString() ||
+    (!!garage && await canViewGarageInvoices(req.user, garage));
+
+  if (!allowed) {
+    res.status(403).json({ success: false, message: 'Not authorized to view invoices for this booking' });
+    return null;
+  }
+
+  return { booking, garage };
+};
+
+/*
+=====================================
+LIST INVOICES
+(mine, a garage's, or a booking's)
+=====================================
+*/
+exports.getMyInvoices = async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ customer: req.user._id })
+      .select('-seller -buyer')
+      .sort('-issuedAt');
+
+    res.status(200).json({ success: true, count: invoices.length, invoices });
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
+
+exports.getGarageInvoices = async (req, res) => {
+  try {
+    const garage = mongoose.isValidObjectId(req.params.garageId) &&
+      await Garage.findOne({ _id: req.params.garageId, isDeleted: false });
+
+    if (!garage) {
+      return res.status(404).json({ success: false, message: 'Garage not found' });
+    }
+
+    if (!(await canViewGarageInvoices(req.user, garage))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view invoices for this garage' });
+    }
+
+    const query = { garage: garage._id };
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.query.from || req.query.to) {
+      query.issuedAt = {};
+      if (req.query.from) query.issuedAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.issuedAt.$lte = new Date(req.query.to);
+    }
+
+    const invoices = await Invoice.find(query)
+      .select('-seller')
+      .sort('-issuedAt');
+
+    res.status(200).json({ success: true, count: invoices.length, invoices });
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
+
+exports.getBookingInvoices = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    const invoices = await Invoice.find({ booking: loaded.booking._id }).sort('issuedAt');
+
+    res.status(200).json({ success: true, count: invoices.length, invoices });
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
+
+/*
+=====================================
+ISSUE INVOICE
+(normally automatic; lets the garage retry)
+=====================================
+*/
+exports.issueBookingInvoice = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    if (!(await can(req.user, 'garage:update', loaded.garage))) {
+      return res.status(403).json({ success: false, message: 'Only the garage can issue invoices' });
+    }
+
+    const invoice = await issueBookingInvoice(loaded.booking);
+
+    if (!invoice) {
+      return res.status(400).json({ success: false, message: 'Bookings are invoiced once they are completed and paid' });
+    }
+
+    res.status(201).json({ success: true, invoice });
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
+
+/*
+=====================================
+GET / DOWNLOAD INVOICE
+=====================================
+*/
+exports.getInvoice = async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    res.status(200).json({ success: true, invoice });
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
+
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const pdf = renderInvoicePdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    sendInvoiceError(res, error);
+  }
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const CommissionEntry = require('../models/CommissionEntry');
+const Payout = require('../models/Payout');
+const { hasPermission } = require('../services/permission.service');
+const {
+  getOwnerBalance,
+  getPayout,
+  settlePayout
+} = require('../services/payout.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendPayoutError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const isGarageOwner = (user) => user.role === 'garage_owner' && !!user.garageInfo;
+
+/*
+=====================================
+GARAGE OWNER
+(balance and own statements)
+=====================================
+*/
+exports.getMyBalance = async (req, res) => {
+  try {
+    if (!isGarageOwner(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only garage owners have a payout balance' });
+    }
+
+    const balance = await getOwnerBalance(req.user);
+
+    res.status(200).json({ success: true, ...balance });
+  } catch (error) {
+    sendPayoutError(res, error);
+  }
+};
+
+exports.getMyPayouts = async (req, res) => {
+  try {
+    if (!isGarageOwner(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only garage owners have payout statements' });
+    }
+
+    const query = { owner: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const payouts = await Payout.find(query).select('-settledBy').sort('-periodEnd');
+
+    res.status(200).json({ success: true, count: payouts.length, payouts });
+  } catch (error) {
+    sendPayoutError(res, error);
+  }
+};
+
+/*
+=====================================
+ADMIN
+(all statements, settle)
+=====================================
+*/
+exports.getPayouts = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.owner) {
+      if (!mongoose.isValidObjectId(req.query.owner)) {
+        return res.status(400).json({ success: false, message: 'Invalid owner ID' });
+      }
+      query.owner = req.query.owner;
+    }
+
+    const payouts = await Payout.find(query)
+      .populate('owner', 'name email phone garageInfo.businessName')
+      .sort('-periodEnd');
+
+    const outstanding = payouts
+      .filter(payout => payout.status === 'pending')
+      .reduce((sum, payout) => sum + payout.net, 0);
+
+    res.status(200).json({ success: true, count: payouts.length, outstanding, payouts });
+  } catch (error) {
+    sendPayoutError(res, error);
+  }
+};
+
+exports.settlePayout = async (req, res) => {
+  try {
+    const payout = await settlePayout(await getPayout(req.params.id), req.body, req.user);
+
+    res.status(200).json({ success: true, message: 'Payout marked as settled', payout });
+  } catch (error) {
+    sendPayoutError(res, error);
+  }
+};
+
+/*
+=====================================
+GET PAYOUT
+(owner or admin, with its entries)
+=====================================
+*/
+exports.getPayout = async (req, res) => {
+  try {
+    const payout = await getPayout(req.params.id);
+
+    const allowed = payout.owner.toString() === req.user._id.toString() ||
+      await hasPermission(req.user, 'payout:manage');
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this payout' });
+    }
+
+    const entries = await CommissionEntry.find({ payout: payout._id })
+      .populate('booking', 'appointmentDate totalPrice')
+      .sort('createdAt');
+
+    res.status(200).json({ success: true, payout, entries });
+  } catch (error) {
+    sendPayoutError(res, error);
+  }
+};
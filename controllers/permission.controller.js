@@ -0,0 +1,94 @@
+const {
+  PERMISSIONS,
+  getRolePermissions,
+  listRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions
+} = require('../services/permission.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendPermissionError = (res, error) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/*
+=====================================
+GET MY PERMISSIONS
+=====================================
+*/
+exports.getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await getRolePermissions(req.user.role);
+
+    res.status(200).json({
+      success: true,
+      role: req.user.role,
+      permissions: [...permissions]
+    });
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/*
+=====================================
+GET CATALOGUE AND ROLE MAPPINGS
+=====================================
+*/
+exports.getRolePermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: await listRolePermissions()
+    });
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE ROLE PERMISSIONS
+=====================================
+*/
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const mapping = await updateRolePermissions(req.params.role, req.body?.permissions, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${mapping.role} updated`,
+      role: mapping
+    });
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
+
+/*
+=====================================
+RESET ROLE PERMISSIONS
+=====================================
+*/
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const mapping = await resetRolePermissions(req.params.role, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${mapping.role} reset to defaults`,
+      role: mapping
+    });
+  } catch (error) {
+    sendPermissionError(res, error);
+  }
+};
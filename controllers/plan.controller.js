@@ -0,0 +1,165 @@
+const Plan = require('../models/Plan');
+const { listPlans } = require('../services/plan.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+// Fields an admin may set; code is fixed once created because
+// subscribers reference it
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'amount',
+  'currency',
+  'durationDays',
+  'tier',
+  'features',
+  'entitlements',
+  'isActive',
+  'sortOrder'
+];
+
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Public shape of a plan (matches the original /payments/plans response)
+ */
+const formatPlan = (plan) => ({
+  id: plan.code,
+  name: plan.name,
+  description: plan.description,
+  amount: plan.amount,
+  currency: plan.currency,
+  duration: `${plan.durationDays} days`,
+  durationDays: plan.durationDays,
+  features: plan.features,
+  entitlements: plan.entitlements
+});
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A plan with this code already exists' });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+/*
+=====================================
+GET PLANS (PUBLIC)
+=====================================
+*/
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await listPlans();
+
+    res.json({
+      success: true,
+      data: plans.map(formatPlan)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/*
+=====================================
+GET ALL PLANS INCLUDING RETIRED (ADMIN)
+=====================================
+*/
+exports.getAllPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find().sort({ sortOrder: 1, amount: 1 });
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/*
+=====================================
+CREATE PLAN (ADMIN)
+=====================================
+*/
+exports.createPlan = async (req, res) => {
+  try {
+    const plan = await Plan.create({ code: req.body.code, ...pickEditable(req.body) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      data: plan
+    });
+  } catch (error) {
+    sendValidationError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE PLAN (ADMIN)
+=====================================
+*/
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await Plan.findByCode(req.params.code, { includeInactive: true });
+
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Plan not found' });
+    }
+
+    plan.set(pickEditable(req.body));
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    sendValidationError(res, error);
+  }
+};
+
+/*
+=====================================
+RETIRE PLAN (ADMIN)
+=====================================
+*/
+// Plans are never deleted: existing subscribers keep their entitlements
+exports.retirePlan = async (req, res) => {
+  try {
+    const plan = await Plan.findByCode(req.params.code, { includeInactive: true });
+
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Plan not found' });
+    }
+
+    plan.isActive = false;
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Plan retired; existing subscribers keep it until they renew',
+      data: plan
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
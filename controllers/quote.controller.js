@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Garage = require('../models/garage');
+const Quote = require('../models/Quote');
+const { hasPermission } = require('../services/permission.service');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../middleware/upload.middleware');
+const {
+  canQuoteForGarage,
+  getRequestAccess,
+  toGarageView,
+  getQuoteRequest,
+  createQuoteRequest,
+  cancelQuoteRequest,
+  listCustomerRequests,
+  listGarageRequests,
+  getQuote,
+  submitQuote,
+  reviseQuote,
+  withdrawQuote,
+  declineQuote,
+  acceptQuote
+} = require('../services/quote.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendQuoteError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'This garage has already quoted for this request' });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * Load the quote in req.params.quoteId if the user is on the given side of it
+ * @param {String} need - customer, garage, or view for either side or an admin
+ * @returns {Object|null} { quote, garage }, or null once a response has been sent
+ */
+const loadQuote = async (req, res, need) => {
+  const quote = await getQuote(req.params.quoteId);
+  const garage = await Garage.findById(quote.garage);
+
+  const isCustomer = quote.customer.toString() === req.user._id.toString();
+  const isGarage = !!garage && await canQuoteForGarage(req.user, garage);
+
+  const allowed = {
+    customer: isCustomer,
+    garage: isGarage,
+    view: isCustomer || isGarage || await hasPermission(req.user, 'booking:read:any')
+  }[need];
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: need === 'customer' ? 'Only the customer can answer this quote' : 'Not authorized to access this quote'
+    });
+    return null;
+  }
+
+  return { quote, garage };
+};
+
+/*
+=====================================
+REQUEST QUOTES
+(multipart with optional photos in "documents", or JSON)
+=====================================
+*/
+exports.createQuoteRequest = async (req, res) => {
+  const files = req.files || [];
+  const photos = [];
+
+  try {
+    const notPhoto = files.find(file => !file.mimetype.startsWith('image/'));
+    if (notPhoto) {
+      return res.status(400).json({ success: false, message: `${notPhoto.originalname} is not a photo` });
+    }
+
+    // Photos are uploaded one at a time, after the request has been checked
+    const request = await createQuoteRequest(req.user, req.body, async () => {
+      for (const file of files) {
+        const result = await uploadToCloudinary(file);
+        photos.push({
+          name: file.originalname,
+          url: result.secure_url,
+          publicId: result.public_id,
+          mimeType: file.mimetype,
+          fileSize: file.size
+        });
+      }
+      return photos;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Quote request sent to ${request.garages.length} garage${request.garages.length === 1 ? '' : 's'}`,
+      request
+    });
+  } catch (error) {
+    // Don't leave photos behind for a request that was never saved
+    await Promise.all(photos.map(photo => deleteFromCloudinary(photo.publicId).catch(cleanupError =>
+      console.error(`❌ Failed to delete photo ${photo.publicId}:`, cleanupError.message))));
+    sendQuoteError(res, error);
+  }
+};
+
+exports.getMyQuoteRequests = async (req, res) => {
+  try {
+    const requests = await listCustomerRequests(req.user, { status: req.query.status });
+
+    res.status(200).json({ success: true, count: requests.length, requests });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+/*
+=====================================
+GET QUOTE REQUEST
+(the customer sees every quote; a garage sees only its own)
+=====================================
+*/
+exports.getQuoteRequest = async (req, res) => {
+  try {
+    const request = await getQuoteRequest(req.params.id);
+    const access = await getRequestAccess(req.user, request);
+
+    if (access.customer || access.admin) {
+      const quotes = await Quote.find({ request: request._id })
+        .populate('garage', 'name address averageRating totalReviews')
+        .sort('totalPrice');
+
+      return res.status(200).json({ success: true, request, quotes });
+    }
+
+    if (access.garages.length === 0) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this quote request' });
+    }
+
+    const quotes = await Quote.find({ request: request._id, garage: { $in: access.garages.map(g => g._id) } });
+
+    res.status(200).json({ success: true, request: toGarageView(request), quotes });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+exports.cancelQuoteRequest = async (req, res) => {
+  try {
+    const request = await getQuoteRequest(req.params.id);
+
+    if (request.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized to cancel this quote request' });
+    }
+
+    await cancelQuoteRequest(request);
+
+    res.status(200).json({ success: true, message: 'Quote request cancelled', request });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+/*
+=====================================
+GARAGE INBOX
+=====================================
+*/
+exports.getGarageQuoteRequests = async (req, res) => {
+  try {
+    const garage = mongoose.isValidObjectId(req.params.garageId) &&
+      await Garage.findOne({ _id: req.params.garageId, isDeleted: false });
+
+    if (!garage) {
+      return res.status(404).json({ success: false, message: 'Garage not found' });
+    }
+
+    if (!(await canQuoteForGarage(req.user, garage))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view quote requests for this garage' });
+    }
+
+    const requests = await listGarageRequests(garage._id, { status: req.query.status });
+
+    res.status(200).json({ success: true, count: requests.length, requests });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+/*
+=====================================
+SEND A QUOTE
+(body.garage picks the garage when the user runs several)
+=====================================
+*/
+exports.submitQuote = async (req, res) => {
+  try {
+    const request = await getQuoteRequest(req.params.id);
+    const { garages } = await getRequestAccess(req.user, request);
+
+    const garage = req.body.garage
+      ? garages.find(g => g._id.toString() === String(req.body.garage))
+      : garages.length === 1 && garages[0];
+
+    if (!garage) {
+      return res.status(garages.length > 1 ? 400 : 403).json({
+        success: false,
+        message: garages.length > 1
+          ? 'Please say which of your garages is quoting'
+          : 'Not authorized to quote for this request'
+      });
+    }
+
+    const quote = await submitQuote(request, garage, req.body, req.user);
+
+    res.status(201).json({ success: true, message: 'Quote sent to the customer', quote });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+/*
+=====================================
+GET / REVISE / WITHDRAW QUOTE
+=====================================
+*/
+exports.getQuote = async (req, res) => {
+  try {
+    const loaded = await loadQuote(req, res, 'view');
+    if (!loaded) return;
+
+    res.status(200).json({ success: true, quote: loaded.quote });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+exports.reviseQuote = async (req, res) => {
+  try {
+    const loaded = await loadQuote(req, res, 'garage');
+    if (!loaded) return;
+
+    const quote = await reviseQuote(loaded.quote, loaded.garage, req.body, req.user);
+
+    res.status(200).json({ success: true, message: 'Quote updated', quote });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+exports.withdrawQuote = async (req, res) => {
+  try {
+    const loaded = await loadQuote(req, res, 'garage');
+    if (!loaded) return;
+
+    const quote = await withdrawQuote(loaded.quote);
+
+    res.status(200).json({ success: true, message: 'Quote withdrawn', quote });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+/*
+=====================================
+ANSWER A QUOTE
+(accepting books the garage at the quoted prices)
+=====================================
+*/
+exports.declineQuote = async (req, res) => {
+  try {
+    const loaded = await loadQuote(req, res, 'customer');
+    if (!loaded) return;
+
+    const quote = await declineQuote(loaded.quote);
+
+    res.status(200).json({ success: true, message: 'Quote declined', quote });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
+
+exports.acceptQuote = async (req, res) => {
+  try {
+    const loaded = await loadQuote(req, res, 'customer');
+    if (!loaded) return;
+
+    const request = await getQuoteRequest(loaded.quote.request);
+    const booking = await acceptQuote(loaded.quote, request, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote accepted and booked',
+      quote: loaded.quote,
+      booking
+    });
+  } catch (error) {
+    sendQuoteError(res, error);
+  }
+};
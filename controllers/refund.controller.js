@@ -0,0 +1,113 @@
+const Booking = require('../models/booking');
+const User = require('../models/User');
+const {
+  quoteBookingRefund,
+  refundBooking,
+  refundSubscription
+} = require('../services/refund.service');
+const { can } = require('../services/permission.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendRefundError = (res, error) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/*
+=====================================
+QUOTE BOOKING REFUND
+=====================================
+*/
+exports.getBookingRefundQuote = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, isDeleted: false });
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (!(await can(req.user, 'booking:read', booking))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this booking' });
+    }
+
+    if (!['paid', 'partially_refunded'].includes(booking.payment.status)) {
+      return res.status(400).json({ success: false, message: 'Booking has no refundable payment' });
+    }
+
+    res.status(200).json({
+      success: true,
+      quote: quoteBookingRefund(booking)
+    });
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+};
+
+/*
+=====================================
+REFUND BOOKING (ADMIN)
+=====================================
+*/
+exports.refundBookingPayment = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, isDeleted: false });
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    // Omitting the amount refunds whatever is left
+    const { refund } = await refundBooking(booking, {
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+      performedBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Refunded ${refund.amount} ETB`,
+      refund,
+      payment: booking.payment
+    });
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+};
+
+/*
+=====================================
+REFUND SUBSCRIPTION (ADMIN)
+=====================================
+*/
+exports.refundSubscriptionPayment = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, role: 'garage_owner' });
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Garage owner not found' });
+    }
+
+    const { refund } = await refundSubscription(user, {
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+      performedBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Refunded ${refund.amount} ETB`,
+      refund,
+      paymentStatus: user.garageInfo.paymentStatus,
+      paymentExpiry: user.garageInfo.paymentExpiry
+    });
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+};
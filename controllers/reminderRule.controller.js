@@ -0,0 +1,152 @@
+const ReminderRule = require('../models/ReminderRule');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+// Fields an admin may set; code is fixed once created because sent
+// reminders and record categories reference it
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'matchTerms',
+  'intervalDays',
+  'intervalKm',
+  'leadDays',
+  'leadKm',
+  'excludeFuelTypes',
+  'isActive',
+  'sortOrder'
+];
+
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A rule with this code already exists' });
+  }
+  res.status(500).json({ success: false, message: error.message });
+};
+
+const findRule = (code) => ReminderRule.findOne({ code: String(code).toLowerCase() });
+
+/*
+=====================================
+GET ACTIVE RULES
+=====================================
+*/
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await ReminderRule.findActive();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/*
+=====================================
+GET ALL RULES INCLUDING RETIRED (ADMIN)
+=====================================
+*/
+exports.getAllRules = async (req, res) => {
+  try {
+    const rules = await ReminderRule.find().sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/*
+=====================================
+CREATE RULE (ADMIN)
+=====================================
+*/
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await ReminderRule.create({ code: req.body.code, ...pickEditable(req.body) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    sendValidationError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE RULE (ADMIN)
+=====================================
+*/
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.code);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Reminder rule not found' });
+    }
+
+    rule.set(pickEditable(req.body));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    sendValidationError(res, error);
+  }
+};
+
+/*
+=====================================
+RETIRE RULE (ADMIN)
+=====================================
+*/
+// Rules are never deleted so the reminder log keeps its meaning
+exports.retireRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.code);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Reminder rule not found' });
+    }
+
+    rule.isActive = false;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder rule retired; no further reminders will be sent for it',
+      data: rule
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,6 +1,7 @@
 const Review = require('../models/Review');
 const Booking = require('../models/booking');
 const Garage = require('../models/garage');
+const { can } = require('../services/permission.service');
 
 // Create a review
 exports.createReview = async (req, res) => {
@@ -114,8 +115,7 @@ exports.updateReview = async (req, res) => {
       });
     }
 
-    // Only owner can update
-    if (review.user.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'review:update', review))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -154,8 +154,7 @@ exports.deleteReview = async (req, res) => {
       });
     }
 
-    // Only owner or admin can delete
-    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'review:delete', review))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
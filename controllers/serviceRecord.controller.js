@@ -0,0 +1,143 @@
+const { uploadToCloudinary } = require('../middleware/upload.middleware');
+const {
+  getServiceRecord,
+  canEditRecord,
+  canViewRecord,
+  updateServiceRecord,
+  deleteServiceRecord,
+  addAttachments,
+  removeAttachment
+} = require('../services/serviceHistory.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendRecordError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * Load the record in req.params.recordId if the user may edit it
+ * @returns {Object|null} Record, or null once a response has been sent
+ */
+const loadEditableRecord = async (req, res) => {
+  const record = await getServiceRecord(req.params.recordId);
+
+  if (!(await canEditRecord(req.user, record))) {
+    res.status(403).json({ success: false, message: 'Not authorized to edit this service record' });
+    return null;
+  }
+
+  return record;
+};
+
+/*
+=====================================
+GET SINGLE SERVICE RECORD
+=====================================
+*/
+exports.getServiceRecord = async (req, res) => {
+  try {
+    const record = await getServiceRecord(req.params.recordId);
+
+    if (!(await canViewRecord(req.user, record))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this service record' });
+    }
+
+    res.status(200).json({ success: true, record });
+  } catch (error) {
+    sendRecordError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE SERVICE RECORD
+=====================================
+*/
+exports.updateServiceRecord = async (req, res) => {
+  try {
+    const record = await loadEditableRecord(req, res);
+    if (!record) return;
+
+    await updateServiceRecord(record, req.body);
+
+    res.status(200).json({ success: true, record });
+  } catch (error) {
+    sendRecordError(res, error);
+  }
+};
+
+/*
+=====================================
+DELETE SERVICE RECORD (SOFT, OWNER RECORDS ONLY)
+=====================================
+*/
+exports.deleteServiceRecord = async (req, res) => {
+  try {
+    const record = await loadEditableRecord(req, res);
+    if (!record) return;
+
+    await deleteServiceRecord(record);
+
+    res.status(200).json({ success: true, message: 'Service record deleted' });
+  } catch (error) {
+    sendRecordError(res, error);
+  }
+};
+
+/*
+=====================================
+ADD / REMOVE ATTACHMENTS
+(invoices, photos, inspection reports)
+=====================================
+*/
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const record = await loadEditableRecord(req, res);
+    if (!record) return;
+
+    if (!req.files?.length) {
+      return res.status(400).json({ success: false, message: 'Please attach at least one file' });
+    }
+
+    const uploads = await Promise.all(req.files.map(async (file) => {
+      const result = await uploadToCloudinary(file);
+      return {
+        name: file.originalname,
+        url: result.secure_url,
+        publicId: result.public_id,
+        mimeType: file.mimetype,
+        fileSize: file.size
+      };
+    }));
+
+    await addAttachments(record, uploads, req.user);
+
+    res.status(201).json({ success: true, attachments: record.attachments });
+  } catch (error) {
+    sendRecordError(res, error);
+  }
+};
+
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const record = await loadEditableRecord(req, res);
+    if (!record) return;
+
+    await removeAttachment(record, req.params.attachmentId);
+
+    res.status(200).json({ success: true, message: 'Attachment removed' });
+  } catch (error) {
+    sendRecordError(res, error);
+  }
+};
@@ -0,0 +1,229 @@
+const Garage = require('../models/garage');
+const { can } = require('../services/permission.service');
+const { issueSession } = require('../services/token.service');
+const {
+  STAFF_ROLE_ACTIONS,
+  canStaffAct,
+  inviteStaff,
+  findInvitation,
+  acceptInvitation,
+  listStaff,
+  listMemberships,
+  getStaffMember,
+  changeStaffRole,
+  revokeStaff
+} = require('../services/staff.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendStaffError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'An account with this email already exists' });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * Load the garage in req.params.id if the user may manage its staff
+ * @returns {Object|null} Garage, or null once a response has been sent
+ */
+const loadManagedGarage = async (req, res) => {
+  const garage = await Garage.findOne({ _id: req.params.id, isDeleted: false });
+
+  if (!garage) {
+    res.status(404).json({ success: false, message: 'Garage not found' });
+    return null;
+  }
+
+  if (!(await can(req.user, 'garage:update', garage))) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage staff for this garage' });
+    return null;
+  }
+
+  return garage;
+};
+
+/*
+=====================================
+LIST GARAGE STAFF
+=====================================
+*/
+exports.getGarageStaff = async (req, res) => {
+  try {
+    const garage = await Garage.findOne({ _id: req.params.id, isDeleted: false });
+
+    if (!garage) {
+      return res.status(404).json({ success: false, message: 'Garage not found' });
+    }
+
+    const allowed = await can(req.user, 'garage:update', garage) ||
+      await canStaffAct(req.user, garage, 'view_staff');
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view staff for this garage' });
+    }
+
+    const staff = await listStaff(garage._id);
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      roles: STAFF_ROLE_ACTIONS,
+      staff
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+INVITE STAFF
+=====================================
+*/
+exports.inviteGarageStaff = async (req, res) => {
+  try {
+    const garage = await loadManagedGarage(req, res);
+    if (!garage) return;
+
+    const member = await inviteStaff(garage, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${member.email}`,
+      staff: member
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+CHANGE STAFF ROLE
+=====================================
+*/
+exports.updateGarageStaff = async (req, res) => {
+  try {
+    const garage = await loadManagedGarage(req, res);
+    if (!garage) return;
+
+    const member = await getStaffMember(garage._id, req.params.staffId);
+    await changeStaffRole(member, req.body?.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated',
+      staff: member
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+REMOVE STAFF
+=====================================
+*/
+exports.removeGarageStaff = async (req, res) => {
+  try {
+    const garage = await loadManagedGarage(req, res);
+    if (!garage) return;
+
+    const member = await getStaffMember(garage._id, req.params.staffId);
+    await revokeStaff(member);
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member removed'
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+VIEW INVITATION (PUBLIC)
+=====================================
+*/
+exports.getInvitation = async (req, res) => {
+  try {
+    const member = await findInvitation(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      invitation: {
+        email: member.email,
+        name: member.name,
+        role: member.role,
+        garage: { id: member.garage._id, name: member.garage.name },
+        expiresAt: member.inviteExpires
+      }
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+ACCEPT INVITATION (PUBLIC)
+=====================================
+*/
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, name, phone } = req.body || {};
+    const { member, user, isNewAccount } = await acceptInvitation(token, { password, name, phone });
+
+    // Existing accounts sign in as usual so their own login checks
+    // (such as two-factor authentication) still apply
+    const session = isNewAccount ? await issueSession(user, req) : null;
+
+    res.status(200).json({
+      success: true,
+      message: isNewAccount
+        ? 'Invitation accepted. Your staff account is ready.'
+        : 'Invitation accepted. Log in with your existing account to get started.',
+      staff: {
+        id: member._id,
+        garage: member.garage._id,
+        role: member.role,
+        actions: STAFF_ROLE_ACTIONS[member.role]
+      },
+      ...(session && { session })
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
+
+/*
+=====================================
+MY GARAGES (STAFF)
+=====================================
+*/
+exports.getMyMemberships = async (req, res) => {
+  try {
+    const memberships = await listMemberships(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: memberships.length,
+      memberships
+    });
+  } catch (error) {
+    sendStaffError(res, error);
+  }
+};
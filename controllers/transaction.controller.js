@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+/**
+ * Build a ledger query from request filters
+ * @param {Object} query - req.query
+ * @returns {Object} Mongo filter
+ */
+const buildTransactionFilter = (query) => {
+  const filter = {};
+
+  ['type', 'entry', 'status', 'provider', 'tx_ref', 'plan'].forEach(field => {
+    if (query[field]) filter[field] = query[field];
+  });
+
+  ['user', 'booking', 'garage'].forEach(field => {
+    if (query[field] && mongoose.Types.ObjectId.isValid(query[field])) {
+      filter[field] = query[field];
+    }
+  });
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+/*
+=====================================
+GET TRANSACTIONS (ADMIN)
+=====================================
+*/
+exports.getTransactions = async (req, res) => {
+  try {
+    const filter = buildTransactionFilter(req.query);
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [total, transactions, revenue] = await Promise.all([
+      Transaction.countDocuments(filter),
+      Transaction.find(filter)
+        .populate('user', 'name email role')
+        .populate('booking', 'appointmentDate status totalPrice')
+        .populate('performedBy', 'name email')
+        .sort(req.query.sort || '-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Transaction.getRevenue(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      revenue,
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/*
+=====================================
+GET PAYMENT HISTORY BY TX_REF (ADMIN)
+=====================================
+*/
+exports.getTransactionsByRef = async (req, res) => {
+  try {
+    const transactions = await Transaction.find({ tx_ref: req.params.tx_ref })
+      .populate('user', 'name email role')
+      .populate('performedBy', 'name email')
+      .sort('createdAt');
+
+    if (transactions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No transactions found for this reference'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/*
+=====================================
+GET SINGLE TRANSACTION (ADMIN)
+=====================================
+*/
+exports.getTransaction = async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id)
+      .populate('user', 'name email role')
+      .populate('booking')
+      .populate('performedBy', 'name email');
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      transaction
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const { can, hasPermission } = require('../services/permission.service');
+const {
+  createOwnerRecord,
+  getVehicleHistory,
+  historyToCsv,
+  renderHistoryHtml,
+  createHistoryShare,
+  revokeHistoryShare,
+  findSharedVehicle
+} = require('../services/serviceHistory.service');
+const { clientUrl } = require('../services/mail');
+const { getVehicleReminders } = require('../services/maintenance.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+// Fields the owner may set; mileageUpdatedAt and ownership are managed here
+const EDITABLE_FIELDS = ['make', 'model', 'year', 'vin', 'plateNumber', 'mileage', 'fuelType', 'color', 'nickname'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendVehicleError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'You already have a vehicle with this VIN' });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * Load the vehicle in req.params.id if the user may perform the action on it
+ * @returns {Object|null} Vehicle, or null once a response has been sent
+ */
+const loadVehicle = async (req, res, action) => {
+  const vehicle = mongoose.isValidObjectId(req.params.id) &&
+    await Vehicle.findOne({ _id: req.params.id, isDeleted: false });
+
+  if (!vehicle) {
+    res.status(404).json({ success: false, message: 'Vehicle not found' });
+    return null;
+  }
+
+  if (!(await can(req.user, action, vehicle))) {
+    res.status(403).json({ success: false, message: 'Not authorized to access this vehicle' });
+    return null;
+  }
+
+  return vehicle;
+};
+
+/*
+=====================================
+LIST VEHICLES
+(own; ?owner= for any user with vehicle:read:any)
+=====================================
+*/
+exports.getVehicles = async (req, res) => {
+  try {
+    let owner = req.user._id;
+
+    if (req.query.owner && req.query.owner !== req.user._id.toString()) {
+      if (!(await hasPermission(req.user, 'vehicle:read:any'))) {
+        return res.status(403).json({ success: false, message: "Not authorized to view other users' vehicles" });
+      }
+      if (!mongoose.isValidObjectId(req.query.owner)) {
+        return res.status(400).json({ success: false, message: 'Invalid owner id' });
+      }
+      owner = req.query.owner;
+    }
+
+    const vehicles = await Vehicle.find({ owner, isDeleted: false }).sort('-createdAt');
+
+    res.status(200).json({ success: true, count: vehicles.length, vehicles });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+ADD VEHICLE
+=====================================
+*/
+exports.createVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.create({ ...pickEditable(req.body), owner: req.user._id });
+
+    res.status(201).json({ success: true, vehicle });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+GET SINGLE VEHICLE
+=====================================
+*/
+exports.getVehicle = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:read');
+    if (!vehicle) return;
+
+    res.status(200).json({ success: true, vehicle });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE VEHICLE
+=====================================
+*/
+exports.updateVehicle = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:update');
+    if (!vehicle) return;
+
+    vehicle.set(pickEditable(req.body));
+    await vehicle.save();
+
+    res.status(200).json({ success: true, vehicle });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+DELETE VEHICLE (SOFT)
+Bookings keep their vehicle snapshot
+=====================================
+*/
+exports.deleteVehicle = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:delete');
+    if (!vehicle) return;
+
+    vehicle.isDeleted = true;
+    vehicle.deletedAt = new Date();
+    await vehicle.save();
+
+    res.status(200).json({ success: true, message: 'Vehicle deleted' });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+VEHICLE SERVICE HISTORY (TIMELINE)
+=====================================
+*/
+exports.getVehicleHistory = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:read');
+    if (!vehicle) return;
+
+    const { summary, records } = await getVehicleHistory(vehicle);
+
+    res.status(200).json({ success: true, vehicle, summary, records });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+MAINTENANCE DUE
+(each reminder rule against the history)
+=====================================
+*/
+exports.getVehicleReminders = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:read');
+    if (!vehicle) return;
+
+    const reminders = await getVehicleReminders(vehicle);
+
+    res.status(200).json({ success: true, reminders });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+ADD OWNER SERVICE RECORD
+(work done elsewhere or before joining)
+=====================================
+*/
+exports.createOwnerRecord = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:update');
+    if (!vehicle) return;
+
+    const record = await createOwnerRecord(vehicle, req.body);
+
+    res.status(201).json({ success: true, record });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+EXPORT SERVICE HISTORY
+(?format=html for printing, csv for spreadsheets)
+=====================================
+*/
+exports.exportVehicleHistory = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:read');
+    if (!vehicle) return;
+
+    const format = req.query.format || 'html';
+    if (!['html', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be html or csv' });
+    }
+
+    const { records } = await getVehicleHistory(vehicle);
+    const filename = `service-history-${vehicle.vin || vehicle._id}`;
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv').send(historyToCsv(records));
+    }
+
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    res.type('html').send(renderHistoryHtml(vehicle, records));
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+SHARE SERVICE HISTORY
+=====================================
+*/
+exports.shareVehicleHistory = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:update');
+    if (!vehicle) return;
+
+    const { token, expiresAt } = await createHistoryShare(vehicle);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created. Anyone with the link can view this history until it expires.',
+      data: {
+        url: clientUrl('/vehicle-history', { token }),
+        token,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+exports.unshareVehicleHistory = async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, res, 'vehicle:update');
+    if (!vehicle) return;
+
+    await revokeHistoryShare(vehicle);
+
+    res.status(200).json({ success: true, message: 'Share link revoked' });
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
+
+/*
+=====================================
+VIEW SHARED SERVICE HISTORY (PUBLIC)
+=====================================
+*/
+exports.getSharedHistory = async (req, res) => {
+  try {
+    const vehicle = await findSharedVehicle(req.params.token);
+    const { records } = await getVehicleHistory(vehicle);
+
+    res.type('html').send(renderHistoryHtml(vehicle, records));
+  } catch (error) {
+    sendVehicleError(res, error);
+  }
+};
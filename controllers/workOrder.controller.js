@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const WorkOrder = require('../models/WorkOrder');
+const { can, hasPermission } = require('../services/permission.service');
+const { canStaffAct } = require('../services/staff.service');
+const {
+  getWorkOrderAccess,
+  getWorkOrder,
+  toCustomerView,
+  createWorkOrder,
+  updateWorkOrderDetails,
+  addLineItems,
+  updateLineItem,
+  removeLineItem,
+  respondToApproval,
+  assignMechanics,
+  completeWorkOrder
+} = require('../services/workOrder.service');
+
+/*
+=====================================
+HELPER FUNCTIONS
+=====================================
+*/
+
+const sendWorkOrderError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+  }
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const ACCESS_MESSAGES = {
+  view: 'Not authorized to view this work order',
+  edit: 'Not authorized to work on this work order',
+  assign: 'Not authorized to assign mechanics to this work order',
+  approve: 'Only the customer can approve extra work'
+};
+
+/**
+ * Load a work order (req.params.id by default) if the user has the given access
+ * @param {String} need - Key of getWorkOrderAccess
+ * @returns {Object|null} { workOrder, access }, or null once a response has been sent
+ */
+const loadWorkOrder = async (req, res, need, workOrderId = req.params.id) => {
+  const workOrder = await getWorkOrder(workOrderId);
+  const access = await getWorkOrderAccess(req.user, workOrder);
+
+  if (!access[need]) {
+    res.status(403).json({ success: false, message: ACCESS_MESSAGES[need] });
+    return null;
+  }
+
+  return { workOrder, access };
+};
+
+const present = (workOrder, access) => (access.garageView ? workOrder : toCustomerView(workOrder));
+
+/**
+ * Whether the user runs the garage's workshop: its owner, a manager, or an admin
+ */
+const canManageGarageWork = async (user, garage) =>
+  (await can(user, 'garage:update', garage)) ||
+  (await hasPermission(user, 'booking:manage:any')) ||
+  canStaffAct(user, garage, 'edit_work_orders');
+
+/*
+=====================================
+OPEN WORK ORDER FOR A BOOKING
+=====================================
+*/
+exports.createWorkOrder = async (req, res) => {
+  try {
+    const booking = mongoose.isValidObjectId(req.body.booking) &&
+      await Booking.findOne({ _id: req.body.booking, isDeleted: false }).populate('garage', 'owner name');
+
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (!(await canManageGarageWork(req.user, booking.garage))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to open work orders for this garage' });
+    }
+
+    const workOrder = await createWorkOrder(booking, req.user);
+
+    res.status(201).json({ success: true, workOrder });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+GET WORK ORDER
+=====================================
+*/
+exports.getWorkOrder = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'view');
+    if (!loaded) return;
+
+    res.status(200).json({ success: true, workOrder: present(loaded.workOrder, loaded.access), access: loaded.access });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+exports.getBookingWorkOrder = async (req, res) => {
+  try {
+    const found = mongoose.isValidObjectId(req.params.bookingId) &&
+      await WorkOrder.findOne({ booking: req.params.bookingId }).select('_id');
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'This booking has no work order' });
+    }
+
+    const loaded = await loadWorkOrder(req, res, 'view', found._id);
+    if (!loaded) return;
+
+    res.status(200).json({ success: true, workOrder: present(loaded.workOrder, loaded.access), access: loaded.access });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+LIST WORK ORDERS
+(per garage, or assigned to me)
+=====================================
+*/
+exports.getGarageWorkOrders = async (req, res) => {
+  try {
+    const garage = mongoose.isValidObjectId(req.params.garageId) &&
+      await Garage.findOne({ _id: req.params.garageId, isDeleted: false });
+
+    if (!garage) {
+      return res.status(404).json({ success: false, message: 'Garage not found' });
+    }
+
+    const allowed = await can(req.user, 'garage:reports', garage) ||
+      await canStaffAct(req.user, garage, 'view_work_orders');
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view work orders for this garage' });
+    }
+
+    const query = { garage: garage._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const workOrders = await WorkOrder.find(query)
+      .populate('customer', 'name phone')
+      .populate('assignedMechanics', 'name')
+      .sort('-createdAt');
+
+    res.status(200).json({ success: true, count: workOrders.length, workOrders });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+exports.getAssignedWorkOrders = async (req, res) => {
+  try {
+    const workOrders = await WorkOrder.find({
+      assignedMechanics: req.user._id,
+      status: { $in: ['open', 'in_progress'] }
+    })
+      .populate('garage', 'name')
+      .populate('vehicle', 'make model year plateNumber')
+      .sort('createdAt');
+
+    res.status(200).json({ success: true, count: workOrders.length, workOrders });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+UPDATE DIAGNOSIS AND NOTES
+=====================================
+*/
+exports.updateWorkOrder = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'edit');
+    if (!loaded) return;
+
+    const workOrder = await updateWorkOrderDetails(loaded.workOrder, req.body, req.user);
+
+    res.status(200).json({ success: true, workOrder });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+LINE ITEMS
+(extra items wait for the customer's approval)
+=====================================
+*/
+exports.addLineItems = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'edit');
+    if (!loaded) return;
+
+    const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+    const added = await addLineItems(loaded.workOrder, items, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Items added and sent to the customer for approval',
+      items: added,
+      totals: loaded.workOrder.totals
+    });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+exports.updateLineItem = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'edit');
+    if (!loaded) return;
+
+    const item = await updateLineItem(loaded.workOrder, req.params.itemId, req.body);
+
+    res.status(200).json({ success: true, item, totals: loaded.workOrder.totals });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+exports.removeLineItem = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'edit');
+    if (!loaded) return;
+
+    await removeLineItem(loaded.workOrder, req.params.itemId);
+
+    res.status(200).json({ success: true, message: 'Line item removed', totals: loaded.workOrder.totals });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+CUSTOMER APPROVAL OF EXTRA WORK
+=====================================
+*/
+exports.respondToApproval = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'approve');
+    if (!loaded) return;
+
+    const items = await respondToApproval(loaded.workOrder, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: `${items.length} item${items.length === 1 ? '' : 's'} ${req.body.decision === 'approve' ? 'approved' : 'declined'}`,
+      workOrder: toCustomerView(loaded.workOrder)
+    });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+ASSIGN MECHANICS
+=====================================
+*/
+exports.assignMechanics = async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'assign');
+    if (!loaded) return;
+
+    const workOrder = await assignMechanics(loaded.workOrder, req.body.mechanics);
+
+    res.status(200).json({ success: true, workOrder });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+/*
+=====================================
+CHANGE WORK ORDER STATUS
+(start, complete, cancel)
+=====================================
+*/
+const transitionWorkOrder = (action) => async (req, res) => {
+  try {
+    const loaded = await loadWorkOrder(req, res, 'edit');
+    if (!loaded) return;
+
+    const workOrder = action === 'complete'
+      ? await completeWorkOrder(loaded.workOrder, req.user)
+      : await loaded.workOrder.transition(action, { userId: req.user._id, reason: req.body?.reason });
+
+    res.status(200).json({
+      success: true,
+      message: `Work order ${workOrder.status.replace('_', ' ')}`,
+      workOrder
+    });
+  } catch (error) {
+    sendWorkOrderError(res, error);
+  }
+};
+
+exports.startWorkOrder = transitionWorkOrder('start');
+exports.completeWorkOrder = transitionWorkOrder('complete');
+exports.cancelWorkOrder = transitionWorkOrder('cancel');
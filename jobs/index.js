@@ -0,0 +1,58 @@
+const scheduler = require('./scheduler');
+const {
+  expireLapsedSubscriptions,
+  sendRenewalReminders
+} = require('../services/subscription.service');
+const { sendMaintenanceReminders } = require('../services/maintenance.service');
+const { expireQuotes } = require('../services/quote.service');
+const { generatePayoutStatements } = require('../services/payout.service');
+
+const MINUTE = 60 * 1000;
+
+const minutes = (value, fallback) => (parseInt(value) || fallback) * MINUTE;
+
+const JOBS = [
+  { name: 'expire-subscriptions', env: 'SUBSCRIPTION_EXPIRY_JOB_MINUTES', fallback: 15, handler: expireLapsedSubscriptions },
+  { name: 'renewal-reminders', env: 'RENEWAL_REMINDER_JOB_MINUTES', fallback: 60, handler: sendRenewalReminders },
+  { name: 'maintenance-reminders', env: 'MAINTENANCE_REMINDER_JOB_MINUTES', fallback: 360, handler: sendMaintenanceReminders },
+  { name: 'expire-quotes', env: 'QUOTE_EXPIRY_JOB_MINUTES', fallback: 60, handler: expireQuotes },
+  { name: 'payout-statements', env: 'PAYOUT_STATEMENT_JOB_MINUTES', fallback: 60, handler: generatePayoutStatements }
+];
+
+// Registered on first use rather than when this module is required, so the
+// intervals are read after server.js has loaded .env
+let registered = false;
+
+const registerJobs = () => {
+  if (registered) return;
+  JOBS.forEach(({ name, env, fallback, handler }) => scheduler.registerJob(name, minutes(process.env[env], fallback), handler));
+  registered = true;
+};
+
+/**
+ * Start the background jobs unless disabled with JOBS_ENABLED=false
+ */
+const startJobs = () => {
+  registerJobs();
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Background jobs disabled');
+    return;
+  }
+  scheduler.startScheduler();
+  console.log('Background jobs started');
+};
+
+/**
+ * Run a job now, e.g. from the admin API
+ */
+const runJob = (name) => {
+  registerJobs();
+  return scheduler.runJob(name);
+};
+
+const getJobs = () => {
+  registerJobs();
+  return scheduler.getJobs();
+};
+
+module.exports = { startJobs, runJob, getJobs };
@@ -0,0 +1,90 @@
+// ============================================================================
+// IN-PROCESS JOB SCHEDULER
+// ============================================================================
+
+// Jobs run on a fixed interval inside the API process. A run that is still
+// going when the next tick fires is skipped rather than overlapped.
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {String} name - Unique job name
+ * @param {Number} intervalMs - Time between runs
+ * @param {Function} handler - async (now) => result
+ */
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) throw new Error(`Job "${name}" is already registered`);
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+};
+
+/**
+ * Run a job now, unless it is already running
+ * @returns {Object} Job status after the run
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+  if (job.running) return describeJob(job);
+
+  job.running = true;
+  try {
+    job.lastResult = await job.handler(new Date());
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ Job "${name}" failed:`, error.message);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+
+  return describeJob(job);
+};
+
+const describeJob = ({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastResult,
+  lastError
+});
+
+/**
+ * Start every registered job's timer
+ */
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Never keep the process alive just for a pending job
+    job.timer.unref();
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+const getJobs = () => [...jobs.values()].map(describeJob);
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobs
+};
@@ -0,0 +1,104 @@
+const Garage = require('../models/garage');
+const { getEntitlements } = require('../services/subscription.service');
+
+// Admins manage garages on the owner's behalf and are never limited by plans
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+const FEATURE_LABELS = {
+  analytics: 'the analytics dashboard',
+  featuredPlacement: 'featured placement'
+};
+
+// Fields that follow the owner's plan and cannot be set directly
+const PLAN_CONTROLLED_FIELDS = ['isListed', 'isFeatured'];
+
+const isAdmin = (user) => ADMIN_ROLES.includes(user.role);
+
+const upgradeRequired = (res, message) => res.status(403).json({ success: false, message, upgradeRequired: true });
+
+/**
+ * Load req.params.id with just enough of its owner to work out entitlements
+ */
+const loadGarage = (id) => Garage.findOne({ _id: id, isDeleted: false })
+  .populate('owner', 'garageInfo.paymentStatus garageInfo.paymentExpiry garageInfo.paymentPlan');
+
+const countActiveServices = (services = []) => services.filter(s => s.isActive !== false).length;
+
+/**
+ * Block the route unless the garage owner's plan includes a feature
+ * @param {String} feature - Entitlement key, e.g. 'analytics'
+ */
+const requireEntitlement = (feature) => async (req, res, next) => {
+  try {
+    if (isAdmin(req.user)) return next();
+
+    const garage = await loadGarage(req.params.id);
+    if (!garage) return res.status(404).json({ success: false, message: 'Garage not found' });
+
+    req.entitlements = await getEntitlements(garage.owner);
+    if (!req.entitlements[feature]) {
+      return upgradeRequired(res, `Your plan does not include ${FEATURE_LABELS[feature] || feature}. Upgrade to unlock it.`);
+    }
+    next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Error checking plan entitlements', error: error.message });
+  }
+};
+
+/**
+ * Stop a request from taking a garage over its plan's service limit.
+ * Covers creating a garage with services, adding a service and
+ * re-activating a removed one.
+ */
+const enforceServiceLimit = async (req, res, next) => {
+  try {
+    if (isAdmin(req.user)) return next();
+
+    let owner = req.user;
+    let current = 0;
+    let adding;
+
+    if (!req.params.id) {
+      adding = countActiveServices(req.body?.services);
+    } else {
+      const garage = await loadGarage(req.params.id);
+      if (!garage) return next();
+
+      owner = garage.owner;
+      current = countActiveServices(garage.services);
+
+      if (req.params.serviceId) {
+        const service = garage.services.id(req.params.serviceId);
+        adding = service && service.isActive === false && req.body?.isActive === true ? 1 : 0;
+      } else {
+        adding = 1;
+      }
+    }
+
+    if (adding === 0) return next();
+
+    const { maxServices } = await getEntitlements(owner);
+    if (maxServices !== null && current + adding > maxServices) {
+      return upgradeRequired(res, `Your plan allows up to ${maxServices} active service listing(s). Upgrade to add more.`);
+    }
+    next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Error checking plan entitlements', error: error.message });
+  }
+};
+
+/**
+ * Drop plan-controlled fields from owner-supplied garage data
+ */
+const stripPlanControlledFields = (req, res, next) => {
+  if (!isAdmin(req.user) && req.body) {
+    PLAN_CONTROLLED_FIELDS.forEach(field => delete req.body[field]);
+  }
+  next();
+};
+
+module.exports = {
+  requireEntitlement,
+  enforceServiceLimit,
+  stripPlanControlledFields
+};
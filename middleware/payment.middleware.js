@@ -1,23 +1,20 @@
-const axios = require('axios');
 const User = require('../models/User');
-const crypto = require('crypto');
-
-const CHAPA_SECRET_KEY = process.env.CHAPA_SECRET_KEY;
-const CHAPA_API_URL = process.env.CHAPA_API_URL || 'https://api.chapa.co/v1';
+const Booking = require('../models/booking');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider } = require('../services/payment');
+const { recordTransaction } = require('../services/ledger.service');
+const { activateSubscription } = require('../services/subscription.service');
+const { getPurchasablePlan } = require('../services/plan.service');
+const { issueBookingInvoice } = require('../services/invoice.service');
+const { recordBookingCommission } = require('../services/payout.service');
 
 const validatePayment = async (req, res, next) => {
   try {
     const { plan = 'basic' } = req.body;
-    const validPlans = ['basic', 'premium', 'yearly'];
-    if (!validPlans.includes(plan)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid payment plan. Choose basic, premium, or yearly'
-      });
-    }
-    req.paymentPlan = plan;
+    req.paymentPlan = await getPurchasablePlan(plan);
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
     return res.status(500).json({
       success: false,
       message: 'Payment validation error',
@@ -33,7 +30,8 @@ const checkPaymentEligibility = async (req, res, next) => {
     if (user.role !== 'garage_owner') return res.status(403).json({ success: false, message: 'Only garage owners can make payments' });
     if (!user.garageInfo) return res.status(400).json({ success: false, message: 'Please complete garage registration first' });
 
-    const eligibleStatuses = ['pending', 'failed', 'expired'];
+    // 'paid' allows renewing early; the new period starts when the current one ends
+    const eligibleStatuses = ['pending', 'failed', 'expired', 'refunded', 'paid'];
     if (!eligibleStatuses.includes(user.garageInfo.paymentStatus)) {
       return res.status(400).json({ success: false, message: 'Payment not allowed at this stage' });
     }
@@ -45,59 +43,148 @@ const checkPaymentEligibility = async (req, res, next) => {
   }
 };
 
+// tx_ref prefixes tell booking payments apart from garage subscription payments
+const TX_PREFIX = { subscription: 'GAR', booking: 'BKG' };
+
 const generateTxRef = (req, res, next) => {
   const user = req.paymentUser || req.user;
   const timestamp = Date.now().toString().slice(-8);
   const random = Math.random().toString(36).substring(2, 8).toUpperCase();
   const userId = user._id.toString().slice(-6);
-  req.tx_ref = `GAR-${userId}-${timestamp}-${random}`;
+  const prefix = req.paymentBooking ? TX_PREFIX.booking : TX_PREFIX.subscription;
+  req.tx_ref = `${prefix}-${userId}-${timestamp}-${random}`;
   next();
 };
 
+const isBookingTxRef = (tx_ref) => typeof tx_ref === 'string' && tx_ref.startsWith(`${TX_PREFIX.booking}-`);
+
+// Find the booking or garage owner a transaction belongs to
+const findPaymentTarget = async (tx_ref) => {
+  if (isBookingTxRef(tx_ref)) {
+    const booking = await Booking.findOne({ 'payment.tx_ref': tx_ref });
+    return booking ? { type: 'booking', booking } : null;
+  }
+  const user = await User.findOne({ 'garageInfo.paymentTxRef': tx_ref });
+  return user ? { type: 'subscription', user } : null;
+};
+
+// result: normalised provider result ({ reference, amount })
+const markBookingPaid = async (booking, result = {}) => {
+  if (booking.payment.status === 'paid') return booking;
+  booking.payment.status = 'paid';
+  booking.payment.method = getPaymentProvider().name;
+  booking.payment.chapaReference = result.reference || booking.payment.chapaReference;
+  booking.payment.amountPaid = result.amount ? Number(result.amount) : booking.totalPrice;
+  booking.payment.paidAt = new Date();
+  await booking.save();
+
+  try {
+    await recordBookingCommission(booking);
+  } catch (error) {
+    console.error(`❌ Failed to record commission for booking ${booking._id}:`, error.message);
+  }
+
+  // Bookings completed before payment get their invoice now
+  try {
+    await issueBookingInvoice(booking);
+  } catch (error) {
+    console.error(`❌ Failed to issue invoice for booking ${booking._id}:`, error.message);
+  }
+  return booking;
+};
+
+const markBookingFailed = async (booking) => {
+  if (booking.payment.status === 'paid') return booking;
+  booking.payment.status = 'failed';
+  return booking.save();
+};
+
+const markSubscriptionPaid = (user) => activateSubscription(user);
+
+const checkBookingPaymentEligibility = async (req, res, next) => {
+  try {
+    const booking = await Booking.findOne({ _id: req.params.bookingId, isDeleted: false });
+    if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (booking.user.toString() !== req.user._id.toString()) return res.status(403).json({ success: false, message: 'Not authorized to pay for this booking' });
+    if (['cancelled', 'rejected'].includes(booking.status)) return res.status(400).json({ success: false, message: `Cannot pay for a ${booking.status} booking` });
+    if (!['pending', 'failed'].includes(booking.payment.status)) return res.status(400).json({ success: false, message: 'Payment not allowed at this stage' });
+
+    req.paymentBooking = booking;
+    req.paymentDetails = { amount: booking.totalPrice, currency: 'ETB' };
+    next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Error checking eligibility', error: error.message });
+  }
+};
+
+// Prices come from the plan loaded by validatePayment
 const getPaymentAmount = (req, res, next) => {
-  const plan = req.paymentPlan || 'basic';
-  const plans = { basic: { amount: 500, duration: 30 }, premium: { amount: 1000, duration: 30 }, yearly: { amount: 5000, duration: 365 } };
-  const selected = plans[plan] || plans.basic;
-  req.paymentDetails = { plan, amount: selected.amount, duration: selected.duration, currency: 'ETB' };
+  const plan = req.paymentPlan;
+  req.paymentDetails = { plan: plan.code, amount: plan.amount, duration: plan.durationDays, currency: plan.currency };
   next();
 };
 
+const requestCheckout = (user, { amount, currency }, tx_ref) => {
+  return getPaymentProvider().initialize({
+    amount,
+    currency,
+    email: user.email,
+    firstName: user.name.split(' ')[0],
+    lastName: user.name.split(' ').slice(1).join(' ') || 'Owner',
+    tx_ref,
+    callbackUrl: `${process.env.API_URL}/api/v1/payments/callback`
+  });
+};
+
 const initializeChapaPayment = async (req, res, next) => {
   try {
     const user = req.paymentUser || req.user;
-    const { amount, currency } = req.paymentDetails;
+    const { amount } = req.paymentDetails;
     const tx_ref = req.tx_ref;
 
-    const paymentData = {
-      amount: amount.toString(),
-      currency,
-      email: user.email,
-      first_name: user.name.split(' ')[0],
-      last_name: user.name.split(' ').slice(1).join(' ') || 'Owner',
-      tx_ref,
-      callback_url: `${process.env.API_URL}/api/v1/payments/callback`
-    };
-
-    const response = await axios.post(
-      `${CHAPA_API_URL}/transaction/initialize`,
-      paymentData,
-      { headers: { Authorization: `Bearer ${CHAPA_SECRET_KEY}`, 'Content-Type': 'application/json' } }
-    );
-
-    if (response.data.status !== 'success') {
-      return res.status(400).json({ success: false, message: 'Payment initialization failed' });
-    }
+    const checkout = await requestCheckout(user, req.paymentDetails, tx_ref);
 
     const dbUser = await User.findById(user._id);
     dbUser.garageInfo.paymentTxRef = tx_ref;
-    dbUser.garageInfo.paymentStatus = 'processing';
-    dbUser.garageInfo.paymentPlan = req.paymentDetails.plan;
+    // An early renewal keeps the current period and plan live until the new payment settles
+    if (dbUser.garageInfo.paymentStatus === 'paid') {
+      dbUser.garageInfo.renewalPlan = req.paymentDetails.plan;
+    } else {
+      dbUser.garageInfo.paymentStatus = 'processing';
+      dbUser.garageInfo.paymentPlan = req.paymentDetails.plan;
+      dbUser.garageInfo.renewalPlan = null;
+    }
     dbUser.garageInfo.paymentAmount = amount;
     await dbUser.save();
 
-    req.chapaResponse = { checkout_url: response.data.data.checkout_url, tx_ref };
+    await recordTransaction({ type: 'subscription', user: dbUser }, { entry: 'initialization', tx_ref, status: 'pending', currency: req.paymentDetails.currency });
+
+    req.chapaResponse = { checkout_url: checkout.checkoutUrl, tx_ref };
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    return res.status(500).json({ success: false, message: 'Error connecting to payment gateway', error: error.response?.data || error.message });
+  }
+};
+
+const initializeBookingPayment = async (req, res, next) => {
+  try {
+    const booking = req.paymentBooking;
+    const tx_ref = req.tx_ref;
+
+    const checkout = await requestCheckout(req.user, req.paymentDetails, tx_ref);
+
+    booking.payment.method = getPaymentProvider().name;
+    booking.payment.status = 'pending';
+    booking.payment.tx_ref = tx_ref;
+    await booking.save();
+
+    await recordTransaction({ type: 'booking', booking }, { entry: 'initialization', tx_ref, status: 'pending', currency: req.paymentDetails.currency });
+
+    req.chapaResponse = { checkout_url: checkout.checkoutUrl, tx_ref };
+    next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
     return res.status(500).json({ success: false, message: 'Error connecting to payment gateway', error: error.response?.data || error.message });
   }
 };
@@ -105,76 +192,94 @@ const initializeChapaPayment = async (req, res, next) => {
 const verifyChapaPayment = async (req, res, next) => {
   try {
     const { tx_ref } = req.params;
-    const response = await axios.get(`${CHAPA_API_URL}/transaction/verify/${tx_ref}`, { headers: { Authorization: `Bearer ${CHAPA_SECRET_KEY}` } });
-    const user = await User.findOne({ 'garageInfo.paymentTxRef': tx_ref });
-    if (!user) return res.status(404).json({ success: false, message: 'Payment not found' });
+    const target = await findPaymentTarget(tx_ref);
+    if (!target) return res.status(404).json({ success: false, message: 'Payment not found' });
 
-    if (response.data.status === 'success' && response.data.data.status === 'success') {
-      const planDurations = { basic: 30, premium: 30, yearly: 365 };
-      const duration = planDurations[user.garageInfo.paymentPlan] || 30;
+    if (target.type === 'booking' && target.booking.user.toString() !== req.user._id.toString() && !['admin', 'super_admin'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to verify this payment' });
+    }
 
-      user.garageInfo.paymentStatus = 'paid';
-      user.garageInfo.paymentDate = new Date();
-      user.garageInfo.paymentExpiry = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
-      user.garageInfo.verificationStatus = 'payment_completed';
-      if (!user.garageInfo.verificationProgress) user.garageInfo.verificationProgress = {};
-      user.garageInfo.verificationProgress.paymentCompleted = true;
+    const result = await getPaymentProvider().verify(tx_ref);
+    const isSuccessful = result.status === 'success';
 
-      await user.save();
+    if (target.type === 'booking') {
+      if (isSuccessful) await markBookingPaid(target.booking, result);
+      else if (result.status === 'failed') await markBookingFailed(target.booking);
+    } else if (isSuccessful) {
+      await markSubscriptionPaid(target.user);
     }
 
-    req.verificationResult = { success: true, data: response.data.data };
+    await recordTransaction(target, { entry: 'verification', tx_ref, status: result.status, reference: result.reference, amount: result.amount, currency: result.currency, performedBy: req.user._id });
+
+    req.paymentTarget = target;
+    req.verificationResult = { success: isSuccessful, data: result.raw?.data || result.raw };
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
     return res.status(500).json({ success: false, message: 'Error verifying payment', error: error.response?.data || error.message });
   }
 };
 
+// Verifies the signature over the raw request body captured by express.raw() in app.js
 const verifyWebhookSignature = (req, res, next) => {
-  const signature = req.headers['x-chapa-signature'];
-  const webhookSecret = process.env.CHAPA_WEBHOOK_SECRET;
-  if (webhookSecret && signature) {
-    try {
-      const rawBody = req.rawBody || JSON.stringify(req.body);
-      const hash = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
-    } catch (error) {}
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+  if (!rawBody || !rawBody.length) return res.status(400).json({ success: false, message: 'Empty webhook payload' });
+
+  let isValid;
+  try {
+    isValid = getPaymentProvider().verifyWebhookSignature(rawBody, req.headers);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+  if (!isValid) return res.status(401).json({ success: false, message: 'Invalid or missing webhook signature' });
+
+  try {
+    req.rawBody = rawBody;
+    req.body = JSON.parse(rawBody.toString());
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
   }
   next();
 };
 
+const applyWebhookEvent = async ({ eventId, event, tx_ref, status, reference, amount }) => {
+  const target = await findPaymentTarget(tx_ref);
+  if (!target) return null;
+
+  if (target.type === 'booking') {
+    if (status === 'success') await markBookingPaid(target.booking, { reference, amount });
+    else if (status === 'failed') await markBookingFailed(target.booking);
+  } else if (status === 'success') {
+    await markSubscriptionPaid(target.user);
+  }
+
+  await recordTransaction(target, { entry: 'webhook', tx_ref, status, reference, amount, event, eventId });
+
+  return target;
+};
+
 const updatePaymentStatus = async (req, res) => {
   const requestId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-  let payload = req.body;
-  if (req.rawBody) {
-    try { payload = JSON.parse(req.rawBody.toString()); } catch (e) {}
-  }
+  const provider = getPaymentProvider();
+  const payload = req.body || {};
+  const details = provider.parseWebhook(payload, req.rawBody || JSON.stringify(payload));
 
-  let tx_ref = null, status = null, event = null;
-  if (payload.data && payload.data.tx_ref) { tx_ref = payload.data.tx_ref; status = payload.data.status; event = payload.event; }
-  else if (payload.tx_ref) { tx_ref = payload.tx_ref; status = payload.status; event = payload.event; }
-  else if (payload.data && payload.data.merchant) { tx_ref = payload.data.merchant; status = payload.data.status; event = payload.event; }
-  else if (payload.merchant) { tx_ref = payload.merchant; status = payload.status; event = payload.event; }
+  if (!details.tx_ref) return res.status(200).json({ success: false, message: 'No transaction reference found', requestId });
 
-  if (!tx_ref) return res.status(200).json({ success: false, message: 'No transaction reference found', requestId });
+  const webhookEvent = await WebhookEvent.claim(provider.name, details.eventId, { event: details.event, tx_ref: details.tx_ref, payload });
+  if (!webhookEvent) return res.status(200).json({ success: true, message: 'Event already processed', duplicate: true, requestId });
 
-  const user = await User.findOne({ 'garageInfo.paymentTxRef': tx_ref });
-  if (!user) return res.status(200).json({ success: false, message: 'User not found', requestId });
-
-  const isSuccessful = status === 'success' || status === 'completed' || event === 'charge.success' || payload.event === 'charge.success' || (payload.data && payload.data.status === 'success');
-
-  if (isSuccessful) {
-    const planDurations = { basic: 30, premium: 30, yearly: 365 };
-    const duration = planDurations[user.garageInfo.paymentPlan] || 30;
-    user.garageInfo.paymentStatus = 'paid';
-    user.garageInfo.paymentDate = new Date();
-    user.garageInfo.paymentExpiry = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
-    user.garageInfo.verificationStatus = 'payment_completed';
-    if (!user.garageInfo.verificationProgress) user.garageInfo.verificationProgress = {};
-    user.garageInfo.verificationProgress.paymentCompleted = true;
-    await user.save();
-  }
+  try {
+    const target = await applyWebhookEvent(details);
+    await webhookEvent.markProcessed();
 
-  return res.status(200).json({ success: true, message: 'Webhook processed', requestId });
+    if (!target) return res.status(200).json({ success: false, message: 'Payment not found', requestId });
+    return res.status(200).json({ success: true, message: 'Webhook processed', type: target.type, requestId });
+  } catch (error) {
+    // Leave the event retryable so the provider's redelivery can complete it
+    await webhookEvent.markFailed(error);
+    throw error;
+  }
 };
 
 const checkPaymentStatus = async (req, res) => {
@@ -212,26 +317,33 @@ const manualUpdatePayment = async (req, res) => {
     const { secret } = req.query;
     if (secret !== process.env.MANUAL_UPDATE_SECRET) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
-    const response = await axios.get(`${CHAPA_API_URL}/transaction/verify/${tx_ref}`, { headers: { Authorization: `Bearer ${CHAPA_SECRET_KEY}` } });
+    const result = await getPaymentProvider().verify(tx_ref);
     const user = await User.findOne({ 'garageInfo.paymentTxRef': tx_ref });
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
 
-    if (response.data.status === 'success' && response.data.data.status === 'success') {
-      const planDurations = { basic: 30, premium: 30, yearly: 365 };
-      const duration = planDurations[user.garageInfo.paymentPlan] || 30;
-      user.garageInfo.paymentStatus = 'paid';
-      user.garageInfo.paymentDate = new Date();
-      user.garageInfo.paymentExpiry = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
-      user.garageInfo.verificationStatus = 'payment_completed';
-      if (!user.garageInfo.verificationProgress) user.garageInfo.verificationProgress = {};
-      user.garageInfo.verificationProgress.paymentCompleted = true;
-      await user.save();
-      return res.json({ success: true, message: 'Payment updated successfully', data: { email: user.email, paymentStatus: user.garageInfo.paymentStatus, paymentDate: user.garageInfo.paymentDate, paymentExpiry: user.garageInfo.paymentExpiry, chapaVerification: response.data.data } });
+    await recordTransaction({ type: 'subscription', user }, { entry: 'verification', tx_ref, status: result.status, reference: result.reference, amount: result.amount, currency: result.currency, metadata: { manual: true } });
+
+    if (result.status === 'success') {
+      await markSubscriptionPaid(user);
+      return res.json({ success: true, message: 'Payment updated successfully', data: { email: user.email, paymentStatus: user.garageInfo.paymentStatus, paymentDate: user.garageInfo.paymentDate, paymentExpiry: user.garageInfo.paymentExpiry, chapaVerification: result.raw?.data || result.raw } });
     } else {
-      return res.json({ success: false, message: 'Payment not successful according to Chapa', chapaResponse: response.data });
+      return res.json({ success: false, message: 'Payment not successful according to the payment provider', chapaResponse: result.raw });
     }
   } catch (error) {
-    return res.status(500).json({ success: false, message: error.message, error: error.response?.data || error.message });
+    return res.status(error.status || 500).json({ success: false, message: error.message, error: error.response?.data || error.message });
+  }
+};
+
+// Simulated hosted checkout page, only available with PAYMENT_PROVIDER=sandbox
+const sandboxCheckout = async (req, res) => {
+  const provider = getPaymentProvider();
+  if (provider.name !== 'sandbox') return res.status(404).json({ success: false, message: 'Sandbox payments are disabled' });
+
+  try {
+    const event = await provider.completeCheckout(req.params.tx_ref, req.query.outcome);
+    res.json({ success: true, message: `Sandbox payment ${event.status}`, data: event });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 };
 
@@ -245,6 +357,8 @@ module.exports = {
   generateTxRef,
   getPaymentAmount,
   initializeChapaPayment,
+  checkBookingPaymentEligibility,
+  initializeBookingPayment,
   verifyChapaPayment,
   verifyWebhookSignature,
   updatePaymentStatus,
@@ -252,5 +366,6 @@ module.exports = {
   debugWebhook,
   testWebhook,
   manualUpdatePayment,
+  sandboxCheckout,
   paymentErrorHandler
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { hasPermission } = require('../services/permission.service');
+const { isTwoFactorRequired } = require('../services/twoFactor.service');
+
+/**
+ * Block the route unless the user's role grants a permission.
+ * Use services/permission.service can() in the controller for actions
+ * on a specific garage, booking or review.
+ * @param {String} permission - e.g. 'garage:verify'
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication to use this route',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    if (!(await hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        permission
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Error checking permissions', error: error.message });
+  }
+};
+
+module.exports = { requirePermission };
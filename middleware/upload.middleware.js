@@ -172,7 +172,14 @@ const uploadToCloudinary = async (file) => {
   });
 };
 
-
+/**
+ * Delete an uploaded file from Cloudinary
+ * @param {String} publicId - public_id returned by the upload
+ */
+const deleteFromCloudinary = async (publicId) => {
+  console.log(`🗑️ Deleting file from Cloudinary: ${publicId}`);
+  return cloudinary.uploader.destroy(publicId);
+};
 
 /**
  * Test Cloudinary connection
@@ -200,5 +207,6 @@ module.exports = {
   uploadMultipleFiles,
   uploadFields,
   uploadToCloudinary,
+  deleteFromCloudinary,
   testCloudinaryConnection
 };
\ No newline at end of file
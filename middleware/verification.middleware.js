@@ -0,0 +1,29 @@
+const { getRequiredChannels, getUnverifiedChannels } = require('../services/verification.service');
+
+// Admins act on behalf of others and are never blocked
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+const CHANNEL_LABELS = {
+  email: 'email address',
+  phone: 'phone number'
+};
+
+/**
+ * Block the route until the user has verified the contact details the
+ * action requires. Off unless VERIFICATION_REQUIRED_FOR_<ACTION> is set.
+ * @param {String} action - 'bookings' or 'garages'
+ */
+const requireVerifiedContact = (action) => (req, res, next) => {
+  if (ADMIN_ROLES.includes(req.user.role)) return next();
+
+  const unverified = getUnverifiedChannels(req.user, getRequiredChannels(action));
+  if (unverified.length === 0) return next();
+
+  return res.status(403).json({
+    success: false,
+    message: `Please verify your ${unverified.map(channel => CHANNEL_LABELS[channel]).join(' and ')} first`,
+    verificationRequired: unverified
+  });
+};
+
+module.exports = { requireVerifiedContact };
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// earning:  a booking paid through the platform; the garage is owed the net
+// reversal: a refund on such a booking, taking back its share of both
+const ENTRY_TYPES = ['earning', 'reversal'];
+
+// What a garage owner has earned through the platform, booking by booking.
+// Entries not yet on a payout statement make up the owner's balance.
+const commissionEntrySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+      index: true
+    },
+
+    type: {
+      type: String,
+      enum: ENTRY_TYPES,
+      required: true
+    },
+
+    // Set for reversals: the booking refund they follow
+    refund: mongoose.Schema.Types.ObjectId,
+
+    // Signed: reversals are negative
+    gross: { type: Number, required: true },
+    // Percentage at the time, so later rate changes do not alter past entries
+    commissionRate: { type: Number, required: true },
+    commission: { type: Number, required: true },
+    net: { type: Number, required: true },
+
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout',
+      default: null,
+      index: true
+    }
+  },
+  { timestamps: true }
+);
+
+// One earning per booking and one reversal per refund
+commissionEntrySchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { type: 'earning' } }
+);
+commissionEntrySchema.index(
+  { refund: 1 },
+  { unique: true, partialFilterExpression: { type: 'reversal' } }
+);
+
+module.exports = mongoose.model('CommissionEntry', commissionEntrySchema);
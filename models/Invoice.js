@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// invoice:     issued once a booking is completed and paid
+// credit_note: issued against an invoice for each refund
+const INVOICE_KINDS = ['invoice', 'credit_note'];
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    businessName: String,
+    registrationNumber: String,
+    taxId: String,
+    address: String,
+    phone: String,
+    email: String
+  },
+  { _id: false }
+);
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    // Tax-inclusive, as the customer was charged
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    rate: { type: Number, required: true },
+    taxableAmount: { type: Number, required: true },
+    amount: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+// An issued document. Everything shown on it is copied in at issue time,
+// so later changes to the garage or booking never alter it.
+const invoiceSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: INVOICE_KINDS,
+      default: 'invoice'
+    },
+
+    // Sequential per garage and kind, e.g. INV-000042 or CN-000003
+    number: {
+      type: String,
+      required: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+      index: true
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    // Credit notes: the invoice they correct and the refund they record
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    refund: mongoose.Schema.Types.ObjectId,
+    reason: String,
+
+    seller: partySchema,
+    buyer: partySchema,
+    vehicle: String,
+    serviceDate: Date,
+
+    lines: [invoiceLineSchema],
+    // Totals before tax; prices are tax-inclusive so tax is backed out
+    subtotal: { type: Number, required: true },
+    taxLines: [taxLineSchema],
+    total: { type: Number, required: true },
+    currency: { type: String, default: 'ETB' },
+
+    payment: {
+      method: String,
+      reference: String,
+      paidAt: Date,
+      amountPaid: Number
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ garage: 1, kind: 1, number: 1 }, { unique: true });
+
+// One invoice per booking and one credit note per refund
+invoiceSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { kind: 'invoice' } }
+);
+invoiceSchema.index(
+  { refund: 1 },
+  { unique: true, partialFilterExpression: { kind: 'credit_note' } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A reminder sent (or skipped because every channel is turned off) for one
+// rule and one service. A later service starts a new cycle.
+const maintenanceReminderSchema = new mongoose.Schema(
+  {
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+      index: true
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // ReminderRule code
+    rule: {
+      type: String,
+      required: true
+    },
+
+    // The service the due date is counted from
+    serviceRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceRecord',
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['sent', 'skipped'],
+      required: true
+    },
+
+    dueAt: Date,
+    dueMileage: Number,
+    channels: [{ type: String }],
+    rebookUrl: String,
+
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+maintenanceReminderSchema.index({ vehicle: 1, rule: 1, serviceRecord: 1 }, { unique: true });
+
+module.exports = mongoose.model('MaintenanceReminder', maintenanceReminderSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A consumable part a garage keeps in stock. Tools and machines live in
+// garageInfo.equipment; quantities here only change through StockMovement.
+const partSchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      uppercase: true,
+      trim: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Part name is required'],
+      trim: true
+    },
+
+    brand: {
+      type: String,
+      trim: true
+    },
+
+    description: String,
+
+    // Vehicle makes the part fits; empty means universal
+    compatibleMakes: [{ type: String, trim: true }],
+
+    unit: {
+      type: String,
+      enum: ['piece', 'set', 'litre', 'kg', 'metre'],
+      default: 'piece'
+    },
+
+    // What the garage pays per unit; used for the stock valuation
+    costPrice: {
+      type: Number,
+      min: [0, 'Cost cannot be negative'],
+      required: [true, 'Cost price is required']
+    },
+
+    // What the customer is charged per unit on work orders
+    salePrice: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      required: [true, 'Sale price is required']
+    },
+
+    quantityOnHand: {
+      type: Number,
+      min: [0, 'Stock cannot go below zero'],
+      default: 0
+    },
+
+    // The owner is alerted when stock falls to this level
+    reorderLevel: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+
+    // Shelf or bin, e.g. "B3"
+    location: {
+      type: String,
+      trim: true
+    },
+
+    // Set when the low-stock alert goes out; cleared once restocked
+    lowStockAlertedAt: Date,
+
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { timestamps: true }
+);
+
+partSchema.index({ garage: 1, sku: 1 }, { unique: true });
+
+partSchema.virtual('isLowStock').get(function() {
+  return this.quantityOnHand <= this.reorderLevel;
+});
+
+partSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Whether the part fits a make; parts with no listed makes fit everything
+ */
+partSchema.methods.fitsMake = function(make) {
+  if (!this.compatibleMakes.length || !make) return true;
+  return this.compatibleMakes.some(m => m.toLowerCase() === String(make).toLowerCase());
+};
+
+module.exports = mongoose.model('Part', partSchema);
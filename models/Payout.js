@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A payout statement: what the platform owes a garage owner for one
+// invoice cycle, and whether it has been paid
+const payoutSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    // Entries from before the cycle ended; earlier balances below the
+    // minimum payout are carried into the next statement
+    periodEnd: {
+      type: Date,
+      required: true
+    },
+
+    invoiceCycle: String,
+
+    entryCount: { type: Number, default: 0 },
+    gross: { type: Number, required: true },
+    commission: { type: Number, required: true },
+    // Amount paid out
+    net: { type: Number, required: true },
+    currency: { type: String, default: 'ETB' },
+
+    status: {
+      type: String,
+      enum: ['pending', 'settled'],
+      default: 'pending',
+      index: true
+    },
+
+    // Bank or transfer reference recorded when settled
+    reference: String,
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ owner: 1, periodEnd: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// What an active plan lets a garage owner do
+const entitlementsSchema = new mongoose.Schema({
+  // null means unlimited
+  maxServices: { type: Number, default: 5, min: 0 },
+  featuredPlacement: { type: Boolean, default: false },
+  analytics: { type: Boolean, default: false }
+}, { _id: false });
+
+// Garage subscription plans, managed by admins
+const planSchema = new mongoose.Schema(
+  {
+    // Stable identifier stored on garageInfo.paymentPlan
+    code: {
+      type: String,
+      required: [true, 'Plan code is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, 'Plan code may only contain letters, numbers, - and _']
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Plan name is required'],
+      trim: true
+    },
+
+    description: String,
+
+    amount: {
+      type: Number,
+      required: [true, 'Plan amount is required'],
+      min: 0
+    },
+
+    currency: {
+      type: String,
+      default: 'ETB'
+    },
+
+    durationDays: {
+      type: Number,
+      required: [true, 'Plan duration is required'],
+      min: 1
+    },
+
+    // garageInfo.subscriptionPlan granted while the plan is active
+    tier: {
+      type: String,
+      enum: ['basic', 'premium', 'enterprise'],
+      default: 'basic'
+    },
+
+    // Marketing copy shown on the pricing page
+    features: [{ type: String }],
+
+    entitlements: {
+      type: entitlementsSchema,
+      default: () => ({})
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+/**
+ * Plans open for purchase, in display order
+ */
+planSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, amount: 1 });
+};
+
+/**
+ * Plan by code, optionally including retired plans
+ */
+planSchema.statics.findByCode = function(code, { includeInactive = false } = {}) {
+  const query = { code: String(code).toLowerCase() };
+  if (!includeInactive) query.isActive = true;
+  return this.findOne(query);
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// submitted: waiting for the customer
+// accepted:  turned into a booking at the quoted prices
+// declined:  the customer said no, or accepted another garage's quote
+// withdrawn: the garage took it back
+// expired:   validUntil passed before the customer answered
+const QUOTE_STATUSES = ['submitted', 'accepted', 'declined', 'withdrawn', 'expired'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const quoteItemSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: [true, 'Item description is required'],
+      trim: true
+    },
+
+    // Garage catalogue entry the item is based on, if any
+    serviceId: mongoose.Schema.Types.ObjectId,
+
+    quantity: {
+      type: Number,
+      min: [1, 'Quantity must be at least 1'],
+      default: 1
+    },
+
+    unitPrice: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      required: [true, 'Price is required']
+    },
+
+    // Minutes of bay time, used to reserve the slot on acceptance
+    duration: {
+      type: Number,
+      min: [0, 'Duration cannot be negative'],
+      default: 0
+    },
+
+    // Worked out on save
+    amount: Number
+  }
+);
+
+// A garage's itemised estimate in answer to a quote request
+const quoteSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuoteRequest',
+      required: true,
+      index: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    items: {
+      type: [quoteItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A quote needs at least one item'
+      }
+    },
+
+    // Worked out on save
+    totalPrice: { type: Number, default: 0 },
+    totalDuration: { type: Number, default: 0 },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    validUntil: {
+      type: Date,
+      required: [true, 'Please say how long the quote is valid']
+    },
+
+    status: {
+      type: String,
+      enum: QUOTE_STATUSES,
+      default: 'submitted',
+      index: true
+    },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    revisedAt: Date,
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+
+    respondedAt: Date
+  },
+  { timestamps: true }
+);
+
+// One quote per garage per request; garages revise it instead
+quoteSchema.index({ request: 1, garage: 1 }, { unique: true });
+
+quoteSchema.pre('validate', function() {
+  this.items.forEach(item => {
+    item.amount = roundMoney(item.quantity * item.unitPrice);
+  });
+
+  this.totalPrice = roundMoney(this.items.reduce((sum, item) => sum + item.amount, 0));
+  this.totalDuration = this.items.reduce((sum, item) => sum + (item.duration || 0), 0);
+});
+
+quoteSchema.methods.isValid = function(at = new Date()) {
+  return this.status === 'submitted' && this.validUntil > at;
+};
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// open:      garages may still quote
+// accepted:  the customer took one of the quotes and it became a booking
+// cancelled: the customer withdrew the request
+// expired:   nobody was chosen before expiresAt
+const REQUEST_STATUSES = ['open', 'accepted', 'cancelled', 'expired'];
+
+const photoSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    publicId: String,
+    mimeType: String,
+    fileSize: Number,
+    uploadedAt: { type: Date, default: Date.now }
+  }
+);
+
+// A customer's description of a problem, sent to one or more garages
+const quoteRequestSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+
+    // Copied so garages can quote without access to the vehicle profile
+    vehicleSnapshot: {
+      make: String,
+      model: String,
+      year: Number,
+      vin: String,
+      plateNumber: String,
+      mileage: Number,
+      fuelType: String
+    },
+
+    description: {
+      type: String,
+      required: [true, 'Please describe the problem'],
+      trim: true,
+      maxlength: [4000, 'Description cannot exceed 4000 characters']
+    },
+
+    photos: [photoSchema],
+
+    preferredDate: Date,
+
+    garages: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Garage'
+      }],
+      index: true
+    },
+
+    status: {
+      type: String,
+      enum: REQUEST_STATUSES,
+      default: 'open',
+      index: true
+    },
+
+    acceptedQuote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quote'
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    closedAt: Date
+  },
+  { timestamps: true }
+);
+
+quoteRequestSchema.index({ status: 1, expiresAt: 1 });
+
+quoteRequestSchema.methods.isOpen = function(at = new Date()) {
+  return this.status === 'open' && this.expiresAt > at;
+};
+
+quoteRequestSchema.methods.includesGarage = function(garageId) {
+  return this.garages.some(id => (id._id || id).toString() === garageId.toString());
+};
+
+module.exports = mongoose.model('QuoteRequest', quoteRequestSchema);
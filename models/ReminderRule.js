@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// When a kind of maintenance falls due again, measured from the last
+// service record that matches it. Managed by admins.
+const reminderRuleSchema = new mongoose.Schema(
+  {
+    // Stable identifier; also matches workPerformed.category on records
+    code: {
+      type: String,
+      required: [true, 'Rule code is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, 'Rule code may only contain letters, numbers, - and _']
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true
+    },
+
+    description: String,
+
+    // Case-insensitive words looked for in work descriptions, e.g. 'oil change'
+    matchTerms: [{ type: String, trim: true, lowercase: true }],
+
+    // Due this long after the last matching service; either may be left out
+    intervalDays: { type: Number, min: 1 },
+    intervalKm: { type: Number, min: 1 },
+
+    // How early to remind before the due date or mileage
+    leadDays: { type: Number, min: 0, default: 14 },
+    leadKm: { type: Number, min: 0, default: 500 },
+
+    // e.g. no oil changes for electric cars
+    excludeFuelTypes: [{ type: String }],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+reminderRuleSchema.pre('validate', function() {
+  if (!this.intervalDays && !this.intervalKm) {
+    this.invalidate('intervalDays', 'Set an interval in days, kilometres or both');
+  }
+});
+
+/**
+ * Rules in use, in display order
+ */
+reminderRuleSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('ReminderRule', reminderRuleSchema);
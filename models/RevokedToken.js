@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Access tokens revoked before they expire. Entries remove themselves once
+// the token would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    reason: String,
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Add an access token to the revocation list
+ */
+revokedTokenSchema.statics.revoke = function({ jti, user, reason, expiresAt }) {
+  return this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user, reason, expiresAt } },
+    { upsert: true }
+  );
+};
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Permissions granted to a role. Seeded from the defaults in
+// services/permission.service.js and editable by super admins.
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: [true, 'Role is required'],
+      unique: true,
+      trim: true
+    },
+
+    // e.g. 'booking:update:own', 'garage:verify', or '*' for everything
+    permissions: {
+      type: [String],
+      default: []
+    },
+
+    // Defaults this mapping has already been given, so that permissions
+    // added to the defaults later reach existing roles without bringing
+    // back ones a super admin removed
+    seededDefaults: {
+      type: [String],
+      default: []
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
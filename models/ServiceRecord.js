@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Where a record came from. Garage records are written when a booking is
+// completed; owner records are work the customer logged themselves
+// (e.g. done before they joined), shown as unverified in exports.
+const RECORD_SOURCES = ['garage', 'owner'];
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    publicId: String,
+    mimeType: String,
+    fileSize: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: { type: Date, default: Date.now }
+  }
+);
+
+// One entry in a vehicle's maintenance history
+const serviceRecordSchema = new mongoose.Schema(
+  {
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+      index: true
+    },
+
+    // Vehicle owner at the time of service
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    source: {
+      type: String,
+      enum: RECORD_SOURCES,
+      required: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      index: true
+    },
+
+    // Name kept for the history even if the garage goes away, and for
+    // owner records of work done at garages outside the platform
+    garageName: {
+      type: String,
+      trim: true
+    },
+
+    // Set for garage records; one record per booking
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+
+    performedAt: {
+      type: Date,
+      required: [true, 'Service date is required']
+    },
+
+    // Odometer reading in kilometres
+    mileage: {
+      type: Number,
+      min: [0, 'Mileage cannot be negative']
+    },
+
+    workPerformed: [
+      {
+        description: { type: String, required: true, trim: true },
+        category: String
+      }
+    ],
+
+    partsReplaced: [
+      {
+        name: { type: String, required: true, trim: true },
+        partNumber: { type: String, trim: true },
+        brand: { type: String, trim: true },
+        quantity: { type: Number, min: 1, default: 1 }
+      }
+    ],
+
+    technicianNotes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    attachments: [attachmentSchema],
+
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+
+    deletedAt: Date
+  },
+  { timestamps: true }
+);
+
+serviceRecordSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { booking: { $type: 'objectId' } } }
+);
+serviceRecordSchema.index({ vehicle: 1, performedAt: -1 });
+
+module.exports = mongoose.model('ServiceRecord', serviceRecordSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// What each staff role may do at its garage; see services/staff.service.js
+const STAFF_ROLES = ['manager', 'receptionist', 'mechanic'];
+
+// A person working at a garage. Starts as an invitation to an email
+// address and is linked to a user account once accepted.
+const staffMemberSchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    // Set when the invitation is accepted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+
+    name: {
+      type: String,
+      trim: true
+    },
+
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Staff role is required']
+    },
+
+    status: {
+      type: String,
+      enum: ['invited', 'active', 'revoked'],
+      default: 'invited'
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    inviteTokenHash: {
+      type: String,
+      select: false
+    },
+
+    inviteExpires: Date,
+    acceptedAt: Date,
+    revokedAt: Date
+  },
+  { timestamps: true }
+);
+
+// One membership per person per garage; re-inviting reuses it
+staffMemberSchema.index({ garage: 1, email: 1 }, { unique: true });
+staffMemberSchema.index({ user: 1, status: 1 });
+
+/**
+ * Active membership of a user at a garage, if any
+ */
+staffMemberSchema.statics.findActive = function(garageId, userId) {
+  return this.findOne({ garage: garageId, user: userId, status: 'active' });
+};
+
+module.exports = mongoose.model('StaffMember', staffMemberSchema);
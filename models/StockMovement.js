@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// receipt:     stock delivered
+// consumption: used on a booking or work order
+// return:      unused stock put back, e.g. a cancelled job
+// adjustment:  stock count correction
+const MOVEMENT_TYPES = ['receipt', 'consumption', 'return', 'adjustment'];
+
+// Every change to a part's stock, so the quantity on hand can be explained
+const stockMovementSchema = new mongoose.Schema(
+  {
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part',
+      required: true,
+      index: true
+    },
+
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true
+    },
+
+    // Signed: negative when stock goes out
+    quantity: {
+      type: Number,
+      required: true
+    },
+
+    balanceAfter: Number,
+
+    // Cost per unit at the time, for receipts and valuation history
+    unitCost: Number,
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+
+    reason: String,
+
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { timestamps: true }
+);
+
+stockMovementSchema.index({ garage: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every payment event: one document per
+// initialization, verification result, webhook and refund.
+const transactionSchema = new mongoose.Schema(
+  {
+    // What the money is for
+    type: {
+      type: String,
+      enum: ['subscription', 'booking'],
+      required: true,
+      index: true
+    },
+
+    // What happened
+    entry: {
+      type: String,
+      enum: ['initialization', 'verification', 'webhook', 'refund'],
+      required: true,
+      index: true
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      required: true,
+      index: true
+    },
+
+    provider: {
+      type: String,
+      required: true
+    },
+
+    tx_ref: {
+      type: String,
+      required: true,
+      index: true
+    },
+
+    // Provider-side reference (payment or refund)
+    reference: String,
+
+    amount: {
+      type: Number,
+      min: 0
+    },
+
+    currency: {
+      type: String,
+      default: 'ETB'
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      index: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage'
+    },
+
+    plan: String,
+
+    // Webhook details
+    event: String,
+    eventId: String,
+
+    reason: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    metadata: mongoose.Schema.Types.Mixed
+  },
+  { timestamps: true }
+);
+
+transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ type: 1, entry: 1, status: 1 });
+
+/**
+ * Write a ledger entry
+ */
+transactionSchema.statics.record = function(data) {
+  return this.create(data);
+};
+
+/**
+ * Revenue from settled payments, net of refunds.
+ * A payment can be confirmed by both a verification and a webhook, so
+ * successful entries are collapsed per tx_ref before summing.
+ * @param {Object} filters - Extra filters (e.g. { type: 'booking' })
+ * @returns {Object} { subscription, booking, refunded, total }
+ */
+transactionSchema.statics.getRevenue = async function(filters = {}) {
+  // Unlike find(), aggregate() does not cast, so ID filters given as strings
+  // would never match
+  const match = { ...filters };
+  ['user', 'booking', 'garage', 'performedBy'].forEach(field => {
+    if (typeof match[field] === 'string') match[field] = new mongoose.Types.ObjectId(match[field]);
+  });
+
+  const [payments, refunds] = await Promise.all([
+    this.aggregate([
+      { $match: { ...match, entry: { $in: ['verification', 'webhook'] }, status: 'success' } },
+      { $group: { _id: '$tx_ref', type: { $first: '$type' }, amount: { $max: '$amount' } } },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]),
+    this.aggregate([
+      { $match: { ...match, entry: 'refund', status: 'success' } },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const revenue = { subscription: 0, booking: 0, refunded: 0, total: 0 };
+
+  payments.forEach(p => { revenue[p._id] = p.total; });
+  refunds.forEach(r => {
+    revenue[r._id] -= r.total;
+    revenue.refunded += r.total;
+  });
+
+  revenue.total = revenue.subscription + revenue.booking;
+  return revenue;
+};
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -136,25 +136,49 @@ const serviceCategorySchema = new mongoose.Schema({
 // ============================================================================
 // BUSINESS HOURS SCHEMA
 // ============================================================================
+// Times are "HH:MM" on the garage's local clock, in the timezone below.
+// A day may have several shifts (e.g. closed over lunch); none means closed.
+const CLOCK_TIME = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const CALENDAR_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const shiftSchema = new mongoose.Schema({
+  open: { type: String, required: true, match: CLOCK_TIME },
+  close: { type: String, required: true, match: CLOCK_TIME }
+}, { _id: false });
+
+const weekdayHours = (open, close) => ({
+  type: [shiftSchema],
+  default: () => (open ? [{ open, close }] : [])
+});
+
+// A public holiday or closure; special hours when shifts are given,
+// otherwise closed all day. See services/businessHours.service.js
+const holidaySchema = new mongoose.Schema({
+  date: { type: String, required: true, match: CALENDAR_DAY },
+  // Last day of a closure spanning several days
+  endDate: { type: String, match: CALENDAR_DAY },
+  reason: { type: String, trim: true, maxlength: 200 },
+  shifts: { type: [shiftSchema], default: [] }
+});
+
 const businessHoursSchema = new mongoose.Schema({
-  monday: { type: String, default: "9:00 AM - 6:00 PM" },
-  tuesday: { type: String, default: "9:00 AM - 6:00 PM" },
-  wednesday: { type: String, default: "9:00 AM - 6:00 PM" },
-  thursday: { type: String, default: "9:00 AM - 6:00 PM" },
-  friday: { type: String, default: "9:00 AM - 6:00 PM" },
-  saturday: { type: String, default: "10:00 AM - 4:00 PM" },
-  sunday: { type: String, default: "Closed" },
-  holidayHours: [{
-    date: Date,
-    openTime: String,
-    closeTime: String,
-    reason: String
-  }]
+  // IANA name, e.g. "Africa/Addis_Ababa"; the owner's preferences.timezone when unset
+  timezone: String,
+  monday: weekdayHours('09:00', '18:00'),
+  tuesday: weekdayHours('09:00', '18:00'),
+  wednesday: weekdayHours('09:00', '18:00'),
+  thursday: weekdayHours('09:00', '18:00'),
+  friday: weekdayHours('09:00', '18:00'),
+  saturday: weekdayHours('10:00', '16:00'),
+  sunday: weekdayHours(),
+  holidayHours: [holidaySchema]
 }, { _id: false });
 
 // ============================================================================
 // STAFF INFORMATION SCHEMA
 // ============================================================================
+// Descriptive roster for the application. Staff who sign in are
+// StaffMember records linked to a garage.
 const staffSchema = new mongoose.Schema({
   name: String,
   position: String,
@@ -248,18 +272,26 @@ const garageOwnerInfoSchema = new mongoose.Schema({
   // ===== PAYMENT STATUS FIELDS =====
   paymentStatus: {
     type: String,
-    enum: ['pending', 'processing', 'paid', 'failed', 'expired', 'refunded', 'cancelled', 'not_required'],
+    enum: ['pending', 'processing', 'paid', 'failed', 'expired', 'partially_refunded', 'refunded', 'cancelled', 'not_required'],
     default: 'pending'
   },
   paymentTxRef: { type: String, default: null },
   paymentAmount: { type: Number, default: null },
   paymentDate: { type: Date, default: null },
+  paymentRefundedAmount: { type: Number, default: 0 },
+  paymentRefundedAt: { type: Date, default: null },
   paymentExpiry: { type: Date, default: null },
-  paymentPlan: {
-    type: String,
-    enum: ['basic', 'premium', 'yearly'],
-    default: 'basic'
-  },
+  // Plan code from the plan catalogue (models/Plan.js)
+  paymentPlan: { type: String, default: 'basic' },
+
+  // ===== SUBSCRIPTION LIFECYCLE =====
+  // tx_ref of the last payment applied to paymentExpiry
+  paidTxRef: { type: String, default: null },
+  // Plan an early renewal switches to once it is paid
+  renewalPlan: { type: String, default: null },
+  // Days-before-expiry reminders already sent for the current period
+  renewalRemindersSent: [{ type: Number }],
+  expiredAt: { type: Date, default: null },
   
   // Business Details
   numberOfBays: { type: String },
@@ -411,6 +443,34 @@ const garageOwnerInfoSchema = new mongoose.Schema({
   }]
 }, { _id: false, timestamps: true });
 
+// A signed-in device; each holds one rotating refresh token
+const deviceSchema = new mongoose.Schema({
+  deviceId: String,
+  deviceType: String,
+  browser: String,
+  os: String,
+  ip: String,
+  location: String,
+  userAgent: String,
+  lastActive: { type: Date, default: Date.now },
+  isActive: { type: Boolean, default: true },
+  revokedAt: Date,
+
+  // Refresh token hashes; the previous one is kept to detect replays
+  refreshTokenHash: String,
+  previousRefreshTokenHash: String,
+  refreshTokenExpires: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.refreshTokenHash;
+      delete ret.previousRefreshTokenHash;
+      return ret;
+    }
+  }
+});
+
 // ============================================================================
 // MAIN USER SCHEMA
 // ============================================================================
@@ -443,7 +503,7 @@ const userSchema = new mongoose.Schema({
   },
   role: { 
     type: String, 
-    enum: ['user', 'garage_owner', 'admin', 'super_admin'], 
+    enum: ['user', 'garage_owner', 'staff', 'admin', 'super_admin'], 
     default: 'user' 
   },
   
@@ -458,7 +518,9 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: true },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      // Service reminders from the vehicle history; see services/maintenance.service.js
+      maintenanceReminders: { type: Boolean, default: true }
     },
     language: { type: String, default: 'en' },
     currency: { type: String, default: 'NGN' },
@@ -473,7 +535,14 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpire: Date,
   phoneVerificationToken: String,
   phoneVerificationExpire: Date,
-  
+  phoneVerificationAttempts: { type: Number, default: 0 },
+  // Verification messages sent in the last hour, used for rate limiting
+  verificationRequests: [{
+    _id: false,
+    channel: { type: String, enum: ['email', 'phone'] },
+    sentAt: { type: Date, default: Date.now }
+  }],
+
   // Password Reset
   resetPasswordToken: String,
   resetPasswordExpire: Date,
@@ -483,17 +552,20 @@ const userSchema = new mongoose.Schema({
   loginAttempts: { type: Number, default: 0 },
   lockUntil: Date,
   
-  // Devices
-  devices: [{
-    deviceId: String,
-    deviceType: String,
-    browser: String,
-    os: String,
-    ip: String,
-    location: String,
-    lastActive: { type: Date, default: Date.now },
-    isActive: { type: Boolean, default: true }
-  }],
+  // Two-Factor Authentication (TOTP). Secrets are stored encrypted.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
+
+  // Devices (one per signed-in session)
+  devices: [deviceSchema],
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: { type: Number, default: 0 },
   
   // Activity Log
   activityLog: [{
@@ -525,8 +597,10 @@ userSchema.index({ 'garageInfo.city': 1, 'garageInfo.state': 1 });
 userSchema.index({ 'garageInfo.averageRating': -1 });
 userSchema.index({ 'garageInfo.isFeatured': 1 });
 userSchema.index({ 'garageInfo.subscriptionExpiry': 1 });
+userSchema.index({ 'garageInfo.paymentStatus': 1, 'garageInfo.paymentExpiry': 1 });
 userSchema.index({ 'garageInfo.businessEmail': 1 });
 userSchema.index({ 'garageInfo.licenseNumber': 1 });
+userSchema.index({ 'devices.deviceId': 1 });
 
 // ============================================================================
 // PRE-SAVE HOOK - Hash password before saving
@@ -832,7 +906,7 @@ userSchema.statics.findApprovedGarages = function(filters = {}) {
 };
 
 /**
- * Find garages needing renewal
+ * Find garages whose paid subscription runs out within the given days
  */
 userSchema.statics.findGaragesNeedingRenewal = function(daysBeforeExpiry = 30) {
   const expiryDate = new Date();
@@ -840,8 +914,8 @@ userSchema.statics.findGaragesNeedingRenewal = function(daysBeforeExpiry = 30) {
   
   return this.find({
     role: 'garage_owner',
-    'garageInfo.verificationStatus': 'approved',
-    'garageInfo.approvalExpiryDate': { $lte: expiryDate, $gte: new Date() }
+    'garageInfo.paymentStatus': { $in: ['paid', 'partially_refunded'] },
+    'garageInfo.paymentExpiry': { $lte: expiryDate, $gt: new Date() }
   });
 };
 
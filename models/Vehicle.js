@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const FUEL_TYPES = ['petrol', 'diesel', 'hybrid', 'electric', 'lpg', 'cng', 'other'];
+
+// A customer's car, picked when booking so the garage knows what is coming in
+const vehicleSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    make: {
+      type: String,
+      required: [true, 'Vehicle make is required'],
+      trim: true
+    },
+
+    model: {
+      type: String,
+      required: [true, 'Vehicle model is required'],
+      trim: true
+    },
+
+    year: {
+      type: Number,
+      min: [1900, 'Year must be 1900 or later'],
+      validate: {
+        validator: (year) => year <= new Date().getFullYear() + 1,
+        message: 'Year cannot be in the future'
+      }
+    },
+
+    // 17 characters; I, O and Q are never used
+    vin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'VIN must be 17 letters and digits (no I, O or Q)']
+    },
+
+    plateNumber: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+
+    // Kilometres
+    mileage: {
+      type: Number,
+      min: [0, 'Mileage cannot be negative']
+    },
+
+    mileageUpdatedAt: Date,
+
+    fuelType: {
+      type: String,
+      enum: FUEL_TYPES
+    },
+
+    color: {
+      type: String,
+      trim: true
+    },
+
+    // Friendly name shown in the booking form, e.g. "Work truck"
+    nickname: {
+      type: String,
+      trim: true
+    },
+
+    // Link for sharing the service history, e.g. with a buyer
+    historyShare: {
+      tokenHash: {
+        type: String,
+        select: false
+      },
+      expiresAt: Date,
+      createdAt: Date
+    },
+
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+
+    deletedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// A VIN can only be registered once per owner
+vehicleSchema.index(
+  { owner: 1, vin: 1 },
+  { unique: true, partialFilterExpression: { vin: { $type: 'string' }, isDeleted: false } }
+);
+
+vehicleSchema.index({ 'historyShare.tokenHash': 1 }, { sparse: true });
+
+vehicleSchema.pre('save', function() {
+  if (this.isModified('mileage')) this.mileageUpdatedAt = new Date();
+});
+
+/**
+ * Short description for bookings and notifications, e.g. "2015 Toyota Corolla"
+ */
+vehicleSchema.methods.describe = function() {
+  return [this.year, this.make, this.model].filter(Boolean).join(' ');
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
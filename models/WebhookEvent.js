@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Every webhook delivery we act on is recorded here so replays are no-ops
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      default: 'chapa'
+    },
+    eventId: {
+      type: String,
+      required: true
+    },
+    event: String,
+    tx_ref: {
+      type: String,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'failed'],
+      default: 'processing'
+    },
+    attempts: {
+      type: Number,
+      default: 1
+    },
+    error: String,
+    processedAt: Date,
+    payload: mongoose.Schema.Types.Mixed
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// An event still marked processing after this long was abandoned (the
+// process died or crashed mid-way) and may be claimed again
+const PROCESSING_LEASE = 5 * 60 * 1000; // ms
+
+/**
+ * Claim an event for processing.
+ * Returns null when the event was already processed (or is being processed);
+ * events whose earlier attempt failed or was abandoned can be claimed again.
+ */
+webhookEventSchema.statics.claim = async function(provider, eventId, details = {}) {
+  try {
+    return await this.create({ provider, eventId, ...details });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    return this.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE) } }
+        ]
+      },
+      { status: 'processing', $inc: { attempts: 1 }, $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Mark a claimed event as done
+ */
+webhookEventSchema.methods.markProcessed = function() {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Mark a claimed event as failed so a redelivery can retry it
+ */
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error?.message || String(error);
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
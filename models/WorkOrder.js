@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+
+/*
+========================
+   STATUS TRANSITIONS
+========================
+A work order is the job behind a booking: what was found, what was done
+and what it cost. Completing it sets the booking's totalPrice.
+*/
+const WORK_ORDER_TRANSITIONS = {
+  start: {
+    from: ['open'],
+    to: 'in_progress'
+  },
+  complete: {
+    from: ['open', 'in_progress'],
+    to: 'completed'
+  },
+  cancel: {
+    from: ['open', 'in_progress'],
+    to: 'cancelled'
+  }
+};
+
+// service: booked from the garage catalogue
+// labour:  unitPrice is the hourly rate, charged on actual hours once known
+// part:    quantity x unitPrice
+// fee:     anything else, e.g. disposal
+const LINE_ITEM_KINDS = ['service', 'labour', 'part', 'fee'];
+
+// Items the customer booked need no approval; anything the garage adds
+// afterwards does, and is only charged once approved
+const APPROVAL_STATUSES = ['not_required', 'pending', 'approved', 'declined'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: LINE_ITEM_KINDS,
+      required: [true, 'Line item kind is required']
+    },
+
+    description: {
+      type: String,
+      required: [true, 'Line item description is required'],
+      trim: true
+    },
+
+    // Garage catalogue entry for service items
+    serviceId: mongoose.Schema.Types.ObjectId,
+
+    partNumber: {
+      type: String,
+      trim: true
+    },
+
+    // Inventory part, taken out of stock when the work order completes
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part'
+    },
+
+    quantity: {
+      type: Number,
+      min: [0, 'Quantity cannot be negative'],
+      default: 1
+    },
+
+    unitPrice: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      required: [true, 'Price is required']
+    },
+
+    estimatedHours: {
+      type: Number,
+      min: [0, 'Hours cannot be negative']
+    },
+
+    actualHours: {
+      type: Number,
+      min: [0, 'Hours cannot be negative']
+    },
+
+    // Worked out on save
+    estimatedAmount: Number,
+    amount: Number,
+
+    approval: {
+      status: {
+        type: String,
+        enum: APPROVAL_STATUSES,
+        default: 'not_required'
+      },
+      requestedAt: Date,
+      respondedAt: Date,
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String
+    },
+
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: String,
+    to: { type: String, required: true },
+    action: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const workOrderSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+      unique: true
+    },
+
+    garage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Garage',
+      required: true,
+      index: true
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+
+    status: {
+      type: String,
+      enum: ['open', 'in_progress', 'completed', 'cancelled'],
+      default: 'open',
+      index: true
+    },
+
+    statusHistory: [statusHistorySchema],
+
+    diagnosis: {
+      type: String,
+      trim: true,
+      maxlength: [4000, 'Diagnosis cannot exceed 4000 characters']
+    },
+
+    diagnosedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    diagnosedAt: Date,
+
+    // Notes for the workshop, not shown to the customer
+    internalNotes: {
+      type: String,
+      trim: true,
+      select: false
+    },
+
+    // Garage owner or staff doing the work
+    assignedMechanics: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    }],
+
+    lineItems: [lineItemSchema],
+
+    // Worked out on save
+    totals: {
+      estimated: { type: Number, default: 0 },
+      // Approved and booked items, on actual hours
+      billable: { type: Number, default: 0 },
+      pendingApproval: { type: Number, default: 0 }
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date
+  },
+  { timestamps: true }
+);
+
+/*
+========================
+   TOTALS
+========================
+*/
+
+workOrderSchema.pre('validate', function() {
+  const totals = { estimated: 0, billable: 0, pendingApproval: 0 };
+
+  this.lineItems.forEach(item => {
+    if (item.kind === 'labour') {
+      item.estimatedAmount = roundMoney((item.estimatedHours ?? item.actualHours ?? 0) * item.unitPrice);
+      item.amount = roundMoney((item.actualHours ?? item.estimatedHours ?? 0) * item.unitPrice);
+    } else {
+      item.estimatedAmount = roundMoney(item.quantity * item.unitPrice);
+      item.amount = item.estimatedAmount;
+    }
+
+    const approval = item.approval.status;
+    if (approval === 'declined') return;
+
+    totals.estimated += item.estimatedAmount;
+    if (approval === 'pending') totals.pendingApproval += item.amount;
+    else totals.billable += item.amount;
+  });
+
+  this.totals = {
+    estimated: roundMoney(totals.estimated),
+    billable: roundMoney(totals.billable),
+    pendingApproval: roundMoney(totals.pendingApproval)
+  };
+});
+
+/*
+========================
+   STATUS MACHINE
+========================
+*/
+
+workOrderSchema.statics.getTransition = function(action) {
+  return WORK_ORDER_TRANSITIONS[action] || null;
+};
+
+/**
+ * Apply a status transition
+ * @param {String} action - start, complete or cancel
+ * @param {Object} options - { userId, reason }
+ */
+workOrderSchema.methods.transition = async function(action, { userId, reason } = {}) {
+  const rule = WORK_ORDER_TRANSITIONS[action];
+  if (!rule) throw new Error(`Unknown work order action: ${action}`);
+
+  if (!rule.from.includes(this.status)) {
+    const error = new Error(`Cannot ${action} a work order that is ${this.status.replace('_', ' ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  this.statusHistory.push({ from: this.status, to: rule.to, action, changedBy: userId, reason });
+  this.status = rule.to;
+
+  if (rule.to === 'in_progress') this.startedAt = new Date();
+  if (rule.to === 'completed') this.completedAt = new Date();
+  if (rule.to === 'cancelled') this.cancelledAt = new Date();
+
+  return this.save();
+};
+
+/**
+ * Whether the customer still has to answer for some items
+ */
+workOrderSchema.methods.hasPendingApprovals = function() {
+  return this.lineItems.some(item => item.approval.status === 'pending');
+};
+
+workOrderSchema.methods.isAssigned = function(userId) {
+  return this.assignedMechanics.some(id => (id._id || id).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+/*
+========================
+   STATUS TRANSITIONS
+========================
+Actors:
+  customer     - the user who made the booking
+  garage_owner - the owner of the booked garage
+  staff        - garage staff whose role allows the action
+                 (see services/staff.service.js)
+  admin        - admin or super_admin
+*/
+const STATUS_TRANSITIONS = {
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed',
+    actors: ['garage_owner', 'staff', 'admin']
+  },
+  reject: {
+    from: ['pending'],
+    to: 'rejected',
+    actors: ['garage_owner', 'staff', 'admin']
+  },
+  start: {
+    from: ['confirmed'],
+    to: 'in_progress',
+    actors: ['garage_owner', 'staff', 'admin']
+  },
+  complete: {
+    from: ['in_progress'],
+    to: 'completed',
+    actors: ['garage_owner', 'staff', 'admin']
+  },
+  cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    actors: ['customer', 'garage_owner', 'staff', 'admin']
+  }
+};
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: String,
+    to: { type: String, required: true },
+    action: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actor: String,
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema(
   {
     user: {
@@ -25,6 +80,31 @@ const bookingSchema = new mongoose.Schema(
       type: Date
     },
 
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      index: true
+    },
+
+    // Set when the booking came from an accepted quote; prices are the quoted ones
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quote'
+    },
+
+    // The vehicle as it was at booking time, so later edits or deletion
+    // do not change the record
+    vehicleSnapshot: {
+      make: String,
+      model: String,
+      year: Number,
+      vin: String,
+      plateNumber: String,
+      mileage: Number,
+      fuelType: String
+    },
+
+    // Snapshot of the garage catalogue entries at booking time
     services: [
       {
         serviceId: {
@@ -43,12 +123,23 @@ const bookingSchema = new mongoose.Schema(
       min: 0
     },
 
+    // Minutes, summed from the services at booking time
+    totalDuration: {
+      type: Number,
+      min: 0
+    },
+
     appointmentDate: {
       type: Date,
       required: true,
       index: true
     },
 
+    // When the booked services are expected to finish
+    endTime: {
+      type: Date
+    },
+
     status: {
       type: String,
       enum: [
@@ -62,6 +153,8 @@ const bookingSchema = new mongoose.Schema(
       default: 'pending'
     },
 
+    statusHistory: [statusHistorySchema],
+
     /*
     ========================
           PAYMENT SECTION
@@ -71,13 +164,13 @@ const bookingSchema = new mongoose.Schema(
     payment: {
       method: {
         type: String,
-        enum: ['cash', 'chapa'],
+        enum: ['cash', 'chapa', 'sandbox'],
         default: 'chapa'
       },
 
       status: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
         default: 'pending'
       },
 
@@ -97,7 +190,35 @@ const bookingSchema = new mongoose.Schema(
 
       paidAt: {
         type: Date
-      }
+      },
+
+      amountRefunded: {
+        type: Number,
+        default: 0
+      },
+
+      // Charged by the work order on top of what was already paid
+      balanceDue: {
+        type: Number,
+        default: 0
+      },
+
+      refundedAt: {
+        type: Date
+      },
+
+      refunds: [
+        {
+          amount: { type: Number, required: true },
+          reference: String,
+          reason: String,
+          refundedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          refundedAt: { type: Date, default: Date.now }
+        }
+      ]
     },
 
     notes: String,
@@ -108,6 +229,81 @@ const bookingSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/*
+========================
+   STATUS MACHINE
+========================
+*/
+
+// Record the initial status of new bookings
+bookingSchema.pre('save', function() {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      action: 'create',
+      changedBy: this.user,
+      actor: 'customer'
+    });
+  }
+});
+
+/**
+ * Get transition rules for an action (confirm, start, complete, cancel, reject)
+ */
+bookingSchema.statics.getTransition = function(action) {
+  return STATUS_TRANSITIONS[action] || null;
+};
+
+/**
+ * Apply a status transition. The write is conditional on the status this
+ * copy was loaded with, so of two concurrent requests only one applies.
+ * @param {String} action - Transition name
+ * @param {Object} options - { userId, actor, reason }
+ * @throws 409 when the booking changed status in the meantime
+ */
+bookingSchema.methods.transition = async function(action, { userId, actor, reason } = {}) {
+  const rule = STATUS_TRANSITIONS[action];
+  if (!rule) throw new Error(`Unknown booking action: ${action}`);
+
+  if (!rule.from.includes(this.status)) {
+    const error = new Error(`Cannot ${action} a booking that is ${this.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const changes = { status: rule.to };
+  if (rule.to === 'cancelled') changes.cancelledAt = new Date();
+  if (rule.to === 'completed') changes.completedAt = new Date();
+
+  const entry = {
+    from: this.status,
+    to: rule.to,
+    action,
+    changedBy: userId,
+    actor,
+    reason,
+    changedAt: new Date()
+  };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    { $set: changes, $push: { statusHistory: entry } }
+  );
+
+  if (!updated) {
+    const error = new Error('This booking was updated by someone else; reload it and try again');
+    error.status = 409;
+    throw error;
+  }
+
+  this.set(changes);
+  this.statusHistory.push(entry);
+  return this;
+};
+
+// Overlap lookups for availability
+bookingSchema.index({ garage: 1, appointmentDate: 1, status: 1 });
+
 // bookingSchema.index({ user: 1 });
 // bookingSchema.index({ garage: 1 });
 // bookingSchema.index({ appointmentDate: 1 });
@@ -103,6 +103,31 @@ const garageSchema = new mongoose.Schema(
     isVerified: {
       type: Boolean,
       default: false
+    },
+
+    // Shown in public search; cleared while the owner's subscription is lapsed
+    isListed: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+
+    // Placed first in search; follows the owner's plan entitlements
+    isFeatured: {
+      type: Boolean,
+      default: false
+    },
+
+    // Short-lived lock taken while a booking is being placed
+    bookingLockedUntil: {
+      type: Date,
+      select: false
+    },
+
+    // Last number issued for each kind of invoice document
+    invoiceCounters: {
+      invoice: { type: Number, default: 0, select: false },
+      credit_note: { type: Number, default: 0, select: false }
     }
   },
   {
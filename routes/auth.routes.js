@@ -11,12 +11,31 @@ const {
   register,
   registerGarageOwner,
   login,
+  verifyLoginTwoFactor,
   forgotPassword,
   resetPassword,
   getMe,
   updateDetails,
   updatePassword,
   logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
+  deleteSession,
+
+  // Verification Controllers
+  getVerification,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneVerification,
+  verifyPhone,
+
+  // Two-Factor Controllers
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  removeTwoFactor,
+  createRecoveryCodes,
 
   // Registration Status Controller
   getRegistrationStatus,
@@ -36,6 +55,12 @@ const {
 } = require('../middleware/upload.middleware');
 
 const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { getJobs, runJob } = require('../jobs');
+const { revokeAllSessions } = require('../services/token.service');
+const { loadWithSecrets, resetTwoFactor } = require('../services/twoFactor.service');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { notify, clientUrl } = require('../services/mail');
 
 // ============================================================================
 // PUBLIC ROUTES (No Authentication Required)
@@ -83,6 +108,13 @@ router.post(
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Second login step for accounts with two-factor authentication
+ * @access  Public (login challenge token required)
+ */
+router.post('/login/2fa', verifyLoginTwoFactor);
+
 /**
  * @route   POST /api/v1/auth/forgot-password
  * @desc    Forgot password - sends reset token to email
@@ -97,6 +129,20 @@ router.post('/forgot-password', forgotPassword);
  */
 router.post('/reset-password', resetPassword);
 
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @access  Public (refresh token required)
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @route   POST /api/v1/auth/verify-email/confirm
+ * @desc    Verify an email address with the token from the emailed link
+ * @access  Public (verification token required)
+ */
+router.post('/verify-email/confirm', verifyEmail);
+
 // ============================================================================
 // PROTECTED ROUTES (Authentication Required)
 // ============================================================================
@@ -136,6 +182,90 @@ router.put('/updatepassword', protect, updatePassword);
  */
 router.get('/logout', protect, logout);
 
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Logout from every device
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List signed-in devices
+ * @access  Private
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:deviceId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:deviceId', protect, deleteSession);
+
+/**
+ * @route   GET /api/v1/auth/verification
+ * @desc    Email and phone verification status
+ * @access  Private
+ */
+router.get('/verification', protect, getVerification);
+
+/**
+ * @route   POST /api/v1/auth/verify-email/request
+ * @desc    Email a verification link (rate limited)
+ * @access  Private
+ */
+router.post('/verify-email/request', protect, sendEmailVerification);
+
+/**
+ * @route   POST /api/v1/auth/verify-phone/request
+ * @desc    Text a one-time verification code (rate limited)
+ * @access  Private
+ */
+router.post('/verify-phone/request', protect, sendPhoneVerification);
+
+/**
+ * @route   POST /api/v1/auth/verify-phone/confirm
+ * @desc    Verify the phone number with the texted code
+ * @access  Private
+ */
+router.post('/verify-phone/confirm', protect, verifyPhone);
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', protect, getTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Create an authenticator secret
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Turn on two-factor authentication and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, confirmTwoFactorSetup);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (not allowed for admins)
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, removeTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, createRecoveryCodes);
+
 // ============================================================================
 // DOCUMENT MANAGEMENT ROUTES
 // ============================================================================
@@ -222,7 +352,7 @@ router.delete(
 router.get(
   '/admin/garages/pending',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { status, payment } = req.query;
@@ -292,7 +422,7 @@ router.get(
 router.get(
   '/admin/garages/:garageId',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const garage = await User.findById(req.params.garageId)
@@ -342,7 +472,7 @@ router.get(
 router.put(
   '/admin/garages/:garageId/approve',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { comments, approvalNumber } = req.body;
@@ -376,6 +506,13 @@ router.put(
         await garage.save();
       }
 
+      await notify('garageApproved', garage.email, {
+        name: garage.name,
+        businessName: garage.garageInfo.businessName,
+        approvalNumber: garage.garageInfo.approvalNumber,
+        dashboardUrl: clientUrl('/dashboard')
+      });
+
       res.status(200).json({
         success: true,
         message: 'Garage owner approved successfully',
@@ -406,7 +543,7 @@ router.put(
 router.put(
   '/admin/garages/:garageId/reject',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { reason, details } = req.body;
@@ -439,6 +576,12 @@ router.put(
         await garage.save();
       }
 
+      await notify('garageRejected', garage.email, {
+        name: garage.name,
+        businessName: garage.garageInfo.businessName,
+        reason
+      });
+
       res.status(200).json({
         success: true,
         message: 'Garage owner application rejected',
@@ -467,7 +610,7 @@ router.put(
 router.put(
   '/admin/garages/:garageId/request-info',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { requestedItems, description } = req.body;
@@ -534,7 +677,7 @@ router.put(
 router.put(
   '/admin/garages/:garageId/suspend',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { reason, duration } = req.body;
@@ -596,7 +739,7 @@ router.put(
 router.put(
   '/admin/garages/:garageId/verify-document/:documentId',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('garage:verify'),
   async (req, res) => {
     try {
       const { notes } = req.body;
@@ -650,7 +793,7 @@ router.put(
 router.get(
   '/admin/stats',
   protect,
-  authorize('admin', 'super_admin'),
+  requirePermission('report:read'),
   async (req, res) => {
     try {
       const [
@@ -690,11 +833,8 @@ router.get(
           role: 'garage_owner', 
           'garageInfo.verificationStatus': 'suspended' 
         }),
-        // Calculate total revenue from paid garages
-        User.aggregate([
-          { $match: { role: 'garage_owner', 'garageInfo.paymentStatus': 'paid' } },
-          { $group: { _id: null, total: { $sum: '$garageInfo.paymentAmount' } } }
-        ])
+        // Revenue from the transaction ledger
+        Transaction.getRevenue()
       ]);
 
       // Get payment status counts
@@ -735,7 +875,10 @@ router.get(
             byPayment: paymentCounts
           },
           revenue: {
-            total: totalRevenue[0]?.total || 0,
+            total: totalRevenue.total,
+            subscriptions: totalRevenue.subscription,
+            bookings: totalRevenue.booking,
+            refunded: totalRevenue.refunded,
             currency: 'ETB'
           }
         }
@@ -750,6 +893,130 @@ router.get(
   }
 );
 
+/**
+ * @route   PUT /api/v1/auth/admin/users/:userId/revoke-sessions
+ * @desc    Sign a user out of every device
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/admin/users/:userId/revoke-sessions',
+  protect,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await revokeAllSessions(user);
+
+      res.status(200).json({
+        success: true,
+        message: 'All sessions revoked'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking sessions',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/v1/auth/admin/users/:userId/reset-2fa
+ * @desc    Clear two-factor authentication for a user who lost their device
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/admin/users/:userId/reset-2fa',
+  protect,
+  requirePermission('user:manage'),
+  async (req, res) => {
+    try {
+      const user = await loadWithSecrets(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Admins cannot strip their own second factor
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ask another admin to reset your two-factor authentication'
+        });
+      }
+
+      await resetTwoFactor(user);
+      await revokeAllSessions(user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset. The user has been signed out everywhere.'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting two-factor authentication',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/v1/auth/admin/jobs
+ * @desc    List background jobs and their last run
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/admin/jobs',
+  protect,
+  requirePermission('job:run'),
+  (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: getJobs()
+    });
+  }
+);
+
+/**
+ * @route   POST /api/v1/auth/admin/jobs/:name/run
+ * @desc    Run a background job immediately
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/admin/jobs/:name/run',
+  protect,
+  requirePermission('job:run'),
+  async (req, res) => {
+    const job = await runJob(req.params.name);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  }
+);
+
 // ============================================================================
 // EXPORT ROUTER
 // ============================================================================
@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 
 const bookingController = require('../controllers/booking.controller');
-const { protect, authorize } = require('../controllers/auth.controller');
+const { protect } = require('../controllers/auth.controller');
+const { requireVerifiedContact } = require('../middleware/verification.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 router.use(protect);
 
 router.route('/bookings')
-  .post(bookingController.createBooking);
+  .post(requirePermission('booking:create'), requireVerifiedContact('bookings'), bookingController.createBooking);
 
 router.route('/bookings/my-bookings')
   .get(bookingController.getMyBookings);
@@ -16,16 +18,24 @@ router.route('/bookings/:id')
   .get(bookingController.getBooking)
   .put(bookingController.updateBooking);
 
+// Status transitions
+router.put('/bookings/:id/confirm', bookingController.confirmBooking);
+router.put('/bookings/:id/start', bookingController.startBooking);
+router.put('/bookings/:id/complete', bookingController.completeBooking);
+router.put('/bookings/:id/cancel', bookingController.cancelBooking);
+router.put('/bookings/:id/reject', bookingController.rejectBooking);
+router.get('/bookings/:id/history', bookingController.getBookingHistory);
+
 router.route('/bookings/soft/:id')
   .delete(bookingController.softDeleteBooking);
 
 router.route('/bookings')
-  .get(authorize('admin'), bookingController.getAllBookingsWithDeleted);
+  .get(requirePermission('booking:read-deleted'), bookingController.getAllBookingsWithDeleted);
 
 router.route('/bookings/restore/:id')
-  .put(authorize('admin'), bookingController.restoreBooking);
+  .put(requirePermission('booking:restore'), bookingController.restoreBooking);
 
 router.route('/bookings/hard/:id')
-  .delete(authorize('admin'), bookingController.hardDeleteBooking);
+  .delete(requirePermission('booking:purge'), bookingController.hardDeleteBooking);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const businessHoursController = require('../controllers/businessHours.controller');
+const { protect, authorize } = require('../controllers/auth.controller');
+
+// The logged in garage owner's hours, shared by all their garages
+router.use(protect, authorize('garage_owner'));
+
+router.route('/')
+  .get(businessHoursController.getBusinessHours)
+  .put(businessHoursController.updateBusinessHours);
+
+router.route('/holidays')
+  .get(businessHoursController.getHolidays)
+  .post(businessHoursController.addHoliday);
+
+router.route('/holidays/:holidayId')
+  .put(businessHoursController.updateHoliday)
+  .delete(businessHoursController.removeHoliday);
+
+module.exports = router;
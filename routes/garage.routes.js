@@ -1,52 +1,95 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../controllers/auth.controller');
+const { protect } = require('../controllers/auth.controller');
 const garageController = require('../controllers/garage.controller');
+const staffController = require('../controllers/staff.controller');
+const inventoryController = require('../controllers/inventory.controller');
+const {
+  requireEntitlement,
+  enforceServiceLimit,
+  stripPlanControlledFields
+} = require('../middleware/entitlement.middleware');
+const { requireVerifiedContact } = require('../middleware/verification.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 router.use(protect);
 
 
 router.route('/')
-  .post(garageController.createGarage)
+  .post(requirePermission('garage:create'), requireVerifiedContact('garages'), stripPlanControlledFields, enforceServiceLimit, garageController.createGarage)
   .get(garageController.getGarages);
 
 router.route('/:id')
   .get(garageController.getGarage)
-  .put(garageController.updateGarage)
+  .put(stripPlanControlledFields, garageController.updateGarage)
   .delete(garageController.softDeleteGarage);
 
 
 router.route('/:id/services')
-  .post(garageController.addService);
+  .post(enforceServiceLimit, garageController.addService);
 
 router.route('/:id/services/:serviceId')
-  .put(garageController.updateService)
+  .put(enforceServiceLimit, garageController.updateService)
   .delete(garageController.deleteService);
 
 // Garage bookings route
 router.get('/:id/bookings', garageController.getGarageBookings);
 
+// Booking and revenue analytics (plan feature)
+router.get('/:id/analytics', garageController.authorizeGarageReports, requireEntitlement('analytics'), garageController.getGarageAnalytics);
+
+// Free booking slots for a day
+router.get('/:id/availability', garageController.getGarageAvailability);
+
+// Staff accounts
+router.route('/:id/staff')
+  .get(staffController.getGarageStaff)
+  .post(staffController.inviteGarageStaff);
+
+router.route('/:id/staff/:staffId')
+  .put(staffController.updateGarageStaff)
+  .delete(staffController.removeGarageStaff);
+
+// Parts inventory
+router.route('/:id/parts')
+  .get(inventoryController.getParts)
+  .post(inventoryController.createPart);
+
+router.get('/:id/parts/low-stock', inventoryController.getLowStockParts);
+router.get('/:id/parts/valuation', inventoryController.getStockValuation);
+
+router.route('/:id/parts/:partId')
+  .get(inventoryController.getPart)
+  .put(inventoryController.updatePart)
+  .delete(inventoryController.deletePart);
+
+router.route('/:id/parts/:partId/movements')
+  .get(inventoryController.getMovements)
+  .post(inventoryController.recordMovement);
+
+router.get('/:id/stock-movements', inventoryController.getMovements);
+
 // Location search route
 router.get('/search/location', garageController.searchGaragesByLocation);
 
-// Admin only routes
+// Admin routes
 router.get('/all/include-deleted', 
-  authorize('admin'), 
+  requirePermission('garage:read-deleted'), 
   garageController.getAllGaragesWithDeleted
 );
 
 router.put('/:id/restore', 
-  authorize('admin'), 
+  requirePermission('garage:restore'), 
   garageController.restoreGarage
 );
 
 router.delete('/:id/hard', 
-  authorize('admin'), 
+  requirePermission('garage:purge'), 
   garageController.hardDeleteGarage
 );
 
 router.put('/:id/verify', 
-  authorize('admin'), 
+  requirePermission('garage:verify'), 
   garageController.verifyGarage
 );
 
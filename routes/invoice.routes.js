@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoice.controller');
+const { protect } = require('../controllers/auth.controller');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/mine', invoiceController.getMyInvoices);
+router.get('/garage/:garageId', invoiceController.getGarageInvoices);
+
+router.route('/booking/:bookingId')
+  .get(invoiceController.getBookingInvoices)
+  .post(invoiceController.issueBookingInvoice);
+
+// Customer on the invoice, or the garage that issued it
+router.get('/:id', invoiceController.getInvoice);
+router.get('/:id/pdf', invoiceController.downloadInvoice);
+
+module.exports = router;
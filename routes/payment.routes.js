@@ -12,6 +12,8 @@ const {
   generateTxRef,
   getPaymentAmount,
   initializeChapaPayment,
+  checkBookingPaymentEligibility,
+  initializeBookingPayment,
   verifyChapaPayment,
   verifyWebhookSignature,
   updatePaymentStatus,
@@ -19,16 +21,22 @@ const {
   debugWebhook,
   testWebhook,
   manualUpdatePayment,
+  sandboxCheckout,
   paymentErrorHandler
 } = require('../middleware/payment.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
 
-const User = require('../models/User');
+const transactionController = require('../controllers/transaction.controller');
+const refundController = require('../controllers/refund.controller');
+const planController = require('../controllers/plan.controller');
 
-router.post('/callback', updatePaymentStatus);
+router.post('/callback', verifyWebhookSignature, updatePaymentStatus);
+router.post('/webhook', verifyWebhookSignature, updatePaymentStatus);
 router.post('/debug-webhook', debugWebhook);
 router.post('/test-webhook', testWebhook);
 
 router.get('/manual-update/:tx_ref', manualUpdatePayment);
+router.get('/sandbox/checkout/:tx_ref', sandboxCheckout);
 
 router.post(
   '/initialize',
@@ -61,6 +69,26 @@ router.post(
   }
 );
 
+router.post(
+  '/bookings/:bookingId/initialize',
+  protect,
+  checkBookingPaymentEligibility,
+  generateTxRef,
+  initializeBookingPayment,
+  (req, res) => {
+    res.json({
+      success: true,
+      message: 'Payment initialized successfully',
+      data: {
+        checkout_url: req.chapaResponse.checkout_url,
+        tx_ref: req.tx_ref,
+        amount: req.paymentDetails.amount,
+        bookingId: req.paymentBooking._id
+      }
+    });
+  }
+);
+
 router.get(
   '/verify/:tx_ref',
   protect,
@@ -68,7 +96,23 @@ router.get(
   async (req, res) => {
     try {
       const { tx_ref } = req.params;
-      const user = await User.findOne({ 'garageInfo.paymentTxRef': tx_ref });
+
+      if (req.paymentTarget?.type === 'booking') {
+        const { booking } = req.paymentTarget;
+        return res.json({
+          success: true,
+          data: {
+            verified: req.verificationResult?.success || false,
+            paymentDetails: req.verificationResult?.data || null,
+            bookingId: booking._id,
+            bookingStatus: booking.status,
+            paymentStatus: booking.payment.status,
+            tx_ref: tx_ref
+          }
+        });
+      }
+
+      const user = req.paymentTarget?.user;
 
       res.json({
         success: true,
@@ -92,57 +136,51 @@ router.get(
 
 router.get('/status', protect, checkPaymentStatus);
 
-router.get('/plans', (req, res) => {
-  const plans = [
-    {
-      id: 'basic',
-      name: 'Basic Listing',
-      amount: parseInt(process.env.BASIC_PLAN_AMOUNT) || 500,
-      currency: 'ETB',
-      duration: '30 days',
-      features: [
-        'Garage profile listing',
-        'Basic search visibility',
-        'Contact information display',
-        'Up to 5 service listings'
-      ]
-    },
-    {
-      id: 'premium',
-      name: 'Premium Listing',
-      amount: parseInt(process.env.PREMIUM_PLAN_AMOUNT) || 1000,
-      currency: 'ETB',
-      duration: '30 days',
-      features: [
-        'All Basic features',
-        'Featured placement',
-        'Priority in search results',
-        'Unlimited service listings',
-        'Customer reviews displayed',
-        'Analytics dashboard'
-      ]
-    },
-    {
-      id: 'yearly',
-      name: 'Yearly Premium',
-      amount: parseInt(process.env.YEARLY_PLAN_AMOUNT) || 5000,
-      currency: 'ETB',
-      duration: '365 days',
-      features: [
-        'All Premium features',
-        '20% discount compared to monthly',
-        'Verified badge',
-        'Promotion in newsletter',
-        'Priority support'
-      ]
-    }
-  ];
+// Transaction ledger (admin only)
+router.get(
+  '/transactions',
+  protect,
+  requirePermission('payment:read'),
+  transactionController.getTransactions
+);
 
-  res.json({
-    success: true,
-    data: plans
-  });
-});
+router.get(
+  '/transactions/ref/:tx_ref',
+  protect,
+  requirePermission('payment:read'),
+  transactionController.getTransactionsByRef
+);
+
+router.get(
+  '/transactions/:id',
+  protect,
+  requirePermission('payment:read'),
+  transactionController.getTransaction
+);
+
+// Refunds
+router.get(
+  '/refunds/bookings/:bookingId/quote',
+  protect,
+  refundController.getBookingRefundQuote
+);
+
+router.post(
+  '/refunds/bookings/:bookingId',
+  protect,
+  requirePermission('payment:refund'),
+  refundController.refundBookingPayment
+);
+
+router.post(
+  '/refunds/subscriptions/:userId',
+  protect,
+  requirePermission('payment:refund'),
+  refundController.refundSubscriptionPayment
+);
+
+// Kept for existing clients; the catalogue lives at /api/v1/plans
+router.get('/plans', planController.getPlans);
 
 router.get('/health', (req, res) => {
   res.json({
@@ -151,12 +189,21 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: [
       '/initialize',
+      '/bookings/:bookingId/initialize',
       '/verify/:tx_ref',
       '/callback',
+      '/webhook',
       '/debug-webhook',
       '/test-webhook',
       '/manual-update/:tx_ref',
+      '/sandbox/checkout/:tx_ref',
       '/status',
+      '/transactions',
+      '/transactions/ref/:tx_ref',
+      '/transactions/:id',
+      '/refunds/bookings/:bookingId/quote',
+      '/refunds/bookings/:bookingId',
+      '/refunds/subscriptions/:userId',
       '/plans',
       '/health'
     ]
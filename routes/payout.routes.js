@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payout.controller');
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Garage owner
+router.get('/balance', payoutController.getMyBalance);
+router.get('/mine', payoutController.getMyPayouts);
+
+// Admin only routes
+router.get('/', requirePermission('payout:manage'), payoutController.getPayouts);
+router.put('/:id/settle', requirePermission('payout:manage'), payoutController.settlePayout);
+
+// Owner of the statement, or an admin
+router.get('/:id', payoutController.getPayout);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
+const permissionController = require('../controllers/permission.controller');
+
+router.use(protect);
+
+// What the signed-in user may do
+router.get('/me', permissionController.getMyPermissions);
+
+// Super admin only routes
+router.get('/',
+  requirePermission('permission:manage'),
+  permissionController.getRolePermissions
+);
+
+router.put('/roles/:role',
+  requirePermission('permission:manage'),
+  permissionController.updateRolePermissions
+);
+
+router.post('/roles/:role/reset',
+  requirePermission('permission:manage'),
+  permissionController.resetRolePermissions
+);
+
+module.exports = router;
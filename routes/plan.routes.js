@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
+const planController = require('../controllers/plan.controller');
+
+// Public pricing page
+router.get('/', planController.getPlans);
+
+// Admin only routes
+router.get('/all',
+  protect,
+  requirePermission('plan:manage'),
+  planController.getAllPlans
+);
+
+router.post('/',
+  protect,
+  requirePermission('plan:manage'),
+  planController.createPlan
+);
+
+router.route('/:code')
+  .put(protect, requirePermission('plan:manage'), planController.updatePlan)
+  .delete(protect, requirePermission('plan:manage'), planController.retirePlan);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const quoteController = require('../controllers/quote.controller');
+const { protect } = require('../controllers/auth.controller');
+const { uploadMultipleFiles } = require('../middleware/upload.middleware');
+const { requireVerifiedContact } = require('../middleware/verification.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Customer requests, sent to up to five garages
+router.route('/requests')
+  .post(
+    requirePermission('quote:create'),
+    (req, res, next) => {
+      uploadMultipleFiles(req, res, (err) => {
+        if (err) {
+          return res.status(400).json({
+            success: false,
+            message: err.message
+          });
+        }
+        next();
+      });
+    },
+    quoteController.createQuoteRequest
+  )
+  .get(quoteController.getMyQuoteRequests);
+
+router.get('/requests/:id', quoteController.getQuoteRequest);
+router.put('/requests/:id/cancel', quoteController.cancelQuoteRequest);
+
+// Garage side
+router.get('/garage/:garageId', quoteController.getGarageQuoteRequests);
+router.post('/requests/:id/quotes', quoteController.submitQuote);
+
+router.route('/:quoteId')
+  .get(quoteController.getQuote)
+  .put(quoteController.reviseQuote);
+
+router.put('/:quoteId/withdraw', quoteController.withdrawQuote);
+
+// Customer answers
+router.put('/:quoteId/decline', quoteController.declineQuote);
+router.post('/:quoteId/accept',
+  requirePermission('booking:create'),
+  requireVerifiedContact('bookings'),
+  quoteController.acceptQuote
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
+const reminderRuleController = require('../controllers/reminderRule.controller');
+
+// Rules in use, for the vehicle page
+router.get('/', protect, reminderRuleController.getRules);
+
+// Admin only routes
+router.get('/all',
+  protect,
+  requirePermission('reminder:manage'),
+  reminderRuleController.getAllRules
+);
+
+router.post('/',
+  protect,
+  requirePermission('reminder:manage'),
+  reminderRuleController.createRule
+);
+
+router.route('/:code')
+  .put(protect, requirePermission('reminder:manage'), reminderRuleController.updateRule)
+  .delete(protect, requirePermission('reminder:manage'), reminderRuleController.retireRule);
+
+module.exports = router;
@@ -1,18 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const reviewController = require('../controllers/review.controller');
-const { protect, authorize } = require('../controllers/auth.controller');
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
 
 // All routes require authentication
 router.use(protect);
 
 // Create review
-router.post('/', reviewController.createReview);
+router.post('/', requirePermission('review:create'), reviewController.createReview);
 
 // Get reviews for a garage (public)
 router.get('/garage/:garageId', reviewController.getGarageReviews);
 
-// Update/delete own review
+// Update/delete a review (own, or any with the :any permission)
 router.route('/:id')
   .put(reviewController.updateReview)
   .delete(reviewController.deleteReview);
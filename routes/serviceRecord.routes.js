@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const serviceRecordController = require('../controllers/serviceRecord.controller');
+const { protect } = require('../controllers/auth.controller');
+const { uploadMultipleFiles } = require('../middleware/upload.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Vehicle owner, or the garage that wrote the record
+router.route('/:recordId')
+  .get(serviceRecordController.getServiceRecord)
+  .put(serviceRecordController.updateServiceRecord)
+  .delete(serviceRecordController.deleteServiceRecord);
+
+router.post(
+  '/:recordId/attachments',
+  (req, res, next) => {
+    uploadMultipleFiles(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      next();
+    });
+  },
+  serviceRecordController.uploadAttachments
+);
+router.delete('/:recordId/attachments/:attachmentId', serviceRecordController.deleteAttachment);
+
+module.exports = router;
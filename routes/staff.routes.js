@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../controllers/auth.controller');
+const staffController = require('../controllers/staff.controller');
+
+// Invitation links (public)
+router.get('/invitations/:token', staffController.getInvitation);
+router.post('/invitations/accept', staffController.acceptInvitation);
+
+// Garages the signed-in user works at
+router.get('/me', protect, staffController.getMyMemberships);
+
+module.exports = router;
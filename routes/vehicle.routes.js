@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const vehicleController = require('../controllers/vehicle.controller');
+const { protect } = require('../controllers/auth.controller');
+const { requirePermission } = require('../middleware/permission.middleware');
+
+// Shared service history link (public)
+router.get('/shared-history/:token', vehicleController.getSharedHistory);
+
+// All other routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(vehicleController.getVehicles)
+  .post(requirePermission('vehicle:create'), vehicleController.createVehicle);
+
+// Own vehicles, or any with the :any permission
+router.route('/:id')
+  .get(vehicleController.getVehicle)
+  .put(vehicleController.updateVehicle)
+  .delete(vehicleController.deleteVehicle);
+
+// Service history
+router.route('/:id/history')
+  .get(vehicleController.getVehicleHistory)
+  .post(vehicleController.createOwnerRecord);
+router.get('/:id/history/export', vehicleController.exportVehicleHistory);
+router.route('/:id/history/share')
+  .post(vehicleController.shareVehicleHistory)
+  .delete(vehicleController.unshareVehicleHistory);
+
+// Maintenance due, with rebook links
+router.get('/:id/reminders', vehicleController.getVehicleReminders);
+
+module.exports = router;
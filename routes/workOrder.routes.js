@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const workOrderController = require('../controllers/workOrder.controller');
+const { protect } = require('../controllers/auth.controller');
+
+// All routes require authentication
+router.use(protect);
+
+// Open a work order for a booking (garage owner, manager or admin)
+router.post('/', workOrderController.createWorkOrder);
+
+// Jobs assigned to the signed-in mechanic
+router.get('/assigned', workOrderController.getAssignedWorkOrders);
+
+router.get('/garage/:garageId', workOrderController.getGarageWorkOrders);
+router.get('/booking/:bookingId', workOrderController.getBookingWorkOrder);
+
+router.route('/:id')
+  .get(workOrderController.getWorkOrder)
+  .put(workOrderController.updateWorkOrder);
+
+// Line items
+router.post('/:id/items', workOrderController.addLineItems);
+router.route('/:id/items/:itemId')
+  .put(workOrderController.updateLineItem)
+  .delete(workOrderController.removeLineItem);
+
+// Customer approval of extra work
+router.post('/:id/approvals', workOrderController.respondToApproval);
+
+router.put('/:id/assign', workOrderController.assignMechanics);
+
+// Status transitions
+router.put('/:id/start', workOrderController.startWorkOrder);
+router.put('/:id/complete', workOrderController.completeWorkOrder);
+router.put('/:id/cancel', workOrderController.cancelWorkOrder);
+
+module.exports = router;
@@ -2,6 +2,11 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const app = require('./app');
+const { startJobs } = require('./jobs');
+const { seedDefaultPlans } = require('./services/plan.service');
+const { seedRolePermissions } = require('./services/permission.service');
+const { seedReminderRules } = require('./services/maintenance.service');
+const { migrateBusinessHours } = require('./services/businessHours.service');
 
 dotenv.config();
 
@@ -10,7 +15,14 @@ const MONGO_URI = process.env.MONGO_URI;
 
 // Connect to MongoDB
 mongoose.connect(MONGO_URI)
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully");
+    seedDefaultPlans().catch(err => console.error("Plan seeding error:", err));
+    seedRolePermissions().catch(err => console.error("Permission seeding error:", err));
+    seedReminderRules().catch(err => console.error("Reminder rule seeding error:", err));
+    migrateBusinessHours().catch(err => console.error("Business hours migration error:", err));
+    startJobs();
+  })
   .catch(err => console.error("MongoDB connection error:", err));
 
 // Start Express server
@@ -0,0 +1,279 @@
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const { createError } = require('../utils/errors');
+const { resolveServices } = require('./pricing.service');
+const {
+  isValidDay,
+  addDays,
+  zonedTime,
+  getDayHours,
+  fitsOpeningHours
+} = require('./businessHours.service');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const getSlotInterval = () => parseInt(process.env.BOOKING_SLOT_INTERVAL) || 30;
+const DEFAULT_SERVICE_DURATION = 60; // minutes, used when no service is selected
+const BOOKING_LOCK_TTL = 10 * 1000; // ms
+const BOOKING_LOCK_RETRIES = 5;
+const BOOKING_LOCK_RETRY_DELAY = 200; // ms
+
+// Bookings in these states occupy a bay
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+/**
+ * Largest number of intervals running at the same time within [start, end)
+ */
+const maxConcurrent = (intervals, start, end) => {
+  const events = [];
+
+  intervals.forEach(({ start: s, end: e }) => {
+    if (s < end && e > start) {
+      events.push({ at: Math.max(s, start), delta: 1 });
+      events.push({ at: Math.min(e, end), delta: -1 });
+    }
+  });
+
+  // Ends sort before starts at the same instant so back-to-back bookings don't clash
+  events.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(event => {
+    current += event.delta;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+// ============================================================================
+// GARAGE CAPACITY
+// ============================================================================
+
+/**
+ * Load a bookable garage together with the owner's business settings
+ */
+const getBookableGarage = async (garageId) => {
+  const garage = await Garage.findOne({ _id: garageId, isDeleted: false })
+    .populate('owner', 'preferences.timezone garageInfo.businessHours garageInfo.numberOfBays garageInfo.specializedBrands');
+
+  if (!garage) throw createError(404, 'Garage not found');
+  if (!garage.isActive) throw createError(400, 'Garage is not accepting bookings');
+
+  return garage;
+};
+
+/**
+ * Number of bays that can be worked on in parallel
+ */
+const getCapacity = (garage) => {
+  const bays = parseInt(garage.owner?.garageInfo?.numberOfBays);
+  return bays > 0 ? bays : 1;
+};
+
+/**
+ * Opening hours of the garage on a day of its local calendar ('YYYY-MM-DD'),
+ * holidays included. Ranges are in minutes after local midnight.
+ */
+const getOpeningHours = (garage, day) => getDayHours(garage.owner, day);
+
+/**
+ * Resolve the selected service IDs against the garage catalogue and
+ * return the total time they need
+ */
+const getServicesDuration = (garage, serviceIds = []) => {
+  if (!serviceIds.length) return DEFAULT_SERVICE_DURATION;
+
+  return resolveServices(garage, serviceIds)
+    .reduce((total, service) => total + service.duration, 0);
+};
+
+/**
+ * Time intervals occupied by live bookings overlapping [start, end)
+ */
+const getBookedIntervals = async (garageId, start, end, excludeBookingId = null) => {
+  // Legacy bookings have no endTime, so widen the window to catch them too
+  const query = {
+    garage: garageId,
+    isDeleted: false,
+    status: { $in: BLOCKING_STATUSES },
+    appointmentDate: { $lt: end, $gte: addMinutes(start, -24 * 60) }
+  };
+
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+
+  const bookings = await Booking.find(query).select('appointmentDate endTime totalDuration services');
+
+  return bookings
+    .map(booking => ({
+      start: booking.appointmentDate.getTime(),
+      end: getBookingEnd(booking).getTime()
+    }))
+    .filter(interval => interval.end > start.getTime());
+};
+
+/**
+ * End of a booking, derived from its services when endTime was never stored
+ */
+const getBookingEnd = (booking) => {
+  if (booking.endTime) return booking.endTime;
+
+  const duration = booking.totalDuration || (booking.services || [])
+    .reduce((total, service) => total + (service.duration || 0), 0);
+
+  return addMinutes(booking.appointmentDate, duration || DEFAULT_SERVICE_DURATION);
+};
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+/**
+ * Compute the free slots of a garage for one day
+ * @param {String} garageId - Garage ID
+ * @param {Object} options - { date: 'YYYY-MM-DD', serviceIds: [String] }
+ * @returns {Object} Capacity, opening hours and slots with free bays
+ */
+const getAvailability = async (garageId, { date, serviceIds = [] }) => {
+  if (!isValidDay(date)) throw createError(400, 'Please provide a valid date (YYYY-MM-DD)');
+
+  const garage = await getBookableGarage(garageId);
+  const capacity = getCapacity(garage);
+  const duration = getServicesDuration(garage, serviceIds);
+  const hours = getOpeningHours(garage, date);
+
+  // The date is a day on the garage's clock, not the server's
+  const localTime = (minutes) => zonedTime(date, minutes, hours.timezone);
+  const dayStart = localTime(0);
+  const dayEnd = zonedTime(addDays(date, 1), 0, hours.timezone);
+  const booked = await getBookedIntervals(garage._id, dayStart, dayEnd);
+  const now = Date.now();
+
+  const interval = getSlotInterval();
+  const slots = [];
+
+  hours.ranges.forEach(({ open, close }) => {
+    for (let offset = open; offset + duration <= close; offset += interval) {
+      const start = localTime(offset);
+      const end = addMinutes(start, duration);
+
+      if (start.getTime() <= now) continue;
+
+      const inUse = maxConcurrent(booked, start.getTime(), end.getTime());
+      if (inUse < capacity) {
+        slots.push({ start, end, availableBays: capacity - inUse });
+      }
+    }
+  });
+
+  return {
+    garage: garage._id,
+    date,
+    capacity,
+    duration,
+    interval,
+    timezone: hours.timezone,
+    holiday: hours.holiday,
+    openingHours: hours.ranges.map(({ open, close }) => ({
+      open: localTime(open),
+      close: localTime(close)
+    })),
+    slots
+  };
+};
+
+// ============================================================================
+// SLOT RESERVATION
+// ============================================================================
+
+/**
+ * Take the per-garage booking lock. The lock expires on its own so a crashed
+ * request can never block a garage for longer than BOOKING_LOCK_TTL.
+ * @returns {Date} The expiry written, which identifies this holder of the lock
+ */
+const acquireBookingLock = async (garageId) => {
+  for (let attempt = 0; attempt < BOOKING_LOCK_RETRIES; attempt++) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + BOOKING_LOCK_TTL);
+    const locked = await Garage.findOneAndUpdate(
+      {
+        _id: garageId,
+        $or: [
+          { bookingLockedUntil: { $exists: false } },
+          { bookingLockedUntil: null },
+          { bookingLockedUntil: { $lte: now } }
+        ]
+      },
+      { bookingLockedUntil: lockedUntil },
+      { new: true }
+    );
+
+    if (locked) return lockedUntil;
+    await sleep(BOOKING_LOCK_RETRY_DELAY);
+  }
+
+  throw createError(409, 'Garage is busy processing another booking, please try again');
+};
+
+/**
+ * Release the lock only if it is still ours: a request that outlived the
+ * TTL must not release the lock another request has taken since
+ */
+const releaseBookingLock = (garageId, lockedUntil) => {
+  return Garage.updateOne({ _id: garageId, bookingLockedUntil: lockedUntil }, { bookingLockedUntil: null });
+};
+
+/**
+ * Check that [start, start + duration) falls within one of the garage's
+ * shifts and fits its capacity, and run `create` while holding the garage's
+ * booking lock, so concurrent requests cannot both take the last free bay.
+ * @param {Object} garage - Garage document (from getBookableGarage)
+ * @param {Date} start - Appointment start
+ * @param {Number} duration - Minutes needed
+ * @param {Function} create - Persists the booking, called only when a bay is free
+ */
+const reserveSlot = async (garage, start, duration, create) => {
+  const end = addMinutes(start, duration);
+  const capacity = getCapacity(garage);
+
+  if (!fitsOpeningHours(garage.owner, start, duration)) {
+    throw createError(400, 'The garage is closed at the selected time; please choose a time within its opening hours');
+  }
+
+  const lockedUntil = await acquireBookingLock(garage._id);
+
+  try {
+    const booked = await getBookedIntervals(garage._id, start, end);
+
+    if (maxConcurrent(booked, start.getTime(), end.getTime()) >= capacity) {
+      throw createError(409, 'The selected time slot is fully booked');
+    }
+
+    return await create({ endTime: end });
+  } finally {
+    await releaseBookingLock(garage._id, lockedUntil);
+  }
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  DEFAULT_SERVICE_DURATION,
+  getBookableGarage,
+  getCapacity,
+  getOpeningHours,
+  getServicesDuration,
+  getBookingEnd,
+  getAvailability,
+  reserveSlot
+};
@@ -0,0 +1,448 @@
+const User = require('../models/User');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const getDefaultTimezone = () => process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WEEKLY_HOURS = {
+  monday: [{ open: '09:00', close: '18:00' }],
+  tuesday: [{ open: '09:00', close: '18:00' }],
+  wednesday: [{ open: '09:00', close: '18:00' }],
+  thursday: [{ open: '09:00', close: '18:00' }],
+  friday: [{ open: '09:00', close: '18:00' }],
+  saturday: [{ open: '10:00', close: '16:00' }],
+  sunday: []
+};
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// ============================================================================
+// CLOCK TIMES
+// ============================================================================
+
+/**
+ * Parse a clock time such as "9:00 AM", "6 PM" or "18:30" into minutes after midnight
+ */
+const parseClockTime = (value) => {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  const total = hours * 60 + minutes;
+  if (minutes > 59 || total > DAY_MINUTES) return null;
+  return total;
+};
+
+const formatClockTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Parse the free-text hours the registration form sends ("9:00 AM - 6:00 PM",
+ * "Closed", "24 hours") into shifts
+ */
+const parseHoursText = (value) => {
+  if (/^\s*closed\s*$/i.test(value)) return [];
+  if (/24\s*(hours|hrs|\/7)/i.test(value)) return [{ open: '00:00', close: '24:00' }];
+
+  return value.split(/\s*[,;&]\s*/).map(range => {
+    const [open, close] = range.split(/\s*[-–]\s*/).map(parseClockTime);
+    if (open == null || close == null) throw createError(400, `"${value}" is not a valid opening time`);
+    return { open: formatClockTime(open), close: formatClockTime(close) };
+  });
+};
+
+/**
+ * Validate one day's shifts, given as [{ open, close }] or text
+ * @returns {Array} Shifts as "HH:MM" in order
+ */
+const normalizeShifts = (value, label = 'Opening hours') => {
+  const shifts = typeof value === 'string' ? parseHoursText(value) : value;
+  if (!Array.isArray(shifts)) throw createError(400, `${label} must be a list of shifts`);
+
+  const ranges = shifts
+    .map(shift => ({ open: parseClockTime(shift?.open ?? ''), close: parseClockTime(shift?.close ?? '') }))
+    .sort((a, b) => a.open - b.open);
+
+  ranges.forEach((range, index) => {
+    if (range.open == null || range.close == null) {
+      throw createError(400, `${label}: shifts need an open and close time`);
+    }
+    if (range.close <= range.open) {
+      throw createError(400, `${label}: shifts must close after they open; split overnight shifts at midnight`);
+    }
+    if (index > 0 && range.open < ranges[index - 1].close) {
+      throw createError(400, `${label}: shifts overlap`);
+    }
+  });
+
+  return ranges.map(range => ({ open: formatClockTime(range.open), close: formatClockTime(range.close) }));
+};
+
+/**
+ * Business hours for a new garage owner; days left out get the defaults
+ * @param {Object} days - { monday, ..., sunday } as shifts or text
+ */
+const buildBusinessHours = (days = {}) => {
+  const hours = {};
+  WEEKDAYS.forEach(weekday => {
+    hours[weekday] = days[weekday] ? normalizeShifts(days[weekday], weekday) : DEFAULT_WEEKLY_HOURS[weekday];
+  });
+  return hours;
+};
+
+// ============================================================================
+// TIMEZONES
+// ============================================================================
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isValidDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return false;
+
+  const day = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  return day.getUTCDate() === parseInt(match[3]) && day.getUTCMonth() === match[2] - 1;
+};
+
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MINUTES * MINUTE).toISOString().slice(0, 10);
+
+const getWeekday = (day) => WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Calendar day and minutes after midnight of an instant on a timezone's clock
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes }
+ */
+const getLocalTime = (at, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(at).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Milliseconds the timezone's clock is ahead of UTC at an instant
+const getOffset = (at, timezone) => {
+  const { date, minutes } = getLocalTime(at, timezone);
+  return Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE - Math.floor(at.getTime() / MINUTE) * MINUTE;
+};
+
+/**
+ * The instant a timezone's clock shows a given day and time
+ * @param {String} day - 'YYYY-MM-DD'
+ * @param {Number} minutes - Minutes after midnight
+ */
+const zonedTime = (day, minutes, timezone) => {
+  const wall = Date.parse(`${day}T00:00:00Z`) + minutes * MINUTE;
+  const guess = new Date(wall - getOffset(new Date(wall), timezone));
+
+  // Around a daylight saving change the offset at the guess can differ
+  return new Date(wall - getOffset(guess, timezone));
+};
+
+// ============================================================================
+// OPENING HOURS
+// ============================================================================
+
+/**
+ * Timezone a garage owner's hours are kept in
+ */
+const getTimezone = (owner) => {
+  const timezone = owner?.garageInfo?.businessHours?.timezone || owner?.preferences?.timezone;
+  return isValidTimezone(timezone) ? timezone : getDefaultTimezone();
+};
+
+const toRanges = (shifts) => shifts.map(shift => ({
+  open: parseClockTime(shift.open),
+  close: parseClockTime(shift.close)
+}));
+
+/**
+ * Holiday or closure covering a day, if any
+ */
+const getHoliday = (owner, day) =>
+  (owner?.garageInfo?.businessHours?.holidayHours || [])
+    .find(holiday => holiday.date <= day && day <= (holiday.endDate || holiday.date)) || null;
+
+/**
+ * Opening hours of a garage owner on one day of their local calendar,
+ * with holidays and closures applied
+ * @param {Object} owner - Garage owner with garageInfo.businessHours
+ * @param {String} day - 'YYYY-MM-DD'
+ * @returns {Object} { date, weekday, timezone, holiday, shifts, ranges }
+ */
+const getDayHours = (owner, day) => {
+  const businessHours = owner?.garageInfo?.businessHours;
+  const weekday = getWeekday(day);
+  const holiday = getHoliday(owner, day);
+
+  const shifts = holiday
+    ? holiday.shifts
+    : (businessHours?.[weekday] || DEFAULT_WEEKLY_HOURS[weekday]);
+
+  return {
+    date: day,
+    weekday,
+    timezone: getTimezone(owner),
+    holiday: holiday ? { id: holiday._id, reason: holiday.reason } : null,
+    shifts: shifts.map(({ open, close }) => ({ open, close })),
+    ranges: toRanges(shifts)
+  };
+};
+
+/**
+ * Whether the garage is open at an instant
+ */
+const isOpenAt = (owner, at = new Date()) => {
+  const local = getLocalTime(at, getTimezone(owner));
+  return getDayHours(owner, local.date).ranges
+    .some(range => range.open <= local.minutes && local.minutes < range.close);
+};
+
+/**
+ * Whether work of the given length can start at an instant and finish
+ * within the same shift
+ * @param {Number} duration - Minutes
+ */
+const fitsOpeningHours = (owner, start, duration) => {
+  const local = getLocalTime(start, getTimezone(owner));
+  return getDayHours(owner, local.date).ranges
+    .some(range => range.open <= local.minutes && local.minutes + duration <= range.close);
+};
+
+/**
+ * Weekly hours, upcoming holidays and whether the garage is open now
+ */
+const getBusinessHours = (owner, at = new Date()) => {
+  const businessHours = owner?.garageInfo?.businessHours;
+  const timezone = getTimezone(owner);
+  const today = getLocalTime(at, timezone).date;
+
+  const weekly = {};
+  WEEKDAYS.forEach(weekday => {
+    weekly[weekday] = (businessHours?.[weekday] || DEFAULT_WEEKLY_HOURS[weekday])
+      .map(({ open, close }) => ({ open, close }));
+  });
+
+  return {
+    timezone,
+    weekly,
+    holidays: listHolidays(owner, { from: today }),
+    today: getDayHours(owner, today),
+    openNow: isOpenAt(owner, at)
+  };
+};
+
+// ============================================================================
+// MANAGEMENT
+// ============================================================================
+
+/**
+ * Replace the weekly hours of the days given and/or the timezone
+ * @param {Object} owner - Garage owner
+ * @param {Object} body - { timezone, monday: [{ open, close }], ... }
+ */
+const updateBusinessHours = async (owner, body = {}) => {
+  const update = {};
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) throw createError(400, `Unknown timezone "${body.timezone}"`);
+    update['garageInfo.businessHours.timezone'] = body.timezone;
+  }
+
+  WEEKDAYS.forEach(weekday => {
+    if (body[weekday] !== undefined) {
+      update[`garageInfo.businessHours.${weekday}`] = normalizeShifts(body[weekday], weekday);
+    }
+  });
+
+  if (!Object.keys(update).length) throw createError(400, 'Nothing to update');
+
+  return User.findByIdAndUpdate(owner._id, { $set: update }, { new: true, runValidators: true });
+};
+
+/**
+ * Holidays and closures, in date order
+ * @param {Object} filters - { from: 'YYYY-MM-DD' } to leave out past ones
+ */
+const listHolidays = (owner, { from } = {}) =>
+  (owner?.garageInfo?.businessHours?.holidayHours || [])
+    .filter(holiday => !from || (holiday.endDate || holiday.date) >= from)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+const pickHoliday = (body = {}, current = {}) => {
+  const date = body.date ?? current.date;
+  const endDate = (body.endDate ?? current.endDate) || undefined;
+
+  if (!isValidDay(date)) throw createError(400, 'Please provide a valid date (YYYY-MM-DD)');
+  if (endDate && (!isValidDay(endDate) || endDate < date)) {
+    throw createError(400, 'The end date must be a valid date (YYYY-MM-DD) on or after the start date');
+  }
+
+  return {
+    date,
+    endDate: endDate === date ? undefined : endDate,
+    reason: body.reason ?? current.reason,
+    // Special hours for the day; none means closed all day
+    shifts: body.shifts !== undefined ? normalizeShifts(body.shifts, 'Holiday hours') : (current.shifts || [])
+  };
+};
+
+const assertNoOverlap = (owner, holiday, ignoreId = null) => {
+  const clash = listHolidays(owner).find(other =>
+    String(other._id) !== String(ignoreId) &&
+    other.date <= (holiday.endDate || holiday.date) &&
+    holiday.date <= (other.endDate || other.date));
+
+  if (clash) throw createError(409, `This overlaps the closure starting ${clash.date}`);
+};
+
+/**
+ * Add a holiday or closure: closed all day unless shifts are given
+ * @param {Object} body - { date, endDate, reason, shifts }
+ */
+const addHoliday = async (owner, body) => {
+  const holiday = pickHoliday(body);
+  assertNoOverlap(owner, holiday);
+
+  const updated = await User.findByIdAndUpdate(
+    owner._id,
+    { $push: { 'garageInfo.businessHours.holidayHours': holiday } },
+    { new: true, runValidators: true }
+  );
+
+  return updated.garageInfo.businessHours.holidayHours.at(-1);
+};
+
+const findHoliday = (owner, holidayId) => {
+  const holiday = (owner?.garageInfo?.businessHours?.holidayHours || [])
+    .find(h => String(h._id) === String(holidayId));
+  if (!holiday) throw createError(404, 'Holiday not found');
+  return holiday;
+};
+
+const updateHoliday = async (owner, holidayId, body) => {
+  const current = findHoliday(owner, holidayId);
+  const holiday = pickHoliday(body, current);
+  assertNoOverlap(owner, holiday, current._id);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: owner._id, 'garageInfo.businessHours.holidayHours._id': current._id },
+    { $set: { 'garageInfo.businessHours.holidayHours.$': { ...holiday, _id: current._id } } },
+    { new: true, runValidators: true }
+  );
+
+  return findHoliday(updated, current._id);
+};
+
+const removeHoliday = async (owner, holidayId) => {
+  const holiday = findHoliday(owner, holidayId);
+
+  await User.updateOne(
+    { _id: owner._id },
+    { $pull: { 'garageInfo.businessHours.holidayHours': { _id: holiday._id } } }
+  );
+
+  return holiday;
+};
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Convert business hours saved as text ("9:00 AM - 6:00 PM") before they
+ * were structured. Run at startup; owners already converted are skipped.
+ */
+const migrateBusinessHours = async () => {
+  const legacy = await User.collection.find({
+    role: 'garage_owner',
+    $or: WEEKDAYS.map(weekday => ({ [`garageInfo.businessHours.${weekday}`]: { $type: 'string' } }))
+  }).project({ 'garageInfo.businessHours': 1 }).toArray();
+
+  for (const { _id, garageInfo } of legacy) {
+    const old = garageInfo.businessHours;
+    const converted = {};
+
+    WEEKDAYS.forEach(weekday => {
+      try {
+        converted[weekday] = typeof old[weekday] === 'string'
+          ? normalizeShifts(old[weekday])
+          : (old[weekday] || DEFAULT_WEEKLY_HOURS[weekday]);
+      } catch {
+        converted[weekday] = DEFAULT_WEEKLY_HOURS[weekday];
+      }
+    });
+
+    // Holiday hours were never used, so they are dropped
+    await User.collection.updateOne(
+      { _id },
+      { $set: { 'garageInfo.businessHours': { ...converted, holidayHours: [] } } }
+    );
+  }
+
+  if (legacy.length) console.log(`🕘 Converted business hours of ${legacy.length} garage owners`);
+};
+
+module.exports = {
+  getDefaultTimezone,
+  WEEKDAYS,
+  DEFAULT_WEEKLY_HOURS,
+  normalizeShifts,
+  buildBusinessHours,
+  isValidTimezone,
+  isValidDay,
+  addDays,
+  getLocalTime,
+  zonedTime,
+  getTimezone,
+  getDayHours,
+  isOpenAt,
+  fitsOpeningHours,
+  getBusinessHours,
+  updateBusinessHours,
+  listHolidays,
+  addHoliday,
+  updateHoliday,
+  removeHoliday,
+  migrateBusinessHours
+};
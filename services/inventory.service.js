@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Part = require('../models/Part');
+const StockMovement = require('../models/StockMovement');
+const Garage = require('../models/garage');
+const User = require('../models/User');
+const { notifyUser } = require('./notification.service');
+const { clientUrl } = require('./mail');
+const { createError } = require('../utils/errors');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Which way each movement type may move stock
+const MOVEMENT_DIRECTIONS = {
+  receipt: 1,
+  consumption: -1,
+  return: 1,
+  adjustment: 0
+};
+
+// ============================================================================
+// PARTS
+// ============================================================================
+
+// Fields a garage may set; stock only changes through movements
+const PART_FIELDS = [
+  'sku', 'name', 'brand', 'description', 'compatibleMakes', 'unit',
+  'costPrice', 'salePrice', 'reorderLevel', 'location', 'isActive'
+];
+
+const pickPartFields = (body = {}) => PART_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Part of a garage by id
+ * @throws 404 when it belongs to another garage
+ */
+const getPart = async (garageId, partId) => {
+  const part = mongoose.isValidObjectId(partId) && await Part.findOne({ _id: partId, garage: garageId });
+  if (!part) throw createError(404, 'Part not found');
+  return part;
+};
+
+/**
+ * Add a part to the catalogue, with any opening stock as a receipt
+ */
+const createPart = async (garageId, body, user) => {
+  const part = await Part.create({ ...pickPartFields(body), garage: garageId });
+
+  const opening = Number(body.quantityOnHand) || 0;
+  if (opening > 0) {
+    await recordMovement(part, { type: 'receipt', quantity: opening, reason: 'Opening stock' }, user);
+  }
+
+  return part;
+};
+
+const updatePart = (part, body) => {
+  part.set(pickPartFields(body));
+  return part.save();
+};
+
+/**
+ * Parts of a garage, optionally filtered by search text, make or low stock
+ */
+const listParts = (garageId, { search, make, lowStock, includeInactive } = {}) => {
+  const query = { garage: garageId };
+  if (!includeInactive) query.isActive = true;
+  if (lowStock) query.$expr = { $lte: ['$quantityOnHand', '$reorderLevel'] };
+  if (make) {
+    query.$or = [
+      { compatibleMakes: { $size: 0 } },
+      { compatibleMakes: new RegExp(`^${escapeRegex(make)}$`, 'i') }
+    ];
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$and = [{ $or: [{ name: pattern }, { sku: pattern }, { brand: pattern }] }];
+  }
+
+  return Part.find(query).sort('name');
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ============================================================================
+// STOCK MOVEMENTS
+// ============================================================================
+
+/**
+ * Email the garage owner about parts that have just run low
+ */
+const alertLowStock = async (parts) => {
+  if (parts.length === 0) return [];
+
+  const garage = await Garage.findById(parts[0].garage).select('name owner');
+  const owner = garage && await User.findById(garage.owner).select('name email phone isPhoneVerified preferences');
+  if (!owner) return [];
+
+  const inventoryUrl = clientUrl(`/garages/${garage._id}/inventory`, { lowStock: 'true' });
+  const channels = await notifyUser(owner, {
+    template: 'lowStock',
+    data: {
+      name: owner.name,
+      garageName: garage.name,
+      parts: parts.map(part => ({
+        name: part.name,
+        sku: part.sku,
+        quantityOnHand: part.quantityOnHand,
+        reorderLevel: part.reorderLevel,
+        unit: part.unit
+      })),
+      inventoryUrl
+    },
+    sms: `${garage.name}: ${parts.map(part => `${part.name} (${part.quantityOnHand} left)`).join(', ')} running low.`
+  });
+
+  if (channels.length) {
+    await Part.updateMany({ _id: { $in: parts.map(part => part._id) } }, { lowStockAlertedAt: new Date() });
+  }
+  return channels;
+};
+
+/**
+ * Move stock in or out. Stock never goes below zero; the update is
+ * conditional so two jobs cannot take the last unit.
+ * @param {Object} part - Part document
+ * @param {Object} movement - { type, quantity, reason, booking, workOrder, unitCost }
+ *   quantity is positive, except for adjustments where the sign gives the direction
+ * @param {Object} user - Who moved it
+ * @param {Object} options - { alert: false to collect low-stock parts instead of alerting }
+ * @returns {Object} { movement, part, lowStock }
+ */
+const recordMovement = async (part, { type, quantity, reason, booking, workOrder, unitCost }, user, { alert = true } = {}) => {
+  if (!(type in MOVEMENT_DIRECTIONS)) {
+    throw createError(400, `Movement type must be one of: ${Object.keys(MOVEMENT_DIRECTIONS).join(', ')}`);
+  }
+
+  const amount = Number(quantity);
+  const delta = MOVEMENT_DIRECTIONS[type] === 0 ? amount : MOVEMENT_DIRECTIONS[type] * Math.abs(amount);
+  if (!Number.isFinite(delta) || delta === 0) throw createError(400, 'Quantity must be a non-zero number');
+  if (type === 'adjustment' && !reason) throw createError(400, 'Give a reason for stock adjustments');
+
+  const cost = unitCost === undefined || unitCost === null || unitCost === '' ? undefined : Number(unitCost);
+  if (cost !== undefined && !(Number.isFinite(cost) && cost >= 0)) {
+    throw createError(400, 'Unit cost must be a number of zero or more');
+  }
+
+  const update = { $inc: { quantityOnHand: delta } };
+  if (type === 'receipt' && cost !== undefined) update.$set = { costPrice: cost };
+
+  const updated = await Part.findOneAndUpdate(
+    { _id: part._id, quantityOnHand: { $gte: Math.max(0, -delta) } },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw createError(400, `Not enough stock of ${part.name} (${part.quantityOnHand} ${part.unit} on hand)`);
+  }
+
+  const movement = await StockMovement.create({
+    garage: updated.garage,
+    part: updated._id,
+    type,
+    quantity: delta,
+    balanceAfter: updated.quantityOnHand,
+    unitCost: cost ?? updated.costPrice,
+    booking,
+    workOrder,
+    reason,
+    performedBy: user?._id
+  });
+
+  // Alert once per dip below the reorder level
+  let lowStock = false;
+  if (updated.quantityOnHand <= updated.reorderLevel) {
+    lowStock = !updated.lowStockAlertedAt;
+    if (lowStock && alert) await alertLowStock([updated]);
+  } else if (updated.lowStockAlertedAt) {
+    await Part.updateOne({ _id: updated._id }, { $unset: { lowStockAlertedAt: 1 } });
+  }
+
+  return { movement, part: updated, lowStock };
+};
+
+const listMovements = (garageId, { part, type, from, to } = {}) => {
+  const query = { garage: garageId };
+  if (part) query.part = part;
+  if (type) query.type = type;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return StockMovement.find(query)
+    .populate('part', 'sku name')
+    .populate('performedBy', 'name')
+    .sort('-createdAt');
+};
+
+// ============================================================================
+// WORK ORDERS
+// ============================================================================
+
+/**
+ * Fill a line item that takes a stocked part: name, SKU and sale price
+ * come from the inventory unless the garage set them
+ */
+const applyPartDefaults = async (garageId, fields) => {
+  if (!fields.part) return fields;
+
+  const part = await getPart(garageId, fields.part);
+  if (!part.isActive) throw createError(400, `${part.name} is no longer stocked`);
+
+  return {
+    ...fields,
+    kind: 'part',
+    description: fields.description || part.name,
+    partNumber: fields.partNumber || part.sku,
+    unitPrice: fields.unitPrice ?? part.salePrice
+  };
+};
+
+/**
+ * Take the stocked parts of a finished job out of inventory. If any part
+ * runs short, what was already taken is put back and nothing changes.
+ * @param {Object} workOrder - Work order about to be completed
+ * @param {Object} user - Who completed it
+ * @returns {Array} Movements recorded
+ */
+const consumeWorkOrderParts = async (workOrder, user) => {
+  const items = workOrder.lineItems.filter(item =>
+    item.part && item.quantity > 0 && ['not_required', 'approved'].includes(item.approval.status)
+  );
+
+  const done = [];
+  const low = [];
+  try {
+    for (const item of items) {
+      const part = await getPart(workOrder.garage, item.part);
+      const { movement, part: updated, lowStock } = await recordMovement(part, {
+        type: 'consumption',
+        quantity: item.quantity,
+        booking: workOrder.booking,
+        workOrder: workOrder._id,
+        reason: item.description
+      }, user, { alert: false });
+
+      done.push({ movement, part });
+      if (lowStock) low.push(updated);
+    }
+  } catch (error) {
+    for (const { movement, part } of done) {
+      await recordMovement(part, {
+        type: 'return',
+        quantity: -movement.quantity,
+        workOrder: workOrder._id,
+        reason: 'Work order could not be completed'
+      }, user, { alert: false });
+    }
+    throw error;
+  }
+
+  await alertLowStock(low);
+  return done.map(({ movement }) => movement);
+};
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Stock on hand valued at cost and at sale price
+ * @returns {Object} { totals, byBrand, parts }
+ */
+const getStockValuation = async (garageId) => {
+  const parts = await Part.find({ garage: garageId, isActive: true }).sort('name').lean();
+
+  const rows = parts.map(part => ({
+    part: part._id,
+    sku: part.sku,
+    name: part.name,
+    brand: part.brand || null,
+    quantityOnHand: part.quantityOnHand,
+    costPrice: part.costPrice,
+    salePrice: part.salePrice,
+    costValue: roundMoney(part.quantityOnHand * part.costPrice),
+    retailValue: roundMoney(part.quantityOnHand * part.salePrice),
+    isLowStock: part.quantityOnHand <= part.reorderLevel
+  }));
+
+  const byBrand = {};
+  rows.forEach(row => {
+    const key = row.brand || 'Unbranded';
+    byBrand[key] = byBrand[key] || { brand: key, costValue: 0, retailValue: 0 };
+    byBrand[key].costValue = roundMoney(byBrand[key].costValue + row.costValue);
+    byBrand[key].retailValue = roundMoney(byBrand[key].retailValue + row.retailValue);
+  });
+
+  const costValue = roundMoney(rows.reduce((sum, row) => sum + row.costValue, 0));
+  const retailValue = roundMoney(rows.reduce((sum, row) => sum + row.retailValue, 0));
+
+  return {
+    totals: {
+      parts: rows.length,
+      units: rows.reduce((sum, row) => sum + row.quantityOnHand, 0),
+      costValue,
+      retailValue,
+      potentialMargin: roundMoney(retailValue - costValue),
+      lowStockParts: rows.filter(row => row.isLowStock).length
+    },
+    byBrand: Object.values(byBrand).sort((a, b) => b.costValue - a.costValue),
+    parts: rows
+  };
+};
+
+module.exports = {
+  getPart,
+  createPart,
+  updatePart,
+  listParts,
+  recordMovement,
+  listMovements,
+  alertLowStock,
+  applyPartDefaults,
+  consumeWorkOrderParts,
+  getStockValuation
+};
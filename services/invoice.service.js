@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Garage = require('../models/garage');
+const User = require('../models/User');
+const { can, hasPermission } = require('./permission.service');
+const { canStaffAct } = require('./staff.service');
+const { notifyUser } = require('./notification.service');
+const { clientUrl } = require('./mail');
+const { createError } = require('../utils/errors');
+const { createPdf } = require('../utils/pdf');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Payment states in which a booking has been paid at some point
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// VAT charged by garages registered for it, i.e. with a tax ID on file
+const getVatRate = () => {
+  const rate = parseFloat(process.env.INVOICE_VAT_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : 15;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value) => `${(value ?? 0).toFixed(2)} ETB`;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Take the next number in a garage's sequence. The counter is incremented
+ * atomically, so concurrent invoices never share a number.
+ */
+const nextNumber = async (garageId, kind) => {
+  const garage = await Garage.findOneAndUpdate(
+    { _id: garageId },
+    { $inc: { [`invoiceCounters.${kind}`]: 1 } },
+    { new: true, projection: { [`invoiceCounters.${kind}`]: 1 } }
+  );
+  if (!garage) throw createError(404, 'Garage not found');
+
+  return `${NUMBER_PREFIXES[kind]}-${String(garage.invoiceCounters[kind]).padStart(6, '0')}`;
+};
+
+/**
+ * Tax lines for tax-inclusive lines: VAT is backed out of the total when
+ * the garage has a tax ID, otherwise there is none
+ * @returns {Object} { subtotal, taxLines, total }
+ */
+const computeTotals = (lines, taxId) => {
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const rate = taxId ? getVatRate() : 0;
+  if (!rate) return { subtotal: total, taxLines: [], total };
+
+  const subtotal = roundMoney(total / (1 + rate / 100));
+  return {
+    subtotal,
+    taxLines: [{ name: `VAT ${rate}%`, rate, taxableAmount: subtotal, amount: roundMoney(total - subtotal) }],
+    total
+  };
+};
+
+/**
+ * Lines from the booked services, plus the difference when the final price
+ * was changed afterwards (e.g. extra work approved on a work order)
+ */
+const bookingLines = (booking) => {
+  const lines = booking.services.map(service => ({
+    description: service.name,
+    quantity: 1,
+    unitPrice: service.price,
+    amount: service.price
+  }));
+
+  const difference = roundMoney(booking.totalPrice - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (difference !== 0) {
+    lines.push({
+      description: difference > 0 ? 'Additional approved work' : 'Adjustment',
+      quantity: 1,
+      unitPrice: difference,
+      amount: difference
+    });
+  }
+
+  return lines;
+};
+
+const describeVehicle = (snapshot) => {
+  const name = [snapshot?.year, snapshot?.make, snapshot?.model].filter(Boolean).join(' ');
+  return [name, snapshot?.plateNumber].filter(Boolean).join(', ') || undefined;
+};
+
+/**
+ * Who the documents for a booking are from and to, as of now
+ */
+const getParties = async (booking) => {
+  const garage = await Garage.findById(booking.garage._id || booking.garage).select('name address formattedAddress owner');
+  if (!garage) throw createError(404, 'Garage not found');
+
+  const [owner, customer] = await Promise.all([
+    User.findById(garage.owner).select('name email phone garageInfo.businessName garageInfo.businessRegNumber garageInfo.taxId'),
+    User.findById(booking.user._id || booking.user).select('name email phone isPhoneVerified preferences')
+  ]);
+
+  const address = garage.formattedAddress ||
+    [garage.address?.street, garage.address?.city, garage.address?.country].filter(Boolean).join(', ');
+
+  return {
+    garage,
+    customer,
+    seller: {
+      name: garage.name,
+      businessName: owner?.garageInfo?.businessName,
+      registrationNumber: owner?.garageInfo?.businessRegNumber,
+      taxId: owner?.garageInfo?.taxId,
+      address,
+      phone: owner?.phone,
+      email: owner?.email
+    },
+    buyer: {
+      name: customer?.name,
+      email: customer?.email,
+      phone: customer?.phone
+    }
+  };
+};
+
+// ============================================================================
+// ISSUING
+// ============================================================================
+
+/**
+ * Issue a credit note for every refund on an invoiced booking that does
+ * not have one yet
+ * @param {Object} booking - Booking document
+ * @returns {Array} Credit notes issued now
+ */
+const creditRefunds = async (booking) => {
+  const invoice = await Invoice.findOne({ booking: booking._id, kind: 'invoice' });
+  if (!invoice) return [];
+
+  const issued = [];
+  for (const refund of booking.payment.refunds) {
+    if (await Invoice.exists({ refund: refund._id, kind: 'credit_note' })) continue;
+
+    const lines = [{
+      description: `Refund against ${invoice.number}${refund.reason ? `: ${refund.reason}` : ''}`,
+      quantity: 1,
+      unitPrice: refund.amount,
+      amount: refund.amount
+    }];
+
+    const creditNote = await Invoice.create({
+      kind: 'credit_note',
+      number: await nextNumber(invoice.garage, 'credit_note'),
+      garage: invoice.garage,
+      booking: booking._id,
+      customer: invoice.customer,
+      invoice: invoice._id,
+      refund: refund._id,
+      reason: refund.reason,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      vehicle: invoice.vehicle,
+      serviceDate: invoice.serviceDate,
+      lines,
+      ...computeTotals(lines, invoice.seller?.taxId),
+      payment: { reference: refund.reference, paidAt: refund.refundedAt, amountPaid: refund.amount },
+      issuedAt: refund.refundedAt
+    });
+    issued.push(creditNote);
+  }
+
+  return issued;
+};
+
+/**
+ * Issue the invoice for a booking once it is both completed and paid,
+ * whichever happens last. Safe to call more than once.
+ * @param {Object} booking - Booking document
+ * @returns {Object|null} The invoice, or null while the booking is not due one
+ */
+const issueBookingInvoice = async (booking) => {
+  if (booking.status !== 'completed' || !PAID_STATUSES.includes(booking.payment.status)) return null;
+
+  let invoice = await Invoice.findOne({ booking: booking._id, kind: 'invoice' });
+  if (!invoice) {
+    const { customer, seller, buyer } = await getParties(booking);
+    const lines = bookingLines(booking);
+
+    invoice = await Invoice.create({
+      kind: 'invoice',
+      number: await nextNumber(booking.garage._id || booking.garage, 'invoice'),
+      garage: booking.garage._id || booking.garage,
+      booking: booking._id,
+      customer: booking.user._id || booking.user,
+      seller,
+      buyer,
+      vehicle: describeVehicle(booking.vehicleSnapshot),
+      serviceDate: booking.completedAt || booking.appointmentDate,
+      lines,
+      ...computeTotals(lines, seller.taxId),
+      payment: {
+        method: booking.payment.method,
+        reference: booking.payment.chapaReference || booking.payment.tx_ref,
+        paidAt: booking.payment.paidAt,
+        amountPaid: booking.payment.amountPaid ?? booking.totalPrice
+      }
+    });
+
+    if (customer) {
+      const invoiceUrl = clientUrl(`/invoices/${invoice._id}`);
+      await notifyUser(customer, {
+        template: 'invoiceIssued',
+        data: {
+          name: customer.name,
+          garageName: seller.name,
+          number: invoice.number,
+          total: invoice.total,
+          invoiceUrl
+        },
+        sms: `${seller.name}: invoice ${invoice.number} for ${invoice.total} ETB is ready. ${invoiceUrl}`
+      });
+    }
+  }
+
+  await creditRefunds(booking);
+  return invoice;
+};
+
+// ============================================================================
+// ACCESS
+// ============================================================================
+
+const getInvoice = async (invoiceId) => {
+  const invoice = mongoose.isValidObjectId(invoiceId) && await Invoice.findById(invoiceId);
+  if (!invoice) throw createError(404, 'Invoice not found');
+  return invoice;
+};
+
+/**
+ * Whether the user may see a garage's invoices: its owner, a manager or
+ * receptionist, or an admin with access to payments
+ */
+const canViewGarageInvoices = async (user, garage) =>
+  (await can(user, 'garage:reports', garage)) ||
+  (await hasPermission(user, 'payment:read')) ||
+  canStaffAct(user, garage, 'view_invoices');
+
+/**
+ * The customer it was issued to, or someone who may see the garage's invoices
+ */
+const canViewInvoice = async (user, invoice) => {
+  if (invoice.customer.toString() === user._id.toString()) return true;
+
+  const garage = await Garage.findById(invoice.garage).select('owner');
+  return !!garage && canViewGarageInvoices(user, garage);
+};
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice) => {
+  const pdf = createPdf();
+  const left = 50;
+  const right = pdf.width - 50;
+  const isCredit = invoice.kind === 'credit_note';
+  let y = 60;
+
+  pdf.text(left, y, isCredit ? 'CREDIT NOTE' : 'INVOICE', { size: 20, bold: true });
+  pdf.text(right, y, invoice.number, { size: 12, bold: true, align: 'right' });
+  y += 18;
+  pdf.text(right, y, `Issued ${invoice.issuedAt.toISOString().slice(0, 10)}`, { align: 'right' });
+  if (invoice.serviceDate) {
+    pdf.text(right, y + 14, `Service date ${invoice.serviceDate.toISOString().slice(0, 10)}`, { align: 'right' });
+  }
+
+  // Seller and buyer
+  y += 36;
+  const seller = invoice.seller || {};
+  const buyer = invoice.buyer || {};
+  const sellerLines = [
+    seller.businessName && seller.businessName !== seller.name ? seller.businessName : null,
+    seller.address,
+    seller.phone,
+    seller.email,
+    seller.registrationNumber && `Reg. no. ${seller.registrationNumber}`,
+    seller.taxId ? `TIN ${seller.taxId}` : 'Not registered for VAT'
+  ].filter(Boolean);
+  const buyerLines = [buyer.email, buyer.phone, invoice.vehicle && `Vehicle: ${invoice.vehicle}`].filter(Boolean);
+
+  pdf.text(left, y, 'From', { bold: true }).text(320, y, 'Bill to', { bold: true });
+  pdf.text(left, y + 14, seller.name, { bold: true }).text(320, y + 14, buyer.name || 'Customer', { bold: true });
+  sellerLines.forEach((line, index) => pdf.text(left, y + 28 + index * 13, line, { size: 9 }));
+  buyerLines.forEach((line, index) => pdf.text(320, y + 28 + index * 13, line, { size: 9 }));
+  y += 40 + Math.max(sellerLines.length, buyerLines.length) * 13;
+
+  if (isCredit && invoice.reason) {
+    pdf.text(left, y, `Reason: ${invoice.reason}`, { size: 9 });
+    y += 18;
+  }
+
+  // Lines
+  y += 10;
+  pdf.text(left, y, 'Description', { bold: true });
+  pdf.text(370, y, 'Qty', { bold: true, align: 'right' });
+  pdf.text(450, y, 'Unit price', { bold: true, align: 'right' });
+  pdf.text(right, y, 'Amount', { bold: true, align: 'right' });
+  pdf.line(left, y + 6, right, y + 6);
+  y += 22;
+
+  invoice.lines.forEach(line => {
+    if (y > pdf.height - 160) {
+      pdf.addPage();
+      y = 60;
+    }
+    pdf.text(left, y, line.description.length > 55 ? `${line.description.slice(0, 54)}...` : line.description);
+    pdf.text(370, y, String(line.quantity), { align: 'right' });
+    pdf.text(450, y, formatMoney(line.unitPrice), { align: 'right' });
+    pdf.text(right, y, formatMoney(line.amount), { align: 'right' });
+    y += 18;
+  });
+
+  // Totals
+  pdf.line(320, y - 6, right, y - 6);
+  y += 8;
+  const totalRow = (label, value, bold = false) => {
+    pdf.text(450, y, label, { bold, align: 'right' });
+    pdf.text(right, y, value, { bold, align: 'right' });
+    y += 16;
+  };
+
+  totalRow('Subtotal', formatMoney(invoice.subtotal));
+  invoice.taxLines.forEach(tax => totalRow(tax.name, formatMoney(tax.amount)));
+  totalRow(isCredit ? 'Total credited' : 'Total', formatMoney(invoice.total), true);
+
+  if (!isCredit && invoice.payment?.amountPaid !== undefined) {
+    totalRow('Paid', formatMoney(invoice.payment.amountPaid));
+    totalRow('Balance due', formatMoney(Math.max(0, roundMoney(invoice.total - invoice.payment.amountPaid))), true);
+  }
+
+  y += 20;
+  pdf.text(left, y, 'Prices include VAT where shown.', { size: 8 });
+  if (invoice.payment?.reference) {
+    pdf.text(left, y + 12, `${isCredit ? 'Refund' : 'Payment'} reference: ${invoice.payment.reference}`, { size: 8 });
+  }
+
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  getVatRate,
+  computeTotals,
+  issueBookingInvoice,
+  creditRefunds,
+  getInvoice,
+  canViewGarageInvoices,
+  canViewInvoice,
+  renderInvoicePdf
+};
@@ -0,0 +1,37 @@
+const Transaction = require('../models/Transaction');
+const { getPaymentProvider } = require('./payment');
+
+/**
+ * Ledger fields shared by every entry for a booking or subscription payment
+ * @param {Object} target - { type: 'booking', booking } or { type: 'subscription', user }
+ */
+const ledgerFields = (target) => {
+  if (target.type === 'booking') {
+    const { booking } = target;
+    return { type: 'booking', user: booking.user, booking: booking._id, garage: booking.garage?._id || booking.garage, amount: booking.totalPrice };
+  }
+  const { user } = target;
+  return { type: 'subscription', user: user._id, plan: user.garageInfo?.renewalPlan || user.garageInfo?.paymentPlan, amount: user.garageInfo?.paymentAmount };
+};
+
+const toLedgerStatus = (status) => (['success', 'failed'].includes(status) ? status : 'pending');
+
+/**
+ * Write a ledger entry for a payment target. Undefined fields fall back to
+ * the target's defaults (e.g. amount defaults to the booking total).
+ * @param {Object} target - Payment target
+ * @param {Object} entry - { entry, tx_ref, status, ...extra ledger fields }
+ */
+const recordTransaction = (target, { entry, tx_ref, status, ...fields }) => {
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return Transaction.record({
+    ...ledgerFields(target),
+    entry,
+    tx_ref,
+    status: toLedgerStatus(status),
+    provider: getPaymentProvider().name,
+    ...fields
+  });
+};
+
+module.exports = { recordTransaction };
@@ -0,0 +1,23 @@
+// ============================================================================
+// CONSOLE TRANSPORT
+// ============================================================================
+
+// Prints messages instead of sending them. Default for local development.
+
+const send = async (message) => {
+  const messageId = `console-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  console.log('\n📧 ===== OUTGOING EMAIL =====');
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('📧 ==========================\n');
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
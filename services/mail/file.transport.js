@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// ============================================================================
+// FILE TRANSPORT
+// ============================================================================
+
+// Writes each message as an .eml file (MAIL_FILE_DIR, defaults to ./tmp/mail)
+// so it can be opened in a mail client during development.
+
+const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const getOutputDir = () => path.resolve(process.env.MAIL_FILE_DIR || path.join('tmp', 'mail'));
+
+const send = async (message, { template = 'message' } = {}) => {
+  const info = await mailer.sendMail(message);
+
+  const dir = getOutputDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const slug = `${Date.now()}-${template.replace(/[^a-z0-9-]/gi, '-')}`;
+  const file = path.join(dir, `${slug}.eml`);
+  await fs.writeFile(file, info.message);
+
+  console.log(`📧 Email to ${message.to} written to ${file}`);
+  return { messageId: info.messageId, file };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,73 @@
+const consoleTransport = require('./console.transport');
+const fileTransport = require('./file.transport');
+const smtpTransport = require('./smtp.transport');
+const templates = require('./templates');
+
+/*
+ * Mail transports implement:
+ *   name
+ *   send({ from, to, subject, text, html }, { template }) -> { messageId }
+ */
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+/**
+ * Get the configured transport (MAIL_TRANSPORT, defaults to console)
+ */
+const getMailTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+/**
+ * Link into the web client, e.g. clientUrl('/reset-password', { token })
+ */
+const clientUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Render a template and send it
+ * @param {String} template - Key in templates.js
+ * @param {String} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Object} { messageId }
+ */
+const sendMail = async (template, to, data = {}) => {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template: ${template}`);
+
+  const { subject, text, html } = render(data);
+  const message = {
+    from: process.env.MAIL_FROM || 'SmartGarage <no-reply@smartgarage.local>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getMailTransport().send(message, { template });
+};
+
+/**
+ * Send a notification without letting a mail failure break the caller
+ * @returns {Boolean} Whether the message was sent
+ */
+const notify = async (template, to, data) => {
+  try {
+    await sendMail(template, to, data);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send ${template} email to ${to}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = { getMailTransport, clientUrl, sendMail, notify };
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+// ============================================================================
+// SMTP TRANSPORT
+// ============================================================================
+
+// Works with a real relay or a local test server such as MailHog
+// (SMTP_HOST=localhost SMTP_PORT=1025, no credentials).
+
+let mailer;
+
+const getMailer = () => {
+  if (mailer) return mailer;
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const auth = process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined;
+
+  mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth,
+    // Local test servers usually do not speak TLS
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+  });
+
+  return mailer;
+};
+
+const send = async (message) => {
+  const info = await getMailer().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
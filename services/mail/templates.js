@@ -0,0 +1,243 @@
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+// Each template takes the data passed to sendMail and returns
+// { subject, text, html }. Keep text and html saying the same thing.
+
+const { escapeHtml } = require('../../utils/html');
+
+// Read when a message is rendered, after the environment has loaded
+const getAppName = () => process.env.APP_NAME || 'SmartGarage';
+
+const formatDate = (date) => new Date(date).toLocaleString('en-GB', {
+  dateStyle: 'full',
+  timeStyle: 'short'
+});
+
+/**
+ * Wrap paragraphs (and an optional call to action) in the shared layout
+ */
+const layout = ({ greeting, paragraphs, action, footer }) => {
+  const text = [
+    greeting,
+    '',
+    ...paragraphs.flatMap(p => [p, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    ...(footer ? [footer, ''] : []),
+    `— The ${getAppName()} team`
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="background: #1a73e8; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(action.label)}</a></p>` : ''}
+    ${footer ? `<p style="color: #666; font-size: 13px;">${escapeHtml(footer)}</p>` : ''}
+    <p>— The ${escapeHtml(getAppName())} team</p>
+  </body>
+</html>`;
+
+  return { text, html };
+};
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 10 }) => ({
+    subject: `Reset your ${getAppName()} password`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: ['We received a request to reset your password. Use the link below to choose a new one.'],
+      action: { label: 'Reset password', url: resetUrl },
+      footer: `This link expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email.`
+    })
+  }),
+
+  emailVerification: ({ name, verifyUrl, expiresInHours = 24 }) => ({
+    subject: `Confirm your email for ${getAppName()}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: ['Please confirm this is your email address.'],
+      action: { label: 'Verify email', url: verifyUrl },
+      footer: `This link expires in ${expiresInHours} hours.`
+    })
+  }),
+
+  bookingConfirmed: ({ name, garageName, appointmentDate, services = [], totalPrice }) => ({
+    subject: `Your booking at ${garageName} is confirmed`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `${garageName} has confirmed your appointment on ${formatDate(appointmentDate)}.`,
+        `Services: ${services.map(s => s.name).join(', ') || 'as booked'}.`,
+        `Total: ${totalPrice} ETB.`
+      ]
+    })
+  }),
+
+  bookingCancelled: ({ name, garageName, appointmentDate, reason, refundAmount }) => ({
+    subject: `Your booking at ${garageName} was cancelled`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Your appointment on ${formatDate(appointmentDate)} has been cancelled.`,
+        ...(reason ? [`Reason: ${reason}`] : []),
+        ...(refundAmount ? [`A refund of ${refundAmount} ETB is on its way to your original payment method.`] : [])
+      ]
+    })
+  }),
+
+  garageApproved: ({ name, businessName, approvalNumber, dashboardUrl }) => ({
+    subject: `${businessName} is approved on ${getAppName()}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Good news: ${businessName} has been approved and is now visible to customers.`,
+        ...(approvalNumber ? [`Approval number: ${approvalNumber}`] : [])
+      ],
+      action: dashboardUrl ? { label: 'Open your dashboard', url: dashboardUrl } : null
+    })
+  }),
+
+  garageRejected: ({ name, businessName, reason }) => ({
+    subject: `Update on your ${getAppName()} application`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Unfortunately we could not approve ${businessName} at this time.`,
+        `Reason: ${reason}`,
+        'You can reply to this email or contact support if you have questions.'
+      ]
+    })
+  }),
+
+  staffInvitation: ({ name, garageName, role, invitedByName, acceptUrl, expiresInDays = 7 }) => ({
+    subject: `You're invited to join ${garageName} on ${getAppName()}`,
+    ...layout({
+      greeting: name ? `Hi ${name},` : 'Hi,',
+      paragraphs: [
+        `${invitedByName} has invited you to join ${garageName} as a ${role}.`,
+        'Accept the invitation to sign in with your own account instead of a shared password.'
+      ],
+      action: { label: 'Accept invitation', url: acceptUrl },
+      footer: `This invitation expires in ${expiresInDays} days.`
+    })
+  }),
+
+  quoteRequested: ({ name, garageName, customerName, vehicleName, description, photoCount, expiresAt, quoteUrl }) => ({
+    subject: `${customerName} is asking ${garageName} for a quote`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `${customerName} would like a price for work on ${vehicleName}:`,
+        description,
+        photoCount ? `They attached ${photoCount} photo${photoCount === 1 ? '' : 's'}.` : null,
+        `Send an itemised quote by ${expiresAt}. Other garages may have been asked too.`
+      ].filter(Boolean),
+      action: { label: 'Send a quote', url: quoteUrl }
+    })
+  }),
+
+  quoteReceived: ({ name, garageName, totalPrice, validUntil, revised, reviewUrl }) => ({
+    subject: `${garageName} ${revised ? 'updated its quote' : 'sent you a quote'}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `${garageName} ${revised ? 'updated its quote' : 'quoted'} ${totalPrice} ETB for your request.`,
+        `The quote is valid until ${validUntil}. Accept it to book at these prices.`
+      ],
+      action: { label: 'Review the quote', url: reviewUrl }
+    })
+  }),
+
+  invoiceIssued: ({ name, garageName, number, total, invoiceUrl }) => ({
+    subject: `Your invoice ${number} from ${garageName}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Thanks for choosing ${garageName}. Invoice ${number} for ${total} ETB is ready.`,
+        'You can download it as a PDF at any time.'
+      ],
+      action: { label: 'View invoice', url: invoiceUrl }
+    })
+  }),
+
+  payoutStatement: ({ name, net, gross, commission, entryCount, periodEnd, statementUrl }) => ({
+    subject: `Your payout statement: ${net} ETB`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Your statement for the cycle ending ${periodEnd} is ready.`,
+        `${entryCount} payment${entryCount === 1 ? '' : 's'} and refunds: ${gross} ETB, less ${commission} ETB commission.`,
+        `We will pay out ${net} ETB and let you know the transfer reference.`
+      ],
+      action: { label: 'View statement', url: statementUrl }
+    })
+  }),
+
+  payoutSettled: ({ name, net, reference }) => ({
+    subject: `Your payout of ${net} ETB has been sent`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `We have sent your payout of ${net} ETB.`,
+        `Transfer reference: ${reference}`
+      ]
+    })
+  }),
+
+  workOrderApproval: ({ name, garageName, items = [], total, approveUrl }) => ({
+    subject: `${garageName} needs your approval for extra work`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `While working on your vehicle, ${garageName} found more that needs doing:`,
+        ...items.map(item => `${item.description}: ${item.amount} ETB`),
+        `Extra total: ${total} ETB. Nothing extra is charged unless you approve it.`
+      ],
+      action: { label: 'Review and approve', url: approveUrl }
+    })
+  }),
+
+  lowStock: ({ name, garageName, parts = [], inventoryUrl }) => ({
+    subject: `${garageName}: ${parts.length} part${parts.length === 1 ? '' : 's'} running low`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `These parts at ${garageName} are at or below their reorder level:`,
+        ...parts.map(part => `${part.name} (${part.sku}): ${part.quantityOnHand} ${part.unit} left, reorder at ${part.reorderLevel}`)
+      ],
+      action: { label: 'View inventory', url: inventoryUrl },
+      footer: 'You will hear about each part again only after it has been restocked.'
+    })
+  }),
+
+  maintenanceReminder: ({ name, vehicleName, ruleName, overdue, due, garageName, rebookUrl }) => ({
+    subject: `${ruleName} ${overdue ? 'overdue' : 'due soon'} for your ${vehicleName}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `${ruleName} for your ${vehicleName} ${overdue ? 'was due' : 'is due'} ${due}, based on its service history.`,
+        garageName
+          ? `Book again with ${garageName}, who did the last job. Your vehicle and the same services are already picked.`
+          : 'Find a garage near you and book in a few clicks.'
+      ],
+      action: { label: garageName ? `Book with ${garageName}` : 'Find a garage', url: rebookUrl },
+      footer: 'You can turn these reminders off in your notification preferences.'
+    })
+  }),
+
+  subscriptionRenewal: ({ name, planName, expiresAt, daysLeft, renewUrl }) => ({
+    subject: `Your ${getAppName()} plan expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+    ...layout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Your ${planName} plan expires on ${formatDate(expiresAt)}.`,
+        'Renew now to keep your garage listed. Renewing early adds the new period on top of the time you have left.'
+      ],
+      action: renewUrl ? { label: 'Renew plan', url: renewUrl } : null
+    })
+  })
+};
+
+module.exports = templates;
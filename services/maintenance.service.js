@@ -0,0 +1,267 @@
+const ReminderRule = require('../models/ReminderRule');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const ServiceRecord = require('../models/ServiceRecord');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const { clientUrl } = require('./mail');
+const { notifyUser, canNotify } = require('./notification.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DEFAULT RULES
+// ============================================================================
+
+// Seeded into an empty database on startup. After that, admins own the
+// rules and these values are never re-applied.
+const DEFAULT_RULES = [
+  {
+    code: 'oil_change',
+    name: 'Oil change',
+    matchTerms: ['oil change', 'oil service', 'oil and filter'],
+    intervalDays: 180,
+    intervalKm: 5000,
+    leadDays: 14,
+    leadKm: 500,
+    excludeFuelTypes: ['electric'],
+    sortOrder: 1
+  },
+  {
+    code: 'brake_check',
+    name: 'Brake check',
+    matchTerms: ['brake'],
+    intervalDays: 365,
+    intervalKm: 20000,
+    leadDays: 21,
+    leadKm: 1000,
+    sortOrder: 2
+  },
+  {
+    code: 'insurance_renewal',
+    name: 'Insurance renewal',
+    description: 'Counted from the last insurance renewal logged in the service history',
+    matchTerms: ['insurance'],
+    intervalDays: 365,
+    leadDays: 30,
+    sortOrder: 3
+  }
+];
+
+/**
+ * Insert any default rule that does not exist yet
+ */
+const seedReminderRules = async () => {
+  await Promise.all(DEFAULT_RULES.map(rule =>
+    ReminderRule.updateOne({ code: rule.code }, { $setOnInsert: rule }, { upsert: true })
+  ));
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Whether a service record covers the rule: a work item tagged with the
+ * rule code, or described with one of its terms
+ */
+const recordMatchesRule = (record, rule) => record.workPerformed.some(item =>
+  item.category === rule.code ||
+  rule.matchTerms.some(term => item.description?.toLowerCase().includes(term))
+);
+
+/**
+ * Where a vehicle stands for one rule
+ * @param {Object} rule - Reminder rule
+ * @param {Object} vehicle - Vehicle with current mileage
+ * @param {Array} records - The vehicle's records, newest first
+ * @param {Date} at - Evaluation time
+ * @returns {Object} { status, lastService, dueAt, dueMileage, reason }
+ *   status is one of not_applicable, unknown (never serviced), ok,
+ *   due_soon (within the lead) or overdue
+ */
+const evaluateRule = (rule, vehicle, records, at = new Date()) => {
+  if (vehicle.fuelType && rule.excludeFuelTypes?.includes(vehicle.fuelType)) {
+    return { status: 'not_applicable' };
+  }
+
+  const lastService = records.find(record => recordMatchesRule(record, rule));
+  if (!lastService) return { status: 'unknown' };
+
+  const dueAt = rule.intervalDays
+    ? new Date(new Date(lastService.performedAt).getTime() + rule.intervalDays * DAY)
+    : null;
+  const dueMileage = rule.intervalKm && typeof lastService.mileage === 'number'
+    ? lastService.mileage + rule.intervalKm
+    : null;
+  const mileage = typeof vehicle.mileage === 'number' ? vehicle.mileage : null;
+
+  const overdueByTime = dueAt && at >= dueAt;
+  const overdueByMileage = dueMileage !== null && mileage !== null && mileage >= dueMileage;
+  const soonByTime = dueAt && at >= new Date(dueAt.getTime() - (rule.leadDays || 0) * DAY);
+  const soonByMileage = dueMileage !== null && mileage !== null && mileage >= dueMileage - (rule.leadKm || 0);
+
+  let status = 'ok';
+  let reason = null;
+  if (overdueByTime || overdueByMileage) {
+    status = 'overdue';
+    reason = overdueByMileage ? 'mileage' : 'time';
+  } else if (soonByTime || soonByMileage) {
+    status = 'due_soon';
+    reason = soonByMileage ? 'mileage' : 'time';
+  }
+
+  return { status, lastService, dueAt, dueMileage, reason };
+};
+
+/**
+ * Link that opens the booking form at the garage that did the last job,
+ * with the vehicle and the same services picked. Falls back to garage
+ * search when that garage is gone or the work was done elsewhere.
+ */
+const buildRebookLink = async (vehicle, lastService) => {
+  const garage = lastService.garage && await Garage.findOne({
+    _id: lastService.garage,
+    isDeleted: false,
+    isActive: true
+  }).select('name services');
+
+  if (!garage) {
+    return { url: clientUrl('/garages', { vehicle: vehicle._id.toString() }), garage: null };
+  }
+
+  const booking = lastService.booking && await Booking.findById(lastService.booking).select('services');
+  const activeIds = garage.services.filter(service => service.isActive).map(service => service._id.toString());
+  const serviceIds = (booking?.services || [])
+    .map(service => service.serviceId?.toString())
+    .filter(id => id && activeIds.includes(id));
+
+  const query = { vehicle: vehicle._id.toString() };
+  if (serviceIds.length) query.services = serviceIds.join(',');
+
+  return {
+    url: clientUrl(`/garages/${garage._id}/book`, query),
+    garage: { _id: garage._id, name: garage.name }
+  };
+};
+
+/**
+ * Every active rule evaluated for one vehicle, for the vehicle page
+ */
+const getVehicleReminders = async (vehicle, at = new Date()) => {
+  const [rules, records] = await Promise.all([
+    ReminderRule.findActive(),
+    ServiceRecord.find({ vehicle: vehicle._id, isDeleted: false }).sort({ performedAt: -1 }).lean()
+  ]);
+
+  return Promise.all(rules.map(async (rule) => {
+    const { status, lastService, dueAt, dueMileage, reason } = evaluateRule(rule, vehicle, records, at);
+    const rebook = ['due_soon', 'overdue'].includes(status) ? await buildRebookLink(vehicle, lastService) : null;
+
+    return {
+      rule: rule.code,
+      name: rule.name,
+      status,
+      reason,
+      dueAt: dueAt || null,
+      dueMileage: dueMileage ?? null,
+      lastServiceAt: lastService?.performedAt || null,
+      lastServiceRecord: lastService?._id || null,
+      rebookUrl: rebook?.url || null
+    };
+  }));
+};
+
+// ============================================================================
+// SCHEDULED REMINDERS
+// ============================================================================
+
+const formatDue = ({ reason, dueAt, dueMileage }) => (reason === 'mileage'
+  ? `at ${dueMileage} km`
+  : `on ${dueAt.toISOString().slice(0, 10)}`);
+
+/**
+ * Send a reminder for every rule that has come due since the vehicle's
+ * last matching service. Each service cycle is reminded about once.
+ * @param {Date} at - Evaluation time
+ * @returns {Object} { reminded, skipped }
+ */
+const sendMaintenanceReminders = async (at = new Date()) => {
+  const rules = await ReminderRule.findActive();
+  if (rules.length === 0) return { reminded: 0, skipped: 0 };
+
+  const vehicleIds = await ServiceRecord.distinct('vehicle', { isDeleted: false });
+  const vehicles = await Vehicle.find({ _id: { $in: vehicleIds }, isDeleted: false })
+    .populate('owner', 'name email phone isPhoneVerified isActive preferences');
+
+  let reminded = 0;
+  let skipped = 0;
+
+  for (const vehicle of vehicles) {
+    const owner = vehicle.owner;
+    if (!owner || owner.isActive === false) continue;
+    if (owner.preferences?.notifications?.maintenanceReminders === false) continue;
+
+    const records = await ServiceRecord.find({ vehicle: vehicle._id, isDeleted: false })
+      .sort({ performedAt: -1 })
+      .lean();
+
+    for (const rule of rules) {
+      const evaluation = evaluateRule(rule, vehicle, records, at);
+      if (!['due_soon', 'overdue'].includes(evaluation.status)) continue;
+
+      const cycle = { vehicle: vehicle._id, rule: rule.code, serviceRecord: evaluation.lastService._id };
+      if (await MaintenanceReminder.exists(cycle)) continue;
+
+      const rebook = await buildRebookLink(vehicle, evaluation.lastService);
+      const vehicleName = vehicle.nickname || vehicle.describe();
+      const due = formatDue(evaluation);
+
+      // Owners with every channel turned off are logged as skipped; failed
+      // deliveries are left unlogged so the next run tries again
+      const deliverable = canNotify(owner);
+      const channels = deliverable
+        ? await notifyUser(owner, {
+          template: 'maintenanceReminder',
+          data: {
+            name: owner.name,
+            vehicleName,
+            ruleName: rule.name,
+            overdue: evaluation.status === 'overdue',
+            due,
+            garageName: rebook.garage?.name,
+            rebookUrl: rebook.url
+          },
+          sms: `${rule.name} for your ${vehicleName} is ${evaluation.status === 'overdue' ? 'overdue' : 'due'} (${due}). Book: ${rebook.url}`
+        })
+        : [];
+      if (deliverable && channels.length === 0) continue;
+
+      await MaintenanceReminder.create({
+        ...cycle,
+        owner: owner._id,
+        status: channels.length ? 'sent' : 'skipped',
+        dueAt: evaluation.dueAt,
+        dueMileage: evaluation.dueMileage,
+        channels,
+        rebookUrl: rebook.url,
+        sentAt: at
+      });
+
+      if (channels.length) reminded++;
+      else skipped++;
+    }
+  }
+
+  return { reminded, skipped };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  seedReminderRules,
+  recordMatchesRule,
+  evaluateRule,
+  buildRebookLink,
+  getVehicleReminders,
+  sendMaintenanceReminders
+};
@@ -0,0 +1,41 @@
+const { notify } = require('./mail');
+const { sendSms } = require('./sms');
+
+/**
+ * Deliver a message over the channels the user has turned on in
+ * preferences.notifications. Texts only go to verified numbers. There is
+ * no push transport yet, so the push preference has no effect.
+ * @param {Object} user - Recipient with email, phone and preferences
+ * @param {Object} message - { template, data } for email, sms for the text body
+ * @returns {Array} Channels the message went out on
+ */
+const notifyUser = async (user, { template, data, sms }) => {
+  const preferences = user.preferences?.notifications || {};
+  const channels = [];
+
+  if (template && user.email && preferences.email !== false) {
+    if (await notify(template, user.email, data)) channels.push('email');
+  }
+
+  if (sms && user.phone && user.isPhoneVerified && preferences.sms !== false) {
+    try {
+      await sendSms(user.phone, sms);
+      channels.push('sms');
+    } catch (error) {
+      console.error(`❌ Failed to send text to ${user.phone}:`, error.message);
+    }
+  }
+
+  return channels;
+};
+
+/**
+ * Whether the user has any channel turned on that we can deliver to
+ */
+const canNotify = (user) => {
+  const preferences = user.preferences?.notifications || {};
+  return (!!user.email && preferences.email !== false) ||
+    (!!user.phone && user.isPhoneVerified && preferences.sms !== false);
+};
+
+module.exports = { notifyUser, canNotify };
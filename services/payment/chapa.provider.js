@@ -0,0 +1,142 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createError } = require('../../utils/errors');
+
+const CHAPA_API_URL = process.env.CHAPA_API_URL || 'https://api.chapa.co/v1';
+const SIGNATURE_HEADERS = ['x-chapa-signature', 'chapa-signature'];
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
+  'Content-Type': 'application/json'
+});
+
+const sign = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+const safeCompare = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Start a hosted checkout
+ * @param {Object} checkout - { amount, currency, email, firstName, lastName, tx_ref, callbackUrl }
+ * @returns {Object} { checkoutUrl, tx_ref }
+ */
+const initialize = async ({ amount, currency, email, firstName, lastName, tx_ref, callbackUrl }) => {
+  const response = await axios.post(
+    `${CHAPA_API_URL}/transaction/initialize`,
+    {
+      amount: amount.toString(),
+      currency,
+      email,
+      first_name: firstName,
+      last_name: lastName,
+      tx_ref,
+      callback_url: callbackUrl
+    },
+    { headers: authHeaders() }
+  );
+
+  if (response.data.status !== 'success') {
+    throw createError(400, response.data.message || 'Payment initialization failed');
+  }
+
+  return { checkoutUrl: response.data.data.checkout_url, tx_ref };
+};
+
+/**
+ * Look up the outcome of a transaction
+ * @returns {Object} { status: 'success' | 'failed' | 'pending', amount, currency, reference, raw }
+ */
+const verify = async (tx_ref) => {
+  const response = await axios.get(`${CHAPA_API_URL}/transaction/verify/${tx_ref}`, { headers: authHeaders() });
+  const data = response.data.data || {};
+
+  let status = 'pending';
+  if (response.data.status === 'success' && data.status === 'success') status = 'success';
+  else if (data.status === 'failed') status = 'failed';
+
+  return {
+    status,
+    amount: data.amount !== undefined ? Number(data.amount) : undefined,
+    currency: data.currency,
+    reference: data.reference,
+    raw: response.data
+  };
+};
+
+/**
+ * Refund a successful transaction, fully or partially
+ * @returns {Object} { status, amount, reference, raw }
+ */
+const refund = async (tx_ref, { amount, reason } = {}) => {
+  const response = await axios.post(
+    `${CHAPA_API_URL}/refund/${tx_ref}`,
+    { reason, amount: amount !== undefined ? amount.toString() : undefined },
+    { headers: authHeaders() }
+  );
+
+  if (response.data.status !== 'success') {
+    throw createError(400, response.data.message || 'Refund failed');
+  }
+
+  return {
+    status: 'success',
+    amount,
+    reference: response.data.data?.refund_reference || response.data.data?.reference,
+    raw: response.data
+  };
+};
+
+/**
+ * Check the HMAC Chapa sends with each webhook against the raw body
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  const secret = process.env.CHAPA_WEBHOOK_SECRET;
+  if (!secret) throw createError(500, 'Webhook secret not configured');
+
+  const expected = sign(rawBody, secret);
+  return SIGNATURE_HEADERS
+    .map(header => headers[header])
+    .filter(Boolean)
+    .some(signature => safeCompare(signature, expected));
+};
+
+/**
+ * Normalise a webhook body into { eventId, event, tx_ref, status, reference, amount }
+ */
+const parseWebhook = (payload, rawBody) => {
+  let tx_ref = null, status = null, event = payload.event, reference = null, amount;
+  if (payload.data && payload.data.tx_ref) { tx_ref = payload.data.tx_ref; status = payload.data.status; reference = payload.data.reference; amount = payload.data.amount; }
+  else if (payload.tx_ref) { tx_ref = payload.tx_ref; status = payload.status; reference = payload.reference; amount = payload.amount; }
+  else if (payload.data && payload.data.merchant) { tx_ref = payload.data.merchant; status = payload.data.status; reference = payload.data.reference; }
+  else if (payload.merchant) { tx_ref = payload.merchant; status = payload.status; reference = payload.reference; }
+
+  if (status === 'completed' || event === 'charge.success') status = 'success';
+  if (event === 'charge.failed') status = 'failed';
+
+  // Chapa events carry no delivery ID, so key them by event + provider reference
+  let eventId;
+  if (payload.id) eventId = String(payload.id);
+  else if (reference || tx_ref) eventId = `${event || status}:${reference || tx_ref}`;
+  else eventId = crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  return {
+    eventId,
+    event,
+    tx_ref,
+    status,
+    reference,
+    amount: amount !== undefined ? Number(amount) : undefined
+  };
+};
+
+module.exports = {
+  name: 'chapa',
+  initialize,
+  verify,
+  refund,
+  verifyWebhookSignature,
+  parseWebhook
+};
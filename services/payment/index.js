@@ -0,0 +1,25 @@
+const chapa = require('./chapa.provider');
+const sandbox = require('./sandbox.provider');
+
+/*
+ * Payment providers implement:
+ *   name
+ *   initialize(checkout)                     -> { checkoutUrl, tx_ref }
+ *   verify(tx_ref)                           -> { status, amount, currency, reference, raw }
+ *   refund(tx_ref, { amount, reason })       -> { status, amount, reference, raw }
+ *   verifyWebhookSignature(rawBody, headers) -> Boolean
+ *   parseWebhook(payload, rawBody)           -> { eventId, event, tx_ref, status, reference, amount }
+ */
+const providers = { chapa, sandbox };
+
+/**
+ * Get the configured payment provider (PAYMENT_PROVIDER, defaults to chapa)
+ */
+const getPaymentProvider = () => {
+  const name = (process.env.PAYMENT_PROVIDER || 'chapa').toLowerCase();
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+module.exports = { getPaymentProvider };
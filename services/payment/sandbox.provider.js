@@ -0,0 +1,143 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createError } = require('../../utils/errors');
+
+/*
+ * In-process payment provider for local development and tests.
+ * Checkouts live in memory; completing one through the sandbox checkout URL
+ * settles it with the requested outcome and delivers a signed webhook to the
+ * callback URL, just like the real gateway would.
+ */
+
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+const transactions = new Map();
+
+const getWebhookSecret = () => process.env.SANDBOX_WEBHOOK_SECRET || 'sandbox-webhook-secret';
+
+const sign = (rawBody) => crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+const randomReference = (prefix) => `${prefix}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+const getTransaction = (tx_ref) => {
+  const transaction = transactions.get(tx_ref);
+  if (!transaction) throw createError(404, 'Sandbox transaction not found');
+  return transaction;
+};
+
+const initialize = async ({ amount, currency, email, firstName, lastName, tx_ref, callbackUrl }) => {
+  transactions.set(tx_ref, {
+    tx_ref,
+    amount: Number(amount),
+    currency,
+    email,
+    firstName,
+    lastName,
+    callbackUrl,
+    status: 'pending',
+    reference: null,
+    refunded: 0,
+    createdAt: new Date()
+  });
+
+  return {
+    checkoutUrl: `${process.env.API_URL || ''}/api/v1/payments/sandbox/checkout/${tx_ref}`,
+    tx_ref
+  };
+};
+
+const verify = async (tx_ref) => {
+  const transaction = getTransaction(tx_ref);
+
+  return {
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    reference: transaction.reference,
+    raw: { ...transaction }
+  };
+};
+
+const refund = async (tx_ref, { amount, reason } = {}) => {
+  const transaction = getTransaction(tx_ref);
+  if (transaction.status !== 'success') throw createError(400, 'Only successful transactions can be refunded');
+
+  const refundAmount = amount !== undefined ? Number(amount) : transaction.amount - transaction.refunded;
+  if (refundAmount <= 0 || transaction.refunded + refundAmount > transaction.amount) {
+    throw createError(400, 'Refund amount exceeds the amount paid');
+  }
+
+  transaction.refunded += refundAmount;
+  const reference = randomReference('SBX-RF');
+
+  return { status: 'success', amount: refundAmount, reference, raw: { reason, refunded: transaction.refunded } };
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature) return false;
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const parseWebhook = (payload) => ({
+  eventId: payload.id,
+  event: payload.event,
+  tx_ref: payload.tx_ref,
+  status: payload.status,
+  reference: payload.reference,
+  amount: payload.amount !== undefined ? Number(payload.amount) : undefined
+});
+
+/**
+ * Settle a sandbox checkout and deliver the webhook for it
+ * @param {String} tx_ref - Transaction reference
+ * @param {String} outcome - 'success' or 'failed'
+ * @returns {Object} The webhook event that was sent
+ */
+const completeCheckout = async (tx_ref, outcome = process.env.SANDBOX_PAYMENT_OUTCOME || 'success') => {
+  if (!['success', 'failed'].includes(outcome)) throw createError(400, 'Outcome must be success or failed');
+
+  const transaction = getTransaction(tx_ref);
+  if (transaction.status !== 'pending') throw createError(400, `Transaction already ${transaction.status}`);
+
+  transaction.status = outcome;
+  transaction.reference = randomReference('SBX');
+
+  const event = {
+    id: randomReference('EVT'),
+    event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+    tx_ref,
+    status: outcome,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    reference: transaction.reference,
+    created_at: new Date().toISOString()
+  };
+
+  if (transaction.callbackUrl && process.env.SANDBOX_WEBHOOKS !== 'false') {
+    const rawBody = JSON.stringify(event);
+    try {
+      await axios.post(transaction.callbackUrl, rawBody, {
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(rawBody) }
+      });
+    } catch (error) {
+      console.error('❌ Sandbox webhook delivery failed:', error.message);
+    }
+  }
+
+  return event;
+};
+
+module.exports = {
+  name: 'sandbox',
+  initialize,
+  verify,
+  refund,
+  verifyWebhookSignature,
+  parseWebhook,
+  completeCheckout,
+  sign
+};
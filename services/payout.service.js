@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const CommissionEntry = require('../models/CommissionEntry');
+const Payout = require('../models/Payout');
+const Garage = require('../models/garage');
+const User = require('../models/User');
+const { notifyUser } = require('./notification.service');
+const { clientUrl } = require('./mail');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_COMMISSION_RATE = 10;
+const DEFAULT_MINIMUM_PAYOUT = 5000;
+
+// Payment states in which a booking has been paid at some point
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const OWNER_FIELDS = 'name email phone isPhoneVerified preferences garageInfo.commissionRate garageInfo.paymentTerms';
+
+/**
+ * End of the next invoice cycle after a date
+ */
+const advanceCycle = (date, cycle) => {
+  if (cycle === 'weekly') return new Date(date.getTime() + 7 * DAY);
+  if (cycle === 'biweekly') return new Date(date.getTime() + 14 * DAY);
+
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+const getTerms = (owner) => {
+  const terms = owner.garageInfo?.paymentTerms || {};
+  return {
+    commissionRate: owner.garageInfo?.commissionRate ?? DEFAULT_COMMISSION_RATE,
+    invoiceCycle: terms.invoiceCycle || 'monthly',
+    minimumPayout: terms.minimumPayout ?? DEFAULT_MINIMUM_PAYOUT,
+    nextPayoutDate: terms.nextPayoutDate || null
+  };
+};
+
+/**
+ * Split an amount the customer paid into the platform's commission and
+ * what the garage is owed
+ */
+const splitCommission = (gross, rate) => {
+  const commission = roundMoney(gross * rate / 100);
+  return { gross: roundMoney(gross), commissionRate: rate, commission, net: roundMoney(gross - commission) };
+};
+
+// ============================================================================
+// COMMISSION
+// ============================================================================
+
+/**
+ * Record what the garage earned on a paid booking, and take back its share
+ * of any refunds. Safe to call more than once.
+ * @param {Object} booking - Booking document
+ * @returns {Array} Entries recorded now
+ */
+const recordBookingCommission = async (booking) => {
+  if (!PAID_STATUSES.includes(booking.payment.status)) return [];
+
+  const garage = await Garage.findById(booking.garage._id || booking.garage).select('owner');
+  const owner = garage && await User.findById(garage.owner).select(OWNER_FIELDS);
+  if (!owner) return [];
+
+  const recorded = [];
+  let earning = await CommissionEntry.findOne({ booking: booking._id, type: 'earning' });
+
+  if (!earning) {
+    const terms = getTerms(owner);
+    earning = await CommissionEntry.create({
+      owner: owner._id,
+      garage: garage._id,
+      booking: booking._id,
+      type: 'earning',
+      ...splitCommission(booking.payment.amountPaid ?? booking.totalPrice, terms.commissionRate)
+    });
+    recorded.push(earning);
+
+    // The first earning starts the owner's invoice cycle
+    if (!terms.nextPayoutDate) {
+      await User.updateOne(
+        { _id: owner._id, 'garageInfo.paymentTerms.nextPayoutDate': null },
+        { 'garageInfo.paymentTerms.nextPayoutDate': advanceCycle(new Date(), terms.invoiceCycle) }
+      );
+    }
+  }
+
+  for (const refund of booking.payment.refunds) {
+    if (await CommissionEntry.exists({ refund: refund._id, type: 'reversal' })) continue;
+
+    recorded.push(await CommissionEntry.create({
+      owner: earning.owner,
+      garage: earning.garage,
+      booking: booking._id,
+      type: 'reversal',
+      refund: refund._id,
+      ...splitCommission(-refund.amount, earning.commissionRate)
+    }));
+  }
+
+  return recorded;
+};
+
+/**
+ * Totals of a set of entries
+ * @returns {Object} { entryCount, gross, commission, net }
+ */
+const sumEntries = (entries) => ({
+  entryCount: entries.length,
+  gross: roundMoney(entries.reduce((sum, entry) => sum + entry.gross, 0)),
+  commission: roundMoney(entries.reduce((sum, entry) => sum + entry.commission, 0)),
+  net: roundMoney(entries.reduce((sum, entry) => sum + entry.net, 0))
+});
+
+/**
+ * An owner's balance and payout terms
+ * @param {Object} owner - Garage owner with garageInfo
+ */
+const getOwnerBalance = async (owner) => {
+  const entries = await CommissionEntry.find({ owner: owner._id, payout: null }).sort('createdAt');
+  const terms = getTerms(owner);
+  const balance = sumEntries(entries);
+
+  return {
+    balance: balance.net,
+    ...balance,
+    ...terms,
+    belowMinimum: balance.net < terms.minimumPayout,
+    currency: 'ETB'
+  };
+};
+
+// ============================================================================
+// STATEMENTS
+// ============================================================================
+
+/**
+ * Close an owner's invoice cycle: put everything earned before its end on a
+ * statement if it reaches the minimum payout, otherwise carry it forward.
+ * @param {Object} owner - Garage owner whose nextPayoutDate has passed
+ * @param {Date} at - Now
+ * @returns {Object|null} The statement, or null when the balance was carried forward
+ */
+const closeCycle = async (owner, at = new Date()) => {
+  const terms = getTerms(owner);
+  const periodEnd = terms.nextPayoutDate;
+
+  let next = periodEnd;
+  while (next <= at) next = advanceCycle(next, terms.invoiceCycle);
+
+  const entries = await CommissionEntry.find({ owner: owner._id, payout: null, createdAt: { $lt: periodEnd } });
+  const totals = sumEntries(entries);
+
+  let payout = null;
+  if (entries.length && totals.net >= terms.minimumPayout) {
+    payout = await Payout.create({
+      owner: owner._id,
+      periodEnd,
+      invoiceCycle: terms.invoiceCycle,
+      ...totals
+    });
+    await CommissionEntry.updateMany(
+      { _id: { $in: entries.map(entry => entry._id) }, payout: null },
+      { payout: payout._id }
+    );
+  }
+
+  await User.updateOne({ _id: owner._id }, { 'garageInfo.paymentTerms.nextPayoutDate': next });
+
+  if (payout) {
+    await notifyUser(owner, {
+      template: 'payoutStatement',
+      data: {
+        name: owner.name,
+        net: payout.net,
+        gross: payout.gross,
+        commission: payout.commission,
+        entryCount: payout.entryCount,
+        periodEnd: periodEnd.toDateString(),
+        statementUrl: clientUrl(`/payouts/${payout._id}`)
+      }
+    });
+  }
+
+  return payout;
+};
+
+/**
+ * Close the invoice cycle of every owner whose payout date has passed
+ * @returns {Object} { statements, carriedForward }
+ */
+const generatePayoutStatements = async (at = new Date()) => {
+  const due = await User.find({
+    role: 'garage_owner',
+    'garageInfo.paymentTerms.nextPayoutDate': { $lte: at }
+  }).select(OWNER_FIELDS);
+
+  let statements = 0;
+  for (const owner of due) {
+    const payout = await closeCycle(owner, at);
+    if (payout) {
+      statements++;
+      console.log(`💸 Payout statement of ${payout.net} ETB for ${owner.email}`);
+    }
+  }
+
+  return { statements, carriedForward: due.length - statements };
+};
+
+const getPayout = async (payoutId) => {
+  const payout = mongoose.isValidObjectId(payoutId) && await Payout.findById(payoutId);
+  if (!payout) throw createError(404, 'Payout statement not found');
+  return payout;
+};
+
+/**
+ * Record that a statement has been paid out. Only a pending statement is
+ * updated, so two admins settling at once cannot both succeed.
+ * @param {Object} payout - Pending statement
+ * @param {Object} details - { reference, notes }
+ * @param {Object} user - Admin settling it
+ */
+const settlePayout = async (payout, { reference, notes } = {}, user) => {
+  if (!reference || !String(reference).trim()) throw createError(400, 'Please provide the transfer reference');
+
+  const settled = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: 'pending' },
+    {
+      status: 'settled',
+      reference: String(reference).trim(),
+      notes,
+      settledAt: new Date(),
+      settledBy: user._id
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!settled) throw createError(400, 'This payout has already been settled');
+
+  const owner = await User.findById(settled.owner).select(OWNER_FIELDS);
+  if (owner) {
+    await notifyUser(owner, {
+      template: 'payoutSettled',
+      data: { name: owner.name, net: settled.net, reference: settled.reference },
+      sms: `Your payout of ${settled.net} ETB has been sent. Reference: ${settled.reference}`
+    });
+  }
+
+  return settled;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  advanceCycle,
+  splitCommission,
+  recordBookingCommission,
+  getOwnerBalance,
+  closeCycle,
+  generatePayoutStatements,
+  getPayout,
+  settlePayout
+};
@@ -0,0 +1,277 @@
+const RolePermission = require('../models/RolePermission');
+const { isTwoFactorRequired } = require('./twoFactor.service');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// PERMISSION CATALOGUE
+// ============================================================================
+
+// Permissions are 'resource:action' or 'resource:action:scope'. A scoped
+// action is granted either for resources the user owns (:own) or for all
+// of them (:any); see OWNERSHIP below for what owning means per resource.
+const PERMISSIONS = {
+  'garage:create': 'Create garages',
+  'garage:update:own': 'Edit own garages and their services',
+  'garage:update:any': 'Edit any garage and its services',
+  'garage:delete:own': 'Delete own garages',
+  'garage:delete:any': 'Delete any garage',
+  'garage:reports:own': 'See bookings and analytics for own garages',
+  'garage:reports:any': 'See bookings and analytics for any garage',
+  'garage:read-deleted': 'List deleted garages',
+  'garage:restore': 'Restore deleted garages',
+  'garage:purge': 'Permanently delete garages',
+  'garage:verify': 'Review, approve and suspend garages',
+
+  'booking:create': 'Book appointments',
+  'quote:create': 'Ask garages for quotes',
+  'booking:read:own': 'See own bookings and bookings at own garages',
+  'booking:read:any': 'See any booking',
+  'booking:update:own': 'Edit own bookings',
+  'booking:update:any': 'Edit any booking',
+  'booking:manage:any': 'Move any booking through its statuses as an admin',
+  'booking:delete:own': 'Delete own bookings',
+  'booking:delete:any': 'Delete any booking',
+  'booking:read-deleted': 'List deleted bookings',
+  'booking:restore': 'Restore deleted bookings',
+  'booking:purge': 'Permanently delete bookings',
+
+  'review:create': 'Write reviews',
+  'review:update:own': 'Edit own reviews',
+  'review:update:any': 'Edit any review',
+  'review:delete:own': 'Delete own reviews',
+  'review:delete:any': 'Delete any review',
+
+  'vehicle:create': 'Add vehicles',
+  'vehicle:read:own': 'See own vehicles',
+  'vehicle:read:any': 'See any vehicle',
+  'vehicle:update:own': 'Edit own vehicles',
+  'vehicle:update:any': 'Edit any vehicle',
+  'vehicle:delete:own': 'Delete own vehicles',
+  'vehicle:delete:any': 'Delete any vehicle',
+
+  'payment:read': 'See the transaction ledger',
+  'payment:refund': 'Refund bookings and subscriptions',
+  'payout:manage': 'See garage balances and settle payouts',
+  'plan:manage': 'Create, edit and retire plans',
+  'reminder:manage': 'Create, edit and retire maintenance reminder rules',
+  'report:read': 'See platform statistics',
+  'user:manage': 'Sign users out and reset their two-factor authentication',
+  'job:run': 'See and run background jobs',
+  'permission:manage': 'Change what each role may do'
+};
+
+const CUSTOMER_PERMISSIONS = [
+  'booking:create',
+  'quote:create',
+  'booking:read:own',
+  'booking:update:own',
+  'booking:delete:own',
+  'review:create',
+  'review:update:own',
+  'review:delete:own',
+  'vehicle:create',
+  'vehicle:read:own',
+  'vehicle:update:own',
+  'vehicle:delete:own'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: CUSTOMER_PERMISSIONS,
+  // Staff accounts; what they may do at their garage comes from their staff role
+  staff: CUSTOMER_PERMISSIONS,
+  garage_owner: [
+    ...CUSTOMER_PERMISSIONS,
+    'garage:create',
+    'garage:update:own',
+    'garage:delete:own',
+    'garage:reports:own'
+  ],
+  admin: [
+    ...CUSTOMER_PERMISSIONS,
+    'garage:create',
+    'garage:update:any',
+    'garage:delete:any',
+    'garage:reports:any',
+    'garage:read-deleted',
+    'garage:restore',
+    'garage:purge',
+    'garage:verify',
+    'booking:read:any',
+    'booking:update:any',
+    'booking:manage:any',
+    'booking:delete:any',
+    'booking:read-deleted',
+    'booking:restore',
+    'booking:purge',
+    'review:delete:any',
+    'vehicle:read:any',
+    'payment:read',
+    'payment:refund',
+    'payout:manage',
+    'plan:manage',
+    'reminder:manage',
+    'report:read',
+    'user:manage',
+    'job:run'
+  ],
+  super_admin: ['*']
+};
+
+// ============================================================================
+// OWNERSHIP
+// ============================================================================
+
+const sameId = (ref, user) => !!ref && (ref._id || ref).toString() === user._id.toString();
+
+// Who counts as owning each resource for ':own' permissions
+const OWNERSHIP = {
+  garage: (user, garage) => sameId(garage.owner, user),
+  // The customer, or the owner of the garage when it is populated
+  booking: (user, booking) => sameId(booking.user, user) || sameId(booking.garage?.owner, user),
+  review: (user, review) => sameId(review.user, user),
+  vehicle: (user, vehicle) => sameId(vehicle.owner, user)
+};
+
+// ============================================================================
+// ROLE PERMISSIONS
+// ============================================================================
+
+const getCacheSeconds = () => parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60;
+
+// role -> { permissions: Set, loadedAt }
+const cache = new Map();
+
+/**
+ * Create the default role mappings that do not exist yet, and give
+ * existing ones any defaults added since they were last seeded
+ */
+const seedRolePermissions = async () => {
+  await Promise.all(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(async ([role, defaults]) => {
+    const mapping = await RolePermission.findOne({ role });
+    if (!mapping) {
+      return RolePermission.create({ role, permissions: defaults, seededDefaults: defaults });
+    }
+
+    const added = defaults.filter(p => !mapping.seededDefaults.includes(p));
+    if (added.length === 0) return;
+
+    // Mappings seeded before this was tracked get every default merged in once
+    mapping.permissions = [...new Set([...mapping.permissions, ...added])];
+    mapping.seededDefaults = [...new Set([...mapping.seededDefaults, ...defaults])];
+    return mapping.save();
+  }));
+  cache.clear();
+};
+
+/**
+ * Permissions granted to a role, cached for PERMISSION_CACHE_SECONDS
+ * @returns {Set}
+ */
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && Date.now() - cached.loadedAt < getCacheSeconds() * 1000) return cached.permissions;
+
+  const stored = await RolePermission.findOne({ role }).lean();
+  const permissions = new Set(stored ? stored.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []);
+
+  cache.set(role, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+/**
+ * Role mappings alongside the catalogue, for the admin screen
+ */
+const listRolePermissions = async () => {
+  const stored = await RolePermission.find().sort('role').lean();
+  const roles = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+  stored.forEach(({ role }) => { if (!roles.includes(role)) roles.push(role); });
+
+  return roles.map(role => {
+    const mapping = stored.find(r => r.role === role);
+    return {
+      role,
+      permissions: mapping ? mapping.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+      isDefault: !mapping,
+      updatedAt: mapping?.updatedAt || null
+    };
+  });
+};
+
+/**
+ * Replace the permissions of a role
+ * @param {String} role - Role name
+ * @param {Array} permissions - Catalogue entries, or ['*']
+ * @param {Object} updatedBy - Super admin making the change
+ */
+const updateRolePermissions = async (role, permissions, updatedBy) => {
+  if (!Array.isArray(permissions)) throw createError(400, 'Permissions must be an array');
+
+  const unknown = permissions.filter(p => p !== '*' && !PERMISSIONS[p]);
+  if (unknown.length) throw createError(400, `Unknown permissions: ${unknown.join(', ')}`);
+
+  // Keep at least one way back in
+  if (role === 'super_admin' && !permissions.includes('*') && !permissions.includes('permission:manage')) {
+    throw createError(400, 'Super admins must keep permission:manage');
+  }
+
+  const mapping = await RolePermission.findOneAndUpdate(
+    { role },
+    { role, permissions: [...new Set(permissions)], updatedBy: updatedBy?._id },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  cache.delete(role);
+  return mapping;
+};
+
+/**
+ * Put a role back to its default permissions
+ */
+const resetRolePermissions = (role, updatedBy) => {
+  if (!DEFAULT_ROLE_PERMISSIONS[role]) throw createError(404, `No default permissions for role: ${role}`);
+  return updateRolePermissions(role, DEFAULT_ROLE_PERMISSIONS[role], updatedBy);
+};
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Whether the user holds a permission exactly as named.
+ * Roles that must use 2FA hold nothing until it is enabled.
+ */
+const hasPermission = async (user, permission) => {
+  if (!user) return false;
+  if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) return false;
+
+  const permissions = await getRolePermissions(user.role);
+  return permissions.has('*') || permissions.has(permission);
+};
+
+/**
+ * Whether the user may perform an action on a resource
+ * @param {Object} user - Authenticated user
+ * @param {String} action - e.g. 'garage:update'
+ * @param {Object} resource - Loaded document the action applies to
+ * @returns {Boolean}
+ */
+const can = async (user, action, resource) => {
+  if (await hasPermission(user, `${action}:any`)) return true;
+
+  const isOwner = OWNERSHIP[action.split(':')[0]];
+  if (!resource || !isOwner || !isOwner(user, resource)) return false;
+
+  return hasPermission(user, `${action}:own`);
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  seedRolePermissions,
+  getRolePermissions,
+  listRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  hasPermission,
+  can
+};
@@ -0,0 +1,108 @@
+const Plan = require('../models/Plan');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// DEFAULT CATALOGUE
+// ============================================================================
+
+// Seeded into an empty database on startup. After that, admins own the
+// catalogue and these values are never re-applied. Built on demand so the
+// amounts are read after the environment has loaded.
+const getDefaultPlans = () => [
+  {
+    code: 'basic',
+    name: 'Basic Listing',
+    amount: parseInt(process.env.BASIC_PLAN_AMOUNT) || 500,
+    durationDays: 30,
+    tier: 'basic',
+    sortOrder: 1,
+    features: [
+      'Garage profile listing',
+      'Basic search visibility',
+      'Contact information display',
+      'Up to 5 service listings'
+    ],
+    entitlements: { maxServices: 5, featuredPlacement: false, analytics: false }
+  },
+  {
+    code: 'premium',
+    name: 'Premium Listing',
+    amount: parseInt(process.env.PREMIUM_PLAN_AMOUNT) || 1000,
+    durationDays: 30,
+    tier: 'premium',
+    sortOrder: 2,
+    features: [
+      'All Basic features',
+      'Featured placement',
+      'Priority in search results',
+      'Unlimited service listings',
+      'Customer reviews displayed',
+      'Analytics dashboard'
+    ],
+    entitlements: { maxServices: null, featuredPlacement: true, analytics: true }
+  },
+  {
+    code: 'yearly',
+    name: 'Yearly Premium',
+    amount: parseInt(process.env.YEARLY_PLAN_AMOUNT) || 5000,
+    durationDays: 365,
+    tier: 'premium',
+    sortOrder: 3,
+    features: [
+      'All Premium features',
+      '20% discount compared to monthly',
+      'Verified badge',
+      'Promotion in newsletter',
+      'Priority support'
+    ],
+    entitlements: { maxServices: null, featuredPlacement: true, analytics: true }
+  }
+];
+
+// What an owner without an active plan gets
+const FREE_ENTITLEMENTS = { maxServices: 1, featuredPlacement: false, analytics: false };
+
+/**
+ * Insert any default plan that does not exist yet
+ */
+const seedDefaultPlans = async () => {
+  await Promise.all(getDefaultPlans().map(plan =>
+    Plan.updateOne({ code: plan.code }, { $setOnInsert: plan }, { upsert: true })
+  ));
+};
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+const listPlans = () => Plan.findActive();
+
+/**
+ * Plan open for purchase
+ * @throws 400 when the code is unknown or retired
+ */
+const getPurchasablePlan = async (code) => {
+  const plan = await Plan.findByCode(code);
+  if (!plan) throw createError(400, `Unknown or unavailable plan: ${code}`);
+  return plan;
+};
+
+/**
+ * Entitlements granted by a plan; retired plans keep honouring existing subscribers
+ */
+const getPlanEntitlements = async (code) => {
+  const plan = code ? await Plan.findByCode(code, { includeInactive: true }) : null;
+  if (!plan) return { ...FREE_ENTITLEMENTS };
+
+  const { maxServices, featuredPlacement, analytics } = plan.entitlements || {};
+  return { maxServices: maxServices ?? null, featuredPlacement: Boolean(featuredPlacement), analytics: Boolean(analytics) };
+};
+
+module.exports = {
+  getDefaultPlans,
+  FREE_ENTITLEMENTS,
+  seedDefaultPlans,
+  listPlans,
+  getPurchasablePlan,
+  getPlanEntitlements
+};
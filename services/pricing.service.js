@@ -0,0 +1,67 @@
+const { createError } = require('../utils/errors');
+
+/**
+ * Normalise the service selection sent by the client into a list of IDs.
+ * Accepts `serviceIds: [id]` or the older `services: [{ serviceId }]` shape;
+ * any client-supplied prices are ignored.
+ */
+const extractServiceIds = ({ serviceIds, services } = {}) => {
+  const ids = Array.isArray(serviceIds)
+    ? serviceIds
+    : (services || []).map(s => (typeof s === 'object' ? s.serviceId : s));
+
+  return [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+};
+
+/**
+ * Resolve service IDs against the garage's catalogue
+ * @param {Object} garage - Garage document
+ * @param {Array} serviceIds - Embedded service IDs
+ * @returns {Array} Active catalogue entries
+ */
+const resolveServices = (garage, serviceIds) => {
+  return serviceIds.map(serviceId => {
+    const service = garage.services.id(serviceId);
+
+    if (!service) {
+      throw createError(400, `Service ${serviceId} is not offered by this garage`);
+    }
+    if (service.isActive === false) {
+      throw createError(400, `Service "${service.name}" is no longer available`);
+    }
+
+    return service;
+  });
+};
+
+/**
+ * Price a booking from the garage catalogue. The returned line items are a
+ * snapshot, so later catalogue edits never change existing bookings.
+ * @param {Object} garage - Garage document
+ * @param {Array} serviceIds - Embedded service IDs
+ * @returns {Object} { services, totalPrice, totalDuration }
+ */
+const priceBooking = (garage, serviceIds) => {
+  if (!serviceIds.length) {
+    throw createError(400, 'Please select at least one service');
+  }
+
+  const services = resolveServices(garage, serviceIds).map(service => ({
+    serviceId: service._id,
+    name: service.name,
+    price: service.price,
+    duration: service.duration
+  }));
+
+  return {
+    services,
+    totalPrice: services.reduce((sum, s) => sum + s.price, 0),
+    totalDuration: services.reduce((sum, s) => sum + s.duration, 0)
+  };
+};
+
+module.exports = {
+  extractServiceIds,
+  resolveServices,
+  priceBooking
+};
@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+const QuoteRequest = require('../models/QuoteRequest');
+const Quote = require('../models/Quote');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const User = require('../models/User');
+const { can, hasPermission } = require('./permission.service');
+const { canStaffAct } = require('./staff.service');
+const { getOwnedVehicle, snapshotVehicle } = require('./vehicle.service');
+const { getBookableGarage, reserveSlot, DEFAULT_SERVICE_DURATION } = require('./availability.service');
+const { notifyUser } = require('./notification.service');
+const { clientUrl } = require('./mail');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long garages have to answer a request
+const getRequestDays = () => parseInt(process.env.QUOTE_REQUEST_DAYS) || 14;
+
+const MAX_GARAGES_PER_REQUEST = 5;
+
+const CONTACT_FIELDS = 'name email phone isPhoneVerified preferences';
+
+// Fields a garage may set on a quote item
+const ITEM_FIELDS = ['description', 'serviceId', 'quantity', 'unitPrice', 'duration'];
+
+const describeSnapshot = (snapshot) =>
+  [snapshot?.year, snapshot?.make, snapshot?.model].filter(Boolean).join(' ') || 'their vehicle';
+
+/**
+ * Accept garage ids as an array or, from multipart forms, a comma-separated string
+ */
+const toIdList = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+};
+
+// ============================================================================
+// ACCESS
+// ============================================================================
+
+/**
+ * Whether the user may answer quote requests for a garage: its owner,
+ * a manager or receptionist, or an admin
+ */
+const canQuoteForGarage = async (user, garage) =>
+  (await can(user, 'garage:update', garage)) ||
+  canStaffAct(user, garage, 'respond_quotes');
+
+/**
+ * How the user relates to a quote request
+ * @returns {Object} { customer, admin, garages } - garages the user may quote for
+ */
+const getRequestAccess = async (user, request) => {
+  const customer = request.customer.toString() === user._id.toString();
+  const admin = await hasPermission(user, 'booking:read:any');
+
+  const garages = [];
+  if (!customer) {
+    const candidates = await Garage.find({ _id: { $in: request.garages }, isDeleted: false });
+    for (const garage of candidates) {
+      if (await canQuoteForGarage(user, garage)) garages.push(garage);
+    }
+  }
+
+  return { customer, admin, garages };
+};
+
+/**
+ * A garage's view of a request: the other garages asked are not shown
+ */
+const toGarageView = (request) => {
+  const view = request.toObject();
+  delete view.garages;
+  delete view.acceptedQuote;
+  return view;
+};
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+const getQuoteRequest = async (requestId) => {
+  const request = mongoose.isValidObjectId(requestId) && await QuoteRequest.findById(requestId);
+  if (!request) throw createError(404, 'Quote request not found');
+  return request;
+};
+
+/**
+ * Let each garage's owner know a customer is asking for a price
+ */
+const announceRequest = async (request, garages, customer) => {
+  const quoteUrl = clientUrl(`/quotes/requests/${request._id}`);
+
+  for (const garage of garages) {
+    const owner = await User.findById(garage.owner).select(CONTACT_FIELDS);
+    if (!owner) continue;
+
+    await notifyUser(owner, {
+      template: 'quoteRequested',
+      data: {
+        name: owner.name,
+        garageName: garage.name,
+        customerName: customer.name,
+        vehicleName: describeSnapshot(request.vehicleSnapshot),
+        description: request.description,
+        photoCount: request.photos.length,
+        expiresAt: request.expiresAt.toDateString(),
+        quoteUrl
+      },
+      sms: `${garage.name}: ${customer.name} is asking for a quote. Reply by ${request.expiresAt.toDateString()}: ${quoteUrl}`
+    });
+  }
+};
+
+/**
+ * Send a problem description to one or more garages for a price
+ * @param {Object} user - Customer
+ * @param {Object} body - { description, garages, vehicle, preferredDate }
+ * @param {Function} uploadPhotos - Called once the request is known to be valid;
+ *   resolves to the uploaded photos { name, url, publicId, mimeType, fileSize }
+ * @returns {Object} The request
+ */
+const createQuoteRequest = async (user, body = {}, uploadPhotos = async () => []) => {
+  const garageIds = toIdList(body.garages);
+  if (garageIds.length === 0) throw createError(400, 'Choose at least one garage to ask');
+  if (garageIds.length > MAX_GARAGES_PER_REQUEST) {
+    throw createError(400, `You can ask up to ${MAX_GARAGES_PER_REQUEST} garages at once`);
+  }
+  if (!garageIds.every(id => mongoose.isValidObjectId(id))) throw createError(400, 'Invalid garage id');
+
+  const garages = await Garage.find({ _id: { $in: garageIds }, isDeleted: false, isActive: true }).select('name owner');
+  if (garages.length !== garageIds.length) {
+    throw createError(400, 'Some of the chosen garages are not taking quote requests');
+  }
+
+  const vehicle = body.vehicle ? await getOwnedVehicle(body.vehicle, user) : null;
+
+  let preferredDate;
+  if (body.preferredDate) {
+    preferredDate = new Date(body.preferredDate);
+    if (isNaN(preferredDate.getTime())) throw createError(400, 'Please provide a valid preferred date');
+  }
+
+  const fields = {
+    customer: user._id,
+    vehicle: vehicle?._id,
+    vehicleSnapshot: vehicle ? snapshotVehicle(vehicle) : undefined,
+    description: body.description,
+    preferredDate,
+    garages: garages.map(garage => garage._id),
+    expiresAt: new Date(Date.now() + getRequestDays() * DAY)
+  };
+
+  // Nothing is uploaded for a request that would be rejected
+  await new QuoteRequest(fields).validate();
+
+  const request = await QuoteRequest.create({ ...fields, photos: await uploadPhotos() });
+
+  await announceRequest(request, garages, user);
+
+  return request;
+};
+
+/**
+ * The customer no longer wants quotes; quotes still waiting are declined
+ */
+const cancelQuoteRequest = async (request) => {
+  if (request.status !== 'open') {
+    throw createError(400, `This request is already ${request.status}`);
+  }
+
+  request.status = 'cancelled';
+  request.closedAt = new Date();
+  await request.save();
+
+  await Quote.updateMany(
+    { request: request._id, status: 'submitted' },
+    { status: 'declined', respondedAt: new Date() }
+  );
+
+  return request;
+};
+
+const listCustomerRequests = (user, { status } = {}) => {
+  const query = { customer: user._id };
+  if (status) query.status = status;
+
+  return QuoteRequest.find(query)
+    .populate('garages', 'name address')
+    .sort('-createdAt');
+};
+
+/**
+ * Requests sent to a garage, each with the garage's own quote if it sent one
+ */
+const listGarageRequests = async (garageId, { status } = {}) => {
+  const query = { garages: garageId };
+  if (status) query.status = status;
+
+  const requests = await QuoteRequest.find(query)
+    .populate('customer', 'name')
+    .sort('-createdAt');
+
+  const quotes = await Quote.find({ garage: garageId, request: { $in: requests.map(r => r._id) } });
+  const byRequest = new Map(quotes.map(quote => [quote.request.toString(), quote]));
+
+  return requests.map(request => ({
+    ...toGarageView(request),
+    quote: byRequest.get(request._id.toString()) || null
+  }));
+};
+
+// ============================================================================
+// QUOTES
+// ============================================================================
+
+const getQuote = async (quoteId) => {
+  const quote = mongoose.isValidObjectId(quoteId) && await Quote.findById(quoteId);
+  if (!quote) throw createError(404, 'Quote not found');
+  return quote;
+};
+
+/**
+ * Quote items from the request body. Items naming a catalogue service take
+ * its name, price and duration unless the garage sets them.
+ */
+const buildItems = (garage, items) => {
+  if (!Array.isArray(items) || items.length === 0) throw createError(400, 'A quote needs at least one item');
+
+  return items.map(body => {
+    const item = ITEM_FIELDS.reduce((fields, key) => {
+      if (body[key] !== undefined) fields[key] = body[key];
+      return fields;
+    }, {});
+
+    if (item.serviceId) {
+      const service = mongoose.isValidObjectId(item.serviceId) && garage.services.id(item.serviceId);
+      if (!service) throw createError(400, `Service ${item.serviceId} is not offered by this garage`);
+
+      item.description = item.description || service.name;
+      item.unitPrice = item.unitPrice ?? service.price;
+      item.duration = item.duration ?? service.duration;
+    }
+
+    return item;
+  });
+};
+
+const parseValidUntil = (value) => {
+  const validUntil = new Date(value);
+  if (!value || isNaN(validUntil.getTime())) throw createError(400, 'Please say how long the quote is valid');
+  if (validUntil <= new Date()) throw createError(400, 'A quote must be valid until a future date');
+  return validUntil;
+};
+
+/**
+ * Tell the customer a garage has priced their request
+ */
+const announceQuote = async (quote, garage, { revised = false } = {}) => {
+  const customer = await User.findById(quote.customer).select(CONTACT_FIELDS);
+  if (!customer) return [];
+
+  const reviewUrl = clientUrl(`/quotes/requests/${quote.request}`);
+  return notifyUser(customer, {
+    template: 'quoteReceived',
+    data: {
+      name: customer.name,
+      garageName: garage.name,
+      totalPrice: quote.totalPrice,
+      validUntil: quote.validUntil.toDateString(),
+      revised,
+      reviewUrl
+    },
+    sms: `${garage.name} ${revised ? 'updated its' : 'sent you a'} quote: ${quote.totalPrice} ETB, valid until ${quote.validUntil.toDateString()}. ${reviewUrl}`
+  });
+};
+
+/**
+ * Answer a request with an itemised estimate. A garage that withdrew or
+ * was declined may quote again while the request is open.
+ * @param {Object} request - Quote request
+ * @param {Object} garage - Garage quoting (must have been asked)
+ * @param {Object} body - { items, validUntil, notes }
+ * @param {Object} user - Who sent it
+ */
+const submitQuote = async (request, garage, body = {}, user) => {
+  if (!request.isOpen()) throw createError(400, 'This request is no longer taking quotes');
+  if (!request.includesGarage(garage._id)) throw createError(403, 'This garage was not asked for a quote');
+
+  const fields = {
+    items: buildItems(garage, body.items),
+    validUntil: parseValidUntil(body.validUntil),
+    notes: body.notes,
+    submittedBy: user._id,
+    status: 'submitted'
+  };
+
+  let quote = await Quote.findOne({ request: request._id, garage: garage._id });
+  if (quote && ['submitted', 'accepted'].includes(quote.status)) {
+    throw createError(400, 'This garage has already quoted; revise the quote instead');
+  }
+
+  const revised = !!quote;
+  if (quote) {
+    quote.set({ ...fields, revisedAt: new Date(), respondedAt: undefined });
+  } else {
+    quote = new Quote({ ...fields, request: request._id, garage: garage._id, customer: request.customer });
+  }
+  await quote.save();
+
+  await announceQuote(quote, garage, { revised });
+  return quote;
+};
+
+/**
+ * Change a quote the customer has not answered yet
+ */
+const reviseQuote = async (quote, garage, body = {}, user) => {
+  if (quote.status !== 'submitted') throw createError(400, `This quote is ${quote.status} and can no longer be changed`);
+
+  if (body.items !== undefined) quote.items = buildItems(garage, body.items);
+  if (body.validUntil !== undefined) quote.validUntil = parseValidUntil(body.validUntil);
+  if (body.notes !== undefined) quote.notes = body.notes;
+  quote.submittedBy = user._id;
+  quote.revisedAt = new Date();
+  await quote.save();
+
+  await announceQuote(quote, garage, { revised: true });
+  return quote;
+};
+
+const withdrawQuote = (quote) => {
+  if (quote.status !== 'submitted') throw createError(400, `This quote is ${quote.status} and cannot be withdrawn`);
+
+  quote.status = 'withdrawn';
+  return quote.save();
+};
+
+const declineQuote = (quote) => {
+  if (quote.status !== 'submitted') throw createError(400, `This quote is ${quote.status} and cannot be declined`);
+
+  quote.status = 'declined';
+  quote.respondedAt = new Date();
+  return quote.save();
+};
+
+/**
+ * Book the garage at the quoted prices. The request is claimed first, so
+ * two quotes for the same request can never both become bookings.
+ * @param {Object} quote - Quote being accepted
+ * @param {Object} request - Its request
+ * @param {Object} user - Customer
+ * @param {Object} details - { appointmentDate, notes, payment }
+ * @returns {Object} The booking
+ */
+const acceptQuote = async (quote, request, user, { appointmentDate, notes, payment } = {}) => {
+  if (!quote.isValid()) {
+    throw createError(400, quote.status === 'submitted' ? 'This quote has expired' : `This quote is ${quote.status}`);
+  }
+
+  const start = new Date(appointmentDate);
+  if (!appointmentDate || isNaN(start.getTime())) throw createError(400, 'Please provide a valid appointment date');
+  if (start <= new Date()) throw createError(400, 'Appointment date must be in the future');
+
+  const garage = await getBookableGarage(quote.garage);
+
+  const claimed = await QuoteRequest.updateOne(
+    { _id: request._id, status: 'open' },
+    { status: 'accepted', acceptedQuote: quote._id, closedAt: new Date() }
+  );
+  if (claimed.modifiedCount === 0) throw createError(400, 'This request has already been closed');
+
+  let booking;
+  try {
+    const services = quote.items.map(item => ({
+      serviceId: item.serviceId,
+      name: item.quantity > 1 ? `${item.description} x${item.quantity}` : item.description,
+      price: item.amount,
+      duration: item.duration
+    }));
+    const totalDuration = quote.totalDuration || DEFAULT_SERVICE_DURATION;
+
+    booking = await reserveSlot(garage, start, totalDuration, ({ endTime }) =>
+      Booking.create({
+        garage: garage._id,
+        quote: quote._id,
+        vehicle: request.vehicle,
+        vehicleSnapshot: request.vehicleSnapshot,
+        services,
+        totalPrice: quote.totalPrice,
+        totalDuration,
+        notes: notes || request.description,
+        payment: { method: payment?.method },
+        appointmentDate: start,
+        endTime,
+        user: user._id
+      })
+    );
+  } catch (error) {
+    await QuoteRequest.updateOne(
+      { _id: request._id },
+      { status: 'open', $unset: { acceptedQuote: 1, closedAt: 1 } }
+    );
+    throw error;
+  }
+
+  quote.status = 'accepted';
+  quote.booking = booking._id;
+  quote.respondedAt = new Date();
+  await quote.save();
+
+  await QuoteRequest.updateOne({ _id: request._id }, { booking: booking._id });
+  await Quote.updateMany(
+    { request: request._id, _id: { $ne: quote._id }, status: 'submitted' },
+    { status: 'declined', respondedAt: new Date() }
+  );
+
+  return booking;
+};
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+/**
+ * Expire quotes past their validity date, and requests whose answer window
+ * has closed with nothing left to accept
+ * @returns {Object} { quotes, requests }
+ */
+const expireQuotes = async (at = new Date()) => {
+  const quotes = await Quote.updateMany(
+    { status: 'submitted', validUntil: { $lte: at } },
+    { status: 'expired' }
+  );
+
+  const stale = await QuoteRequest.find({ status: 'open', expiresAt: { $lte: at } }).select('_id');
+  let requests = 0;
+
+  for (const request of stale) {
+    if (await Quote.exists({ request: request._id, status: 'submitted' })) continue;
+
+    const result = await QuoteRequest.updateOne(
+      { _id: request._id, status: 'open' },
+      { status: 'expired', closedAt: at }
+    );
+    requests += result.modifiedCount;
+  }
+
+  return { quotes: quotes.modifiedCount, requests };
+};
+
+module.exports = {
+  MAX_GARAGES_PER_REQUEST,
+  canQuoteForGarage,
+  getRequestAccess,
+  toGarageView,
+  getQuoteRequest,
+  createQuoteRequest,
+  cancelQuoteRequest,
+  listCustomerRequests,
+  listGarageRequests,
+  getQuote,
+  submitQuote,
+  reviseQuote,
+  withdrawQuote,
+  declineQuote,
+  acceptQuote,
+  expireQuotes
+};
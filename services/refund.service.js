@@ -0,0 +1,259 @@
+const Booking = require('../models/booking');
+const User = require('../models/User');
+const { getPaymentProvider } = require('./payment');
+const { recordTransaction } = require('./ledger.service');
+const { endSubscription } = require('./subscription.service');
+const { creditRefunds } = require('./invoice.service');
+const { recordBookingCommission } = require('./payout.service');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// REFUND POLICY
+// ============================================================================
+
+// Share of the amount paid returned to a customer who cancels, by how many
+// hours before the appointment they cancelled. First matching tier wins.
+const BOOKING_REFUND_POLICY = [
+  { minHoursBefore: 48, percentage: 100 },
+  { minHoursBefore: 24, percentage: 50 },
+  { minHoursBefore: 0, percentage: 0 }
+];
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Filter matching a refunded total that has not changed since it was read;
+// documents from before the field existed have none
+const unchangedAmount = (amount) => (amount > 0 ? amount : { $in: [0, null] });
+
+/**
+ * Amount still refundable on a booking
+ */
+const getRefundableAmount = (booking) => {
+  const paid = booking.payment.amountPaid ?? booking.totalPrice;
+  return roundAmount(paid - (booking.payment.amountRefunded || 0));
+};
+
+/**
+ * Work out what a cancellation refunds under the policy.
+ * Cancellations by the garage or an admin are always refunded in full.
+ * @param {Object} booking - Paid booking
+ * @param {Object} options - { cancelledAt, actor }
+ * @returns {Object} { percentage, amount, refundable, hoursBeforeAppointment }
+ */
+const quoteBookingRefund = (booking, { cancelledAt = new Date(), actor = 'customer' } = {}) => {
+  const hoursBeforeAppointment = (booking.appointmentDate - cancelledAt) / (60 * 60 * 1000);
+
+  let percentage = 0;
+  if (actor !== 'customer') {
+    percentage = 100;
+  } else if (hoursBeforeAppointment >= 0) {
+    percentage = BOOKING_REFUND_POLICY.find(tier => hoursBeforeAppointment >= tier.minHoursBefore).percentage;
+  }
+
+  const refundable = getRefundableAmount(booking);
+
+  return {
+    percentage,
+    amount: roundAmount(refundable * percentage / 100),
+    refundable,
+    hoursBeforeAppointment: Math.round(hoursBeforeAppointment * 10) / 10
+  };
+};
+
+// ============================================================================
+// REFUNDS
+// ============================================================================
+
+/**
+ * Send a refund to the payment provider and record it in the ledger
+ */
+const issueProviderRefund = async (target, tx_ref, { amount, reason, performedBy }) => {
+  try {
+    const result = await getPaymentProvider().refund(tx_ref, { amount, reason });
+
+    await recordTransaction(target, {
+      entry: 'refund',
+      tx_ref,
+      status: 'success',
+      amount,
+      reference: result.reference,
+      reason,
+      performedBy
+    });
+
+    return result;
+  } catch (error) {
+    await recordTransaction(target, {
+      entry: 'refund',
+      tx_ref,
+      status: 'failed',
+      amount,
+      reason,
+      performedBy,
+      metadata: { error: error.response?.data || error.message }
+    });
+
+    if (error.status) throw error;
+    throw createError(502, `Refund failed at payment provider: ${error.response?.data?.message || error.message}`);
+  }
+};
+
+/**
+ * Refund a booking payment, fully or partially
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { amount (defaults to everything refundable), reason, performedBy }
+ * @returns {Object} { booking, refund }
+ */
+const refundBooking = async (booking, { amount, reason, performedBy } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(booking.payment.status)) {
+    throw createError(400, 'Only paid bookings can be refunded');
+  }
+  if (!booking.payment.tx_ref) {
+    throw createError(400, 'This booking was not paid online and cannot be refunded through the provider');
+  }
+
+  const refundable = getRefundableAmount(booking);
+  const refundAmount = amount === undefined ? refundable : roundAmount(Number(amount));
+
+  if (!(refundAmount > 0)) throw createError(400, 'Refund amount must be greater than zero');
+  if (refundAmount > refundable) throw createError(400, `Refund amount exceeds the refundable balance of ${refundable}`);
+
+  // Claim the amount before calling the provider, so concurrent refunds
+  // cannot both pass the balance check above
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      'payment.status': { $in: REFUNDABLE_STATUSES },
+      'payment.amountRefunded': unchangedAmount(booking.payment.amountRefunded)
+    },
+    { $inc: { 'payment.amountRefunded': refundAmount } },
+    { new: true }
+  );
+  if (!claimed) throw createError(409, 'This booking was refunded by another request; reload it and try again');
+
+  let result;
+  try {
+    result = await issueProviderRefund({ type: 'booking', booking }, booking.payment.tx_ref, {
+      amount: refundAmount,
+      reason,
+      performedBy
+    });
+  } catch (error) {
+    await Booking.updateOne({ _id: booking._id }, { $inc: { 'payment.amountRefunded': -refundAmount } });
+    throw error;
+  }
+
+  const fullyRefunded = refundAmount === refundable;
+  booking.payment.amountRefunded = claimed.payment.amountRefunded;
+  booking.payment.refundedAt = new Date();
+  booking.payment.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  booking.payment.refunds.push({
+    amount: refundAmount,
+    reference: result.reference,
+    reason,
+    refundedBy: performedBy
+  });
+
+  await Booking.updateOne({ _id: booking._id }, {
+    $set: { 'payment.refundedAt': booking.payment.refundedAt, ...(fullyRefunded && { 'payment.status': 'refunded' }) },
+    $push: { 'payment.refunds': booking.payment.refunds[booking.payment.refunds.length - 1].toObject() }
+  });
+  // A concurrent refund may have taken the rest; never mark that one partial
+  if (!fullyRefunded) {
+    await Booking.updateOne(
+      { _id: booking._id, 'payment.status': 'paid' },
+      { $set: { 'payment.status': 'partially_refunded' } }
+    );
+  }
+
+  // The money has gone back either way; a missing credit note or
+  // commission reversal is recorded with the next refund on this booking
+  try {
+    await creditRefunds(booking);
+  } catch (error) {
+    console.error(`❌ Failed to issue credit note for booking ${booking._id}:`, error.message);
+  }
+  try {
+    await recordBookingCommission(booking);
+  } catch (error) {
+    console.error(`❌ Failed to reverse commission for booking ${booking._id}:`, error.message);
+  }
+
+  return { booking, refund: { amount: refundAmount, reference: result.reference } };
+};
+
+/**
+ * Refund a garage subscription payment, fully or partially.
+ * A full refund ends the subscription immediately.
+ * @param {Object} user - Garage owner document
+ * @param {Object} options - { amount, reason, performedBy }
+ * @returns {Object} { user, refund }
+ */
+const refundSubscription = async (user, { amount, reason, performedBy } = {}) => {
+  const garageInfo = user.garageInfo;
+
+  if (!garageInfo || !REFUNDABLE_STATUSES.includes(garageInfo.paymentStatus)) {
+    throw createError(400, 'Only paid subscriptions can be refunded');
+  }
+  if (!garageInfo.paymentTxRef) {
+    throw createError(400, 'No payment reference found for this subscription');
+  }
+  if (garageInfo.paidTxRef && garageInfo.paidTxRef !== garageInfo.paymentTxRef) {
+    throw createError(400, 'A renewal payment is in progress for this subscription');
+  }
+
+  const refundable = roundAmount((garageInfo.paymentAmount || 0) - (garageInfo.paymentRefundedAmount || 0));
+  const refundAmount = amount === undefined ? refundable : roundAmount(Number(amount));
+
+  if (!(refundAmount > 0)) throw createError(400, 'Refund amount must be greater than zero');
+  if (refundAmount > refundable) throw createError(400, `Refund amount exceeds the refundable balance of ${refundable}`);
+
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'garageInfo.paymentTxRef': garageInfo.paymentTxRef,
+      'garageInfo.paymentStatus': { $in: REFUNDABLE_STATUSES },
+      'garageInfo.paymentRefundedAmount': unchangedAmount(garageInfo.paymentRefundedAmount)
+    },
+    { $inc: { 'garageInfo.paymentRefundedAmount': refundAmount } },
+    { new: true }
+  );
+  if (!claimed) throw createError(409, 'This subscription was refunded by another request; reload it and try again');
+
+  let result;
+  try {
+    result = await issueProviderRefund({ type: 'subscription', user }, garageInfo.paymentTxRef, {
+      amount: refundAmount,
+      reason,
+      performedBy
+    });
+  } catch (error) {
+    await User.updateOne({ _id: user._id }, { $inc: { 'garageInfo.paymentRefundedAmount': -refundAmount } });
+    throw error;
+  }
+
+  garageInfo.paymentRefundedAmount = claimed.garageInfo.paymentRefundedAmount;
+  garageInfo.paymentRefundedAt = new Date();
+
+  if (refundAmount === refundable) {
+    await endSubscription(user, 'refunded');
+  } else {
+    garageInfo.paymentStatus = 'partially_refunded';
+    await User.updateOne(
+      { _id: user._id, 'garageInfo.paymentStatus': { $in: REFUNDABLE_STATUSES } },
+      { $set: { 'garageInfo.paymentStatus': 'partially_refunded', 'garageInfo.paymentRefundedAt': garageInfo.paymentRefundedAt } }
+    );
+  }
+
+  return { user, refund: { amount: refundAmount, reference: result.reference } };
+};
+
+module.exports = {
+  BOOKING_REFUND_POLICY,
+  getRefundableAmount,
+  quoteBookingRefund,
+  refundBooking,
+  refundSubscription
+};
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ServiceRecord = require('../models/ServiceRecord');
+const Vehicle = require('../models/Vehicle');
+const Garage = require('../models/garage');
+const { can } = require('./permission.service');
+const { canStaffAct } = require('./staff.service');
+const { escapeHtml } = require('../utils/html');
+const { createError } = require('../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ATTACHMENTS = 20;
+
+const getAppName = () => process.env.APP_NAME || 'SmartGarage';
+
+const getShareDays = () => parseInt(process.env.HISTORY_SHARE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ============================================================================
+// RECORD DETAILS
+// ============================================================================
+
+/**
+ * Pick the fields a client may set on a record. Work items may be given
+ * as plain strings; parts need at least a name.
+ * @param {Object} details - Request body
+ * @returns {Object} Fields to set
+ */
+const pickRecordDetails = (details = {}) => {
+  const fields = {};
+
+  if (details.mileage !== undefined) fields.mileage = details.mileage;
+  if (details.technicianNotes !== undefined) fields.technicianNotes = details.technicianNotes;
+
+  if (details.workPerformed !== undefined) {
+    if (!Array.isArray(details.workPerformed)) throw createError(400, 'workPerformed must be an array');
+    fields.workPerformed = details.workPerformed.map(item =>
+      (typeof item === 'string' ? { description: item } : { description: item?.description, category: item?.category })
+    );
+  }
+
+  if (details.partsReplaced !== undefined) {
+    if (!Array.isArray(details.partsReplaced)) throw createError(400, 'partsReplaced must be an array');
+    fields.partsReplaced = details.partsReplaced.map(part => ({
+      name: part?.name,
+      partNumber: part?.partNumber,
+      brand: part?.brand,
+      quantity: part?.quantity
+    }));
+  }
+
+  return fields;
+};
+
+/**
+ * Raise the vehicle's mileage to a newer reading; older readings are ignored
+ */
+const recordMileage = (vehicleId, mileage) => {
+  if (typeof mileage !== 'number' || mileage < 0) return null;
+
+  return Vehicle.updateOne(
+    { _id: vehicleId, $or: [{ mileage: { $exists: false } }, { mileage: { $lt: mileage } }] },
+    { mileage, mileageUpdatedAt: new Date() }
+  );
+};
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Write the service record for a completed booking. Bookings without a
+ * vehicle have nothing to attach to and are skipped.
+ * @param {Object} booking - Completed booking with garage populated
+ * @param {Object} options - { user completing it, details from the request }
+ * @returns {Object|null} The record
+ */
+const recordCompletedBooking = async (booking, { user, details } = {}) => {
+  if (!booking.vehicle) return null;
+
+  const fields = pickRecordDetails(details);
+  const record = await ServiceRecord.create({
+    vehicle: booking.vehicle,
+    owner: booking.user,
+    source: 'garage',
+    garage: booking.garage._id,
+    garageName: booking.garage.name,
+    booking: booking._id,
+    performedAt: booking.completedAt || new Date(),
+    mileage: booking.vehicleSnapshot?.mileage,
+    // The booked services stand in until the garage describes the work
+    workPerformed: booking.services.map(service => ({ description: service.name })),
+    technician: user?._id,
+    ...fields
+  });
+
+  await recordMileage(record.vehicle, record.mileage);
+  return record;
+};
+
+/**
+ * Work the owner logged themselves
+ * @param {Object} vehicle - Owner's vehicle
+ * @param {Object} details - Record fields plus performedAt and garageName
+ */
+const createOwnerRecord = async (vehicle, details = {}) => {
+  const record = await ServiceRecord.create({
+    vehicle: vehicle._id,
+    owner: vehicle.owner,
+    source: 'owner',
+    garageName: details.garageName,
+    performedAt: details.performedAt,
+    ...pickRecordDetails(details)
+  });
+
+  await recordMileage(record.vehicle, record.mileage);
+  return record;
+};
+
+/**
+ * Record by id
+ * @throws 404 when it does not exist or is deleted
+ */
+const getServiceRecord = async (recordId) => {
+  const record = mongoose.isValidObjectId(recordId) &&
+    await ServiceRecord.findOne({ _id: recordId, isDeleted: false });
+
+  if (!record) throw createError(404, 'Service record not found');
+  return record;
+};
+
+/**
+ * Garage records are edited by the garage (owner, or staff who may complete
+ * work there); owner records by the vehicle owner
+ */
+const canEditRecord = async (user, record) => {
+  if (record.source === 'owner') return can(user, 'vehicle:update', { owner: record.owner });
+
+  const garage = await Garage.findById(record.garage).select('owner');
+  if (garage && await can(user, 'garage:update', garage)) return true;
+
+  return canStaffAct(user, record.garage, 'complete');
+};
+
+/**
+ * The vehicle owner sees every record; the garage sees the ones it wrote
+ */
+const canViewRecord = async (user, record) =>
+  (await can(user, 'vehicle:read', { owner: record.owner })) ||
+  (record.source === 'garage' && canEditRecord(user, record));
+
+const updateServiceRecord = async (record, details = {}) => {
+  const fields = pickRecordDetails(details);
+
+  if (record.source === 'owner') {
+    if (details.performedAt !== undefined) fields.performedAt = details.performedAt;
+    if (details.garageName !== undefined) fields.garageName = details.garageName;
+  }
+
+  record.set(fields);
+  await record.save();
+  await recordMileage(record.vehicle, record.mileage);
+  return record;
+};
+
+/**
+ * Only records the owner logged can be deleted; garage records are the
+ * verified part of the history
+ */
+const deleteServiceRecord = async (record) => {
+  if (record.source !== 'owner') throw createError(400, 'Records written by a garage cannot be deleted');
+
+  record.isDeleted = true;
+  record.deletedAt = new Date();
+  return record.save();
+};
+
+/**
+ * @param {Object} record - Service record
+ * @param {Array} uploads - { name, url, publicId, mimeType, fileSize }
+ * @param {Object} user - Uploader
+ */
+const addAttachments = async (record, uploads, user) => {
+  if (record.attachments.length + uploads.length > MAX_ATTACHMENTS) {
+    throw createError(400, `A service record can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+
+  uploads.forEach(upload => record.attachments.push({ ...upload, uploadedBy: user._id }));
+  return record.save();
+};
+
+const removeAttachment = async (record, attachmentId) => {
+  const attachment = record.attachments.id(attachmentId);
+  if (!attachment) throw createError(404, 'Attachment not found');
+
+  attachment.deleteOne();
+  await record.save();
+  return attachment;
+};
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * A vehicle's records, newest first, with a summary for the timeline header
+ */
+const getVehicleHistory = async (vehicle) => {
+  const records = await ServiceRecord.find({ vehicle: vehicle._id, isDeleted: false })
+    .sort({ performedAt: -1 })
+    .lean();
+
+  const withMileage = records.find(record => typeof record.mileage === 'number');
+
+  return {
+    summary: {
+      totalRecords: records.length,
+      garageRecords: records.filter(record => record.source === 'garage').length,
+      lastServiceAt: records[0]?.performedAt || null,
+      lastRecordedMileage: withMileage?.mileage ?? null
+    },
+    records
+  };
+};
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const describeParts = (record) => record.partsReplaced
+  .map(part => [part.quantity > 1 ? `${part.quantity} x` : '', part.brand, part.name, part.partNumber && `(${part.partNumber})`]
+    .filter(Boolean).join(' '));
+
+/**
+ * History as CSV, one row per record
+ */
+const historyToCsv = (records) => {
+  const header = ['Date', 'Mileage (km)', 'Garage', 'Verified', 'Work performed', 'Parts replaced', 'Notes'];
+  const rows = records.map(record => [
+    formatDay(record.performedAt),
+    record.mileage,
+    record.garageName,
+    record.source === 'garage' ? 'yes' : 'no',
+    record.workPerformed.map(item => item.description).join('; '),
+    describeParts(record).join('; '),
+    record.technicianNotes
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Printable history page. It says nothing about the owner so it can be
+ * shared as is; the VIN stays so a buyer can match it to the car.
+ * @param {Object} vehicle - Vehicle
+ * @param {Array} records - Records, newest first
+ */
+const renderHistoryHtml = (vehicle, records) => {
+  const details = [
+    ['VIN', vehicle.vin],
+    ['Year', vehicle.year],
+    ['Fuel', vehicle.fuelType],
+    ['Current mileage', typeof vehicle.mileage === 'number' ? `${vehicle.mileage} km` : null]
+  ].filter(([, value]) => value);
+
+  const rows = records.map(record => `
+      <tr>
+        <td>${escapeHtml(formatDay(record.performedAt))}</td>
+        <td>${escapeHtml(record.mileage ?? '')}</td>
+        <td>${escapeHtml(record.garageName || '')}${record.source === 'owner' ? ' <em>(owner reported)</em>' : ''}</td>
+        <td>${record.workPerformed.map(item => escapeHtml(item.description)).join('<br>')}</td>
+        <td>${describeParts(record).map(escapeHtml).join('<br>')}</td>
+        <td>${escapeHtml(record.technicianNotes || '')}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Service history: ${escapeHtml(vehicle.describe())}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #222; margin: 32px; }
+      table { border-collapse: collapse; width: 100%; font-size: 13px; }
+      th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+      th { background: #f3f3f3; }
+      .muted { color: #666; font-size: 12px; }
+    </style>
+  </head>
+  <body>
+    <h1>Service history: ${escapeHtml(vehicle.describe())}</h1>
+    <p>${details.map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`).join(' &middot; ')}</p>
+    <table>
+      <thead>
+        <tr><th>Date</th><th>Mileage (km)</th><th>Garage</th><th>Work performed</th><th>Parts replaced</th><th>Notes</th></tr>
+      </thead>
+      <tbody>${rows || '\n      <tr><td colspan="6">No service records yet</td></tr>'}
+      </tbody>
+    </table>
+    <p class="muted">Generated by ${escapeHtml(getAppName())} on ${escapeHtml(formatDay(new Date()))}.
+      Records marked owner reported were entered by the owner and not confirmed by a garage.</p>
+  </body>
+</html>`;
+};
+
+// ============================================================================
+// SHARING
+// ============================================================================
+
+/**
+ * Create a link to the printable history, replacing any earlier one
+ * @returns {Object} { token, expiresAt }
+ */
+const createHistoryShare = async (vehicle) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + getShareDays() * DAY);
+
+  vehicle.historyShare = { tokenHash: hashToken(token), expiresAt, createdAt: new Date() };
+  await vehicle.save();
+
+  return { token, expiresAt };
+};
+
+const revokeHistoryShare = (vehicle) => {
+  vehicle.historyShare = undefined;
+  return vehicle.save();
+};
+
+/**
+ * Vehicle for a share link
+ * @throws 404 when the link is unknown, revoked or expired
+ */
+const findSharedVehicle = async (token) => {
+  const vehicle = token && await Vehicle.findOne({
+    'historyShare.tokenHash': hashToken(token),
+    'historyShare.expiresAt': { $gt: Date.now() },
+    isDeleted: false
+  });
+
+  if (!vehicle) throw createError(404, 'This link is invalid or has expired');
+  return vehicle;
+};
+
+module.exports = {
+  recordCompletedBooking,
+  createOwnerRecord,
+  getServiceRecord,
+  canEditRecord,
+  canViewRecord,
+  updateServiceRecord,
+  deleteServiceRecord,
+  addAttachments,
+  removeAttachment,
+  getVehicleHistory,
+  historyToCsv,
+  renderHistoryHtml,
+  createHistoryShare,
+  revokeHistoryShare,
+  findSharedVehicle
+};
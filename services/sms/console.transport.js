@@ -0,0 +1,21 @@
+// ============================================================================
+// CONSOLE TRANSPORT
+// ============================================================================
+
+// Prints text messages instead of sending them. Default for local development.
+
+const send = async ({ to, text }) => {
+  const messageId = `console-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  console.log('\n📱 ===== OUTGOING SMS =====');
+  console.log(`To: ${to}`);
+  console.log(text);
+  console.log('📱 ========================\n');
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,30 @@
+const consoleTransport = require('./console.transport');
+
+/*
+ * SMS transports implement:
+ *   name
+ *   send({ to, text }) -> { messageId }
+ */
+const transports = {
+  console: consoleTransport
+};
+
+/**
+ * Get the configured transport (SMS_TRANSPORT, defaults to console)
+ */
+const getSmsTransport = () => {
+  const name = (process.env.SMS_TRANSPORT || 'console').toLowerCase();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown SMS transport: ${name}`);
+  return transport;
+};
+
+/**
+ * Send a text message
+ * @param {String} to - Recipient phone number
+ * @param {String} text - Message body
+ * @returns {Object} { messageId }
+ */
+const sendSms = (to, text) => getSmsTransport().send({ to, text });
+
+module.exports = { getSmsTransport, sendSms };
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const StaffMember = require('../models/StaffMember');
+const User = require('../models/User');
+const { sendMail, clientUrl } = require('./mail');
+const { createError } = require('../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// What each staff role may do at its garage. Booking actions match the
+// transition names in models/booking.js. Mechanics only edit the work
+// orders they are assigned to.
+const STAFF_ROLE_ACTIONS = {
+  manager: [
+    'view_bookings', 'view_reports', 'view_staff', 'confirm', 'reject', 'start', 'complete', 'cancel',
+    'view_work_orders', 'edit_work_orders', 'assign_work_orders', 'view_inventory', 'manage_inventory',
+    'respond_quotes', 'view_invoices'
+  ],
+  receptionist: [
+    'view_bookings', 'confirm', 'reject', 'cancel', 'view_work_orders', 'view_inventory', 'respond_quotes',
+    'view_invoices'
+  ],
+  mechanic: ['view_bookings', 'start', 'complete', 'view_work_orders', 'edit_assigned_work_orders', 'view_inventory']
+};
+
+const getInviteDays = () => parseInt(process.env.STAFF_INVITE_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ============================================================================
+// ACCESS
+// ============================================================================
+
+/**
+ * Whether the user is active staff at the garage with a role allowing the action
+ * @param {Object} user - Authenticated user
+ * @param {Object|String} garage - Garage document or id
+ * @param {String} action - Key from STAFF_ROLE_ACTIONS
+ */
+const canStaffAct = async (user, garage, action) => {
+  if (!user || !garage) return false;
+
+  const member = await StaffMember.findActive(garage._id || garage, user._id);
+  return !!member && STAFF_ROLE_ACTIONS[member.role].includes(action);
+};
+
+// ============================================================================
+// INVITATIONS
+// ============================================================================
+
+/**
+ * Invite someone to a garage's staff, or re-send a pending invitation
+ * @param {Object} garage - Garage document
+ * @param {Object} details - { email, name, role }
+ * @param {Object} invitedBy - User sending the invitation
+ * @returns {Object} The staff member
+ */
+const inviteStaff = async (garage, { email, name, role } = {}, invitedBy) => {
+  if (!email) throw createError(400, 'Email is required');
+  if (!STAFF_ROLE_ACTIONS[role]) {
+    throw createError(400, `Role must be one of: ${Object.keys(STAFF_ROLE_ACTIONS).join(', ')}`);
+  }
+
+  email = email.trim().toLowerCase();
+  if (await User.exists({ _id: garage.owner, email })) {
+    throw createError(400, 'The garage owner cannot be invited as staff');
+  }
+
+  let member = await StaffMember.findOne({ garage: garage._id, email });
+  if (member?.status === 'active') throw createError(400, 'This person is already on your staff');
+
+  const token = crypto.randomBytes(32).toString('hex');
+  member = member || new StaffMember({ garage: garage._id, email });
+  Object.assign(member, {
+    name: name || member.name,
+    role,
+    status: 'invited',
+    invitedBy: invitedBy._id,
+    inviteTokenHash: hashToken(token),
+    inviteExpires: new Date(Date.now() + getInviteDays() * DAY),
+    revokedAt: undefined
+  });
+  await member.save();
+
+  try {
+    await sendMail('staffInvitation', email, {
+      name: member.name,
+      garageName: garage.name,
+      role,
+      invitedByName: invitedBy.name,
+      acceptUrl: clientUrl('/staff/accept', { token }),
+      expiresInDays: getInviteDays()
+    });
+  } catch (error) {
+    throw createError(502, 'Invitation saved but the email could not be sent. Try inviting again.');
+  }
+
+  return member;
+};
+
+/**
+ * Pending invitation for a token
+ * @throws 404 when the token is unknown, used or expired
+ */
+const findInvitation = async (token) => {
+  const member = token && await StaffMember.findOne({
+    inviteTokenHash: hashToken(token),
+    status: 'invited',
+    inviteExpires: { $gt: Date.now() }
+  }).populate('garage', 'name owner');
+
+  if (!member) throw createError(404, 'Invitation not found or expired');
+  return member;
+};
+
+/**
+ * Accept an invitation. Someone who already has an account confirms it
+ * with their password; everyone else gets a new staff account.
+ * @param {String} token - Token from the invitation link
+ * @param {Object} details - { password, name, phone }
+ * @returns {Object} { member, user, isNewAccount }
+ */
+const acceptInvitation = async (token, { password, name, phone } = {}) => {
+  const member = await findInvitation(token);
+  if (!password) throw createError(400, 'Password is required');
+
+  let user = await User.findOne({ email: member.email }).select('+password');
+  const isNewAccount = !user;
+
+  if (user) {
+    if (!(await user.matchPassword(password))) throw createError(401, 'Incorrect password for this account');
+  } else {
+    if (!phone) throw createError(400, 'Phone number is required');
+
+    // The invitation link proves the email address
+    user = await User.create({
+      name: name || member.name,
+      email: member.email,
+      password,
+      phone,
+      role: 'staff',
+      isEmailVerified: true
+    });
+  }
+
+  member.user = user._id;
+  member.name = member.name || user.name;
+  member.status = 'active';
+  member.acceptedAt = new Date();
+  member.inviteTokenHash = undefined;
+  member.inviteExpires = undefined;
+  await member.save();
+
+  return { member, user, isNewAccount };
+};
+
+// ============================================================================
+// MANAGEMENT
+// ============================================================================
+
+const listStaff = (garageId) => StaffMember.find({ garage: garageId, status: { $ne: 'revoked' } })
+  .populate('user', 'name email phone')
+  .sort('role name');
+
+/**
+ * Garages the user works at, with what they may do there
+ */
+const listMemberships = async (user) => {
+  const members = await StaffMember.find({ user: user._id, status: 'active' })
+    .populate('garage', 'name address isDeleted');
+
+  return members
+    .filter(member => member.garage && !member.garage.isDeleted)
+    .map(member => ({
+      id: member._id,
+      garage: member.garage,
+      role: member.role,
+      actions: STAFF_ROLE_ACTIONS[member.role],
+      acceptedAt: member.acceptedAt
+    }));
+};
+
+/**
+ * Staff member of a garage by id
+ * @throws 404 when it belongs to another garage
+ */
+const getStaffMember = async (garageId, staffId) => {
+  const member = await StaffMember.findOne({ _id: staffId, garage: garageId });
+  if (!member) throw createError(404, 'Staff member not found');
+  return member;
+};
+
+const changeStaffRole = async (member, role) => {
+  if (!STAFF_ROLE_ACTIONS[role]) {
+    throw createError(400, `Role must be one of: ${Object.keys(STAFF_ROLE_ACTIONS).join(', ')}`);
+  }
+  if (member.status === 'revoked') throw createError(400, 'Staff member has been removed');
+
+  member.role = role;
+  return member.save();
+};
+
+/**
+ * Remove someone from the garage. Their account stays; access ends at once.
+ */
+const revokeStaff = async (member) => {
+  member.status = 'revoked';
+  member.revokedAt = new Date();
+  member.inviteTokenHash = undefined;
+  member.inviteExpires = undefined;
+  return member.save();
+};
+
+module.exports = {
+  STAFF_ROLE_ACTIONS,
+  canStaffAct,
+  inviteStaff,
+  findInvitation,
+  acceptInvitation,
+  listStaff,
+  listMemberships,
+  getStaffMember,
+  changeStaffRole,
+  revokeStaff
+};
@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Plan = require('../models/Plan');
+const { FREE_ENTITLEMENTS, getPlanEntitlements } = require('./plan.service');
+const { notify, clientUrl } = require('./mail');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Statuses under which a garage's subscription can still be live
+const ACTIVE_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Days before expiry at which renewal reminders go out, largest first.
+ * Configured as a comma-separated list, e.g. SUBSCRIPTION_REMINDER_DAYS=14,7,1
+ */
+const getReminderDays = () => (process.env.SUBSCRIPTION_REMINDER_DAYS || '7,3,1')
+  .split(',')
+  .map(day => parseInt(day))
+  .filter(day => day > 0)
+  .sort((a, b) => b - a);
+
+const isSubscriptionActive = (garageInfo, at = new Date()) => Boolean(
+  garageInfo &&
+  ACTIVE_STATUSES.includes(garageInfo.paymentStatus) &&
+  garageInfo.paymentExpiry &&
+  garageInfo.paymentExpiry > at
+);
+
+/**
+ * What the owner's current plan allows; lapsed owners fall back to the free tier
+ * @param {Object} user - Garage owner
+ * @returns {Object} { maxServices, featuredPlacement, analytics }
+ */
+const getEntitlements = async (user, at = new Date()) => {
+  if (!isSubscriptionActive(user?.garageInfo, at)) return { ...FREE_ENTITLEMENTS };
+  return getPlanEntitlements(user.garageInfo.paymentPlan);
+};
+
+/**
+ * Set how an owner's garages appear in public search
+ */
+const setGarageVisibility = (ownerId, { isListed, isFeatured }) =>
+  Garage.updateMany({ owner: ownerId }, { isListed, isFeatured });
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Apply a settled subscription payment.
+ * Renewing while the current period is still running extends it from the
+ * current expiry instead of from today. Applying the same tx_ref twice
+ * (verification and webhook both report it) is a no-op.
+ * @param {Object} user - Garage owner whose paymentTxRef was paid
+ * @returns {Object} Saved user
+ */
+const activateSubscription = async (user, at = new Date()) => {
+  const garageInfo = user.garageInfo;
+  if (garageInfo.paidTxRef && garageInfo.paidTxRef === garageInfo.paymentTxRef) return user;
+
+  const periodStart = isSubscriptionActive(garageInfo, at) ? garageInfo.paymentExpiry : at;
+
+  // A renewal can switch plans; the switch takes effect once it is paid for
+  if (garageInfo.renewalPlan) {
+    garageInfo.paymentPlan = garageInfo.renewalPlan;
+    garageInfo.renewalPlan = null;
+  }
+
+  const plan = await Plan.findByCode(garageInfo.paymentPlan, { includeInactive: true });
+  const duration = plan?.durationDays || 30;
+
+  garageInfo.paymentStatus = 'paid';
+  garageInfo.paymentDate = at;
+  garageInfo.paymentExpiry = new Date(periodStart.getTime() + duration * DAY);
+  garageInfo.paidTxRef = garageInfo.paymentTxRef;
+  garageInfo.paymentRefundedAmount = 0;
+  garageInfo.renewalRemindersSent = [];
+  garageInfo.expiredAt = null;
+  garageInfo.subscriptionPlan = plan?.tier || 'basic';
+  garageInfo.subscriptionExpiry = garageInfo.paymentExpiry;
+
+  // A renewal must not send an approved garage back through verification
+  if (!['approved', 'suspended', 'banned'].includes(garageInfo.verificationStatus)) {
+    garageInfo.verificationStatus = 'payment_completed';
+  }
+  if (!garageInfo.verificationProgress) garageInfo.verificationProgress = {};
+  garageInfo.verificationProgress.paymentCompleted = true;
+
+  await user.save();
+
+  const { featuredPlacement } = await getPlanEntitlements(garageInfo.paymentPlan);
+  await setGarageVisibility(user._id, { isListed: true, isFeatured: featuredPlacement });
+  return user;
+};
+
+/**
+ * End a subscription: downgrade the plan and hide the owner's garages
+ * @param {Object} user - Garage owner
+ * @param {String} status - 'expired' or 'refunded'
+ */
+const endSubscription = async (user, status, at = new Date()) => {
+  const garageInfo = user.garageInfo;
+
+  garageInfo.paymentStatus = status;
+  garageInfo.subscriptionPlan = 'free';
+  garageInfo.subscriptionExpiry = at;
+  if (!garageInfo.paymentExpiry || garageInfo.paymentExpiry > at) garageInfo.paymentExpiry = at;
+  if (status === 'expired') garageInfo.expiredAt = at;
+
+  await user.save();
+  await setGarageVisibility(user._id, { isListed: false, isFeatured: false });
+  return user;
+};
+
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+/**
+ * Expire every subscription whose paid period has lapsed
+ * @returns {Object} { expired }
+ */
+const expireLapsedSubscriptions = async (at = new Date()) => {
+  const lapsed = await User.find({
+    role: 'garage_owner',
+    'garageInfo.paymentStatus': { $in: ACTIVE_STATUSES },
+    'garageInfo.paymentExpiry': { $lte: at }
+  });
+
+  for (const user of lapsed) {
+    await endSubscription(user, 'expired', at);
+    console.log(`⏰ Subscription expired for ${user.email}`);
+  }
+
+  return { expired: lapsed.length };
+};
+
+/**
+ * Remind owners whose subscription is about to run out.
+ * Each configured interval is used at most once per paid period; when
+ * several are due at once (e.g. after downtime) only one reminder is sent.
+ * @returns {Object} { reminded }
+ */
+const sendRenewalReminders = async (at = new Date()) => {
+  const reminderDays = getReminderDays();
+  if (reminderDays.length === 0) return { reminded: 0 };
+
+  const candidates = await User.findGaragesNeedingRenewal(reminderDays[0]);
+  let reminded = 0;
+
+  for (const user of candidates) {
+    const garageInfo = user.garageInfo;
+    const daysLeft = Math.ceil((garageInfo.paymentExpiry - at) / DAY);
+    const sent = garageInfo.renewalRemindersSent || [];
+    const due = reminderDays.filter(day => daysLeft <= day && !sent.includes(day));
+
+    if (due.length === 0) continue;
+
+    await notifyRenewalDue(user, daysLeft);
+    garageInfo.renewalRemindersSent = [...sent, ...due];
+    await user.save();
+    reminded++;
+  }
+
+  return { reminded };
+};
+
+const notifyRenewalDue = async (user, daysLeft) => {
+  const plan = await Plan.findByCode(user.garageInfo.paymentPlan, { includeInactive: true });
+
+  console.log(`🔔 Renewal reminder for ${user.email}: ${user.garageInfo.paymentPlan} plan expires in ${daysLeft} day(s)`);
+  await notify('subscriptionRenewal', user.email, {
+    name: user.name,
+    planName: plan?.name || user.garageInfo.paymentPlan,
+    expiresAt: user.garageInfo.paymentExpiry,
+    daysLeft,
+    renewUrl: clientUrl('/payment')
+  });
+};
+
+module.exports = {
+  getReminderDays,
+  isSubscriptionActive,
+  getEntitlements,
+  activateSubscription,
+  endSubscription,
+  expireLapsedSubscriptions,
+  sendRenewalReminders
+};
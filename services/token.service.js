@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { createError } = require('../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Older sessions are dropped once a user has this many devices
+const MAX_DEVICES = 10;
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Describe the client making the request
+ */
+const describeClient = (req = {}) => {
+  const userAgent = req.headers?.['user-agent'] || '';
+  return {
+    userAgent,
+    deviceType: req.body?.deviceType || (/mobile/i.test(userAgent) ? 'mobile' : 'web'),
+    ip: req.ip
+  };
+};
+
+// ============================================================================
+// ACCESS TOKENS
+// ============================================================================
+
+/**
+ * Sign a short-lived access token bound to a device session.
+ * tv (token version) lets every token of a user be invalidated at once.
+ */
+const generateAccessToken = (user, deviceId) => jwt.sign(
+  {
+    id: user._id,
+    role: user.role,
+    email: user.email,
+    sid: deviceId,
+    tv: user.tokenVersion || 0
+  },
+  process.env.JWT_SECRET,
+  {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
+  }
+);
+
+/**
+ * Reason a verified access token may no longer be used, or null if it is fine
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - User the token belongs to
+ */
+const getRevocationReason = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return 'Session has been revoked';
+
+  if (decoded.sid) {
+    const device = user.devices.find(d => d.deviceId === decoded.sid);
+    if (!device || !device.isActive) return 'Session has been revoked';
+  }
+
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) return 'Token has been revoked';
+
+  return null;
+};
+
+/**
+ * Put an access token on the revocation list until it expires
+ */
+const revokeAccessToken = (decoded, reason) => {
+  if (!decoded?.jti) return null;
+  return RevokedToken.revoke({
+    jti: decoded.jti,
+    user: decoded.id,
+    reason,
+    expiresAt: new Date(decoded.exp * 1000)
+  });
+};
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+
+// Refresh tokens look like "<deviceId>.<secret>" so the device can be found
+// without scanning; only a hash of the secret part is stored.
+const newRefreshToken = (deviceId) => `${deviceId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const setRefreshToken = (device, refreshToken) => {
+  device.previousRefreshTokenHash = device.refreshTokenHash;
+  device.refreshTokenHash = hashToken(refreshToken);
+  device.refreshTokenExpires = new Date(Date.now() + getRefreshTokenDays() * DAY);
+  device.lastActive = new Date();
+};
+
+const tokenResponse = (user, device, refreshToken) => ({
+  token: generateAccessToken(user, device.deviceId),
+  refreshToken,
+  refreshTokenExpires: device.refreshTokenExpires,
+  deviceId: device.deviceId
+});
+
+/**
+ * Start a session on a new device
+ * @param {Object} user - User document
+ * @param {Object} req - Request, used to describe the device
+ * @returns {Object} { token, refreshToken, refreshTokenExpires, deviceId }
+ */
+const issueSession = async (user, req) => {
+  const deviceId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = newRefreshToken(deviceId);
+
+  // Forget sessions that can no longer be used, then make room by
+  // dropping the least recently used ones
+  const now = new Date();
+  const usable = user.devices
+    .filter(d => d.isActive && (!d.refreshTokenExpires || d.refreshTokenExpires > now))
+    .sort((a, b) => b.lastActive - a.lastActive)
+    .slice(0, MAX_DEVICES - 1);
+  user.devices = usable;
+
+  user.devices.push({ deviceId, ...describeClient(req), isActive: true });
+  const device = user.devices[user.devices.length - 1];
+  setRefreshToken(device, refreshToken);
+
+  user.lastLogin = now;
+  await user.save();
+
+  return tokenResponse(user, device, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting an already-rotated token means it was copied, so the whole
+ * device session is revoked.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const [deviceId, secret] = String(refreshToken || '').split('.');
+  if (!deviceId || !secret) throw createError(401, 'Invalid refresh token');
+
+  const user = await User.findOne({ 'devices.deviceId': deviceId });
+  const device = user?.devices.find(d => d.deviceId === deviceId);
+  if (!device || !device.isActive) throw createError(401, 'Session has been revoked');
+
+  const hash = hashToken(refreshToken);
+
+  if (hash !== device.refreshTokenHash) {
+    if (hash === device.previousRefreshTokenHash) {
+      device.isActive = false;
+      device.revokedAt = new Date();
+      await user.save();
+      console.log('🚨 Refresh token reuse detected, session revoked for:', user.email);
+    }
+    throw createError(401, 'Invalid refresh token');
+  }
+
+  if (device.refreshTokenExpires < new Date()) throw createError(401, 'Refresh token expired');
+  if (user.isActive === false) throw createError(401, 'User account is deactivated');
+
+  const next = newRefreshToken(deviceId);
+  setRefreshToken(device, next);
+  await user.save();
+
+  return tokenResponse(user, device, next);
+};
+
+// ============================================================================
+// REVOCATION
+// ============================================================================
+
+/**
+ * End one device session
+ */
+const revokeSession = async (user, deviceId) => {
+  const device = user.devices.find(d => d.deviceId === deviceId);
+  if (!device) throw createError(404, 'Session not found');
+
+  device.isActive = false;
+  device.revokedAt = new Date();
+  await user.save();
+};
+
+/**
+ * End every session of a user and invalidate all access tokens already issued
+ */
+const revokeAllSessions = async (user) => {
+  const now = new Date();
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  user.devices.forEach(d => {
+    if (d.isActive) {
+      d.isActive = false;
+      d.revokedAt = now;
+    }
+  });
+  await user.save();
+};
+
+/**
+ * Active sessions, safe to show to the user
+ */
+const listSessions = (user, currentDeviceId) => user.devices
+  .filter(d => d.isActive)
+  .map(d => ({
+    deviceId: d.deviceId,
+    deviceType: d.deviceType,
+    userAgent: d.userAgent,
+    ip: d.ip,
+    lastActive: d.lastActive,
+    createdAt: d.createdAt,
+    current: d.deviceId === currentDeviceId
+  }));
+
+module.exports = {
+  generateAccessToken,
+  getRevocationReason,
+  revokeAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { createError } = require('../utils/errors');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Roles that may not use admin routes until 2FA is on
+const ENFORCED_ROLES = ['admin', 'super_admin'];
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept codes one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRE = '5m';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+const isEnforcementEnabled = () => process.env.TWO_FACTOR_ENFORCE_ADMINS !== 'false';
+
+/**
+ * Whether the user's role has to use 2FA
+ */
+const isTwoFactorRequired = (user) => isEnforcementEnabled() && ENFORCED_ROLES.includes(user.role);
+
+// ============================================================================
+// TOTP (RFC 6238)
+// ============================================================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Code for a base32 secret at a time step
+ */
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code from the authenticator app
+ * @param {Number} afterStep - Steps up to this one were already used
+ * @returns {Number|null} Matching step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, afterStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const current = getTimeStep();
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (step <= afterStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// ============================================================================
+// SECRET STORAGE
+// ============================================================================
+
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Load a user with the 2FA secrets that are normally left out
+ */
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Start 2FA setup with a new secret. Nothing changes until enableTwoFactor.
+ * @returns {Object} { secret, otpauthUrl } for the authenticator app
+ */
+const beginTwoFactorSetup = async (user) => {
+  if (user.twoFactor?.enabled) throw createError(400, 'Two-factor authentication is already enabled');
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const issuer = process.env.APP_NAME || 'SmartGarage';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  return { secret, otpauthUrl };
+};
+
+/**
+ * Turn 2FA on once the user proves their app has the pending secret
+ * @returns {Array} Recovery codes, shown to the user this one time
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactor?.enabled) throw createError(400, 'Two-factor authentication is already enabled');
+  if (!user.twoFactor?.pendingSecret) throw createError(400, 'Start two-factor setup first');
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw createError(400, 'Invalid authentication code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Check an authenticator code or a single-use recovery code.
+ * Saves the user so a code cannot be used twice.
+ * @param {Object} user - User loaded with loadWithSecrets
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Object} { method, recoveryCodesLeft }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactor?.enabled) throw createError(400, 'Two-factor authentication is not enabled');
+
+  if (recoveryCode) {
+    const index = user.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) throw createError(401, 'Invalid recovery code');
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save();
+    return { method: 'recovery_code', recoveryCodesLeft: user.twoFactor.recoveryCodes.length };
+  }
+
+  if (!code) throw createError(400, 'Authentication code is required');
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1);
+  if (step === null) throw createError(401, 'Invalid authentication code');
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return { method: 'totp', recoveryCodesLeft: user.twoFactor.recoveryCodes.length };
+};
+
+/**
+ * Turn 2FA off. Not allowed for roles that must use it.
+ */
+const disableTwoFactor = async (user, credentials) => {
+  if (isTwoFactorRequired(user)) {
+    throw createError(403, 'Two-factor authentication is required for your role');
+  }
+
+  await verifySecondFactor(user, credentials);
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+/**
+ * Replace every recovery code after checking an authenticator code
+ * @returns {Array} New recovery codes
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  await verifySecondFactor(user, { code });
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+
+  return recoveryCodes;
+};
+
+/**
+ * Clear 2FA for a user who lost their device and recovery codes
+ */
+const resetTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+// ============================================================================
+// LOGIN CHALLENGE
+// ============================================================================
+
+/**
+ * Short-lived token proving the password step passed. It only unlocks
+ * POST /auth/login/2fa and is rejected everywhere else.
+ */
+const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: 'login_2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_EXPIRE }
+);
+
+/**
+ * Read a login challenge token
+ * @returns {Object} Decoded payload
+ */
+const readLoginChallenge = (token) => {
+  if (!token) throw createError(400, 'Login challenge token is required');
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'login_2fa') throw new Error('Wrong token purpose');
+    return decoded;
+  } catch (error) {
+    throw createError(401, 'Login challenge is invalid or has expired. Please log in again.');
+  }
+};
+
+/**
+ * 2FA state safe to show the user
+ */
+const getTwoFactorStatus = (user) => ({
+  enabled: !!user.twoFactor?.enabled,
+  enabledAt: user.twoFactor?.enabledAt || null,
+  required: isTwoFactorRequired(user)
+});
+
+module.exports = {
+  isTwoFactorRequired,
+  generateTotp,
+  verifyTotp,
+  loadWithSecrets,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+  getTwoFactorStatus
+};
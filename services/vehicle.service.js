@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const { createError } = require('../utils/errors');
+
+// Entries in specializedBrands that mean the garage takes any make
+const ALL_MAKES = ['all', 'all makes', 'all brands', 'any', 'multi-brand'];
+
+const normalizeMake = (make) => String(make || '').trim().toLowerCase();
+
+/**
+ * A vehicle the user owns
+ * @throws 404 when it does not exist, is deleted or belongs to someone else
+ */
+const getOwnedVehicle = async (vehicleId, user) => {
+  if (!mongoose.isValidObjectId(vehicleId)) throw createError(404, 'Vehicle not found');
+
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, owner: user._id, isDeleted: false });
+  if (!vehicle) throw createError(404, 'Vehicle not found');
+  return vehicle;
+};
+
+/**
+ * Warning when the garage lists the makes it specialises in and this
+ * vehicle's make is not one of them. Garages that list none take any make.
+ * @param {Object} garage - Garage with owner.garageInfo.specializedBrands populated
+ * @param {Object} vehicle - Vehicle being booked
+ * @returns {String|null}
+ */
+const getBrandWarning = (garage, vehicle) => {
+  const brands = (garage.owner?.garageInfo?.specializedBrands || []).map(normalizeMake).filter(Boolean);
+  if (brands.length === 0 || brands.some(brand => ALL_MAKES.includes(brand))) return null;
+
+  if (brands.includes(normalizeMake(vehicle.make))) return null;
+
+  return `${garage.name} specialises in ${garage.owner.garageInfo.specializedBrands.join(', ')} ` +
+    `and may not service ${vehicle.make} vehicles. Consider calling the garage first.`;
+};
+
+/**
+ * Copy of the vehicle details kept on a booking
+ */
+const snapshotVehicle = (vehicle) => ({
+  make: vehicle.make,
+  model: vehicle.model,
+  year: vehicle.year,
+  vin: vehicle.vin,
+  plateNumber: vehicle.plateNumber,
+  mileage: vehicle.mileage,
+  fuelType: vehicle.fuelType
+});
+
+module.exports = {
+  getOwnedVehicle,
+  getBrandWarning,
+  snapshotVehicle
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail, clientUrl } = require('./mail');
+const { sendSms } = require('./sms');
+const { createError } = require('../utils/errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const CHANNELS = ['email', 'phone'];
+
+// Wrong codes allowed before a new one has to be requested
+const MAX_CODE_ATTEMPTS = 5;
+
+const getEmailTokenHours = () => parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+const getPhoneCodeMinutes = () => parseInt(process.env.PHONE_CODE_MINUTES) || 10;
+const getResendCooldownSeconds = () => parseInt(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+const getMaxRequestsPerHour = () => parseInt(process.env.VERIFICATION_MAX_PER_HOUR) || 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Codes are short, so tie the hash to the user to keep them from being looked up
+const hashCode = (user, code) => hashToken(`${user._id}:${code}`);
+
+/**
+ * Channels an action requires, from e.g. VERIFICATION_REQUIRED_FOR_BOOKINGS=email,phone
+ * @param {String} action - 'bookings' or 'garages'
+ * @returns {Array} Channels, empty when nothing is required
+ */
+const getRequiredChannels = (action) => (process.env[`VERIFICATION_REQUIRED_FOR_${action.toUpperCase()}`] || '')
+  .split(',')
+  .map(channel => channel.trim().toLowerCase())
+  .filter(channel => CHANNELS.includes(channel));
+
+const isVerified = (user, channel) => (channel === 'email' ? user.isEmailVerified : user.isPhoneVerified);
+
+/**
+ * Channels from the list the user has not verified yet
+ */
+const getUnverifiedChannels = (user, channels) => channels.filter(channel => !isVerified(user, channel));
+
+/**
+ * Throw 429 if the user asked for too many messages on a channel.
+ * Records the request when it is allowed.
+ */
+const checkRateLimit = (user, channel) => {
+  const now = Date.now();
+  user.verificationRequests = (user.verificationRequests || []).filter(r => now - r.sentAt < HOUR);
+
+  const sent = user.verificationRequests.filter(r => r.channel === channel);
+  const last = sent[sent.length - 1];
+  const cooldown = getResendCooldownSeconds() * 1000;
+
+  if (last && now - last.sentAt < cooldown) {
+    const error = createError(429, 'Please wait before requesting another code');
+    error.retryAfter = Math.ceil((cooldown - (now - last.sentAt)) / 1000);
+    throw error;
+  }
+
+  if (sent.length >= getMaxRequestsPerHour()) {
+    const error = createError(429, 'Too many verification requests. Try again later.');
+    error.retryAfter = Math.ceil((HOUR - (now - sent[0].sentAt)) / 1000);
+    throw error;
+  }
+
+  user.verificationRequests.push({ channel, sentAt: new Date(now) });
+};
+
+/**
+ * Set the verified flag, keeping the garage verification checklist in step
+ */
+const setVerified = (user, channel, verified) => {
+  if (channel === 'email') user.isEmailVerified = verified;
+  else user.isPhoneVerified = verified;
+
+  if (user.garageInfo?.verificationProgress) {
+    user.garageInfo.verificationProgress[`${channel}Verified`] = verified;
+  }
+};
+
+// ============================================================================
+// EMAIL
+// ============================================================================
+
+/**
+ * Email the user a verification link
+ * @returns {Object} { expiresAt }
+ */
+const requestEmailVerification = async (user) => {
+  if (user.isEmailVerified) throw createError(400, 'Email is already verified');
+
+  checkRateLimit(user, 'email');
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = getEmailTokenHours();
+  user.emailVerificationToken = hashToken(token);
+  user.emailVerificationExpire = new Date(Date.now() + hours * HOUR);
+  await user.save();
+
+  try {
+    await sendMail('emailVerification', user.email, {
+      name: user.name,
+      verifyUrl: clientUrl('/verify-email', { token }),
+      expiresInHours: hours
+    });
+  } catch (error) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+    throw createError(502, 'Verification email could not be sent');
+  }
+
+  return { expiresAt: user.emailVerificationExpire };
+};
+
+/**
+ * Verify the email address a link was sent to
+ * @param {String} token - Token from the verification link
+ * @returns {Object} The verified user
+ */
+const confirmEmailVerification = async (token) => {
+  if (!token) throw createError(400, 'Verification token is required');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+  if (!user) throw createError(400, 'Invalid or expired verification link');
+
+  setVerified(user, 'email', true);
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save();
+
+  return user;
+};
+
+// ============================================================================
+// PHONE
+// ============================================================================
+
+/**
+ * Text the user a one-time code
+ * @returns {Object} { expiresAt }
+ */
+const requestPhoneVerification = async (user) => {
+  if (user.isPhoneVerified) throw createError(400, 'Phone number is already verified');
+
+  checkRateLimit(user, 'phone');
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const minutes = getPhoneCodeMinutes();
+  user.phoneVerificationToken = hashCode(user, code);
+  user.phoneVerificationExpire = new Date(Date.now() + minutes * MINUTE);
+  user.phoneVerificationAttempts = 0;
+  await user.save();
+
+  try {
+    await sendSms(user.phone, `Your ${process.env.APP_NAME || 'SmartGarage'} verification code is ${code}. It expires in ${minutes} minutes.`);
+  } catch (error) {
+    user.phoneVerificationToken = undefined;
+    user.phoneVerificationExpire = undefined;
+    await user.save();
+    throw createError(502, 'Verification code could not be sent');
+  }
+
+  return { expiresAt: user.phoneVerificationExpire };
+};
+
+/**
+ * Check a one-time code. The code is used up after MAX_CODE_ATTEMPTS wrong tries.
+ */
+const confirmPhoneVerification = async (user, code) => {
+  if (!code) throw createError(400, 'Verification code is required');
+  if (user.isPhoneVerified) throw createError(400, 'Phone number is already verified');
+
+  if (!user.phoneVerificationToken || !user.phoneVerificationExpire || user.phoneVerificationExpire <= Date.now()) {
+    throw createError(400, 'Verification code has expired. Please request a new one.');
+  }
+
+  if (hashCode(user, String(code).trim()) !== user.phoneVerificationToken) {
+    user.phoneVerificationAttempts = (user.phoneVerificationAttempts || 0) + 1;
+    const remaining = MAX_CODE_ATTEMPTS - user.phoneVerificationAttempts;
+
+    if (remaining <= 0) {
+      user.phoneVerificationToken = undefined;
+      user.phoneVerificationExpire = undefined;
+    }
+    await user.save();
+
+    throw createError(400, remaining > 0
+      ? `Invalid verification code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+      : 'Too many invalid attempts. Please request a new code.');
+  }
+
+  setVerified(user, 'phone', true);
+  user.phoneVerificationToken = undefined;
+  user.phoneVerificationExpire = undefined;
+  user.phoneVerificationAttempts = 0;
+  await user.save();
+
+  return user;
+};
+
+// ============================================================================
+// CONTACT CHANGES
+// ============================================================================
+
+/**
+ * Build the update for a profile change, un-verifying any contact detail
+ * that changes and dropping tokens sent to the old address or number
+ * @param {Object} user - Current user
+ * @param {Object} fields - Profile fields being saved, e.g. { name, email, phone }
+ * @returns {Object} Update with $set (and $unset when needed)
+ */
+const buildContactUpdate = (user, fields) => {
+  const $set = { ...fields };
+  const $unset = {};
+  const changed = [];
+
+  if (fields.email !== undefined && fields.email.trim().toLowerCase() !== user.email) {
+    $set.isEmailVerified = false;
+    $unset.emailVerificationToken = 1;
+    $unset.emailVerificationExpire = 1;
+    changed.push('email');
+  }
+
+  if (fields.phone !== undefined && fields.phone.trim() !== user.phone) {
+    $set.isPhoneVerified = false;
+    $unset.phoneVerificationToken = 1;
+    $unset.phoneVerificationExpire = 1;
+    changed.push('phone');
+  }
+
+  if (user.garageInfo) {
+    changed.forEach(channel => { $set[`garageInfo.verificationProgress.${channel}Verified`] = false; });
+  }
+
+  return changed.length ? { $set, $unset } : { $set };
+};
+
+/**
+ * Verification status for the current user
+ */
+const getVerificationStatus = (user) => ({
+  email: { address: user.email, verified: !!user.isEmailVerified },
+  phone: { number: user.phone, verified: !!user.isPhoneVerified },
+  required: {
+    bookings: getRequiredChannels('bookings'),
+    garages: getRequiredChannels('garages')
+  }
+});
+
+module.exports = {
+  MAX_CODE_ATTEMPTS,
+  getRequiredChannels,
+  getUnverifiedChannels,
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  buildContactUpdate,
+  getVerificationStatus
+};
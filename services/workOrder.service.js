@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const WorkOrder = require('../models/WorkOrder');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const StaffMember = require('../models/StaffMember');
+const User = require('../models/User');
+const { can, hasPermission } = require('./permission.service');
+const { canStaffAct } = require('./staff.service');
+const { notifyUser } = require('./notification.service');
+const { clientUrl } = require('./mail');
+const { applyPartDefaults, consumeWorkOrderParts } = require('./inventory.service');
+const { createError } = require('../utils/errors');
+
+// Bookings a work order can be opened for
+const OPENABLE_BOOKING_STATUSES = ['confirmed', 'in_progress'];
+
+// Staff roles that can be put on a job
+const MECHANIC_ROLES = ['manager', 'mechanic'];
+
+// Payment statuses after which a booking's price is settled
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// ============================================================================
+// ACCESS
+// ============================================================================
+
+/**
+ * What the user may do with a work order
+ * @param {Object} user - Authenticated user
+ * @param {Object} workOrder - Work order
+ * @returns {Object} { view, garageView (sees workshop notes), edit, assign, approve }
+ */
+const getWorkOrderAccess = async (user, workOrder) => {
+  const isCustomer = workOrder.customer.toString() === user._id.toString();
+  const garage = await Garage.findById(workOrder.garage).select('owner');
+
+  const isManager = (garage && await can(user, 'garage:update', garage)) ||
+    await hasPermission(user, 'booking:manage:any');
+  const edit = isManager ||
+    await canStaffAct(user, workOrder.garage, 'edit_work_orders') ||
+    (workOrder.isAssigned(user._id) && await canStaffAct(user, workOrder.garage, 'edit_assigned_work_orders'));
+  const garageView = edit || await canStaffAct(user, workOrder.garage, 'view_work_orders');
+
+  return {
+    view: garageView || isCustomer,
+    garageView,
+    edit,
+    assign: isManager || await canStaffAct(user, workOrder.garage, 'assign_work_orders'),
+    approve: isCustomer
+  };
+};
+
+/**
+ * Work order by id, including the workshop notes; see toCustomerView
+ * @throws 404 when it does not exist
+ */
+const getWorkOrder = async (workOrderId) => {
+  const workOrder = mongoose.isValidObjectId(workOrderId) && await WorkOrder.findById(workOrderId)
+    .select('+internalNotes')
+    .populate('assignedMechanics', 'name email phone');
+
+  if (!workOrder) throw createError(404, 'Work order not found');
+  return workOrder;
+};
+
+/**
+ * Work order as the customer sees it, without the workshop notes
+ */
+const toCustomerView = (workOrder) => {
+  const view = workOrder.toObject();
+  delete view.internalNotes;
+  return view;
+};
+
+// ============================================================================
+// CREATION
+// ============================================================================
+
+/**
+ * Open the work order for a booking, starting from the booked services
+ * @param {Object} booking - Booking document
+ * @param {Object} user - User opening it
+ */
+const createWorkOrder = async (booking, user) => {
+  if (!OPENABLE_BOOKING_STATUSES.includes(booking.status)) {
+    throw createError(400, `Cannot open a work order for a booking that is ${booking.status}`);
+  }
+  if (await WorkOrder.exists({ booking: booking._id })) {
+    throw createError(400, 'This booking already has a work order');
+  }
+
+  return WorkOrder.create({
+    booking: booking._id,
+    garage: booking.garage._id || booking.garage,
+    customer: booking.user,
+    vehicle: booking.vehicle,
+    statusHistory: [{ to: 'open', action: 'create', changedBy: user._id }],
+    lineItems: booking.services.map(service => ({
+      kind: 'service',
+      description: service.name,
+      serviceId: service.serviceId,
+      unitPrice: service.price,
+      estimatedHours: service.duration ? service.duration / 60 : undefined,
+      addedBy: user._id
+    }))
+  });
+};
+
+// ============================================================================
+// DETAILS
+// ============================================================================
+
+const ensureEditable = (workOrder) => {
+  if (['completed', 'cancelled'].includes(workOrder.status)) {
+    throw createError(400, `Work order is ${workOrder.status} and can no longer be changed`);
+  }
+};
+
+/**
+ * Update the diagnosis and workshop notes
+ */
+const updateWorkOrderDetails = async (workOrder, { diagnosis, internalNotes } = {}, user) => {
+  ensureEditable(workOrder);
+
+  if (diagnosis !== undefined) {
+    workOrder.diagnosis = diagnosis;
+    workOrder.diagnosedBy = user._id;
+    workOrder.diagnosedAt = new Date();
+  }
+  if (internalNotes !== undefined) workOrder.internalNotes = internalNotes;
+
+  return workOrder.save();
+};
+
+// Fields a garage may set on a line item
+const ITEM_FIELDS = ['kind', 'description', 'partNumber', 'part', 'quantity', 'unitPrice', 'estimatedHours', 'actualHours'];
+
+// What the garage quoted for an item, before actual hours are known
+const estimateItem = (item) => (item.kind === 'labour'
+  ? (item.estimatedHours ?? item.actualHours ?? 0) * item.unitPrice
+  : item.quantity * item.unitPrice);
+
+const pickItemFields = (body = {}) => ITEM_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Tell the customer there is extra work waiting for their approval
+ */
+const requestApproval = async (workOrder, items) => {
+  const [customer, garage] = await Promise.all([
+    User.findById(workOrder.customer).select('name email phone isPhoneVerified preferences'),
+    Garage.findById(workOrder.garage).select('name')
+  ]);
+  if (!customer) return [];
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0);
+  const approveUrl = clientUrl(`/bookings/${workOrder.booking}/work-order`);
+
+  return notifyUser(customer, {
+    template: 'workOrderApproval',
+    data: {
+      name: customer.name,
+      garageName: garage?.name || 'Your garage',
+      items: items.map(item => ({ description: item.description, amount: item.amount })),
+      total,
+      approveUrl
+    },
+    sms: `${garage?.name || 'Your garage'} needs your approval for extra work (${total} ETB). Review: ${approveUrl}`
+  });
+};
+
+/**
+ * Add work found on the job. Each item waits for the customer's approval.
+ * Items naming an inventory part are priced from it.
+ * @param {Object} workOrder - Work order
+ * @param {Array} items - Line item fields
+ * @param {Object} user - Garage user adding them
+ * @returns {Array} The added items
+ */
+const addLineItems = async (workOrder, items, user) => {
+  ensureEditable(workOrder);
+  if (!Array.isArray(items) || items.length === 0) throw createError(400, 'Please provide at least one line item');
+
+  const fields = [];
+  for (const body of items) {
+    fields.push(await applyPartDefaults(workOrder.garage, pickItemFields(body)));
+  }
+
+  const added = fields.map(item => {
+    workOrder.lineItems.push({
+      ...item,
+      addedBy: user._id,
+      approval: { status: 'pending', requestedAt: new Date() }
+    });
+    return workOrder.lineItems[workOrder.lineItems.length - 1];
+  });
+
+  await workOrder.save();
+  await requestApproval(workOrder, added);
+
+  return added;
+};
+
+/**
+ * Change a line item. Raising its estimate sends it back to the customer,
+ * booked items included; a declined item offered again at a new price is
+ * asked about again. Actual hours are recorded as worked.
+ */
+const updateLineItem = async (workOrder, itemId, body) => {
+  ensureEditable(workOrder);
+
+  const item = workOrder.lineItems.id(itemId);
+  if (!item) throw createError(404, 'Line item not found');
+
+  const before = estimateItem(item);
+  item.set(await applyPartDefaults(workOrder.garage, pickItemFields(body)));
+  const after = estimateItem(item);
+
+  const status = item.approval.status;
+  const needsApproval = status !== 'pending' &&
+    (after > before || (status === 'declined' && after !== before));
+  if (needsApproval) {
+    item.approval = { status: 'pending', requestedAt: new Date() };
+  }
+
+  await workOrder.save();
+  if (needsApproval) await requestApproval(workOrder, [item]);
+
+  return item;
+};
+
+/**
+ * Remove an item that has not been approved. Approved work stays on record.
+ */
+const removeLineItem = async (workOrder, itemId) => {
+  ensureEditable(workOrder);
+
+  const item = workOrder.lineItems.id(itemId);
+  if (!item) throw createError(404, 'Line item not found');
+  if (item.approval.status === 'approved') {
+    throw createError(400, 'The customer has approved this item; change it instead of removing it');
+  }
+
+  item.deleteOne();
+  return workOrder.save();
+};
+
+// ============================================================================
+// CUSTOMER APPROVAL
+// ============================================================================
+
+/**
+ * The customer approves or declines extra work
+ * @param {Object} workOrder - Work order
+ * @param {Object} user - The customer
+ * @param {Object} response - { items: ids (defaults to every pending item), decision, note }
+ * @returns {Array} Items answered
+ */
+const respondToApproval = async (workOrder, user, { items, decision, note } = {}) => {
+  ensureEditable(workOrder);
+  if (!['approve', 'decline'].includes(decision)) throw createError(400, 'Decision must be approve or decline');
+
+  const pending = workOrder.lineItems.filter(item => item.approval.status === 'pending');
+  const answered = items
+    ? pending.filter(item => items.map(String).includes(item._id.toString()))
+    : pending;
+
+  if (answered.length === 0) throw createError(400, 'No items awaiting your approval');
+
+  answered.forEach(item => {
+    item.approval.status = decision === 'approve' ? 'approved' : 'declined';
+    item.approval.respondedAt = new Date();
+    item.approval.respondedBy = user._id;
+    item.approval.note = note;
+  });
+
+  await workOrder.save();
+  return answered;
+};
+
+// ============================================================================
+// ASSIGNMENT
+// ============================================================================
+
+/**
+ * Put mechanics on the job: the garage owner, or active staff who are
+ * managers or mechanics at the garage
+ * @param {Object} workOrder - Work order
+ * @param {Array} userIds - Users to assign (replaces the current list)
+ */
+const assignMechanics = async (workOrder, userIds) => {
+  ensureEditable(workOrder);
+  if (!Array.isArray(userIds)) throw createError(400, 'mechanics must be an array of user ids');
+
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.some(id => !mongoose.isValidObjectId(id))) throw createError(400, 'Invalid user id');
+
+  const [garage, members] = await Promise.all([
+    Garage.findById(workOrder.garage).select('owner'),
+    StaffMember.find({ garage: workOrder.garage, user: { $in: ids }, status: 'active', role: { $in: MECHANIC_ROLES } })
+  ]);
+
+  const allowed = new Set(members.map(member => member.user.toString()));
+  if (garage) allowed.add(garage.owner.toString());
+
+  const invalid = ids.filter(id => !allowed.has(id));
+  if (invalid.length) throw createError(400, `Not a mechanic at this garage: ${invalid.join(', ')}`);
+
+  workOrder.assignedMechanics = ids;
+  await workOrder.save();
+  return workOrder.populate('assignedMechanics', 'name email phone');
+};
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Check a work order can be completed: every extra item answered and the
+ * job still open
+ * @throws 400 otherwise
+ */
+const assertCompletable = (workOrder) => {
+  if (workOrder.hasPendingApprovals()) {
+    throw createError(400, 'Some extra work is still waiting for the customer\'s approval');
+  }
+  if (!WorkOrder.getTransition('complete').from.includes(workOrder.status)) {
+    throw createError(400, `Cannot complete a work order that is ${workOrder.status.replace('_', ' ')}`);
+  }
+};
+
+/**
+ * Charge a work order's billable total on its booking. An unpaid booking
+ * takes the new total as its price; a paid one keeps the price it was paid
+ * at and owes anything on top as a balance due.
+ * @param {Object} booking - Booking with totalPrice and payment
+ */
+const chargeBooking = async (booking, billable) => {
+  const charges = PAID_STATUSES.includes(booking.payment.status)
+    ? { 'payment.balanceDue': roundMoney(Math.max(0, billable - (booking.payment.amountPaid ?? booking.totalPrice))) }
+    : { totalPrice: billable };
+
+  await Booking.updateOne({ _id: booking._id }, { $set: charges });
+  booking.set(charges);
+  return booking;
+};
+
+/**
+ * Finish the job, take its stocked parts out of inventory and charge its
+ * billable total on the booking. Every extra item must have been answered first.
+ * @param {Object} booking - The work order's booking, when the caller has it loaded
+ */
+const completeWorkOrder = async (workOrder, user, booking) => {
+  assertCompletable(workOrder);
+
+  await consumeWorkOrderParts(workOrder, user);
+  await workOrder.transition('complete', { userId: user._id });
+
+  const charged = booking || await Booking.findById(workOrder.booking).select('totalPrice payment');
+  if (charged) await chargeBooking(charged, workOrder.totals.billable);
+
+  return workOrder;
+};
+
+/**
+ * Open work order of a booking, if there is one
+ */
+const getOpenWorkOrder = (bookingId) =>
+  WorkOrder.findOne({ booking: bookingId, status: { $in: ['open', 'in_progress'] } });
+
+/**
+ * Cancel the open work order of a booking, if there is one
+ */
+const cancelBookingWorkOrder = async (bookingId, user, reason) => {
+  const workOrder = await getOpenWorkOrder(bookingId);
+  return workOrder ? workOrder.transition('cancel', { userId: user._id, reason }) : null;
+};
+
+/**
+ * What a completed work order says about the job, for the service record
+ */
+const describeWork = (workOrder) => {
+  const billable = workOrder.lineItems.filter(item => item.approval.status !== 'declined' && item.approval.status !== 'pending');
+
+  return {
+    workPerformed: billable
+      .filter(item => item.kind !== 'part')
+      .map(item => ({ description: item.description })),
+    partsReplaced: billable
+      .filter(item => item.kind === 'part')
+      .map(item => ({ name: item.description, partNumber: item.partNumber, quantity: item.quantity || 1 })),
+    ...(workOrder.diagnosis && { technicianNotes: workOrder.diagnosis })
+  };
+};
+
+module.exports = {
+  getWorkOrderAccess,
+  getWorkOrder,
+  toCustomerView,
+  createWorkOrder,
+  updateWorkOrderDetails,
+  addLineItems,
+  updateLineItem,
+  removeLineItem,
+  respondToApproval,
+  assignMechanics,
+  assertCompletable,
+  completeWorkOrder,
+  getOpenWorkOrder,
+  cancelBookingWorkOrder,
+  describeWork
+};
@@ -0,0 +1,72 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const { getAvailability, reserveSlot } = require('../services/availability.service');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Availability', () => {
+  // A populated garage; the owner carries the opening hours
+  const makeGarage = (businessHours) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Bole Auto',
+    isActive: true,
+    owner: { garageInfo: { businessHours } }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('spaces slots by the configured interval', async () => {
+    const garage = makeGarage({ timezone: 'UTC', monday: [{ open: '08:00', close: '12:00' }] });
+    mock.method(Garage, 'findOne', () => ({ populate: async () => garage }));
+    mock.method(Booking, 'find', () => ({ select: async () => [] }));
+    process.env.BOOKING_SLOT_INTERVAL = '60';
+
+    try {
+      // 15 June 2099 is a Monday
+      const { interval, slots } = await getAvailability(garage._id, { date: '2099-06-15' });
+      assert.deepEqual([interval, slots.length], [60, 4]);
+    } finally {
+      delete process.env.BOOKING_SLOT_INTERVAL;
+    }
+  });
+
+  it('does not release a lock taken by another request after its own expired', async () => {
+    // Open around the clock so only the lock is under test
+    const garage = makeGarage({ monday: [{ open: '00:00', close: '24:00' }] });
+    let lockedUntil = null;
+
+    mock.method(Garage, 'findOneAndUpdate', async (filter, update) => {
+      if (lockedUntil && lockedUntil > new Date()) return null;
+      lockedUntil = update.bookingLockedUntil;
+      return garage;
+    });
+    mock.method(Garage, 'updateOne', async (filter, update) => {
+      if (filter.bookingLockedUntil?.getTime() !== lockedUntil?.getTime()) return { modifiedCount: 0 };
+      lockedUntil = update.bookingLockedUntil;
+      return { modifiedCount: 1 };
+    });
+    mock.method(Booking, 'find', () => ({ select: async () => [] }));
+
+    const start = new Date('2099-06-15T10:00:00Z');
+    const otherHolder = new Date(Date.now() + 60 * 1000);
+
+    // The slow request's lock runs out and another request takes it
+    await reserveSlot(garage, start, 60, async () => {
+      lockedUntil = otherHolder;
+      return {};
+    });
+    assert.equal(lockedUntil, otherHolder);
+
+    lockedUntil = null;
+    await reserveSlot(garage, start, 60, async () => ({}));
+    assert.equal(lockedUntil, null);
+  });
+});
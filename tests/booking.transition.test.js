@@ -0,0 +1,56 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Booking = require('../models/booking');
+const { createStore, buildBooking } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Booking transitions', () => {
+  let store;
+  let stored;
+
+  beforeEach(() => {
+    store = createStore();
+    stored = buildBooking('BKG-000020-20202020-AAAAAA');
+    stored.status = 'confirmed';
+    store.bookings.push(stored);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records the change on the booking and its history', async () => {
+    const booking = new Booking(stored.toObject());
+    const userId = new mongoose.Types.ObjectId();
+
+    await booking.transition('cancel', { userId, actor: 'customer', reason: 'Plans changed' });
+
+    assert.equal(stored.status, 'cancelled');
+    assert.ok(stored.cancelledAt);
+    assert.deepEqual(stored.statusHistory.map(h => [h.from, h.to, h.reason]), [['confirmed', 'cancelled', 'Plans changed']]);
+    assert.equal(booking.status, 'cancelled');
+    assert.equal(booking.statusHistory.length, 1);
+
+    await assert.rejects(booking.transition('confirm'), { status: 400 });
+  });
+
+  it('applies only one of two concurrent cancellations', async () => {
+    const customerCopy = new Booking(stored.toObject());
+    const garageCopy = new Booking(stored.toObject());
+
+    const results = await Promise.allSettled([
+      customerCopy.transition('cancel', { actor: 'customer' }),
+      garageCopy.transition('cancel', { actor: 'garage_owner' })
+    ]);
+
+    assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 409);
+    assert.equal(garageCopy.status, 'confirmed');
+    assert.deepEqual(stored.statusHistory.map(h => h.actor), ['customer']);
+  });
+});
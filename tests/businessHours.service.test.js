@@ -0,0 +1,148 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const {
+  normalizeShifts,
+  buildBusinessHours,
+  zonedTime,
+  getLocalTime,
+  getDayHours,
+  isOpenAt,
+  fitsOpeningHours,
+  addHoliday
+} = require('../services/businessHours.service');
+const { getAvailability, reserveSlot } = require('../services/availability.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Business hours', () => {
+  // Addis Ababa is UTC+3 all year
+  const makeOwner = (businessHours = {}) => buildUser('Owner', 'garage_owner', {
+    garageInfo: {
+      businessName: 'Bole Auto PLC',
+      businessHours: {
+        timezone: 'Africa/Addis_Ababa',
+        monday: [{ open: '08:00', close: '12:00' }, { open: '13:00', close: '17:30' }],
+        ...businessHours
+      }
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads shifts from text or lists and rejects overlaps', () => {
+    assert.deepEqual(normalizeShifts('9:00 AM - 1 PM, 2:00 PM - 6:30 PM'), [
+      { open: '09:00', close: '13:00' },
+      { open: '14:00', close: '18:30' }
+    ]);
+    assert.deepEqual(normalizeShifts('Closed'), []);
+    assert.deepEqual(normalizeShifts('Open 24 hours'), [{ open: '00:00', close: '24:00' }]);
+
+    assert.throws(() => normalizeShifts([{ open: '09:00', close: '13:00' }, { open: '12:00', close: '15:00' }]), /overlap/);
+    assert.throws(() => normalizeShifts([{ open: '22:00', close: '02:00' }]), { status: 400 });
+    assert.throws(() => normalizeShifts('sometimes'), { status: 400 });
+
+    const hours = buildBusinessHours({ sunday: '10:00 AM - 2:00 PM' });
+    assert.deepEqual(hours.sunday, [{ open: '10:00', close: '14:00' }]);
+    assert.deepEqual(hours.saturday, [{ open: '10:00', close: '16:00' }]);
+  });
+
+  it('converts between local clock times and instants', () => {
+    const addis = zonedTime('2026-06-15', 8 * 60, 'Africa/Addis_Ababa');
+    assert.equal(addis.toISOString(), '2026-06-15T05:00:00.000Z');
+    assert.deepEqual(getLocalTime(addis, 'Africa/Addis_Ababa'), { date: '2026-06-15', minutes: 480 });
+
+    // Either side of the spring daylight saving change in New York
+    assert.equal(zonedTime('2026-03-07', 9 * 60, 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+    assert.equal(zonedTime('2026-03-08', 9 * 60, 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+  });
+
+  it('evaluates split shifts, holidays and special hours on the garage clock', () => {
+    const owner = makeOwner({
+      holidayHours: [
+        { date: '2026-06-22', endDate: '2026-06-23', reason: 'Stocktake' },
+        { date: '2026-06-29', reason: 'Half day', shifts: [{ open: '08:00', close: '11:00' }] }
+      ]
+    });
+
+    // Monday 15 June: 11:30 and 14:00 are open, lunch is not
+    assert.equal(isOpenAt(owner, new Date('2026-06-15T08:30:00Z')), true);
+    assert.equal(isOpenAt(owner, new Date('2026-06-15T09:30:00Z')), false);
+    assert.equal(isOpenAt(owner, new Date('2026-06-15T11:00:00Z')), true);
+
+    // A job must finish before the shift ends
+    assert.equal(fitsOpeningHours(owner, new Date('2026-06-15T08:00:00Z'), 60), true);
+    assert.equal(fitsOpeningHours(owner, new Date('2026-06-15T08:30:00Z'), 60), false);
+
+    const closed = getDayHours(owner, '2026-06-22');
+    assert.deepEqual([closed.shifts, closed.holiday.reason], [[], 'Stocktake']);
+    assert.equal(isOpenAt(owner, new Date('2026-06-22T06:00:00Z')), false);
+    assert.deepEqual(getDayHours(owner, '2026-06-29').shifts, [{ open: '08:00', close: '11:00' }]);
+
+    // Sunday is closed by default
+    assert.equal(isOpenAt(owner, new Date('2026-06-14T09:00:00Z')), false);
+  });
+
+  it('falls back to the configured timezone when the owner has none', () => {
+    const owner = { garageInfo: { businessHours: { monday: [{ open: '08:00', close: '17:00' }] } } };
+    process.env.DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+    try {
+      assert.equal(getDayHours(owner, '2026-06-15').timezone, 'Africa/Nairobi');
+    } finally {
+      delete process.env.DEFAULT_TIMEZONE;
+    }
+    assert.equal(getDayHours(owner, '2026-06-15').timezone, 'Africa/Lagos');
+  });
+
+  it('adds holidays only with valid, non-overlapping dates', async () => {
+    const owner = makeOwner({ holidayHours: [{ date: '2026-09-11', reason: 'Enkutatash' }] });
+    mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+      owner.garageInfo.businessHours.holidayHours.push(update.$push['garageInfo.businessHours.holidayHours']);
+      return owner;
+    });
+
+    await assert.rejects(addHoliday(owner, { date: '2026-02-30' }), { status: 400 });
+    await assert.rejects(addHoliday(owner, { date: '2026-09-12', endDate: '2026-09-10' }), { status: 400 });
+    await assert.rejects(addHoliday(owner, { date: '2026-09-10', endDate: '2026-09-12' }), { status: 409 });
+
+    const holiday = await addHoliday(owner, { date: '2026-09-27', reason: 'Meskel', shifts: '9:00 AM - 12:00 PM' });
+    assert.deepEqual([holiday.date, holiday.shifts.map(s => s.close)], ['2026-09-27', ['12:00']]);
+  });
+
+  it('offers slots and accepts bookings only within opening hours', async () => {
+    const owner = makeOwner({ holidayHours: [{ date: '2099-06-22', reason: 'Stocktake' }] });
+    const garage = new Garage({ name: 'Bole Auto', owner: owner._id, isActive: true });
+    garage.owner = owner;
+
+    mock.method(Garage, 'findOne', () => ({ populate: async () => garage }));
+    mock.method(Booking, 'find', () => ({ select: async () => [] }));
+    mock.method(Garage, 'findOneAndUpdate', async () => garage);
+    mock.method(Garage, 'updateOne', async () => ({}));
+
+    // 15 June 2099 is a Monday
+    const monday = await getAvailability(garage._id, { date: '2099-06-15' });
+    assert.equal(monday.timezone, 'Africa/Addis_Ababa');
+    assert.equal(monday.slots[0].start.toISOString(), '2099-06-15T05:00:00.000Z');
+    assert.equal(monday.slots.length, 15);
+    assert.ok(monday.slots.every(slot => slot.end <= zonedTime('2099-06-15', 12 * 60, 'Africa/Addis_Ababa') ||
+      slot.start >= zonedTime('2099-06-15', 13 * 60, 'Africa/Addis_Ababa')));
+
+    const holiday = await getAvailability(garage._id, { date: '2099-06-22' });
+    assert.deepEqual([holiday.slots.length, holiday.holiday.reason], [0, 'Stocktake']);
+
+    const create = async ({ endTime }) => ({ endTime });
+    await assert.rejects(reserveSlot(garage, new Date('2099-06-15T08:30:00Z'), 60, create), /closed at the selected time/);
+    await assert.rejects(reserveSlot(garage, new Date('2099-06-22T06:00:00Z'), 60, create), { status: 400 });
+    const booked = await reserveSlot(garage, new Date('2099-06-15T10:00:00Z'), 90, create);
+    assert.equal(booked.endTime.toISOString(), '2099-06-15T11:30:00.000Z');
+  });
+});
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for Chapa's webhook sender: builds event payloads and signs
+ * them the way Chapa does (HMAC-SHA256 of the raw body with the webhook secret).
+ */
+const createFakeChapa = (secret) => {
+  const sign = (rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  const buildEvent = ({ tx_ref, status = 'success', event, amount = '500', reference } = {}) => ({
+    event: event || (status === 'success' ? 'charge.success' : 'charge.failed'),
+    first_name: 'Test',
+    last_name: 'Customer',
+    email: 'customer@example.com',
+    currency: 'ETB',
+    amount,
+    charge: '0',
+    mode: 'test',
+    type: 'API',
+    status,
+    reference: reference || `APfake${crypto.randomBytes(4).toString('hex')}`,
+    tx_ref,
+    created_at: new Date().toISOString()
+  });
+
+  /**
+   * POST an event to the API
+   * @param {String} baseUrl - e.g. http://127.0.0.1:1234
+   * @param {Object} payload - Event body
+   * @param {Object} options - { path, signature (false to omit, string to override) }
+   */
+  const send = (baseUrl, payload, { path = '/api/v1/payments/callback', signature } = {}) => {
+    const rawBody = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (signature !== false) headers['x-chapa-signature'] = signature || sign(rawBody);
+
+    return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: rawBody });
+  };
+
+  return { sign, buildEvent, send };
+};
+
+module.exports = { createFakeChapa };
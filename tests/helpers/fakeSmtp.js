@@ -0,0 +1,61 @@
+const net = require('net');
+
+// ============================================================================
+// FAKE SMTP SERVER
+// ============================================================================
+
+/**
+ * Minimal SMTP server that accepts every message and keeps it in memory.
+ * Enough of the protocol for nodemailer without TLS or auth.
+ * @returns {Promise<Object>} { port, messages, close }
+ */
+const startFakeSmtp = () => new Promise(resolve => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 fake-smtp ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push({ ...envelope, raw: buffer.slice(0, end) });
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') reply('250 fake-smtp');
+        else if (command === 'MAIL') { envelope.from = line.slice(10); reply('250 OK'); }
+        else if (command === 'RCPT') { envelope.to.push(line.slice(8)); reply('250 OK'); }
+        else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+        else reply('250 OK');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    messages,
+    close: () => new Promise(done => server.close(done))
+  }));
+});
+
+module.exports = { startFakeSmtp };
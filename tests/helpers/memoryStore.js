@@ -0,0 +1,161 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+const User = require('../../models/User');
+const Booking = require('../../models/booking');
+const Garage = require('../../models/garage');
+const WebhookEvent = require('../../models/WebhookEvent');
+const Transaction = require('../../models/Transaction');
+const Plan = require('../../models/Plan');
+const Invoice = require('../../models/Invoice');
+const { getDefaultPlans } = require('../../services/plan.service');
+
+// ============================================================================
+// IN-MEMORY PERSISTENCE
+// ============================================================================
+
+// Enough of MongoDB's filter and update operators for the conditional
+// writes the services make: equality, $in (null matching a missing field),
+// $set, $inc and $push on dotted paths
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = doc.get(path);
+  if (condition?.$in) return condition.$in.some(c => (c === null ? value == null : String(c) === String(value)));
+  return String(condition) === String(value);
+});
+
+const applyUpdate = (doc, { $set = {}, $inc = {}, $push = {} }) => {
+  Object.entries($set).forEach(([path, value]) => doc.set(path, value));
+  Object.entries($inc).forEach(([path, amount]) => doc.set(path, (doc.get(path) || 0) + amount));
+  Object.entries($push).forEach(([path, value]) => doc.get(path).push(value));
+  return doc;
+};
+
+// Conditional findOneAndUpdate and updateOne over one of the store's collections
+const mockConditionalWrites = (Model, docs) => {
+  mock.method(Model, 'findOneAndUpdate', async (filter, update) => {
+    const doc = docs().find(d => matchesFilter(d, filter));
+    return doc ? applyUpdate(doc, update) : null;
+  });
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = docs().find(d => matchesFilter(d, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+};
+
+/**
+ * Mock the database calls of the payment flows (webhooks, checkout,
+ * subscriptions, refunds and booking transitions) with in-memory
+ * collections: webhook events, users, bookings, transactions, invoices,
+ * plans and garage listings. Booking and user conditional writes run
+ * against store.bookings and store.users.
+ */
+const createStore = () => {
+  const store = { events: new Map(), users: [], bookings: [], transactions: [], invoices: [], listings: new Map(), plans: getDefaultPlans().map(plan => ({ ...plan, isActive: true })), saves: 0 };
+
+  mock.method(WebhookEvent, 'create', async (data) => {
+    const key = `${data.provider}:${data.eventId}`;
+    if (store.events.has(key)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const doc = new WebhookEvent({ ...data, updatedAt: new Date() });
+    store.events.set(key, doc);
+    return doc;
+  });
+
+  mock.method(WebhookEvent, 'findOneAndUpdate', async (filter, update) => {
+    const doc = store.events.get(`${filter.provider}:${filter.eventId}`);
+    const claimable = doc && filter.$or.some(({ status, updatedAt }) =>
+      doc.status === status && (!updatedAt || doc.updatedAt < updatedAt.$lt));
+    if (!claimable) return null;
+    doc.status = update.status;
+    doc.updatedAt = new Date();
+    doc.attempts += update.$inc.attempts;
+    doc.error = undefined;
+    return doc;
+  });
+
+  mock.method(WebhookEvent.prototype, 'save', async function() { return this; });
+
+  mock.method(Transaction, 'create', async (data) => {
+    const doc = new Transaction(data);
+    store.transactions.push(doc);
+    return doc;
+  });
+
+  mock.method(User, 'findOne', async (query) =>
+    store.users.find(u => u.garageInfo?.paymentTxRef === query['garageInfo.paymentTxRef']) || null
+  );
+
+  mock.method(Booking, 'findOne', async (query) =>
+    store.bookings.find(b => b.payment?.tx_ref === query['payment.tx_ref']) || null
+  );
+
+  mock.method(Invoice, 'findOne', async (query) =>
+    store.invoices.find(i => i.booking.toString() === query.booking.toString() && i.kind === query.kind) || null
+  );
+
+  // No garage owner to credit, so commission is not recorded
+  mock.method(Garage, 'findById', () => ({ select: async () => null }));
+
+  mock.method(Plan, 'findOne', async (query) => {
+    const plan = store.plans.find(p => p.code === query.code && (query.isActive === undefined || p.isActive === query.isActive));
+    return plan ? new Plan(plan) : null;
+  });
+
+  mock.method(Garage, 'updateMany', async (filter, update) => {
+    store.listings.set(filter.owner.toString(), update);
+    return { modifiedCount: 1 };
+  });
+
+  mockConditionalWrites(Booking, () => store.bookings);
+  mockConditionalWrites(User, () => store.users);
+
+  const countSave = async function() { store.saves++; return this; };
+  mock.method(User.prototype, 'save', countSave);
+  mock.method(Booking.prototype, 'save', countSave);
+
+  return store;
+};
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * A user for tests; the email is made from the name
+ * @param {String} name - e.g. 'Customer' gives customer@example.com
+ * @param {String} role - User role
+ * @param {Object} fields - Anything else to set
+ */
+const buildUser = (name, role = 'user', fields = {}) => new User({
+  name,
+  email: `${name.toLowerCase().replace(/\s+/g, '.')}@example.com`,
+  password: 'Password123',
+  phone: '0911000000',
+  role,
+  ...fields
+});
+
+const buildGarageOwner = (tx_ref) => buildUser('Garage Owner', 'garage_owner', {
+  email: 'owner@example.com',
+  garageInfo: {
+    businessName: 'Test Garage',
+    paymentStatus: 'processing',
+    paymentPlan: 'basic',
+    paymentTxRef: tx_ref,
+    verificationStatus: 'pending_payment'
+  }
+});
+
+const buildBooking = (tx_ref) => new Booking({
+  user: new mongoose.Types.ObjectId(),
+  garage: new mongoose.Types.ObjectId(),
+  totalPrice: 750,
+  appointmentDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  payment: { method: 'chapa', status: 'pending', tx_ref }
+});
+
+module.exports = { createStore, buildUser, buildGarageOwner, buildBooking };
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Part = require('../models/Part');
+const StockMovement = require('../models/StockMovement');
+const WorkOrder = require('../models/WorkOrder');
+const {
+  recordMovement,
+  consumeWorkOrderParts,
+  getStockValuation
+} = require('../services/inventory.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Parts inventory', () => {
+  let parts;
+  let movements;
+  let output;
+
+  const owner = buildUser('Owner', 'garage_owner');
+  const garage = { _id: new mongoose.Types.ObjectId(), name: 'Bole Auto', owner: owner._id };
+
+  const makePart = (fields) => new Part({ garage: garage._id, costPrice: 100, salePrice: 150, ...fields });
+
+  const findPart = (id) => parts.find(part => part._id.toString() === id.toString());
+
+  beforeEach(() => {
+    output = [];
+    movements = [];
+    parts = [
+      makePart({ sku: 'bp-220', name: 'Brake pads', brand: 'Bosch', quantityOnHand: 6, reorderLevel: 4 }),
+      makePart({ sku: 'of-10', name: 'Oil filter', brand: 'Mann', quantityOnHand: 1, reorderLevel: 2, costPrice: 80, salePrice: 120 })
+    ];
+
+    mock.method(Part, 'findOne', async ({ _id, garage: garageId }) => {
+      const part = findPart(_id);
+      return part && part.garage.toString() === garageId.toString() ? part : null;
+    });
+    mock.method(Part, 'findOneAndUpdate', async ({ _id, quantityOnHand }, update) => {
+      const part = findPart(_id);
+      if (!part || part.quantityOnHand < quantityOnHand.$gte) return null;
+      part.quantityOnHand += update.$inc.quantityOnHand;
+      if (update.$set) part.set(update.$set);
+      return part;
+    });
+    mock.method(Part, 'updateOne', async ({ _id }, update) => {
+      if (update.$unset) findPart(_id).lowStockAlertedAt = undefined;
+    });
+    mock.method(Part, 'updateMany', async ({ _id }, update) => {
+      _id.$in.forEach(id => findPart(id).set(update));
+    });
+    mock.method(Part, 'find', () => ({
+      sort: () => ({ lean: async () => parts.map(part => part.toObject()) })
+    }));
+    mock.method(StockMovement, 'create', async (doc) => {
+      const movement = new StockMovement(doc);
+      movements.push(movement);
+      return movement;
+    });
+    mock.method(Garage, 'findById', () => ({ select: async () => garage }));
+    mock.method(User, 'findById', () => ({ select: async () => owner }));
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('never lets stock go below zero', async () => {
+    const [pads] = parts;
+
+    await assert.rejects(recordMovement(pads, { type: 'consumption', quantity: 7 }, owner), { status: 400 });
+    await assert.rejects(recordMovement(pads, { type: 'adjustment', quantity: -2 }, owner), { status: 400 });
+    await assert.rejects(recordMovement(pads, { type: 'receipt', quantity: 5, unitCost: -5 }, owner), /Unit cost/);
+    await assert.rejects(recordMovement(pads, { type: 'receipt', quantity: 5, unitCost: 'abc' }, owner), { status: 400 });
+
+    const { movement } = await recordMovement(pads, { type: 'receipt', quantity: 10, unitCost: 90 }, owner);
+    assert.deepEqual([movement.quantity, movement.balanceAfter, pads.costPrice], [10, 16, 90]);
+
+    const { movement: counted } = await recordMovement(pads, { type: 'adjustment', quantity: -3, reason: 'Stock count' }, owner);
+    assert.deepEqual([counted.quantity, counted.balanceAfter], [-3, 13]);
+  });
+
+  it('alerts the owner once each time a part runs low', async () => {
+    const [pads] = parts;
+
+    await recordMovement(pads, { type: 'consumption', quantity: 2 }, owner);
+    await recordMovement(pads, { type: 'consumption', quantity: 1 }, owner);
+    assert.equal(output.filter(line => /Bole Auto: 1 part running low/.test(line)).length, 1);
+    assert.ok(pads.lowStockAlertedAt);
+
+    await recordMovement(pads, { type: 'receipt', quantity: 10 }, owner);
+    assert.equal(pads.lowStockAlertedAt, undefined);
+
+    await recordMovement(pads, { type: 'consumption', quantity: 10 }, owner);
+    assert.equal(output.filter(line => /Bole Auto: 1 part running low/.test(line)).length, 2);
+  });
+
+  it('takes a finished job\'s parts out of stock, or none of them', async () => {
+    const [pads, filter] = parts;
+    const workOrder = new WorkOrder({
+      booking: new mongoose.Types.ObjectId(),
+      garage: garage._id,
+      customer: new mongoose.Types.ObjectId(),
+      lineItems: [
+        { kind: 'part', description: 'Brake pads', part: pads._id, quantity: 2, unitPrice: 150, approval: { status: 'approved' } },
+        { kind: 'part', description: 'Oil filter', part: filter._id, quantity: 2, unitPrice: 120, approval: { status: 'approved' } }
+      ]
+    });
+
+    await assert.rejects(consumeWorkOrderParts(workOrder, owner), /Not enough stock of Oil filter/);
+    assert.equal(pads.quantityOnHand, 6);
+    assert.deepEqual(movements.map(m => m.type), ['consumption', 'return']);
+
+    workOrder.lineItems[1].approval.status = 'declined';
+    const consumed = await consumeWorkOrderParts(workOrder, owner);
+    assert.equal(consumed.length, 1);
+    assert.equal(pads.quantityOnHand, 4);
+    assert.equal(consumed[0].workOrder.toString(), workOrder._id.toString());
+    assert.match(output.join('\n'), /Brake pads \(BP-220\): 4 piece left/);
+  });
+
+  it('values stock at cost and at sale price', async () => {
+    const { totals, byBrand } = await getStockValuation(garage._id);
+
+    assert.deepEqual(totals, {
+      parts: 2,
+      units: 7,
+      costValue: 680,
+      retailValue: 1020,
+      potentialMargin: 340,
+      lowStockParts: 1
+    });
+    assert.deepEqual(byBrand.map(row => row.brand), ['Bosch', 'Mann']);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const Invoice = require('../models/Invoice');
+const {
+  issueBookingInvoice,
+  creditRefunds,
+  renderInvoicePdf
+} = require('../services/invoice.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Invoices', () => {
+  let invoices;
+  let counters;
+  let output;
+
+  const customer = buildUser('Customer');
+  const owner = buildUser('Owner', 'garage_owner', {
+    phone: '0911000001',
+    garageInfo: { businessName: 'Bole Auto PLC', taxId: '0012345678' }
+  });
+  const garage = new Garage({
+    name: 'Bole Auto',
+    owner: owner._id,
+    address: { street: 'Bole Road', city: 'Addis Ababa' }
+  });
+
+  const makeBooking = (fields = {}) => new Booking({
+    user: customer._id,
+    garage: garage._id,
+    status: 'completed',
+    appointmentDate: new Date(),
+    services: [
+      { serviceId: new mongoose.Types.ObjectId(), name: 'Oil change', price: 800, duration: 45 },
+      { serviceId: new mongoose.Types.ObjectId(), name: 'Brake check', price: 350, duration: 30 }
+    ],
+    totalPrice: 1150,
+    payment: { status: 'paid', method: 'chapa', tx_ref: 'BKG-1', amountPaid: 1150, paidAt: new Date() },
+    ...fields
+  });
+
+  beforeEach(() => {
+    output = [];
+    invoices = [];
+    counters = { invoice: 0, credit_note: 0 };
+    owner.garageInfo.taxId = '0012345678';
+
+    mock.method(Garage, 'findOneAndUpdate', async (query, update) => {
+      const [path] = Object.keys(update.$inc);
+      const kind = path.split('.')[1];
+      counters[kind] += 1;
+      return { invoiceCounters: { [kind]: counters[kind] } };
+    });
+    mock.method(Garage, 'findById', () => ({ select: async () => garage }));
+    mock.method(User, 'findById', (id) => ({
+      select: async () => (id.toString() === owner._id.toString() ? owner : customer)
+    }));
+    mock.method(Invoice, 'findOne', async ({ booking, kind }) =>
+      invoices.find(i => i.booking.toString() === booking.toString() && i.kind === kind) || null);
+    mock.method(Invoice, 'exists', async ({ refund, kind }) =>
+      invoices.some(i => i.kind === kind && i.refund?.toString() === refund.toString()));
+    mock.method(Invoice, 'create', async (doc) => {
+      const invoice = new Invoice(doc);
+      await invoice.validate();
+      invoices.push(invoice);
+      return invoice;
+    });
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('invoices a booking once it is completed and paid, numbered in sequence', async () => {
+    assert.equal(await issueBookingInvoice(makeBooking({ status: 'in_progress' })), null);
+    assert.equal(await issueBookingInvoice(makeBooking({ payment: { status: 'pending' } })), null);
+
+    const booking = makeBooking();
+    const first = await issueBookingInvoice(booking);
+    const again = await issueBookingInvoice(booking);
+    const second = await issueBookingInvoice(makeBooking());
+
+    assert.equal(again, first);
+    assert.deepEqual([first.number, second.number], ['INV-000001', 'INV-000002']);
+    assert.deepEqual(first.lines.map(line => line.amount), [800, 350]);
+    assert.equal(first.seller.taxId, '0012345678');
+    assert.match(output.join('\n'), /Your invoice INV-000001 from Bole Auto/);
+  });
+
+  it('backs VAT out of the price only for garages with a tax ID', async () => {
+    const registered = await issueBookingInvoice(makeBooking());
+    assert.deepEqual([registered.subtotal, registered.total], [1000, 1150]);
+    assert.deepEqual(registered.taxLines.map(t => [t.name, t.amount]), [['VAT 15%', 150]]);
+
+    owner.garageInfo.taxId = undefined;
+    const unregistered = await issueBookingInvoice(makeBooking({ totalPrice: 1400 }));
+    assert.deepEqual([unregistered.subtotal, unregistered.taxLines.length, unregistered.total], [1400, 0, 1400]);
+    assert.equal(unregistered.lines.at(-1).description, 'Additional approved work');
+  });
+
+  it('issues one credit note per refund', async () => {
+    const booking = makeBooking();
+    booking.payment.refunds.push({ amount: 230, reason: 'Brake check not done' });
+    const invoice = await issueBookingInvoice(booking);
+
+    booking.payment.refunds.push({ amount: 100, reason: 'Goodwill' });
+    const issued = await creditRefunds(booking);
+    await creditRefunds(booking);
+
+    const creditNotes = invoices.filter(i => i.kind === 'credit_note');
+    assert.deepEqual(creditNotes.map(c => c.number), ['CN-000001', 'CN-000002']);
+    assert.equal(issued.length, 1);
+    assert.equal(creditNotes[0].invoice.toString(), invoice._id.toString());
+    assert.deepEqual([creditNotes[0].subtotal, creditNotes[0].total], [200, 230]);
+  });
+
+  it('renders a well-formed PDF', async () => {
+    const invoice = await issueBookingInvoice(makeBooking());
+    const pdf = renderInvoicePdf(invoice).toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.match(pdf, /\(INV-000001\) Tj/);
+    assert.match(pdf, /\(TIN 0012345678\) Tj/);
+
+    // Every cross-reference entry points at the object it names
+    const xref = parseInt(/startxref\n(\d+)/.exec(pdf)[1]);
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry));
+    offsets.forEach((offset, index) => assert.ok(pdf.startsWith(`${index + 1} 0 obj`, offset)));
+  });
+});
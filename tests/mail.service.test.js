@@ -0,0 +1,87 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { startFakeSmtp } = require('./helpers/fakeSmtp');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Mail service', () => {
+  let smtp;
+  let mailDir;
+  let sendMail;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.SMTP_IGNORE_TLS = 'true';
+    process.env.MAIL_FILE_DIR = mailDir;
+
+    ({ sendMail } = require('../services/mail'));
+  });
+
+  after(async () => {
+    await smtp.close();
+    await fs.rm(mailDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('delivers templated mail over SMTP', async () => {
+    process.env.MAIL_TRANSPORT = 'smtp';
+
+    await sendMail('passwordReset', 'owner@example.com', {
+      name: 'Abebe',
+      resetUrl: 'http://localhost:3000/reset-password?token=abc123'
+    });
+
+    const [message] = smtp.messages;
+    assert.equal(smtp.messages.length, 1);
+    assert.match(message.to[0], /owner@example\.com/);
+    assert.match(message.raw, /Subject: Reset your .* password/);
+    assert.match(message.raw, /token=3Dabc123/); // quoted-printable
+  });
+
+  it('writes .eml files with the file transport', async () => {
+    process.env.MAIL_TRANSPORT = 'file';
+    mock.method(console, 'log', () => {});
+
+    const { file } = await sendMail('garageRejected', 'owner@example.com', {
+      name: 'Abebe',
+      businessName: 'Bole Auto <Service>',
+      reason: 'Licence expired'
+    });
+
+    const eml = await fs.readFile(file, 'utf8');
+    assert.match(path.basename(file), /garageRejected\.eml$/);
+    assert.match(eml, /Licence expired/);
+    assert.match(eml, /Bole Auto &lt;Service&gt;/);
+  });
+
+  it('names the app configured when the message is rendered', () => {
+    const templates = require('../services/mail/templates');
+    process.env.APP_NAME = 'Garage Hub';
+
+    try {
+      const { subject, html } = templates.passwordReset({ name: 'Abebe', resetUrl: 'http://localhost:3000/reset' });
+      assert.equal(subject, 'Reset your Garage Hub password');
+      assert.match(html, /The Garage Hub team/);
+    } finally {
+      delete process.env.APP_NAME;
+    }
+  });
+
+  it('rejects unknown templates', async () => {
+    await assert.rejects(sendMail('noSuchTemplate', 'owner@example.com'), /Unknown email template/);
+  });
+});
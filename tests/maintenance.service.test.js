@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Vehicle = require('../models/Vehicle');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const ServiceRecord = require('../models/ServiceRecord');
+const ReminderRule = require('../models/ReminderRule');
+const MaintenanceReminder = require('../models/MaintenanceReminder');
+const {
+  DEFAULT_RULES,
+  evaluateRule,
+  sendMaintenanceReminders
+} = require('../services/maintenance.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Maintenance reminders', () => {
+  let output;
+  let reminders;
+  let owner;
+  let vehicle;
+  let records;
+
+  const now = new Date('2026-06-01T09:00:00Z');
+  const [oilChange, brakeCheck] = DEFAULT_RULES.map(rule => new ReminderRule(rule));
+  const serviceId = new mongoose.Types.ObjectId();
+  const garage = { _id: new mongoose.Types.ObjectId(), name: 'Bole Auto', services: [{ _id: serviceId, isActive: true }] };
+
+  const record = (daysAgo, mileage, description, extra = {}) => new ServiceRecord({
+    vehicle: vehicle._id,
+    owner: owner._id,
+    source: 'garage',
+    performedAt: new Date(now.getTime() - daysAgo * DAY),
+    mileage,
+    workPerformed: [{ description }],
+    ...extra
+  });
+
+  beforeEach(() => {
+    output = [];
+    reminders = [];
+    owner = buildUser('Customer', 'user', { isPhoneVerified: true });
+    vehicle = new Vehicle({ owner: owner._id, make: 'Toyota', model: 'Corolla', year: 2015, mileage: 90000 });
+    records = [];
+
+    mock.method(ReminderRule, 'findActive', async () => [oilChange, brakeCheck]);
+    mock.method(ServiceRecord, 'distinct', async () => [vehicle._id]);
+    mock.method(ServiceRecord, 'find', () => ({ sort: () => ({ lean: async () => records }) }));
+    mock.method(Vehicle, 'find', () => ({ populate: async () => [Object.assign(vehicle, { owner })] }));
+    mock.method(MaintenanceReminder, 'exists', async (query) => reminders.some(r =>
+      String(r.serviceRecord) === String(query.serviceRecord) && r.rule === query.rule));
+    mock.method(MaintenanceReminder, 'create', async (doc) => reminders.push(doc));
+    mock.method(Garage, 'findOne', () => ({ select: async () => garage }));
+    mock.method(Booking, 'findById', () => ({ select: async () => ({ services: [{ serviceId }] }) }));
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('works out when a service is due by time or mileage', () => {
+    vehicle.mileage = 86000;
+    const lastOil = record(100, 85000, 'Oil change and filter');
+
+    assert.equal(evaluateRule(oilChange, vehicle, [lastOil], now).status, 'ok');
+    assert.equal(evaluateRule(oilChange, vehicle, [record(170, 85000, 'Oil change')], now).status, 'due_soon');
+    assert.equal(evaluateRule(oilChange, vehicle, [record(200, 85000, 'Oil change')], now).reason, 'time');
+
+    vehicle.mileage = 90100;
+    const overdue = evaluateRule(oilChange, vehicle, [lastOil], now);
+    assert.deepEqual([overdue.status, overdue.reason, overdue.dueMileage], ['overdue', 'mileage', 90000]);
+
+    assert.equal(evaluateRule(brakeCheck, vehicle, [lastOil], now).status, 'unknown');
+    vehicle.fuelType = 'electric';
+    assert.equal(evaluateRule(oilChange, vehicle, [lastOil], now).status, 'not_applicable');
+  });
+
+  it('reminds once per service with a link to rebook at the same garage', async () => {
+    records = [record(200, 84000, 'Oil change', { garage: garage._id, booking: new mongoose.Types.ObjectId() })];
+
+    assert.deepEqual(await sendMaintenanceReminders(now), { reminded: 1, skipped: 0 });
+    assert.deepEqual(reminders[0].channels, ['email', 'sms']);
+    assert.match(reminders[0].rebookUrl, new RegExp(`/garages/${garage._id}/book\\?vehicle=${vehicle._id}&services=${serviceId}`));
+    assert.match(output.join('\n'), /Oil change overdue for your 2015 Toyota Corolla/);
+
+    assert.deepEqual(await sendMaintenanceReminders(now), { reminded: 0, skipped: 0 });
+  });
+
+  it('delivers over the channels turned on in notification preferences', async () => {
+    records = [record(360, 84000, 'Brake pads replaced')];
+
+    owner.preferences.notifications.email = false;
+    await sendMaintenanceReminders(now);
+    assert.deepEqual(reminders[0].channels, ['sms']);
+    assert.match(reminders[0].rebookUrl, /\/garages\?vehicle=/);
+
+    owner.preferences.notifications.sms = false;
+    records = [record(355, 84000, 'Brake fluid flush')];
+    assert.deepEqual(await sendMaintenanceReminders(now), { reminded: 0, skipped: 1 });
+    assert.equal(reminders[1].status, 'skipped');
+
+    owner.preferences.notifications.maintenanceReminders = false;
+    records = [record(350, 84000, 'Brake inspection')];
+    assert.deepEqual(await sendMaintenanceReminders(now), { reminded: 0, skipped: 0 });
+  });
+});
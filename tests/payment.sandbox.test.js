@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'sandbox';
+
+const app = require('../app');
+const sandbox = require('../services/payment/sandbox.provider');
+const { createStore, buildBooking } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Sandbox payment provider', () => {
+  let server;
+  let baseUrl;
+  let store;
+
+  const startCheckout = (tx_ref, amount = 750) => sandbox.initialize({
+    amount,
+    currency: 'ETB',
+    email: 'customer@example.com',
+    firstName: 'Test',
+    lastName: 'Customer',
+    tx_ref,
+    callbackUrl: `${baseUrl}/api/v1/payments/callback`
+  });
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('settles a checkout and delivers a signed webhook', async () => {
+    const booking = buildBooking('BKG-000004-44444444-DDDDDD');
+    store.bookings.push(booking);
+
+    const checkout = await startCheckout(booking.payment.tx_ref);
+    assert.match(checkout.checkoutUrl, /\/api\/v1\/payments\/sandbox\/checkout\/BKG-/);
+
+    const res = await fetch(`${baseUrl}/api/v1/payments/sandbox/checkout/${booking.payment.tx_ref}?outcome=success`);
+    assert.equal(res.status, 200);
+
+    assert.equal(booking.payment.status, 'paid');
+    assert.equal(booking.payment.method, 'sandbox');
+    assert.equal(booking.payment.amountPaid, 750);
+    assert.equal((await sandbox.verify(booking.payment.tx_ref)).status, 'success');
+  });
+
+  it('simulates failed payments', async () => {
+    const booking = buildBooking('BKG-000005-55555555-EEEEEE');
+    store.bookings.push(booking);
+
+    await startCheckout(booking.payment.tx_ref);
+    await fetch(`${baseUrl}/api/v1/payments/sandbox/checkout/${booking.payment.tx_ref}?outcome=failed`);
+
+    assert.equal(booking.payment.status, 'failed');
+    assert.equal((await sandbox.verify(booking.payment.tx_ref)).status, 'failed');
+  });
+
+  it('refunds up to the amount paid', async () => {
+    const tx_ref = 'BKG-000006-66666666-FFFFFF';
+    await startCheckout(tx_ref, 1000);
+    await sandbox.completeCheckout(tx_ref, 'success');
+
+    const partial = await sandbox.refund(tx_ref, { amount: 400, reason: 'Late cancellation' });
+    assert.equal(partial.amount, 400);
+
+    const rest = await sandbox.refund(tx_ref);
+    assert.equal(rest.amount, 600);
+
+    await assert.rejects(sandbox.refund(tx_ref, { amount: 1 }), /exceeds/);
+  });
+
+  it('rejects webhooks not signed by the sandbox', async () => {
+    const res = await fetch(`${baseUrl}/api/v1/payments/callback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-sandbox-signature': 'forged' },
+      body: JSON.stringify({ id: 'EVT-1', event: 'charge.success', tx_ref: 'BKG-1', status: 'success' })
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(store.events.size, 0);
+  });
+});
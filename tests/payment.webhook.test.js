@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.CHAPA_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const app = require('../app');
+const Booking = require('../models/booking');
+const { createFakeChapa } = require('./helpers/fakeChapa');
+const { createStore, buildGarageOwner, buildBooking } = require('./helpers/memoryStore');
+
+const chapa = createFakeChapa(WEBHOOK_SECRET);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Chapa webhook', () => {
+  let server;
+  let baseUrl;
+  let store;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects unsigned events', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    store.users.push(owner);
+
+    const res = await chapa.send(baseUrl, chapa.buildEvent({ tx_ref: owner.garageInfo.paymentTxRef }), { signature: false });
+
+    assert.equal(res.status, 401);
+    assert.equal(owner.garageInfo.paymentStatus, 'processing');
+    assert.equal(store.events.size, 0);
+  });
+
+  it('rejects events with a forged signature', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    store.users.push(owner);
+
+    const forger = createFakeChapa('not-the-secret');
+    const payload = chapa.buildEvent({ tx_ref: owner.garageInfo.paymentTxRef });
+    const res = await chapa.send(baseUrl, payload, { signature: forger.sign(JSON.stringify(payload)) });
+
+    assert.equal(res.status, 401);
+    assert.equal(owner.garageInfo.paymentStatus, 'processing');
+  });
+
+  it('rejects a signed body that was tampered with', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    store.users.push(owner);
+
+    const original = chapa.buildEvent({ tx_ref: owner.garageInfo.paymentTxRef, status: 'failed' });
+    const signature = chapa.sign(JSON.stringify(original));
+    const tampered = { ...original, status: 'success', event: 'charge.success' };
+
+    const res = await chapa.send(baseUrl, tampered, { signature });
+
+    assert.equal(res.status, 401);
+    assert.equal(owner.garageInfo.paymentStatus, 'processing');
+  });
+
+  it('marks a garage subscription paid on a signed charge.success', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    store.users.push(owner);
+
+    const res = await chapa.send(baseUrl, chapa.buildEvent({ tx_ref: owner.garageInfo.paymentTxRef }));
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.type, 'subscription');
+    assert.equal(owner.garageInfo.paymentStatus, 'paid');
+    assert.equal(owner.garageInfo.verificationStatus, 'payment_completed');
+    assert.ok(owner.garageInfo.paymentExpiry > new Date());
+  });
+
+  it('marks a booking paid on a signed charge.success', async () => {
+    const booking = buildBooking('BKG-000002-22222222-BBBBBB');
+    store.bookings.push(booking);
+
+    const payload = chapa.buildEvent({ tx_ref: booking.payment.tx_ref, amount: '750', reference: 'APbooking1' });
+    const res = await chapa.send(baseUrl, payload);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.type, 'booking');
+    assert.equal(booking.payment.status, 'paid');
+    assert.equal(booking.payment.amountPaid, 750);
+    assert.equal(booking.payment.chapaReference, 'APbooking1');
+
+    const [entry] = store.transactions;
+    assert.equal(store.transactions.length, 1);
+    assert.equal(entry.type, 'booking');
+    assert.equal(entry.entry, 'webhook');
+    assert.equal(entry.status, 'success');
+    assert.equal(entry.amount, 750);
+  });
+
+  it('treats a replayed event as a no-op', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    store.users.push(owner);
+
+    const payload = chapa.buildEvent({ tx_ref: owner.garageInfo.paymentTxRef, reference: 'APreplay1' });
+
+    const first = await chapa.send(baseUrl, payload);
+    assert.equal(first.status, 200);
+    const firstExpiry = owner.garageInfo.paymentExpiry;
+    const savesAfterFirst = store.saves;
+
+    const replay = await chapa.send(baseUrl, payload);
+    const body = await replay.json();
+
+    assert.equal(replay.status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(store.saves, savesAfterFirst);
+    assert.equal(owner.garageInfo.paymentExpiry, firstExpiry);
+    assert.equal(store.events.size, 1);
+    assert.equal(store.transactions.length, 1);
+  });
+
+  it('lets a redelivery retry an event whose processing failed', async () => {
+    const booking = buildBooking('BKG-000003-33333333-CCCCCC');
+    store.bookings.push(booking);
+
+    const payload = chapa.buildEvent({ tx_ref: booking.payment.tx_ref, reference: 'APretry1' });
+
+    mock.method(Booking.prototype, 'save', async () => { throw new Error('database unavailable'); });
+    const failed = await chapa.send(baseUrl, payload);
+    assert.equal(failed.status, 500);
+
+    const [event] = store.events.values();
+    assert.equal(event.status, 'failed');
+
+    mock.method(Booking.prototype, 'save', async function() { return this; });
+    const retried = await chapa.send(baseUrl, payload);
+
+    assert.equal(retried.status, 200);
+    assert.equal(event.status, 'processed');
+    assert.equal(event.attempts, 2);
+    assert.equal(booking.payment.status, 'paid');
+  });
+
+  it('lets a redelivery take over an event abandoned mid-processing', async () => {
+    const booking = buildBooking('BKG-000004-44444444-DDDDDD');
+    store.bookings.push(booking);
+
+    const payload = chapa.buildEvent({ tx_ref: booking.payment.tx_ref, reference: 'APstuck1' });
+
+    // The process died before it could mark the event failed
+    mock.method(Booking.prototype, 'save', async () => { throw new Error('database unavailable'); });
+    await chapa.send(baseUrl, payload);
+    const [event] = store.events.values();
+    event.status = 'processing';
+
+    mock.method(Booking.prototype, 'save', async function() { return this; });
+    const early = await chapa.send(baseUrl, payload);
+    assert.equal((await early.json()).duplicate, true);
+
+    // Once the lease has run out a redelivery takes it over
+    event.updatedAt = new Date(Date.now() - 10 * 60 * 1000);
+    const retried = await chapa.send(baseUrl, payload);
+
+    assert.equal(retried.status, 200);
+    assert.equal(event.status, 'processed');
+    assert.equal(event.attempts, 2);
+    assert.equal(booking.payment.status, 'paid');
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const CommissionEntry = require('../models/CommissionEntry');
+const Payout = require('../models/Payout');
+const {
+  advanceCycle,
+  recordBookingCommission,
+  getOwnerBalance,
+  generatePayoutStatements,
+  settlePayout
+} = require('../services/payout.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Commission and payouts', () => {
+  let entries;
+  let payouts;
+  let output;
+
+  const owner = buildUser('Owner', 'garage_owner', { phone: '0911000001', garageInfo: { businessName: 'Bole Auto PLC' } });
+  const admin = buildUser('Admin', 'admin');
+  const garage = new Garage({
+    name: 'Bole Auto',
+    owner: owner._id,
+    address: { street: 'Bole Road', city: 'Addis Ababa' }
+  });
+
+  const makeBooking = (amount, fields = {}) => new Booking({
+    user: new mongoose.Types.ObjectId(),
+    garage: garage._id,
+    status: 'confirmed',
+    appointmentDate: new Date(),
+    services: [{ serviceId: new mongoose.Types.ObjectId(), name: 'Service', price: amount, duration: 60 }],
+    totalPrice: amount,
+    payment: { status: 'paid', method: 'chapa', amountPaid: amount, paidAt: new Date() },
+    ...fields
+  });
+
+  // Entries created at a given time, as if the booking had been paid then
+  const pay = async (amount, createdAt) => {
+    const [entry] = await recordBookingCommission(makeBooking(amount));
+    entry.createdAt = createdAt;
+    return entry;
+  };
+
+  const matches = (entry, query) =>
+    entry.owner.toString() === query.owner.toString() &&
+    entry.payout === null &&
+    (!query.createdAt || entry.createdAt < query.createdAt.$lt);
+
+  beforeEach(() => {
+    output = [];
+    entries = [];
+    payouts = [];
+    owner.garageInfo.commissionRate = 10;
+    owner.garageInfo.paymentTerms = { invoiceCycle: 'monthly', minimumPayout: 5000 };
+
+    mock.method(Garage, 'findById', () => ({ select: async () => garage }));
+    mock.method(User, 'findById', () => ({ select: async () => owner }));
+    mock.method(User, 'find', () => ({ select: async () => [owner] }));
+    mock.method(User, 'updateOne', async (filter, update) => {
+      owner.garageInfo.paymentTerms.nextPayoutDate = update['garageInfo.paymentTerms.nextPayoutDate'];
+    });
+    mock.method(CommissionEntry, 'findOne', async ({ booking, type }) =>
+      entries.find(e => e.booking.toString() === booking.toString() && e.type === type) || null);
+    mock.method(CommissionEntry, 'exists', async ({ refund, type }) =>
+      entries.some(e => e.type === type && e.refund?.toString() === refund.toString()));
+    mock.method(CommissionEntry, 'create', async (doc) => {
+      const entry = new CommissionEntry(doc);
+      await entry.validate();
+      entry.createdAt = new Date();
+      entries.push(entry);
+      return entry;
+    });
+    mock.method(CommissionEntry, 'find', (query) => {
+      const found = entries.filter(entry => matches(entry, query));
+      return Object.assign(Promise.resolve(found), { sort: async () => found });
+    });
+    mock.method(CommissionEntry, 'updateMany', async ({ _id }, { payout }) => {
+      const ids = _id.$in.map(String);
+      entries.filter(e => ids.includes(e._id.toString())).forEach(e => { e.payout = payout; });
+    });
+    mock.method(Payout, 'create', async (doc) => {
+      const payout = new Payout(doc);
+      await payout.validate();
+      payouts.push(payout);
+      return payout;
+    });
+    mock.method(Payout, 'findOneAndUpdate', async ({ _id, status }, update) => {
+      const payout = payouts.find(p => p._id.toString() === _id.toString() && p.status === status);
+      return payout ? payout.set(update) : null;
+    });
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('takes commission on each paid booking once and gives it back on refunds', async () => {
+    assert.deepEqual(await recordBookingCommission(makeBooking(1000, { payment: { status: 'pending' } })), []);
+
+    const booking = makeBooking(1200);
+    const [earning] = await recordBookingCommission(booking);
+    assert.deepEqual([earning.gross, earning.commission, earning.net], [1200, 120, 1080]);
+    assert.ok(owner.garageInfo.paymentTerms.nextPayoutDate > new Date());
+
+    // A later rate change does not alter what the refund takes back
+    owner.garageInfo.commissionRate = 20;
+    booking.payment.status = 'partially_refunded';
+    booking.payment.refunds.push({ amount: 200, reason: 'Part not fitted' });
+    const recorded = await recordBookingCommission(booking);
+    assert.deepEqual(await recordBookingCommission(booking), []);
+
+    assert.equal(recorded.length, 1);
+    assert.deepEqual([recorded[0].gross, recorded[0].commission, recorded[0].net], [-200, -20, -180]);
+
+    const balance = await getOwnerBalance(owner);
+    assert.deepEqual([balance.balance, balance.commission, balance.belowMinimum], [900, 100, true]);
+  });
+
+  it('issues a statement at the end of the cycle only once the minimum is reached', async () => {
+    const periodEnd = new Date('2026-03-01T00:00:00Z');
+    owner.garageInfo.paymentTerms.nextPayoutDate = periodEnd;
+
+    await pay(3000, new Date('2026-02-10T00:00:00Z'));
+    assert.deepEqual(await generatePayoutStatements(new Date('2026-03-01T06:00:00Z')),
+      { statements: 0, carriedForward: 1 });
+    assert.deepEqual(owner.garageInfo.paymentTerms.nextPayoutDate, advanceCycle(periodEnd, 'monthly'));
+
+    // Carried forward balance goes on the next statement, later earnings wait
+    await pay(4000, new Date('2026-03-15T00:00:00Z'));
+    const late = await pay(1000, new Date('2026-04-02T00:00:00Z'));
+    const result = await generatePayoutStatements(new Date('2026-04-01T06:00:00Z'));
+
+    assert.deepEqual(result, { statements: 1, carriedForward: 0 });
+    assert.deepEqual([payouts[0].entryCount, payouts[0].gross, payouts[0].net], [2, 7000, 6300]);
+    assert.equal(late.payout, null);
+    assert.match(output.join('\n'), /Your payout statement: 6300 ETB/);
+  });
+
+  it('moves a weekly cycle past missed weeks in one step', async () => {
+    owner.garageInfo.paymentTerms = {
+      invoiceCycle: 'weekly',
+      minimumPayout: 0,
+      nextPayoutDate: new Date('2026-05-04T00:00:00Z')
+    };
+
+    await generatePayoutStatements(new Date('2026-05-20T00:00:00Z'));
+    assert.deepEqual(owner.garageInfo.paymentTerms.nextPayoutDate, new Date('2026-05-25T00:00:00Z'));
+    assert.equal(payouts.length, 0);
+  });
+
+  it('settles a statement once, only with a transfer reference', async () => {
+    const payout = new Payout({ owner: owner._id, periodEnd: new Date(), gross: 6000, commission: 600, net: 5400 });
+    payouts.push(payout);
+
+    await assert.rejects(settlePayout(payout, { reference: ' ' }, admin), { status: 400 });
+
+    // Two admins settling the same statement: only the first wins
+    const results = await Promise.allSettled([
+      settlePayout(payout, { reference: 'CBE-778812' }, admin),
+      settlePayout(payout, { reference: 'CBE-778813' }, admin)
+    ]);
+
+    assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+    assert.match(results[1].reason.message, /already been settled/);
+    assert.deepEqual([payout.status, payout.reference], ['settled', 'CBE-778812']);
+    assert.equal(payout.settledBy.toString(), admin._id.toString());
+    assert.equal(output.join('\n').match(/Transfer reference:/g).length, 1);
+  });
+});
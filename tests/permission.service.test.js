@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const RolePermission = require('../models/RolePermission');
+const {
+  DEFAULT_ROLE_PERMISSIONS,
+  can,
+  hasPermission,
+  updateRolePermissions,
+  seedRolePermissions
+} = require('../services/permission.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Permission policy', () => {
+  let mappings;
+
+  const makeUser = (role, twoFactorEnabled = true) =>
+    buildUser(role, role, { twoFactor: { enabled: twoFactorEnabled } });
+
+  const owner = makeUser('garage_owner');
+  const otherOwner = makeUser('garage_owner');
+  const customer = makeUser('user');
+  const garage = { _id: new mongoose.Types.ObjectId(), owner: owner._id };
+
+  beforeEach(() => {
+    mappings = new Map();
+    mock.method(RolePermission, 'findOne', ({ role }) => ({ lean: async () => mappings.get(role) || null }));
+    mock.method(RolePermission, 'findOneAndUpdate', async ({ role }, update) => {
+      mappings.set(role, update);
+      return update;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('limits :own permissions to the resource owner', async () => {
+    assert.equal(await can(owner, 'garage:update', garage), true);
+    assert.equal(await can(otherOwner, 'garage:update', garage), false);
+    assert.equal(await can(customer, 'garage:update', garage), false);
+  });
+
+  it('lets admins and super admins act on any resource', async () => {
+    assert.equal(await can(makeUser('admin'), 'garage:update', garage), true);
+    assert.equal(await can(makeUser('super_admin'), 'garage:update', garage), true);
+    assert.equal(await hasPermission(makeUser('admin'), 'permission:manage'), false);
+    assert.equal(await hasPermission(makeUser('super_admin'), 'permission:manage'), true);
+  });
+
+  it('grants admins nothing until two-factor authentication is on', async () => {
+    assert.equal(await can(makeUser('admin', false), 'garage:update', garage), false);
+  });
+
+  it('treats the customer and the garage owner as owning a booking', async () => {
+    const booking = { user: customer._id, garage: { _id: garage._id, owner: owner._id } };
+
+    assert.equal(await can(customer, 'booking:read', booking), true);
+    assert.equal(await can(owner, 'booking:read', booking), true);
+    assert.equal(await can(otherOwner, 'booking:read', booking), false);
+  });
+
+  it('applies role changes made by a super admin', async () => {
+    await assert.rejects(updateRolePermissions('user', ['booking:fly']), { status: 400 });
+    await assert.rejects(updateRolePermissions('super_admin', ['job:run']), { status: 400 });
+
+    await updateRolePermissions('garage_owner', ['garage:update:own']);
+    assert.equal(await can(owner, 'garage:update', garage), true);
+    assert.equal(await can(owner, 'garage:delete', garage), false);
+  });
+
+  it('adds new default permissions to seeded roles without restoring removed ones', async () => {
+    const stored = new RolePermission({
+      role: 'user',
+      permissions: ['booking:create'],
+      seededDefaults: DEFAULT_ROLE_PERMISSIONS.user.filter(p => p !== 'vehicle:create')
+    });
+    mock.method(RolePermission, 'findOne', async ({ role }) => (role === 'user' ? stored : null));
+    mock.method(RolePermission, 'create', async (doc) => doc);
+    const save = mock.method(stored, 'save', async function() { return this; });
+
+    await seedRolePermissions();
+
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual([...stored.permissions], ['booking:create', 'vehicle:create']);
+    assert.equal(stored.seededDefaults.includes('vehicle:create'), true);
+  });
+});
@@ -0,0 +1,210 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Garage = require('../models/garage');
+const Booking = require('../models/booking');
+const Quote = require('../models/Quote');
+const QuoteRequest = require('../models/QuoteRequest');
+const {
+  createQuoteRequest,
+  submitQuote,
+  acceptQuote,
+  expireQuotes
+} = require('../services/quote.service');
+const {
+  getDefaultTimezone,
+  addDays,
+  getLocalTime,
+  zonedTime
+} = require('../services/businessHours.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Quotes', () => {
+  let requestUpdates;
+  let quoteUpdates;
+  let bookings;
+  let output;
+  let slotTaken;
+
+  const customer = buildUser('Customer');
+  const owner = buildUser('Owner', 'garage_owner');
+
+  const makeGarage = (name) => new Garage({
+    name,
+    owner: owner._id,
+    services: [{ name: 'Brake service', price: 1500, duration: 90 }]
+  });
+
+  const bole = makeGarage('Bole Auto');
+  const piassa = makeGarage('Piassa Motors');
+
+  // Next Wednesday on the garage's clock, open 9:00 to 18:00 by default
+  const wednesdayAt = (minutes) => {
+    let day = addDays(getLocalTime(new Date(), getDefaultTimezone()).date, 1);
+    while (new Date(`${day}T00:00:00Z`).getUTCDay() !== 3) day = addDays(day, 1);
+    return zonedTime(day, minutes, getDefaultTimezone());
+  };
+
+  const submitted = (request, garage, fields = {}) => new Quote({
+    request: request._id,
+    garage: garage._id,
+    customer: customer._id,
+    items: [{ description: 'Brake pads', quantity: 2, unitPrice: 400, duration: 60 }],
+    validUntil: new Date(Date.now() + 7 * DAY),
+    ...fields
+  });
+
+  beforeEach(() => {
+    output = [];
+    requestUpdates = [];
+    quoteUpdates = [];
+    bookings = [];
+    slotTaken = false;
+
+    mock.method(Garage, 'find', ({ _id }) => ({
+      select: async () => [bole, piassa].filter(garage => _id.$in.includes(garage._id.toString()))
+    }));
+    mock.method(Garage, 'findOne', () => ({ populate: async () => bole }));
+    mock.method(Garage, 'findOneAndUpdate', async () => bole);
+    mock.method(Garage, 'updateOne', async () => ({}));
+    mock.method(Booking, 'find', () => ({
+      select: async () => (slotTaken ? [{ appointmentDate: wednesdayAt(9 * 60), totalDuration: 540, services: [] }] : [])
+    }));
+    mock.method(Booking, 'create', async (doc) => {
+      const booking = new Booking(doc);
+      bookings.push(booking);
+      return booking;
+    });
+    mock.method(User, 'findById', (id) => ({
+      select: async () => (id.toString() === customer._id.toString() ? customer : owner)
+    }));
+    mock.method(QuoteRequest, 'create', async (doc) => {
+      const request = new QuoteRequest(doc);
+      await request.validate();
+      return request;
+    });
+    mock.method(QuoteRequest, 'updateOne', async (query, update) => {
+      requestUpdates.push({ query, update });
+      return { modifiedCount: 1 };
+    });
+    mock.method(Quote, 'findOne', async () => null);
+    mock.method(Quote, 'updateMany', async (query, update) => {
+      quoteUpdates.push({ query, update });
+      return { modifiedCount: 1 };
+    });
+    mock.method(Quote.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends a request to each chosen garage', async () => {
+    const photo = { name: 'pads.jpg', url: 'https://example.com/pads.jpg', publicId: 'pads', mimeType: 'image/jpeg' };
+    const request = await createQuoteRequest(customer, {
+      description: 'Squealing when braking',
+      garages: `${bole._id},${piassa._id}`
+    }, async () => [photo]);
+
+    assert.equal(request.garages.length, 2);
+    assert.equal(request.status, 'open');
+    assert.deepEqual(request.photos.map(p => p.publicId), ['pads']);
+    assert.equal(output.filter(line => /Customer is asking .* for a quote/.test(line)).length, 2);
+
+    // Photos are only uploaded for a request that will be saved
+    const upload = mock.fn(async () => [photo]);
+    await assert.rejects(createQuoteRequest(customer, { description: 'Noise', garages: [] }, upload), { status: 400 });
+    await assert.rejects(createQuoteRequest(customer, { garages: [bole._id] }, upload), { name: 'ValidationError' });
+    mock.method(Garage, 'find', () => ({ select: async () => [bole] }));
+    await assert.rejects(
+      createQuoteRequest(customer, { description: 'Noise', garages: [bole._id, piassa._id] }, upload),
+      /not taking quote requests/
+    );
+    assert.equal(upload.mock.callCount(), 0);
+  });
+
+  it('prices items from the catalogue unless the garage sets them', async () => {
+    const request = await createQuoteRequest(customer, { description: 'Brakes', garages: [bole._id] });
+    const serviceId = bole.services[0]._id;
+
+    const quote = await submitQuote(request, bole, {
+      items: [
+        { serviceId },
+        { description: 'Brake pads', quantity: 2, unitPrice: 400 }
+      ],
+      validUntil: new Date(Date.now() + 7 * DAY)
+    }, owner);
+
+    assert.equal(quote.items[0].description, 'Brake service');
+    assert.deepEqual([quote.totalPrice, quote.totalDuration], [2300, 90]);
+    assert.match(output.join('\n'), /Bole Auto sent you a quote/);
+
+    await assert.rejects(submitQuote(request, piassa, { items: [{ serviceId }] }, owner), { status: 403 });
+    await assert.rejects(
+      submitQuote(request, bole, { items: [{ description: 'Pads', unitPrice: 1 }], validUntil: new Date(Date.now() - DAY) }, owner),
+      { status: 400 }
+    );
+  });
+
+  it('books the accepted quote at the quoted prices and declines the rest', async () => {
+    const request = await createQuoteRequest(customer, { description: 'Brakes', garages: [bole._id, piassa._id] });
+    const quote = submitted(request, bole);
+    await quote.validate();
+
+    const booking = await acceptQuote(quote, request, customer, { appointmentDate: wednesdayAt(10 * 60) });
+
+    assert.equal(booking.totalPrice, 800);
+    assert.deepEqual(booking.services.map(s => [s.name, s.price]), [['Brake pads x2', 800]]);
+    assert.equal(booking.quote.toString(), quote._id.toString());
+    assert.equal(quote.status, 'accepted');
+    assert.deepEqual(requestUpdates[0].query, { _id: request._id, status: 'open' });
+    assert.deepEqual(quoteUpdates[0].update.status, 'declined');
+
+    await assert.rejects(
+      acceptQuote(submitted(request, piassa, { validUntil: new Date(Date.now() - DAY) }), request, customer, {
+        appointmentDate: wednesdayAt(10 * 60)
+      }),
+      /expired/
+    );
+  });
+
+  it('reopens the request when the slot is taken', async () => {
+    const request = await createQuoteRequest(customer, { description: 'Brakes', garages: [bole._id] });
+    const quote = submitted(request, bole);
+    slotTaken = true;
+
+    await assert.rejects(
+      acceptQuote(quote, request, customer, { appointmentDate: wednesdayAt(10 * 60 + 30) }),
+      { status: 409 }
+    );
+
+    assert.equal(bookings.length, 0);
+    assert.equal(quote.status, 'submitted');
+    assert.equal(requestUpdates.at(-1).update.status, 'open');
+  });
+
+  it('expires stale requests only when nothing is left to accept', async () => {
+    const waiting = new QuoteRequest({ _id: new mongoose.Types.ObjectId() });
+    const answered = new QuoteRequest({ _id: new mongoose.Types.ObjectId() });
+
+    mock.method(QuoteRequest, 'find', () => ({ select: async () => [waiting, answered] }));
+    mock.method(Quote, 'exists', async ({ request }) => request === answered._id);
+
+    const result = await expireQuotes(new Date());
+
+    assert.deepEqual(result, { quotes: 1, requests: 1 });
+    assert.deepEqual(requestUpdates.map(u => u.query._id), [waiting._id]);
+  });
+});
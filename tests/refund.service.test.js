@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Booking = require('../models/booking');
+
+process.env.PAYMENT_PROVIDER = 'sandbox';
+
+const sandbox = require('../services/payment/sandbox.provider');
+const { quoteBookingRefund, refundBooking } = require('../services/refund.service');
+const { createStore, buildBooking } = require('./helpers/memoryStore');
+
+const HOUR = 60 * 60 * 1000;
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Booking refunds', () => {
+  let store;
+
+  const buildPaidBooking = async (tx_ref, hoursAhead) => {
+    const booking = buildBooking(tx_ref);
+    booking.appointmentDate = new Date(Date.now() + hoursAhead * HOUR);
+    booking.payment.status = 'paid';
+    booking.payment.amountPaid = 750;
+
+    await sandbox.initialize({ amount: 750, currency: 'ETB', tx_ref });
+    await sandbox.completeCheckout(tx_ref, 'success');
+
+    // The stored copy stands in for the database document
+    store.bookings.push(new Booking(booking.toObject()));
+    return booking;
+  };
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('scales the customer refund with notice given', async () => {
+    const early = await buildPaidBooking('BKG-000010-10101010-AAAAAA', 72);
+    const late = await buildPaidBooking('BKG-000011-11111111-BBBBBB', 30);
+    const lastMinute = await buildPaidBooking('BKG-000012-12121212-CCCCCC', 2);
+
+    assert.equal(quoteBookingRefund(early).amount, 750);
+    assert.equal(quoteBookingRefund(late).amount, 375);
+    assert.equal(quoteBookingRefund(lastMinute).amount, 0);
+    assert.equal(quoteBookingRefund(lastMinute, { actor: 'garage_owner' }).amount, 750);
+  });
+
+  it('records partial and full refunds on the booking and ledger', async () => {
+    const booking = await buildPaidBooking('BKG-000013-13131313-DDDDDD', 72);
+
+    await refundBooking(booking, { amount: 250, reason: 'Service not performed' });
+    assert.equal(booking.payment.status, 'partially_refunded');
+    assert.equal(booking.payment.amountRefunded, 250);
+
+    await refundBooking(booking);
+    assert.equal(booking.payment.status, 'refunded');
+    assert.equal(booking.payment.amountRefunded, 750);
+    assert.equal(booking.payment.refunds.length, 2);
+
+    assert.deepEqual(store.transactions.map(t => [t.entry, t.status, t.amount]), [
+      ['refund', 'success', 250],
+      ['refund', 'success', 500]
+    ]);
+  });
+
+  it('refuses to refund more than was paid', async () => {
+    const booking = await buildPaidBooking('BKG-000014-14141414-EEEEEE', 72);
+
+    await assert.rejects(refundBooking(booking, { amount: 1000 }), { status: 400 });
+    assert.equal(booking.payment.status, 'paid');
+    assert.equal(store.transactions.length, 0);
+  });
+
+  it('sends only one of two concurrent refunds to the provider', async () => {
+    const booking = await buildPaidBooking('BKG-000015-15151515-FFFFFF', 72);
+    const sameBooking = new Booking(booking.toObject());
+    const providerRefund = mock.method(sandbox, 'refund');
+
+    // An admin refund racing a customer cancellation, each with its own copy
+    const results = await Promise.allSettled([
+      refundBooking(booking, { amount: 500 }),
+      refundBooking(sameBooking, { amount: 500 })
+    ]);
+
+    assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 409);
+    assert.equal(providerRefund.mock.callCount(), 1);
+    assert.equal(store.bookings[0].payment.amountRefunded, 500);
+    assert.equal(store.bookings[0].payment.refunds.length, 1);
+  });
+
+  it('releases the claimed amount when the provider refuses the refund', async () => {
+    const booking = await buildPaidBooking('BKG-000016-16161616-GGGGGG', 72);
+    mock.method(sandbox, 'refund', async () => { throw new Error('Provider unavailable'); });
+
+    await assert.rejects(refundBooking(booking, { amount: 250 }), { status: 502 });
+    assert.equal(store.bookings[0].payment.amountRefunded, 0);
+    assert.equal(store.bookings[0].payment.status, 'paid');
+
+    sandbox.refund.mock.restore();
+    await refundBooking(booking);
+    assert.equal(store.bookings[0].payment.amountRefunded, 750);
+    assert.equal(store.bookings[0].payment.status, 'refunded');
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Vehicle = require('../models/Vehicle');
+const Garage = require('../models/garage');
+const ServiceRecord = require('../models/ServiceRecord');
+const StaffMember = require('../models/StaffMember');
+const RolePermission = require('../models/RolePermission');
+const {
+  recordCompletedBooking,
+  canEditRecord,
+  deleteServiceRecord,
+  historyToCsv,
+  renderHistoryHtml,
+  createHistoryShare,
+  findSharedVehicle
+} = require('../services/serviceHistory.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Vehicle service history', () => {
+  let mileageUpdates;
+
+  const customer = buildUser('Customer');
+  const garageOwner = buildUser('Owner', 'garage_owner', { phone: '0911000001' });
+  const garage = { _id: new mongoose.Types.ObjectId(), name: 'Bole Auto', owner: garageOwner._id };
+  const vehicle = new Vehicle({ owner: customer._id, make: 'Toyota', model: 'Corolla', year: 2015, vin: '1HGCM82633A004352' });
+
+  const booking = {
+    _id: new mongoose.Types.ObjectId(),
+    user: customer._id,
+    garage,
+    vehicle: vehicle._id,
+    vehicleSnapshot: { mileage: 84000 },
+    services: [{ name: 'Oil change' }, { name: 'Brake inspection' }],
+    completedAt: new Date('2026-03-01T10:00:00Z')
+  };
+
+  beforeEach(() => {
+    mileageUpdates = [];
+    mock.method(ServiceRecord, 'create', async (doc) => new ServiceRecord(doc));
+    mock.method(Vehicle, 'updateOne', async (query, update) => mileageUpdates.push(update));
+    mock.method(RolePermission, 'findOne', () => ({ lean: async () => null }));
+    mock.method(Garage, 'findById', () => ({ select: async () => garage }));
+    mock.method(StaffMember, 'findActive', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('writes a record when a booking with a vehicle is completed', async () => {
+    const record = await recordCompletedBooking(booking, {
+      user: garageOwner,
+      details: { mileage: 85200, partsReplaced: [{ name: 'Oil filter', partNumber: '90915-YZZE1' }] }
+    });
+
+    assert.equal(record.source, 'garage');
+    assert.equal(record.garageName, 'Bole Auto');
+    assert.equal(record.mileage, 85200);
+    assert.deepEqual(record.workPerformed.map(item => item.description), ['Oil change', 'Brake inspection']);
+    assert.equal(record.partsReplaced[0].quantity, 1);
+    assert.equal(mileageUpdates[0].mileage, 85200);
+
+    assert.equal(await recordCompletedBooking({ ...booking, vehicle: undefined }), null);
+  });
+
+  it('lets the garage edit its records and the owner edit theirs', async () => {
+    const garageRecord = new ServiceRecord({ vehicle: vehicle._id, owner: customer._id, source: 'garage', garage: garage._id, performedAt: new Date() });
+    const ownerRecord = new ServiceRecord({ vehicle: vehicle._id, owner: customer._id, source: 'owner', performedAt: new Date() });
+
+    assert.equal(await canEditRecord(garageOwner, garageRecord), true);
+    assert.equal(await canEditRecord(customer, garageRecord), false);
+    assert.equal(await canEditRecord(customer, ownerRecord), true);
+    assert.equal(await canEditRecord(garageOwner, ownerRecord), false);
+
+    await assert.rejects(deleteServiceRecord(garageRecord), { status: 400 });
+  });
+
+  it('exports the history as CSV and printable HTML', () => {
+    const records = [
+      new ServiceRecord({
+        vehicle: vehicle._id,
+        owner: customer._id,
+        source: 'owner',
+        garageName: 'Roadside <Garage>',
+        performedAt: new Date('2025-06-01'),
+        mileage: 70000,
+        workPerformed: [{ description: 'Tyres, rotated' }]
+      })
+    ];
+
+    const csv = historyToCsv(records).split('\n');
+    assert.equal(csv[1], '2025-06-01,70000,Roadside <Garage>,no,"Tyres, rotated",,');
+
+    const html = renderHistoryHtml(vehicle, records);
+    assert.match(html, /Service history: 2015 Toyota Corolla/);
+    assert.match(html, /Roadside &lt;Garage&gt; <em>\(owner reported\)<\/em>/);
+    assert.doesNotMatch(html, /customer@example\.com/);
+
+    process.env.APP_NAME = 'Garage Hub';
+    try {
+      assert.match(renderHistoryHtml(vehicle, records), /Generated by Garage Hub on/);
+    } finally {
+      delete process.env.APP_NAME;
+    }
+  });
+
+  it('opens the shared history only with a live link', async () => {
+    mock.method(vehicle, 'save', async function() { return this; });
+    const { token } = await createHistoryShare(vehicle);
+
+    mock.method(Vehicle, 'findOne', async (query) =>
+      (query['historyShare.tokenHash'] === vehicle.historyShare.tokenHash &&
+        vehicle.historyShare.expiresAt > query['historyShare.expiresAt'].$gt ? vehicle : null));
+
+    assert.equal(await findSharedVehicle(token), vehicle);
+    await assert.rejects(findSharedVehicle('wrong'), { status: 404 });
+  });
+});
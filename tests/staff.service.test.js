@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const StaffMember = require('../models/StaffMember');
+const {
+  canStaffAct,
+  inviteStaff,
+  acceptInvitation,
+  revokeStaff
+} = require('../services/staff.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Garage staff', () => {
+  let members;
+  let users;
+  let output;
+
+  const owner = buildUser('Owner', 'garage_owner');
+  const garage = { _id: new mongoose.Types.ObjectId(), name: 'Bole Auto', owner: owner._id };
+
+  const lastInviteToken = () => output.join('\n').match(/staff\/accept\?token=([a-f0-9]+)/g).pop().split('=')[1];
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => {
+    if (value?.$gt !== undefined) return doc[key] > value.$gt;
+    return String(doc[key]) === String(value);
+  });
+
+  beforeEach(() => {
+    members = [];
+    users = [owner];
+    output = [];
+
+    mock.method(StaffMember.prototype, 'save', async function() {
+      if (!members.includes(this)) members.push(this);
+      return this;
+    });
+    mock.method(StaffMember, 'findOne', (query) => {
+      const found = members.find(m => matches(m, query)) || null;
+      const result = Promise.resolve(found);
+      result.populate = async () => found;
+      return result;
+    });
+    mock.method(StaffMember, 'findActive', async (garageId, userId) =>
+      members.find(m => String(m.garage) === String(garageId) && String(m.user) === String(userId) && m.status === 'active') || null
+    );
+    mock.method(User, 'exists', async ({ email }) => (email === owner.email ? { _id: owner._id } : null));
+    mock.method(User, 'findOne', ({ email }) => ({ select: async () => users.find(u => u.email === email) || null }));
+    mock.method(User, 'create', async (data) => {
+      const user = new User(data);
+      users.push(user);
+      return user;
+    });
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('creates a staff account from an emailed invitation', async () => {
+    await inviteStaff(garage, { email: 'Reception@Example.com', name: 'Sara', role: 'receptionist' }, owner);
+    const token = lastInviteToken();
+
+    const { member, user, isNewAccount } = await acceptInvitation(token, { password: 'Password123', phone: '0922000000' });
+
+    assert.equal(isNewAccount, true);
+    assert.equal(user.role, 'staff');
+    assert.equal(user.email, 'reception@example.com');
+    assert.equal(member.status, 'active');
+    await assert.rejects(acceptInvitation(token, { password: 'Password123', phone: '0922000000' }), { status: 404 });
+  });
+
+  it('scopes what staff may do by their role', async () => {
+    await inviteStaff(garage, { email: 'mechanic@example.com', role: 'mechanic' }, owner);
+    const { user } = await acceptInvitation(lastInviteToken(), { password: 'Password123', phone: '0933000000' });
+
+    assert.equal(await canStaffAct(user, garage, 'start'), true);
+    assert.equal(await canStaffAct(user, garage, 'complete'), true);
+    assert.equal(await canStaffAct(user, garage, 'confirm'), false);
+    assert.equal(await canStaffAct(user, { _id: new mongoose.Types.ObjectId() }, 'start'), false);
+  });
+
+  it('ends access as soon as a member is removed', async () => {
+    await inviteStaff(garage, { email: 'manager@example.com', role: 'manager' }, owner);
+    const { member, user } = await acceptInvitation(lastInviteToken(), { password: 'Password123', phone: '0944000000' });
+
+    await revokeStaff(member);
+    assert.equal(await canStaffAct(user, garage, 'view_bookings'), false);
+  });
+
+  it('rejects unknown roles and inviting the owner', async () => {
+    await assert.rejects(inviteStaff(garage, { email: 'x@example.com', role: 'cashier' }, owner), { status: 400 });
+    await assert.rejects(inviteStaff(garage, { email: owner.email, role: 'manager' }, owner), /garage owner/);
+  });
+});
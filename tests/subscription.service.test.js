@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const {
+  activateSubscription,
+  getEntitlements,
+  expireLapsedSubscriptions,
+  sendRenewalReminders
+} = require('../services/subscription.service');
+const { seedDefaultPlans } = require('../services/plan.service');
+const { createStore, buildGarageOwner } = require('./helpers/memoryStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Subscription lifecycle', () => {
+  let store;
+
+  const buildActiveOwner = (daysLeft) => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+    Object.assign(owner.garageInfo, {
+      paymentStatus: 'paid',
+      paidTxRef: 'GAR-000001-11111111-AAAAAA',
+      paymentExpiry: new Date(Date.now() + daysLeft * DAY),
+      subscriptionPlan: 'basic',
+      verificationStatus: 'approved'
+    });
+    return owner;
+  };
+
+  beforeEach(() => {
+    store = createStore();
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('starts a new period and lists the garage on first payment', async () => {
+    const owner = buildGarageOwner('GAR-000001-11111111-AAAAAA');
+
+    await activateSubscription(owner);
+
+    assert.equal(owner.garageInfo.paymentStatus, 'paid');
+    assert.equal(owner.garageInfo.subscriptionPlan, 'basic');
+    assert.equal(owner.garageInfo.verificationStatus, 'payment_completed');
+    assert.equal(Math.round((owner.garageInfo.paymentExpiry - Date.now()) / DAY), 30);
+    assert.equal(store.listings.get(owner._id.toString()).isListed, true);
+    assert.equal(store.listings.get(owner._id.toString()).isFeatured, false);
+  });
+
+  it('extends an early renewal from the current expiry', async () => {
+    const owner = buildActiveOwner(10);
+    const currentExpiry = owner.garageInfo.paymentExpiry;
+    owner.garageInfo.paymentTxRef = 'GAR-000001-22222222-BBBBBB';
+    owner.garageInfo.renewalPlan = 'yearly';
+
+    await activateSubscription(owner);
+
+    assert.equal(owner.garageInfo.paymentExpiry - currentExpiry, 365 * DAY);
+    assert.equal(owner.garageInfo.paymentPlan, 'yearly');
+    assert.equal(owner.garageInfo.subscriptionPlan, 'premium');
+    assert.equal(store.listings.get(owner._id.toString()).isFeatured, true);
+    assert.equal(owner.garageInfo.verificationStatus, 'approved');
+  });
+
+  it('applies each payment only once', async () => {
+    const owner = buildActiveOwner(10);
+    owner.garageInfo.paymentTxRef = 'GAR-000001-22222222-BBBBBB';
+
+    await activateSubscription(owner);
+    const expiry = owner.garageInfo.paymentExpiry;
+    await activateSubscription(owner);
+
+    assert.equal(owner.garageInfo.paymentExpiry, expiry);
+    assert.equal(store.saves, 1);
+  });
+
+  it('expires lapsed plans and hides their garages', async () => {
+    const owner = buildActiveOwner(-1);
+    mock.method(User, 'find', async () => [owner]);
+
+    const result = await expireLapsedSubscriptions();
+
+    assert.deepEqual(result, { expired: 1 });
+    assert.equal(owner.garageInfo.paymentStatus, 'expired');
+    assert.equal(owner.garageInfo.subscriptionPlan, 'free');
+    assert.equal(store.listings.get(owner._id.toString()).isListed, false);
+  });
+
+  it('grants plan entitlements only while the plan is active', async () => {
+    const owner = buildActiveOwner(10);
+    owner.garageInfo.paymentPlan = 'premium';
+
+    assert.deepEqual(await getEntitlements(owner), { maxServices: null, featuredPlacement: true, analytics: true });
+
+    owner.garageInfo.paymentExpiry = new Date(Date.now() - DAY);
+    assert.deepEqual(await getEntitlements(owner), { maxServices: 1, featuredPlacement: false, analytics: false });
+  });
+
+  it('sends each renewal reminder once per period', async () => {
+    const owner = buildActiveOwner(2.5);
+    mock.method(User, 'findGaragesNeedingRenewal', async () => [owner]);
+
+    assert.deepEqual(await sendRenewalReminders(), { reminded: 1 });
+    assert.deepEqual([...owner.garageInfo.renewalRemindersSent], [7, 3]);
+
+    assert.deepEqual(await sendRenewalReminders(), { reminded: 0 });
+  });
+
+  it('seeds plan amounts from the environment loaded at startup', async () => {
+    const seeded = [];
+    mock.method(Plan, 'updateOne', async (filter, update) => { seeded.push(update.$setOnInsert); });
+    process.env.BASIC_PLAN_AMOUNT = '777';
+
+    try {
+      await seedDefaultPlans();
+    } finally {
+      delete process.env.BASIC_PLAN_AMOUNT;
+    }
+
+    assert.deepEqual(seeded.map(plan => plan.amount), [777, 1000, 5000]);
+  });
+});
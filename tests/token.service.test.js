@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  getRevocationReason,
+  revokeAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeAllSessions
+} = require('../services/token.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Sessions and refresh tokens', () => {
+  let user;
+  let revoked;
+
+  const request = { headers: { 'user-agent': 'node-test' }, ip: '127.0.0.1' };
+  const decode = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+  beforeEach(() => {
+    revoked = new Set();
+    user = buildUser('Test User', 'user', { email: 'user@example.com' });
+
+    mock.method(User.prototype, 'save', async function() { return this; });
+    mock.method(User, 'findOne', async () => user);
+    mock.method(RevokedToken, 'revoke', async ({ jti }) => { revoked.add(jti); });
+    mock.method(RevokedToken, 'exists', async ({ jti }) => (revoked.has(jti) ? { _id: jti } : null));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('issues a short-lived access token bound to a device', async () => {
+    const session = await issueSession(user, request);
+    const decoded = decode(session.token);
+
+    assert.equal(decoded.sid, session.deviceId);
+    assert.ok(decoded.exp - decoded.iat <= 15 * 60);
+    assert.equal(await getRevocationReason(decoded, user), null);
+    assert.equal(user.devices[0].toJSON().refreshTokenHash, undefined);
+  });
+
+  it('rotates refresh tokens and revokes the device when an old one is replayed', async () => {
+    const first = await issueSession(user, request);
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    assert.notEqual(second.refreshToken, first.refreshToken);
+
+    await assert.rejects(rotateRefreshToken(first.refreshToken), { status: 401 });
+    await assert.rejects(rotateRefreshToken(second.refreshToken), { status: 401 });
+    assert.equal(user.devices[0].isActive, false);
+    assert.ok(await getRevocationReason(decode(second.token), user));
+  });
+
+  it('invalidates every session when signing out everywhere', async () => {
+    const phone = await issueSession(user, request);
+    const laptop = await issueSession(user, request);
+
+    await revokeAllSessions(user);
+
+    assert.ok(await getRevocationReason(decode(phone.token), user));
+    assert.ok(await getRevocationReason(decode(laptop.token), user));
+    await assert.rejects(rotateRefreshToken(laptop.refreshToken), { status: 401 });
+  });
+
+  it('rejects an access token on the revocation list', async () => {
+    const session = await issueSession(user, request);
+    const decoded = decode(session.token);
+
+    await revokeAccessToken(decoded, 'logout');
+
+    assert.equal(await getRevocationReason(decoded, user), 'Token has been revoked');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Transaction = require('../models/Transaction');
+
+// ============================================================================
+// IN-MEMORY AGGREGATION
+// ============================================================================
+
+// Compares the way MongoDB does: a string never equals an ObjectId
+const sameValue = (a, b) =>
+  a instanceof mongoose.Types.ObjectId || b instanceof mongoose.Types.ObjectId
+    ? a instanceof mongoose.Types.ObjectId && b instanceof mongoose.Types.ObjectId && a.equals(b)
+    : a === b;
+
+const matches = (doc, match) => Object.entries(match).every(([field, condition]) =>
+  condition && condition.$in
+    ? condition.$in.some(value => sameValue(doc[field], value))
+    : sameValue(doc[field], condition));
+
+const group = (docs, { _id, ...fields }) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const key = doc[_id.slice(1)];
+    const current = groups.get(key) || { _id: key };
+    Object.entries(fields).forEach(([name, op]) => {
+      const [[operator, path]] = Object.entries(op);
+      const value = doc[path.slice(1)];
+      if (operator === '$first') current[name] ??= value;
+      if (operator === '$max') current[name] = Math.max(current[name] ?? -Infinity, value);
+      if (operator === '$sum') current[name] = (current[name] || 0) + value;
+    });
+    groups.set(key, current);
+  });
+  return [...groups.values()];
+};
+
+const runPipeline = (docs, pipeline) => pipeline.reduce((results, stage) =>
+  stage.$match ? results.filter(doc => matches(doc, stage.$match)) : group(results, stage.$group), docs);
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Transaction revenue', () => {
+  const garage = new mongoose.Types.ObjectId();
+  const otherGarage = new mongoose.Types.ObjectId();
+
+  const ledger = [
+    { tx_ref: 'BKG-1', type: 'booking', entry: 'verification', status: 'success', amount: 1200, garage },
+    { tx_ref: 'BKG-1', type: 'booking', entry: 'webhook', status: 'success', amount: 1200, garage },
+    { tx_ref: 'BKG-1', type: 'booking', entry: 'refund', status: 'success', amount: 200, garage },
+    { tx_ref: 'BKG-2', type: 'booking', entry: 'webhook', status: 'success', amount: 900, garage: otherGarage }
+  ];
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('filters by ID fields given as strings', async () => {
+    mock.method(Transaction, 'aggregate', async (pipeline) => runPipeline(ledger, pipeline));
+
+    const revenue = await Transaction.getRevenue({ garage: garage.toString() });
+    assert.deepEqual(revenue, { subscription: 0, booking: 1000, refunded: 200, total: 1000 });
+
+    const all = await Transaction.getRevenue();
+    assert.equal(all.total, 1900);
+  });
+});
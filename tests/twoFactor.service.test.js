@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const User = require('../models/User');
+const {
+  generateTotp,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../services/twoFactor.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Two-factor authentication', () => {
+  let user;
+
+  const enable = async () => {
+    const { secret } = await beginTwoFactorSetup(user);
+    const recoveryCodes = await enableTwoFactor(user, generateTotp(secret));
+    return { secret, recoveryCodes };
+  };
+
+  beforeEach(() => {
+    user = buildUser('Admin User', 'admin', { email: 'admin@example.com' });
+    mock.method(User.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('generates RFC 6238 codes', () => {
+    // Test vector: ASCII secret "12345678901234567890" at T = 59s
+    assert.equal(generateTotp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1), '287082');
+  });
+
+  it('enables 2FA only with a valid code and stores the secret encrypted', async () => {
+    const { secret } = await beginTwoFactorSetup(user);
+
+    const wrong = generateTotp(secret) === '000000' ? '111111' : '000000';
+
+    await assert.rejects(enableTwoFactor(user, wrong), { status: 400 });
+
+    const recoveryCodes = await enableTwoFactor(user, generateTotp(secret));
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(recoveryCodes.length, 10);
+    assert.ok(!user.twoFactor.secret.includes(secret));
+    assert.ok(!user.twoFactor.recoveryCodes.includes(recoveryCodes[0]));
+  });
+
+  it('rejects a code that was already used', async () => {
+    const { secret } = await enable();
+
+    // The setup code counts as used
+    await assert.rejects(verifySecondFactor(user, { code: generateTotp(secret) }), { status: 401 });
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enable();
+
+    const result = await verifySecondFactor(user, { recoveryCode: recoveryCodes[0].toUpperCase() });
+    assert.equal(result.method, 'recovery_code');
+    assert.equal(result.recoveryCodesLeft, 9);
+
+    await assert.rejects(verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }), { status: 401 });
+  });
+
+  it('does not let admins turn 2FA off', async () => {
+    const { recoveryCodes } = await enable();
+
+    await assert.rejects(disableTwoFactor(user, { recoveryCode: recoveryCodes[0] }), { status: 403 });
+
+    user.role = 'garage_owner';
+    await disableTwoFactor(user, { recoveryCode: recoveryCodes[1] });
+    assert.equal(user.twoFactor.enabled, false);
+  });
+
+  it('only accepts login challenge tokens for the second step', () => {
+    const challenge = readLoginChallenge(createLoginChallenge(user));
+    assert.equal(challenge.id, user._id.toString());
+
+    const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    assert.throws(() => readLoginChallenge(accessToken), { status: 401 });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Vehicle = require('../models/Vehicle');
+const RolePermission = require('../models/RolePermission');
+const { can } = require('../services/permission.service');
+const { getOwnedVehicle, getBrandWarning, snapshotVehicle } = require('../services/vehicle.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Customer vehicles', () => {
+  const customer = buildUser('Customer');
+  const other = buildUser('Other', 'user', { phone: '0911000001' });
+  const vehicle = new Vehicle({ owner: customer._id, make: 'Toyota', model: 'Corolla', year: 2015, vin: '1hgcm82633a004352', mileage: 84000 });
+
+  const garageFor = (specializedBrands) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Bole Auto',
+    owner: { garageInfo: { specializedBrands } }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('validates the VIN and year', () => {
+    assert.equal(vehicle.vin, '1HGCM82633A004352');
+    assert.equal(vehicle.validateSync(), undefined);
+
+    const invalid = new Vehicle({ owner: customer._id, make: 'Toyota', model: 'Hilux', vin: 'IOQ123', year: 3000 });
+    const { errors } = invalid.validateSync();
+    assert.ok(errors.vin);
+    assert.ok(errors.year);
+  });
+
+  it("only returns the customer's own vehicles", async () => {
+    mock.method(RolePermission, 'findOne', () => ({ lean: async () => null }));
+    mock.method(Vehicle, 'findOne', async (query) =>
+      (String(query._id) === String(vehicle._id) && String(query.owner) === String(vehicle.owner) ? vehicle : null));
+
+    assert.equal(await getOwnedVehicle(vehicle._id, customer), vehicle);
+    await assert.rejects(getOwnedVehicle(vehicle._id, other), { status: 404 });
+    await assert.rejects(getOwnedVehicle('not-an-id', customer), { status: 404 });
+    assert.equal(await can(customer, 'vehicle:update', vehicle), true);
+    assert.equal(await can(other, 'vehicle:update', vehicle), false);
+  });
+
+  it('warns when the garage does not specialise in the make', () => {
+    assert.equal(getBrandWarning(garageFor([]), vehicle), null);
+    assert.equal(getBrandWarning(garageFor(['toyota', 'Nissan']), vehicle), null);
+    assert.equal(getBrandWarning(garageFor(['All makes']), vehicle), null);
+    assert.match(getBrandWarning(garageFor(['BMW', 'Mercedes']), vehicle), /may not service Toyota/);
+  });
+
+  it('snapshots the vehicle for the booking', () => {
+    assert.deepEqual(snapshotVehicle(vehicle), {
+      make: 'Toyota',
+      model: 'Corolla',
+      year: 2015,
+      vin: '1HGCM82633A004352',
+      plateNumber: undefined,
+      mileage: 84000,
+      fuelType: undefined
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../models/User');
+const {
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPhoneVerification,
+  confirmPhoneVerification,
+  buildContactUpdate
+} = require('../services/verification.service');
+const { requireVerifiedContact } = require('../middleware/verification.middleware');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Contact verification', () => {
+  let user;
+  let output;
+
+  // The console transports print the link and code; read them back from there
+  const lastCode = () => output.join('\n').match(/verification code is (\d{6})/g).pop().slice(-6);
+  const lastToken = () => output.join('\n').match(/verify-email\?token=([a-f0-9]+)/g).pop().split('=')[1];
+
+  beforeEach(() => {
+    output = [];
+    user = buildUser('Test User', 'user', { email: 'user@example.com' });
+
+    mock.method(User.prototype, 'save', async function() { return this; });
+    mock.method(User, 'findOne', async (query) => (query.emailVerificationToken === user.emailVerificationToken &&
+      user.emailVerificationExpire > query.emailVerificationExpire.$gt ? user : null));
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VERIFICATION_REQUIRED_FOR_BOOKINGS;
+  });
+
+  it('verifies an email address from the emailed link once', async () => {
+    await requestEmailVerification(user);
+    const token = lastToken();
+
+    await confirmEmailVerification(token);
+    assert.equal(user.isEmailVerified, true);
+    assert.equal(user.emailVerificationToken, undefined);
+
+    await assert.rejects(confirmEmailVerification(token), { status: 400 });
+  });
+
+  it('rate limits verification requests per channel', async () => {
+    await requestPhoneVerification(user);
+    await assert.rejects(requestPhoneVerification(user), (error) => error.status === 429 && error.retryAfter > 0);
+
+    // Another channel has its own limit
+    await requestEmailVerification(user);
+
+    // Past the resend cooldown but still within the hour
+    const earlier = new Date(Date.now() - 10 * 60 * 1000);
+    user.verificationRequests = Array.from({ length: 5 }, () => ({ channel: 'phone', sentAt: earlier }));
+    await assert.rejects(requestPhoneVerification(user), /Too many verification requests/);
+  });
+
+  it('accepts the texted code and burns it after too many wrong guesses', async () => {
+    await requestPhoneVerification(user);
+    const code = lastCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await assert.rejects(confirmPhoneVerification(user, wrong), /attempts? left/);
+    }
+    await assert.rejects(confirmPhoneVerification(user, wrong), /Too many invalid attempts/);
+    await assert.rejects(confirmPhoneVerification(user, code), /expired/);
+
+    user.verificationRequests = [];
+    await requestPhoneVerification(user);
+    await confirmPhoneVerification(user, lastCode());
+    assert.equal(user.isPhoneVerified, true);
+  });
+
+  it('un-verifies contact details that change', () => {
+    user.isEmailVerified = true;
+    user.isPhoneVerified = true;
+
+    assert.deepEqual(buildContactUpdate(user, { name: 'New Name', email: 'USER@example.com' }), {
+      $set: { name: 'New Name', email: 'USER@example.com' }
+    });
+
+    const update = buildContactUpdate(user, { phone: '0922000000' });
+    assert.equal(update.$set.isPhoneVerified, false);
+    assert.equal(update.$set.isEmailVerified, undefined);
+    assert.ok(update.$unset.phoneVerificationToken);
+  });
+
+  it('blocks bookings only when verification is required', () => {
+    const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+    let passed = 0;
+    const next = () => { passed++; };
+
+    requireVerifiedContact('bookings')({ user }, res, next);
+    assert.equal(passed, 1);
+
+    process.env.VERIFICATION_REQUIRED_FOR_BOOKINGS = 'email,phone';
+    user.isEmailVerified = true;
+    requireVerifiedContact('bookings')({ user }, res, next);
+    assert.equal(passed, 1);
+    assert.equal(res.code, 403);
+    assert.deepEqual(res.body.verificationRequired, ['phone']);
+  });
+});
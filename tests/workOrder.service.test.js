@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Booking = require('../models/booking');
+const Garage = require('../models/garage');
+const WorkOrder = require('../models/WorkOrder');
+const StaffMember = require('../models/StaffMember');
+const RolePermission = require('../models/RolePermission');
+const {
+  getWorkOrderAccess,
+  createWorkOrder,
+  addLineItems,
+  updateLineItem,
+  respondToApproval,
+  assignMechanics,
+  completeWorkOrder
+} = require('../services/workOrder.service');
+const { buildUser } = require('./helpers/memoryStore');
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Work orders', () => {
+  let members;
+  let bookingUpdates;
+  let output;
+
+  const customer = buildUser('Customer');
+  const owner = buildUser('Owner', 'garage_owner');
+  const mechanic = buildUser('Mechanic', 'staff');
+  const receptionist = buildUser('Reception', 'staff');
+  const garage = { _id: new mongoose.Types.ObjectId(), name: 'Bole Auto', owner: owner._id };
+
+  const booking = new Booking({
+    user: customer._id,
+    garage: garage._id,
+    status: 'confirmed',
+    appointmentDate: new Date(),
+    services: [{ serviceId: new mongoose.Types.ObjectId(), name: 'Brake service', price: 1500, duration: 90 }],
+    totalPrice: 1500
+  });
+
+  beforeEach(() => {
+    output = [];
+    bookingUpdates = [];
+    members = [
+      new StaffMember({ garage: garage._id, user: mechanic._id, email: 'mechanic@example.com', role: 'mechanic', status: 'active' }),
+      new StaffMember({ garage: garage._id, user: receptionist._id, email: 'reception@example.com', role: 'receptionist', status: 'active' })
+    ];
+
+    mock.method(WorkOrder, 'exists', async () => false);
+    mock.method(WorkOrder, 'create', async (doc) => {
+      const workOrder = new WorkOrder(doc);
+      await workOrder.validate();
+      return workOrder;
+    });
+    mock.method(WorkOrder.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    mock.method(WorkOrder.prototype, 'populate', async function() { return this; });
+    mock.method(Booking, 'updateOne', async (query, update) => bookingUpdates.push(update));
+    mock.method(Booking, 'findById', () => ({ select: async () => new Booking(booking.toObject()) }));
+    mock.method(Garage, 'findById', () => ({ select: async () => garage }));
+    mock.method(User, 'findById', () => ({ select: async () => customer }));
+    mock.method(StaffMember, 'findActive', async (garageId, userId) =>
+      members.find(m => m.user.toString() === userId.toString()) || null);
+    mock.method(StaffMember, 'find', async ({ user, role }) =>
+      members.filter(m => user.$in.includes(m.user.toString()) && role.$in.includes(m.role)));
+    mock.method(RolePermission, 'findOne', () => ({ lean: async () => null }));
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('opens from the booked services', async () => {
+    const workOrder = await createWorkOrder(booking, owner);
+
+    assert.equal(workOrder.lineItems.length, 1);
+    assert.equal(workOrder.lineItems[0].approval.status, 'not_required');
+    assert.equal(workOrder.lineItems[0].estimatedHours, 1.5);
+    assert.deepEqual({ ...workOrder.totals }, { estimated: 1500, billable: 1500, pendingApproval: 0 });
+
+    await assert.rejects(createWorkOrder(new Booking({ ...booking.toObject(), status: 'pending' }), owner), { status: 400 });
+  });
+
+  it('charges extra work only once the customer approves it', async () => {
+    const workOrder = await createWorkOrder(booking, owner);
+    const [pads, discs] = await addLineItems(workOrder, [
+      { kind: 'part', description: 'Brake pads', partNumber: 'BP-220', quantity: 2, unitPrice: 400 },
+      { kind: 'part', description: 'Brake discs', quantity: 2, unitPrice: 1200 }
+    ], owner);
+
+    assert.equal(workOrder.totals.pendingApproval, 3200);
+    assert.match(output.join('\n'), /Bole Auto needs your approval for extra work/);
+    await assert.rejects(completeWorkOrder(workOrder, owner), { status: 400 });
+
+    await respondToApproval(workOrder, customer, { items: [pads._id], decision: 'approve' });
+    await respondToApproval(workOrder, customer, { items: [discs._id], decision: 'decline', note: 'Next time' });
+    assert.equal(workOrder.totals.billable, 2300);
+
+    await completeWorkOrder(workOrder, owner);
+    assert.equal(workOrder.status, 'completed');
+    assert.deepEqual(bookingUpdates, [{ $set: { totalPrice: 2300 } }]);
+  });
+
+  it('keeps the paid price and owes the difference as a balance', async () => {
+    const workOrder = await createWorkOrder(booking, owner);
+    await addLineItems(workOrder, [{ kind: 'labour', description: 'Wheel alignment', unitPrice: 450, estimatedHours: 1 }], owner);
+    await respondToApproval(workOrder, customer, { decision: 'approve' });
+
+    const paid = new Booking({ ...booking.toObject(), payment: { status: 'paid', amountPaid: 1500 } });
+    await completeWorkOrder(workOrder, owner, paid);
+
+    assert.deepEqual(bookingUpdates, [{ $set: { 'payment.balanceDue': 450 } }]);
+    assert.deepEqual([paid.totalPrice, paid.payment.balanceDue], [1500, 450]);
+  });
+
+  it('asks again when an approved estimate goes up, but not for hours worked', async () => {
+    const workOrder = await createWorkOrder(booking, owner);
+    const [labour] = await addLineItems(workOrder, [{ kind: 'labour', description: 'Diagnostics', unitPrice: 300, estimatedHours: 1 }], owner);
+    await respondToApproval(workOrder, customer, { decision: 'approve' });
+
+    await updateLineItem(workOrder, labour._id, { actualHours: 1.5 });
+    assert.equal(labour.approval.status, 'approved');
+    assert.equal(workOrder.totals.billable, 1950);
+
+    await updateLineItem(workOrder, labour._id, { estimatedHours: 2 });
+    assert.equal(labour.approval.status, 'pending');
+  });
+
+  it('lets assigned mechanics work on the job and only the customer approve', async () => {
+    const workOrder = await createWorkOrder(booking, owner);
+
+    assert.equal((await getWorkOrderAccess(mechanic, workOrder)).edit, false);
+    await assert.rejects(assignMechanics(workOrder, [receptionist._id]), { status: 400 });
+    await assignMechanics(workOrder, [mechanic._id]);
+
+    const mechanicAccess = await getWorkOrderAccess(mechanic, workOrder);
+    assert.deepEqual([mechanicAccess.edit, mechanicAccess.assign], [true, false]);
+
+    const receptionAccess = await getWorkOrderAccess(receptionist, workOrder);
+    assert.deepEqual([receptionAccess.view, receptionAccess.edit], [true, false]);
+
+    const customerAccess = await getWorkOrderAccess(customer, workOrder);
+    assert.deepEqual([customerAccess.view, customerAccess.garageView, customerAccess.approve], [true, false, true]);
+    assert.equal((await getWorkOrderAccess(owner, workOrder)).approve, false);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Build an Error carrying an HTTP status for the controller to send
+ * @param {Number} status - HTTP status code
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = { createError };
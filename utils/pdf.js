@@ -0,0 +1,113 @@
+/*
+========================
+   MINIMAL PDF WRITER
+========================
+Just enough of PDF 1.4 to lay out text documents such as invoices: A4
+pages, the built-in Helvetica fonts, text and ruled lines. Characters
+outside Latin-1 are printed as '?'.
+*/
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { id: 'F1', name: 'Helvetica' },
+  bold: { id: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Helvetica advance widths (1/1000 em) for right-aligning text; other
+// characters use the average
+const CHAR_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, ':': 278, '/': 278, '(': 333, ')': 333, '%': 889,
+  0: 556, 1: 556, 2: 556, 3: 556, 4: 556, 5: 556, 6: 556, 7: 556, 8: 556, 9: 556
+};
+const AVERAGE_WIDTH = 560;
+
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Approximate width of text in points
+ */
+const textWidth = (text, size) =>
+  [...toLatin1(text)].reduce((sum, char) => sum + (CHAR_WIDTHS[char] ?? AVERAGE_WIDTH), 0) * size / 1000;
+
+/**
+ * Start a document. Coordinates are in points from the top-left corner.
+ * @returns {Object} { text, line, addPage, toBuffer, width, height }
+ */
+const createPdf = () => {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+  const flip = (y) => (PAGE_HEIGHT - y).toFixed(2);
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    /**
+     * @param {Object} options - { size, bold, align: left, or right to end at x }
+     */
+    text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+      const font = bold ? FONTS.bold : FONTS.regular;
+      const left = align === 'right' ? x - textWidth(value, size) : x;
+      current().push(`BT /${font.id} ${size} Tf ${left.toFixed(2)} ${flip(y)} Td (${escapeText(value)}) Tj ET`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(`${width} w ${x1.toFixed(2)} ${flip(y1)} m ${x2.toFixed(2)} ${flip(y2)} l S`);
+      return doc;
+    },
+
+    addPage() {
+      pages.push([]);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const fontIds = Object.values(FONTS).map(font =>
+        [font.id, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)]);
+      const fontResources = fontIds.map(([id, objectId]) => `/${id} ${objectId} 0 R`).join(' ');
+
+      const pageIds = pages.map(operations => {
+        const stream = operations.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+};
+
+module.exports = { createPdf, textWidth };